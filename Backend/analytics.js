@@ -0,0 +1,336 @@
+const pool = require('./db');
+const pipeline = require('./pipeline');
+
+// Reports take the same filters as the application list (parseApplicationQuery), so
+// submitted_from / submitted_to set the date range and archived applications are left out.
+
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_INTERVAL = 'week';
+// A volume report covers at most this many periods; longer ranges need a longer interval
+const MAX_PERIODS = 400;
+const BREAKDOWN_DIMENSIONS = ['job_role', 'city', 'qualification', 'experience_status'];
+// Breakdowns list the largest values; the rest are added up as OTHER_LABEL
+const MAX_BREAKDOWN_VALUES = 50;
+const NOT_SPECIFIED_LABEL = 'Not specified';
+const OTHER_LABEL = 'Other';
+const { HIRED_STAGE } = pipeline;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function toDays(ms) {
+    return round(ms / DAY_MS);
+}
+
+function percent(part, whole) {
+    return whole > 0 ? round(part * 100 / whole) : null;
+}
+
+// Aggregates of a duration expression in milliseconds, summarized by summarizeDurations
+function durationAggregatesSql(ms) {
+    return `COUNT(*)::int AS count, AVG(${ms}) AS average_ms,
+               percentile_cont(0.5) WITHIN GROUP (ORDER BY ${ms}) AS median_ms,
+               MIN(${ms}) AS min_ms, MAX(${ms}) AS max_ms`;
+}
+
+// Milliseconds between two timestamp expressions
+function msBetweenSql(from, to) {
+    return `(EXTRACT(EPOCH FROM (${to}) - (${from})) * 1000)::float8`;
+}
+
+// { count, average_days, median_days, min_days, max_days } from a row of durationAggregatesSql
+function summarizeDurations(row) {
+    const days = ms => (row && row.count ? toDays(ms) : null);
+    return {
+        count: row ? row.count : 0,
+        average_days: days(row && row.average_ms),
+        median_days: days(row && row.median_ms),
+        min_days: days(row && row.min_ms),
+        max_days: days(row && row.max_ms)
+    };
+}
+
+// Blank and missing values are reported together
+function dimensionSql(dimension) {
+    return `COALESCE(NULLIF(TRIM(${dimension}), ''), '${NOT_SPECIFIED_LABEL}')`;
+}
+
+/**
+ * Validates the report-specific query parameters: interval (day, week or month) and group_by
+ * (one of BREAKDOWN_DIMENSIONS) for volume reports.
+ *
+ * @returns {{ errors: string[], interval: string, groupBy: string|null }}
+ */
+function parseReportOptions(query) {
+    const errors = [];
+    const interval = query.interval ? String(query.interval) : DEFAULT_INTERVAL;
+    if (!INTERVALS.includes(interval)) errors.push(`interval must be one of: ${INTERVALS.join(', ')}`);
+    const groupBy = query.group_by ? String(query.group_by) : null;
+    if (groupBy && !BREAKDOWN_DIMENSIONS.includes(groupBy)) {
+        errors.push(`group_by must be one of: ${BREAKDOWN_DIMENSIONS.join(', ')}`);
+    }
+    return { errors, interval, groupBy };
+}
+
+// Start of the day, week (Monday, as date_trunc) or month containing `date`
+function periodStart(date, interval) {
+    const start = new Date(date.getFullYear(), date.getMonth(), interval === 'month' ? 1 : date.getDate());
+    if (interval === 'week') start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    return start;
+}
+
+function nextPeriod(date, interval) {
+    if (interval === 'month') return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + (interval === 'week' ? 7 : 1));
+}
+
+// Bare dates ("2026-03-01") are local days, as submission_date is stored in local time
+function parseDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+}
+
+function formatPeriod(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Applications submitted per day, week or month, optionally split by a breakdown dimension.
+ * Periods without applications are included with zero counts; the range runs from `from` (or the
+ * first application) to `to` (or the last one).
+ *
+ * @returns {{ interval, group_by, total, groups: string[], periods: [{ period, total, groups }] }}
+ *          or { error, code } when the range has too many periods
+ */
+async function getVolume(where, values, { interval, groupBy, from = null, to = null }) {
+    const result = await pool.query(`
+        SELECT date_trunc('${interval}', submission_date) AS period,
+               ${groupBy ? `${dimensionSql(groupBy)} AS group_value,` : ''}
+               COUNT(*)::int AS count
+        FROM applications
+        ${where}
+        GROUP BY period${groupBy ? ', group_value' : ''}
+        ORDER BY period
+    `, values);
+
+    const first = from ? parseDay(from) : (result.rows.length ? result.rows[0].period : null);
+    const last = to ? parseDay(to) : (result.rows.length ? result.rows[result.rows.length - 1].period : null);
+    const periods = [];
+    if (first && last) {
+        for (let period = periodStart(first, interval); period <= last; period = nextPeriod(period, interval)) {
+            if (periods.length === MAX_PERIODS) {
+                return { error: `The date range covers more than ${MAX_PERIODS} ${interval}s; choose a longer interval or a shorter range`, code: 400 };
+            }
+            periods.push({ period: formatPeriod(period), total: 0, groups: {} });
+        }
+    }
+
+    const byPeriod = {};
+    periods.forEach(period => { byPeriod[period.period] = period; });
+    const groupTotals = {};
+    for (const row of result.rows) {
+        const period = byPeriod[formatPeriod(row.period)];
+        if (!period) continue;
+        period.total += row.count;
+        if (groupBy) {
+            period.groups[row.group_value] = (period.groups[row.group_value] || 0) + row.count;
+            groupTotals[row.group_value] = (groupTotals[row.group_value] || 0) + row.count;
+        }
+    }
+
+    return {
+        interval,
+        group_by: groupBy,
+        total: periods.reduce((total, period) => total + period.total, 0),
+        groups: Object.keys(groupTotals).sort((a, b) => groupTotals[b] - groupTotals[a]),
+        periods
+    };
+}
+
+/**
+ * Hiring funnel over the non-terminal stages in pipeline order followed by HIRED_STAGE. An
+ * application counts as having reached every step up to the furthest one it entered, so the
+ * counts never grow down the funnel. Applications that ended in another terminal stage are listed
+ * under exits, by the step they last reached.
+ */
+async function getFunnel(where, values) {
+    const { stages } = await pipeline.getPipeline();
+    const steps = stages.filter(stage => !stage.is_terminal || stage.name === HIRED_STAGE).map(stage => stage.name);
+    // The stages each application entered, from its events, plus its current status: applications
+    // from before the pipeline have no events. Every application entered the pipeline at its first
+    // step, so `furthest` (1-based in steps) is at least 1.
+    const result = await pool.query(`
+        WITH matching AS (
+            SELECT id, status FROM applications ${where}
+        ), entered AS (
+            SELECT id AS application_id, status AS stage FROM matching
+            UNION ALL
+            SELECT application_id, to_stage FROM application_events
+            WHERE to_stage IS NOT NULL AND application_id IN (SELECT id FROM matching)
+        )
+        SELECT furthest, status, COUNT(*)::int AS count
+        FROM (
+            SELECT m.status, COALESCE(MAX(array_position($${values.length + 1}::text[], e.stage::text)), 1) AS furthest
+            FROM matching m
+            JOIN entered e ON e.application_id = m.id
+            GROUP BY m.id, m.status
+        ) furthest_steps
+        GROUP BY furthest, status
+    `, [...values, steps]);
+
+    const reached = steps.map(() => 0);
+    const exits = {};
+    let total = 0;
+    for (const row of result.rows) {
+        const furthest = row.furthest - 1;
+        total += row.count;
+        for (let index = 0; index <= furthest; index++) reached[index] += row.count;
+
+        const ending = stages.find(stage => stage.name === row.status);
+        if (ending && ending.is_terminal && ending.name !== HIRED_STAGE) {
+            const key = `${ending.name}\n${steps[furthest]}`;
+            exits[key] = exits[key] || { stage: ending.name, after: steps[furthest], count: 0 };
+            exits[key].count += row.count;
+        }
+    }
+
+    return {
+        total,
+        hired_stage: steps.includes(HIRED_STAGE) ? HIRED_STAGE : null,
+        stages: steps.map((stage, index) => ({
+            stage,
+            reached: reached[index],
+            conversion_from_previous: index === 0 ? null : percent(reached[index], reached[index - 1]),
+            conversion_from_start: percent(reached[index], reached[0])
+        })),
+        exits: Object.values(exits).sort((a, b) => b.count - a.count || a.stage.localeCompare(b.stage) || a.after.localeCompare(b.after))
+    };
+}
+
+/**
+ * How long applications stay in each stage. A stay ends when the application enters the next
+ * stage; applications still in a non-terminal stage are reported as waiting, with how long they
+ * have waited so far. Applications without recorded stage changes are left out.
+ */
+async function getTimeInStage(where, values) {
+    const { stages } = await pipeline.getPipeline();
+    const result = await pool.query(`
+        WITH stays AS (
+            SELECT to_stage AS stage, created_at AS entered_at,
+                   LEAD(created_at) OVER (PARTITION BY application_id ORDER BY created_at, id) AS left_at
+            FROM application_events
+            WHERE to_stage IS NOT NULL AND application_id IN (SELECT id FROM applications ${where})
+        )
+        SELECT stage, left_at IS NULL AS waiting,
+               ${durationAggregatesSql(msBetweenSql('entered_at', 'COALESCE(left_at, NOW())'))}
+        FROM stays
+        GROUP BY stage, left_at IS NULL
+    `, values);
+
+    const completed = {};
+    const waiting = {};
+    for (const row of result.rows) {
+        if (!row.waiting) {
+            completed[row.stage] = row;
+        } else if (stages.some(stage => stage.name === row.stage && !stage.is_terminal)) {
+            waiting[row.stage] = row;
+        }
+    }
+
+    // Pipeline stages first, then stages that have since been removed from it
+    const names = stages.filter(stage => !stage.is_terminal).map(stage => stage.name);
+    Object.keys(completed).concat(Object.keys(waiting)).forEach(name => {
+        if (!names.includes(name) && !stages.some(stage => stage.name === name)) names.push(name);
+    });
+    return {
+        stages: names.map(stage => {
+            const current = summarizeDurations(waiting[stage]);
+            return {
+                stage,
+                completed: summarizeDurations(completed[stage]),
+                waiting: { count: current.count, average_days: current.average_days, longest_days: current.max_days }
+            };
+        })
+    };
+}
+
+// Days from submission to first entering HIRED_STAGE, overall and per job role
+async function getTimeToHire(where, values) {
+    const result = await pool.query(`
+        WITH hires AS (
+            SELECT ${dimensionSql('a.job_role')} AS job_role,
+                   GREATEST(0, ${msBetweenSql('a.submission_date', 'MIN(e.created_at)')}) AS ms
+            FROM (SELECT id, job_role, submission_date FROM applications ${where}) a
+            JOIN application_events e ON e.application_id = a.id AND e.to_stage = $${values.length + 1}
+            GROUP BY a.id, a.job_role, a.submission_date
+        )
+        SELECT job_role, GROUPING(job_role) = 1 AS overall, ${durationAggregatesSql('ms')}
+        FROM hires
+        GROUP BY GROUPING SETS ((job_role), ())
+    `, [...values, HIRED_STAGE]);
+
+    const overall = result.rows.find(row => row.overall);
+    return {
+        hired_stage: HIRED_STAGE,
+        overall: summarizeDurations(overall),
+        by_job_role: result.rows
+            .filter(row => !row.overall)
+            .map(row => Object.assign({ job_role: row.job_role }, summarizeDurations(row)))
+            .sort((a, b) => b.count - a.count || a.job_role.localeCompare(b.job_role))
+    };
+}
+
+/**
+ * Applications per value of a dimension with their current stages and hire rate, largest first.
+ * Values beyond MAX_BREAKDOWN_VALUES are added up under OTHER_LABEL.
+ */
+async function getBreakdown(where, values, dimension) {
+    const result = await pool.query(`
+        SELECT ${dimensionSql(dimension)} AS value, status, COUNT(*)::int AS count
+        FROM applications
+        ${where}
+        GROUP BY value, status
+    `, values);
+
+    const byValue = {};
+    for (const row of result.rows) {
+        const entry = byValue[row.value] = byValue[row.value] || { value: row.value, total: 0, by_status: {} };
+        entry.total += row.count;
+        entry.by_status[row.status] = (entry.by_status[row.status] || 0) + row.count;
+    }
+    let rows = Object.values(byValue).sort((a, b) => b.total - a.total || a.value.localeCompare(b.value));
+    if (rows.length > MAX_BREAKDOWN_VALUES) {
+        const other = { value: OTHER_LABEL, total: 0, by_status: {} };
+        for (const row of rows.slice(MAX_BREAKDOWN_VALUES - 1)) {
+            other.total += row.total;
+            Object.entries(row.by_status).forEach(([status, count]) => {
+                other.by_status[status] = (other.by_status[status] || 0) + count;
+            });
+        }
+        rows = rows.slice(0, MAX_BREAKDOWN_VALUES - 1).concat(other);
+    }
+
+    return {
+        dimension,
+        hired_stage: HIRED_STAGE,
+        total: rows.reduce((total, row) => total + row.total, 0),
+        rows: rows.map(row => Object.assign(row, {
+            hired: row.by_status[HIRED_STAGE] || 0,
+            hire_rate: percent(row.by_status[HIRED_STAGE] || 0, row.total)
+        }))
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    BREAKDOWN_DIMENSIONS,
+    parseReportOptions,
+    getVolume,
+    getFunnel,
+    getTimeInStage,
+    getTimeToHire,
+    getBreakdown
+};
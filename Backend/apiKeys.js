@@ -0,0 +1,83 @@
+// API keys that let other internal systems (HRIS, payroll) read applications without an HR login.
+// Only a hash of each key is stored: the key itself is shown once, when it is created. Routes
+// accept keys only where they opt in (see auth.requireRole), and keys never get write access.
+const crypto = require('crypto');
+const pool = require('./db');
+const auth = require('./auth');
+
+function parseScopes(scopes) {
+    const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+    return [...new Set(list.map(scope => String(scope).trim()).filter(scope => scope))];
+}
+
+// Checks { name, scopes, expires_at }; returns a list of error messages
+function validateApiKey({ name, scopes, expires_at: expiresAt }) {
+    const errors = [];
+    if (!name || !String(name).trim() || String(name).trim().length > 255) {
+        errors.push('name is required and must be at most 255 characters');
+    }
+    const list = parseScopes(scopes);
+    const unknown = list.filter(scope => !auth.API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        errors.push(`Unknown scopes: ${unknown.join(', ')}. Valid scopes: ${auth.API_KEY_SCOPES.join(', ')}`);
+    }
+    // Reading personal details only makes sense together with reading applications
+    if (list.length > 0 && !list.includes('applications:read')) {
+        errors.push('scopes must include applications:read');
+    }
+    if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+        const date = new Date(expiresAt);
+        if (isNaN(date.getTime())) errors.push('expires_at must be a date');
+        else if (date <= new Date()) errors.push('expires_at must be in the future');
+    }
+    return errors;
+}
+
+async function getApiKeys() {
+    const result = await pool.query(`
+        SELECT k.id, k.name, k.key_prefix, k.scopes, k.created_at, k.expires_at, k.last_used_at, k.revoked_at,
+               u.full_name AS created_by
+        FROM api_keys k
+        LEFT JOIN hr_users u ON u.id = k.created_by_user_id
+        ORDER BY k.id DESC
+    `);
+    return result.rows;
+}
+
+/**
+ * Creates a key with the given scopes (applications:read when none are given). Returns
+ * { apiKey, key }; the key is not shown again.
+ */
+async function createApiKey({ name, scopes, expires_at: expiresAt }, user) {
+    const key = `${auth.API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const list = parseScopes(scopes);
+    const result = await pool.query(`
+        INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by_user_id, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, name, key_prefix, scopes, created_at, expires_at, last_used_at, revoked_at
+    `, [
+        String(name).trim(),
+        key.slice(0, auth.API_KEY_PREFIX.length + 6),
+        auth.hashToken(key),
+        list.length > 0 ? list : ['applications:read'],
+        user.id,
+        expiresAt ? new Date(expiresAt) : null
+    ]);
+    return { apiKey: result.rows[0], key };
+}
+
+// Revoked keys stop working at once and stay listed for the record
+async function revokeApiKey(id) {
+    const result = await pool.query(
+        'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+        [id]
+    );
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    validateApiKey,
+    getApiKeys,
+    createApiKey,
+    revokeApiKey
+};
@@ -0,0 +1,182 @@
+// Changes to a single application shared by the per-application routes and the bulk routes.
+// Each function runs on the caller's transaction and returns { error, code } instead of
+// throwing when the change is not allowed, so bulk callers can report it per row.
+const pool = require('./db');
+const pipeline = require('./pipeline');
+const storage = require('./storage');
+const documents = require('./documents');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+
+const ARCHIVED = { code: 409, error: 'Application is archived; restore it first' };
+
+/**
+ * Moves an application to another stage if the pipeline allows it, recording the event and
+ * queueing the candidate email. With `expectedVersion` the change is refused with 409 when the
+ * application has been changed since the caller read that version.
+ */
+async function changeStatus(client, applicationId, status, { actor, comment = null, expectedVersion = null }) {
+    const current = await client.query(
+        'SELECT id, full_name, email, job_role, preferred_location, status, version, deleted_at FROM applications WHERE id = $1 FOR UPDATE',
+        [applicationId]
+    );
+    if (current.rows.length === 0) {
+        return { code: 404, error: 'Application not found' };
+    }
+    if (current.rows[0].deleted_at) {
+        return ARCHIVED;
+    }
+
+    const fromStage = current.rows[0].status;
+    if (expectedVersion !== null && expectedVersion !== current.rows[0].version) {
+        return {
+            code: 409,
+            error: 'Application was changed by someone else; reload it and try again',
+            current_status: fromStage,
+            current_version: current.rows[0].version
+        };
+    }
+    if (!(await pipeline.isTransitionAllowed(client, fromStage, status))) {
+        return {
+            code: 409,
+            error: `Cannot move application from ${fromStage} to ${status}`,
+            current_status: fromStage,
+            current_version: current.rows[0].version,
+            allowed_statuses: await pipeline.getAllowedTransitions(client, fromStage)
+        };
+    }
+
+    const updated = await client.query(
+        'UPDATE applications SET status = $1, version = version + 1 WHERE id = $2 RETURNING version',
+        [status, applicationId]
+    );
+    const event = await pipeline.recordEvent(client, applicationId, {
+        eventType: 'stage_changed',
+        fromStage,
+        toStage: status,
+        actor,
+        comment
+    });
+    await notifications.notifyStatusChanged(client, Object.assign(current.rows[0], { status }), fromStage, comment);
+    await webhooks.notifyStatusChanged(client, applicationId, fromStage, status);
+    return { from_status: fromStage, status, version: updated.rows[0].version, event };
+}
+
+// Active HR users who can own candidates
+async function getAssignableUser(client, userId) {
+    const result = await client.query(`
+        SELECT id, full_name, email
+        FROM hr_users
+        WHERE id = $1 AND is_active AND role IN ('recruiter', 'admin')
+    `, [userId]);
+    return result.rows[0] || null;
+}
+
+// Assigns the application to a recruiter, or unassigns it when assignee is null
+async function assignRecruiter(client, applicationId, assignee, { actor }) {
+    const current = await client.query('SELECT id, assigned_user_id, deleted_at FROM applications WHERE id = $1 FOR UPDATE', [applicationId]);
+    if (current.rows.length === 0) {
+        return { code: 404, error: 'Application not found' };
+    }
+    if (current.rows[0].deleted_at) {
+        return ARCHIVED;
+    }
+    const assigneeId = assignee ? assignee.id : null;
+    if (current.rows[0].assigned_user_id === assigneeId) {
+        return { assigned_user_id: assigneeId, unchanged: true };
+    }
+
+    const updated = await client.query(
+        'UPDATE applications SET assigned_user_id = $1, version = version + 1 WHERE id = $2 RETURNING version',
+        [assigneeId, applicationId]
+    );
+    await pipeline.recordEvent(client, applicationId, {
+        eventType: 'assigned',
+        actor,
+        comment: assignee ? `Assigned to ${assignee.full_name}` : 'Unassigned'
+    });
+    return { assigned_user_id: assigneeId, version: updated.rows[0].version };
+}
+
+// Moves the application to the archive. It stays restorable until the retention job purges it.
+async function archiveApplication(client, applicationId, { actor }) {
+    const result = await client.query(`
+        UPDATE applications SET deleted_at = NOW(), deleted_by_user_id = $2, version = version + 1
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING id, version
+    `, [applicationId, actor ? actor.id : null]);
+    if (result.rows.length === 0) {
+        return archiveMiss(client, applicationId, true);
+    }
+    await pipeline.recordEvent(client, applicationId, { eventType: 'archived', actor });
+    return { version: result.rows[0].version };
+}
+
+async function restoreApplication(client, applicationId, { actor }) {
+    const result = await client.query(`
+        UPDATE applications SET deleted_at = NULL, deleted_by_user_id = NULL, version = version + 1
+        WHERE id = $1 AND deleted_at IS NOT NULL
+        RETURNING id, status, version
+    `, [applicationId]);
+    if (result.rows.length === 0) {
+        return archiveMiss(client, applicationId, false);
+    }
+    await pipeline.recordEvent(client, applicationId, { eventType: 'restored', actor });
+    return { status: result.rows[0].status, version: result.rows[0].version };
+}
+
+// Tells "no such application" apart from "already in the requested state"
+async function archiveMiss(client, applicationId, archiving) {
+    const exists = await client.query('SELECT id FROM applications WHERE id = $1', [applicationId]);
+    if (exists.rows.length === 0) {
+        return { code: 404, error: 'Application not found' };
+    }
+    return { code: 409, error: archiving ? 'Application is already archived' : 'Application is not archived' };
+}
+
+// Permanently deletes an archived application. Returns the storage keys of its files, which the
+// caller removes once the transaction has committed.
+async function purgeApplication(client, applicationId) {
+    // Read before the delete cascades to the document rows
+    const files = await documents.getStorageKeys(client, applicationId);
+    const result = await client.query(
+        'DELETE FROM applications WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id',
+        [applicationId]
+    );
+    if (result.rows.length === 0) {
+        return archiveMiss(client, applicationId, false);
+    }
+    return { files };
+}
+
+// Best-effort removal of stored files once nothing refers to them any more. Keys are content
+// addressed, so another application may share the same file. A file that cannot be removed is
+// logged and left behind.
+async function removeFiles(keys) {
+    for (const key of new Set(keys)) {
+        try {
+            const used = await pool.query(
+                'SELECT 1 FROM application_documents WHERE storage_key = $1 LIMIT 1',
+                [key]
+            );
+            if (used.rows.length > 0) {
+                console.log(`Keeping file ${key}: still used by a document`);
+                continue;
+            }
+            await storage.getStorage().remove(key);
+            console.log(`Deleted file: ${key}`);
+        } catch (error) {
+            console.error(`Error deleting file ${key}:`, error.message);
+        }
+    }
+}
+
+module.exports = {
+    changeStatus,
+    getAssignableUser,
+    assignRecruiter,
+    archiveApplication,
+    restoreApplication,
+    purgeApplication,
+    removeFiles
+};
@@ -0,0 +1,180 @@
+// Builds the WHERE / ORDER BY / LIMIT clauses for listing applications from request query
+// parameters. Every value is passed as a bind parameter; only whitelisted column names are
+// interpolated into the SQL.
+const { tagKey } = require('./tags');
+const { salaryBand } = require('./pii');
+
+const SORTABLE_COLUMNS = [
+    'id', 'full_name', 'email', 'job_role', 'city', 'experience_status', 'years_experience',
+    'expected_salary', 'submission_date', 'status', 'deleted_at'
+];
+// expected_salary is encrypted, so it sorts by its plaintext band (see pii.js)
+const SORT_EXPRESSIONS = { expected_salary: 'expected_salary_band' };
+const DEFAULT_SORT = [{ column: 'submission_date', direction: 'DESC' }];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+// Expression searched by ?q=; mirrored by the applications_search_idx index (migrations/009)
+const SEARCH_VECTOR_SQL = `to_tsvector('simple', coalesce(full_name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(skills, '') || ' ' || coalesce(resume_text, ''))`;
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(item => item);
+}
+
+function parseNumber(value, name, errors) {
+    if (value === undefined || value === '') return null;
+    const parsed = Number(value);
+    if (isNaN(parsed)) {
+        errors.push(`${name} must be a number`);
+        return null;
+    }
+    return parsed;
+}
+
+function parseDate(value, name, errors) {
+    if (value === undefined || value === '') return null;
+    if (isNaN(Date.parse(value))) {
+        errors.push(`${name} must be a valid date`);
+        return null;
+    }
+    return value;
+}
+
+// ?sort=-submission_date,full_name  =>  submission_date DESC, full_name ASC
+function parseSort(value, errors) {
+    const fields = toList(value);
+    if (fields.length === 0) return DEFAULT_SORT;
+    const sort = [];
+    for (const field of fields) {
+        const direction = field.startsWith('-') ? 'DESC' : 'ASC';
+        const column = field.replace(/^[-+]/, '');
+        if (!SORTABLE_COLUMNS.includes(column)) {
+            errors.push(`Cannot sort by ${column}`);
+            continue;
+        }
+        sort.push({ column, direction });
+    }
+    return sort;
+}
+
+/**
+ * Parses list query parameters into SQL fragments.
+ *
+ * Supported parameters: q, status, job_role, job_posting_id, city, experience_status, tag
+ * (comma-separated lists match any value), assigned_to (a user ID, "me" or "none"),
+ * min_experience, max_experience, min_salary, max_salary, submitted_from, submitted_to, sort,
+ * page, page_size. Archived applications are left out unless archived=true, which lists only the
+ * archive. The salary range and sort use the salary band (see pii.js), so min_salary also matches
+ * salaries in the band just below it.
+ *
+ * @param {object} options.user the HR user listing; assigned_to=me needs it
+ * @returns {{ errors: string[], where: string, values: any[], orderBy: string,
+ *             limit: number, offset: number, page: number, pageSize: number }}
+ */
+function parseApplicationQuery(query, { user = null } = {}) {
+    const errors = [];
+    const conditions = [];
+    const values = [];
+    const param = value => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    conditions.push(query.archived === 'true' ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+
+    if (query.q && String(query.q).trim()) {
+        const search = String(query.q).trim();
+        conditions.push(`(${SEARCH_VECTOR_SQL} @@ plainto_tsquery('simple', ${param(search)}) OR email ILIKE ${param(`%${search}%`)})`);
+    }
+
+    const listFilters = ['status', 'job_role', 'city', 'experience_status'];
+    for (const name of listFilters) {
+        const list = toList(query[name]);
+        if (list.length > 0) {
+            conditions.push(`${name} = ANY(${param(list)})`);
+        }
+    }
+
+    const postingIds = toList(query.job_posting_id).map(id => parseInt(id, 10));
+    if (postingIds.some(id => isNaN(id))) {
+        errors.push('job_posting_id must be an integer');
+    } else if (postingIds.length > 0) {
+        conditions.push(`job_posting_id = ANY(${param(postingIds)}::int[])`);
+    }
+
+    // Tag names match regardless of case and spacing, like the tags themselves (see tags.js)
+    const tagKeys = toList(query.tag).map(tagKey);
+    if (tagKeys.length > 0) {
+        conditions.push(`id IN (SELECT at.application_id FROM application_tags at JOIN tags t ON t.id = at.tag_id WHERE t.name_key = ANY(${param(tagKeys)}))`);
+    }
+
+    const assignedTo = query.assigned_to === undefined ? '' : String(query.assigned_to).trim();
+    if (assignedTo === 'none') {
+        conditions.push('assigned_user_id IS NULL');
+    } else if (assignedTo === 'me') {
+        if (user) conditions.push(`assigned_user_id = ${param(user.id)}`);
+        else errors.push('assigned_to=me needs a signed-in user');
+    } else if (assignedTo) {
+        const assigneeId = Number(assignedTo);
+        if (!Number.isInteger(assigneeId)) errors.push('assigned_to must be a user ID, "me" or "none"');
+        else conditions.push(`assigned_user_id = ${param(assigneeId)}`);
+    }
+
+    const ranges = [
+        { column: 'years_experience', min: 'min_experience', max: 'max_experience', parse: parseNumber },
+        {
+            column: 'expected_salary_band',
+            min: 'min_salary',
+            max: 'max_salary',
+            parse: (value, name, errors) => {
+                const amount = parseNumber(value, name, errors);
+                return amount === null ? null : salaryBand(amount);
+            }
+        },
+        { column: 'submission_date', min: 'submitted_from', max: 'submitted_to', parse: parseDate }
+    ];
+    for (const range of ranges) {
+        const min = range.parse(query[range.min], range.min, errors);
+        const max = range.parse(query[range.max], range.max, errors);
+        if (min !== null) conditions.push(`${range.column} >= ${param(min)}`);
+        if (max !== null) {
+            // A bare date as the upper bound includes the whole day
+            if (range.column === 'submission_date' && /^\d{4}-\d{2}-\d{2}$/.test(max)) {
+                conditions.push(`${range.column} < ${param(max)}::date + 1`);
+            } else {
+                conditions.push(`${range.column} <= ${param(max)}`);
+            }
+        }
+    }
+
+    const sort = parseSort(query.sort, errors);
+    // id as the final tie-breaker keeps pages stable when sort values repeat
+    const orderBy = [...sort, { column: 'id', direction: 'DESC' }]
+        .filter((item, index, all) => all.findIndex(other => other.column === item.column) === index)
+        .map(item => `${SORT_EXPRESSIONS[item.column] || item.column} ${item.direction}${item.direction === 'DESC' ? ' NULLS LAST' : ''}`)
+        .join(', ');
+
+    const page = parseInt(query.page, 10) || 1;
+    const pageSize = parseInt(query.page_size, 10) || DEFAULT_PAGE_SIZE;
+    if (page < 1) errors.push('page must be 1 or greater');
+    if (pageSize < 1 || pageSize > MAX_PAGE_SIZE) errors.push(`page_size must be between 1 and ${MAX_PAGE_SIZE}`);
+
+    return {
+        errors,
+        where: `WHERE ${conditions.join(' AND ')}`,
+        values,
+        orderBy,
+        limit: pageSize,
+        offset: (page - 1) * pageSize,
+        page,
+        pageSize
+    };
+}
+
+module.exports = {
+    SORTABLE_COLUMNS,
+    SEARCH_VECTOR_SQL,
+    parseApplicationQuery
+};
@@ -0,0 +1,387 @@
+// Validation rules of the candidate application form, used by /api/submit and by the form itself,
+// which loads this file from /api/application-schema.js. It must run unchanged in the browser, so
+// it has no requires and touches no Node APIs.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ApplicationSchema = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const NAME = { regex: /^[a-zA-Z ]+$/, message: 'may only contain letters and spaces' };
+    const DIGITS = { regex: /^[0-9]+$/, message: 'may only contain digits' };
+    const EXPERIENCED = { field: 'experience_status', equals: 'Experienced' };
+    const MIN_YEAR = 1960;
+
+    /**
+     * One entry per form field. Rules:
+     *   type        text, email, phone, url, choice, date, month, year, integer, number or percentage
+     *   required    the field must have a value; requiredWhen does the same only while another
+     *               field has a given value, and the field is dropped when it does not
+     *   group       fields of a group are filled in together or left empty together
+     *   maxLength, pattern, options, min, max
+     *   minAge, maxAge          (date) age in years on the day of validation
+     *   yearsAhead              (year) how far past the current year is allowed
+     *   notBefore               (month) name of a month field this one cannot precede
+     */
+    const FIELDS = {
+        full_name: { label: 'Full name', type: 'text', required: true, maxLength: 255, pattern: NAME },
+        email: { label: 'Email', type: 'email', required: true, maxLength: 255 },
+        mobile: { label: 'Mobile number', type: 'phone', required: true },
+        dob: { label: 'Date of birth', type: 'date', required: true, minAge: 18, maxAge: 70 },
+        parent_name: { label: 'Parent name', type: 'text', required: true, maxLength: 255, pattern: NAME },
+        gender: { label: 'Gender', type: 'choice', required: true, options: ['Male', 'Female', 'Other', 'Prefer not to say'] },
+        nationality: { label: 'Nationality', type: 'text', required: true, maxLength: 100, pattern: NAME },
+        marital_status: { label: 'Marital status', type: 'choice', options: ['Single', 'Married', 'Divorced', 'Widowed'] },
+        current_address: { label: 'Current address', type: 'text', required: true, maxLength: 1000 },
+        permanent_address: { label: 'Permanent address', type: 'text', required: true, maxLength: 1000 },
+        state: { label: 'State', type: 'text', required: true, maxLength: 100 },
+        city: { label: 'City', type: 'text', required: true, maxLength: 100 },
+        zipcode: { label: 'Zipcode', type: 'text', required: true, maxLength: 20, pattern: DIGITS },
+        emergency_contact: { label: 'Emergency contact', type: 'phone', required: true },
+
+        ssc_board: { label: 'SSC board', type: 'text', required: true, maxLength: 255 },
+        ssc_year: { label: 'SSC year', type: 'year', required: true, yearsAhead: 0 },
+        ssc_percentage: { label: 'SSC percentage', type: 'percentage', required: true },
+        intermediate_board: { label: 'Intermediate board', type: 'text', group: 'intermediate', maxLength: 255 },
+        intermediate_year: { label: 'Intermediate year', type: 'year', group: 'intermediate', yearsAhead: 5 },
+        intermediate_percentage: { label: 'Intermediate percentage', type: 'percentage', group: 'intermediate' },
+        college_name: { label: 'College name', type: 'text', group: 'graduation', maxLength: 255 },
+        qualification: { label: 'Qualification', type: 'text', group: 'graduation', maxLength: 255 },
+        branch: { label: 'Branch', type: 'text', group: 'graduation', maxLength: 255 },
+        graduation_year: { label: 'Graduation year', type: 'year', group: 'graduation', yearsAhead: 5 },
+        graduation_percentage: { label: 'Graduation percentage', type: 'percentage', group: 'graduation' },
+
+        job_posting_id: { label: 'Opening', type: 'integer', required: true, min: 1 },
+        preferred_location: { label: 'Preferred location', type: 'text', required: true, maxLength: 255 },
+        notice_period: { label: 'Notice period', type: 'text', required: true, maxLength: 100 },
+        expected_salary: { label: 'Expected salary', type: 'number', min: 0 },
+        skills: { label: 'Skills', type: 'text', required: true, maxLength: 5000 },
+        experience_status: { label: 'Experience status', type: 'choice', required: true, options: ['Fresher', 'Experienced'] },
+        years_experience: { label: 'Years of experience', type: 'integer', requiredWhen: EXPERIENCED, min: 0, max: 50 },
+        company_name: { label: 'Company name', type: 'text', requiredWhen: EXPERIENCED, maxLength: 255 },
+        designation: { label: 'Designation', type: 'text', requiredWhen: EXPERIENCED, maxLength: 255 },
+        work_location: { label: 'Work location', type: 'text', requiredWhen: EXPERIENCED, maxLength: 255 },
+        start_date: { label: 'Start date', type: 'month', requiredWhen: EXPERIENCED },
+        end_date: { label: 'End date', type: 'month', requiredWhen: EXPERIENCED, notBefore: 'start_date' },
+        last_salary: { label: 'Last salary', type: 'number', min: 0 },
+
+        alt_mobile: { label: 'Alternate mobile number', type: 'phone' },
+        linkedin: { label: 'LinkedIn URL', type: 'url', maxLength: 255 },
+        github: { label: 'GitHub URL', type: 'url', maxLength: 255 },
+        certifications: { label: 'Certifications', type: 'text', maxLength: 5000 },
+        reference_name: { label: 'Reference name', type: 'text', maxLength: 255, pattern: NAME },
+        reference_email: { label: 'Reference email', type: 'email', maxLength: 255 }
+    };
+
+    const GROUPS = {
+        intermediate: 'intermediate details',
+        graduation: 'graduation details'
+    };
+
+    // Entries of additional_education; errors name them as additional_education.<index>.<field>
+    const EDUCATION_FIELDS = {
+        qualification: { label: 'Course name', type: 'text', required: true, maxLength: 255 },
+        institution: { label: 'Institute name', type: 'text', required: true, maxLength: 255 },
+        year: { label: 'Year', type: 'year', required: true, yearsAhead: 5 },
+        percentage: { label: 'Percentage', type: 'percentage', required: true }
+    };
+    const MAX_ADDITIONAL_EDUCATION = 20;
+
+    // Custom questions of a posting's application form (see forms.js on the server)
+    const QUESTION_TYPES = ['text', 'number', 'select', 'multi_select', 'yes_no', 'file'];
+    const MAX_ANSWER_LENGTH = 5000;
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const PHONE_PATTERN = /^[0-9]{10,15}$/;
+    const URL_PATTERN = /^https?:\/\/[^\s/$.?#][^\s]*$/i;
+    const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+    const MONTH_PATTERN = /^(0[1-9]|1[0-2])\/(\d{4})$/;
+    const PERCENTAGE_PATTERN = /^\d{1,3}(\.\d{1,2})?$/;
+    const INTEGER_PATTERN = /^-?\d+$/;
+    const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+    function isEmpty(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    // "YYYY-MM-DD" in local time, as date inputs use it
+    function formatDate(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * The earliest and latest date of birth a field allows on the given day, as "YYYY-MM-DD" (for
+     * the min and max attributes of a date input).
+     */
+    function dateLimits(rule, today) {
+        const now = today || new Date();
+        const yearsAgo = years => formatDate(new Date(now.getFullYear() - years, now.getMonth(), now.getDate()));
+        return {
+            min: rule.maxAge !== undefined ? yearsAgo(rule.maxAge) : undefined,
+            max: rule.minAge !== undefined ? yearsAgo(rule.minAge) : undefined
+        };
+    }
+
+    function yearLimits(rule, today) {
+        const now = today || new Date();
+        return { min: MIN_YEAR, max: now.getFullYear() + (rule.yearsAhead || 0) };
+    }
+
+    // "MM/YYYY" as a number that sorts by month
+    function monthIndex(value) {
+        const match = MONTH_PATTERN.exec(value);
+        return match ? parseInt(match[2], 10) * 12 + parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Checks one value against its rule. Returns { value } with the cleaned value, or { code,
+     * message } when it is invalid.
+     */
+    function checkValue(rule, raw, today) {
+        const text = String(raw).trim();
+        const fail = (code, message) => ({ code, message: `${rule.label} ${message}` });
+
+        if (rule.maxLength && text.length > rule.maxLength) {
+            return fail('too_long', `must be at most ${rule.maxLength} characters`);
+        }
+        switch (rule.type) {
+        case 'email':
+            return EMAIL_PATTERN.test(text) ? { value: text } : fail('format', 'must be a valid email address');
+        case 'phone':
+            return PHONE_PATTERN.test(text) ? { value: text } : fail('format', 'must be 10 to 15 digits');
+        case 'url':
+            return URL_PATTERN.test(text) ? { value: text } : fail('format', 'must be a web address starting with http:// or https://');
+        case 'choice':
+            return rule.options.includes(text) ? { value: text } : fail('invalid_choice', `must be one of: ${rule.options.join(', ')}`);
+        case 'date': {
+            const match = DATE_PATTERN.exec(text);
+            const date = match && new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+            if (!date || formatDate(date) !== text) return fail('format', 'must be a valid date (YYYY-MM-DD)');
+            const limits = dateLimits(rule, today);
+            if (limits.max && text > limits.max) return { code: 'min', message: `You must be at least ${rule.minAge} years old` };
+            if (limits.min && text < limits.min) return { code: 'max', message: `You must be at most ${rule.maxAge} years old` };
+            return { value: text };
+        }
+        case 'month':
+            return MONTH_PATTERN.test(text) ? { value: text } : fail('format', 'must be a month in the form MM/YYYY');
+        case 'year': {
+            const limits = yearLimits(rule, today);
+            const year = INTEGER_PATTERN.test(text) ? parseInt(text, 10) : NaN;
+            if (isNaN(year) || year < limits.min || year > limits.max) {
+                return fail('range', `must be a year from ${limits.min} to ${limits.max}`);
+            }
+            return { value: year };
+        }
+        case 'integer':
+        case 'number': {
+            const pattern = rule.type === 'integer' ? INTEGER_PATTERN : NUMBER_PATTERN;
+            if (!pattern.test(text)) return fail('format', rule.type === 'integer' ? 'must be a whole number' : 'must be a number');
+            const number = parseFloat(text);
+            if (rule.min !== undefined && number < rule.min) return fail('min', `must be at least ${rule.min}`);
+            if (rule.max !== undefined && number > rule.max) return fail('max', `must be at most ${rule.max}`);
+            return { value: number };
+        }
+        case 'percentage':
+            if (!PERCENTAGE_PATTERN.test(text) || parseFloat(text) > 100) {
+                return fail('format', 'must be a number from 0 to 100 with at most two decimals');
+            }
+            return { value: text };
+        default:
+            if (rule.pattern && !rule.pattern.regex.test(text)) return fail('format', rule.pattern.message);
+            return { value: text };
+        }
+    }
+
+    function conditionMet(condition, input) {
+        return String(input[condition.field] === undefined || input[condition.field] === null ? '' : input[condition.field]).trim() === condition.equals;
+    }
+
+    // The education entries as an array, whether they came as one (JSON body) or as a JSON string (multipart)
+    function readEducationList(raw) {
+        if (isEmpty(raw)) return [];
+        if (Array.isArray(raw)) return raw;
+        try {
+            const parsed = JSON.parse(raw);
+            return Array.isArray(parsed) ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function validateEducation(raw, today, errors) {
+        const entries = readEducationList(raw);
+        if (entries === null) {
+            errors.push({ field: 'additional_education', code: 'format', message: 'Additional education must be a list' });
+            return [];
+        }
+        if (entries.length > MAX_ADDITIONAL_EDUCATION) {
+            errors.push({ field: 'additional_education', code: 'too_many', message: `At most ${MAX_ADDITIONAL_EDUCATION} additional qualifications can be added` });
+            return [];
+        }
+        return entries.map((entry, index) => {
+            const cleaned = {};
+            Object.keys(EDUCATION_FIELDS).forEach(name => {
+                const rule = EDUCATION_FIELDS[name];
+                const raw = entry && typeof entry === 'object' ? entry[name] : undefined;
+                const field = `additional_education.${index}.${name}`;
+                if (isEmpty(raw)) {
+                    errors.push({ field, code: 'required', message: `${rule.label} is required` });
+                    return;
+                }
+                const result = checkValue(rule, raw, today);
+                if (result.code) {
+                    errors.push({ field, code: result.code, message: result.message });
+                } else {
+                    cleaned[name] = result.value;
+                }
+            });
+            return cleaned;
+        });
+    }
+
+    /**
+     * Validates an application against FIELDS. `input` holds the raw form values (strings, as the
+     * form posts them); additional_education may be an array or its JSON.
+     *
+     * Options:
+     *   fields  names to check, e.g. the fields of one form page (default: all, plus
+     *           additional_education)
+     *   today   the date ages and years are counted from (default: now)
+     *
+     * @returns {{ errors: { field: string, code: string, message: string }[], values: object }}
+     *   values holds the cleaned value of every valid field: trimmed text, numbers for years and
+     *   amounts, null for empty or inapplicable fields.
+     */
+    function validateApplication(input, options) {
+        const settings = options || {};
+        const source = input || {};
+        const today = settings.today;
+        const checked = settings.fields || Object.keys(FIELDS).concat('additional_education');
+        const errors = [];
+        const values = {};
+
+        checked.forEach(field => {
+            if (field === 'additional_education') {
+                values.additional_education = validateEducation(source.additional_education, today, errors);
+                return;
+            }
+            const rule = FIELDS[field];
+            if (!rule) return;
+            const raw = source[field];
+
+            if (rule.requiredWhen && !conditionMet(rule.requiredWhen, source)) {
+                values[field] = null;
+                return;
+            }
+            if (isEmpty(raw)) {
+                values[field] = null;
+                if (rule.required || rule.requiredWhen) {
+                    errors.push({ field, code: 'required', message: `${rule.label} is required` });
+                } else if (rule.group) {
+                    const partner = Object.keys(FIELDS).find(name => FIELDS[name].group === rule.group && !isEmpty(source[name]));
+                    if (partner) {
+                        errors.push({ field, code: 'incomplete', message: `${rule.label} is required when other ${GROUPS[rule.group]} are filled in` });
+                    }
+                }
+                return;
+            }
+
+            const result = checkValue(rule, raw, today);
+            if (result.code) {
+                errors.push({ field, code: result.code, message: result.message });
+                return;
+            }
+            values[field] = result.value;
+
+            if (rule.notBefore && !isEmpty(source[rule.notBefore])) {
+                const earlier = monthIndex(String(source[rule.notBefore]).trim());
+                if (earlier !== null && monthIndex(result.value) < earlier) {
+                    errors.push({ field, code: 'order', message: `${rule.label} cannot be before ${FIELDS[rule.notBefore].label.toLowerCase()}` });
+                }
+            }
+        });
+
+        return { errors, values };
+    }
+
+    /**
+     * Validates answers to the custom questions of a posting's form. `answers` maps question keys
+     * to values: text, a number, an option, a list of options, "yes"/"no" (or a boolean), or for a
+     * file question the name of the chosen file. Errors name the field answers.<key>.
+     *
+     * @returns {{ errors: { field: string, code: string, message: string }[], values: object }}
+     *   values maps every question key to its cleaned answer: strings, numbers, booleans for yes/no
+     *   and arrays for multi-select, or null when unanswered.
+     */
+    function validateAnswers(questions, answers) {
+        const source = answers && typeof answers === 'object' ? answers : {};
+        const errors = [];
+        const values = {};
+
+        (questions || []).forEach(question => {
+            const field = `answers.${question.key}`;
+            const raw = source[question.key];
+            const fail = (code, message) => errors.push({ field, code, message: `${question.label} ${message}` });
+            values[question.key] = null;
+
+            if (Array.isArray(raw) ? raw.length === 0 : isEmpty(raw)) {
+                if (question.required) errors.push({ field, code: 'required', message: `${question.label} is required` });
+                return;
+            }
+            if (Array.isArray(raw) && question.type !== 'multi_select') return fail('format', 'must be a single answer');
+            const text = Array.isArray(raw) ? '' : String(raw).trim();
+            switch (question.type) {
+            case 'number': {
+                if (!NUMBER_PATTERN.test(text)) return fail('format', 'must be a number');
+                const number = parseFloat(text);
+                if (question.min !== null && question.min !== undefined && number < question.min) return fail('min', `must be at least ${question.min}`);
+                if (question.max !== null && question.max !== undefined && number > question.max) return fail('max', `must be at most ${question.max}`);
+                values[question.key] = number;
+                return;
+            }
+            case 'select':
+                if (!question.options.includes(text)) return fail('invalid_choice', `must be one of: ${question.options.join(', ')}`);
+                values[question.key] = text;
+                return;
+            case 'multi_select': {
+                const chosen = (Array.isArray(raw) ? raw : [raw]).map(value => String(value).trim());
+                if (chosen.some(value => !question.options.includes(value))) {
+                    return fail('invalid_choice', `must be chosen from: ${question.options.join(', ')}`);
+                }
+                values[question.key] = question.options.filter(option => chosen.includes(option));
+                return;
+            }
+            case 'yes_no':
+                if (raw === true || /^(yes|true)$/i.test(text)) {
+                    values[question.key] = true;
+                } else if (raw === false || /^(no|false)$/i.test(text)) {
+                    values[question.key] = false;
+                } else {
+                    fail('invalid_choice', 'must be answered yes or no');
+                }
+                return;
+            default:
+                if (text.length > MAX_ANSWER_LENGTH) return fail('too_long', `must be at most ${MAX_ANSWER_LENGTH} characters`);
+                values[question.key] = text;
+            }
+        });
+
+        return { errors, values };
+    }
+
+    return {
+        FIELDS,
+        GROUPS,
+        EDUCATION_FIELDS,
+        MAX_ADDITIONAL_EDUCATION,
+        QUESTION_TYPES,
+        dateLimits,
+        yearLimits,
+        validateApplication,
+        validateAnswers
+    };
+}));
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const pool = require('./db');
+
+// Roles are ordered: each role can do everything the roles before it can
+const ROLES = ['viewer', 'recruiter', 'admin'];
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+// API keys for other internal systems start with this, which tells them apart from session tokens.
+// applications:read reads applications with personal details masked as for viewers;
+// applications:pii also unmasks them.
+const API_KEY_PREFIX = 'hrk_';
+const API_KEY_SCOPES = ['applications:read', 'applications:pii'];
+
+// Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no HR users exist yet
+async function seedAdminUser() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM hr_users');
+    if (result.rows[0].count > 0) return;
+
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+        console.warn('No HR users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin.');
+        return;
+    }
+    await pool.query(
+        'INSERT INTO hr_users (email, full_name, password_hash, role) VALUES ($1, $2, $3, $4)',
+        [ADMIN_EMAIL.toLowerCase(), ADMIN_NAME || 'Administrator', await hashPassword(ADMIN_PASSWORD), 'admin']
+    );
+    console.log(`Created initial admin user ${ADMIN_EMAIL}`);
+}
+
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+            if (err) return reject(err);
+            resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = String(storedHash).split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+        crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(
+        `INSERT INTO hr_sessions (token_hash, user_id, expires_at)
+         VALUES ($1, $2, NOW() + $3::int * INTERVAL '1 hour')
+         RETURNING expires_at`,
+        [hashToken(token), userId, SESSION_TTL_HOURS]
+    );
+    return { token, expiresAt: result.rows[0].expires_at };
+}
+
+async function destroySession(token) {
+    await pool.query('DELETE FROM hr_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * The request principal for an active API key: a viewer with no HR user behind it, carrying the
+ * key's scopes. Records when the key was last used. Null for unknown, revoked or expired keys.
+ */
+async function findApiKeyUser(key) {
+    const result = await pool.query(`
+        UPDATE api_keys SET last_used_at = NOW()
+        WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+        RETURNING id, name, scopes
+    `, [hashToken(key)]);
+    if (result.rows.length === 0) return null;
+    const apiKey = result.rows[0];
+    return {
+        id: null,
+        email: `api-key:${apiKey.name}`,
+        full_name: `${apiKey.name} (API key)`,
+        role: 'viewer',
+        api_key_id: apiKey.id,
+        scopes: apiKey.scopes
+    };
+}
+
+// Resolves the session token (or API key) on the request to an active HR user and sets req.user
+async function authenticate(req, res, next) {
+    try {
+        const token = getBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        if (token.startsWith(API_KEY_PREFIX)) {
+            req.user = await findApiKeyUser(token);
+            if (!req.user) {
+                return res.status(401).json({ success: false, error: 'API key is invalid, expired or revoked' });
+            }
+            return next();
+        }
+        const result = await pool.query(`
+            SELECT u.id, u.email, u.full_name, u.role
+            FROM hr_sessions s
+            JOIN hr_users u ON u.id = s.user_id
+            WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.is_active = TRUE
+        `, [hashToken(token)]);
+        if (result.rows.length === 0) {
+            return res.status(401).json({ success: false, error: 'Session expired or invalid' });
+        }
+        req.user = result.rows[0];
+        req.sessionToken = token;
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error.message);
+        res.status(500).json({ success: false, error: 'Authentication failed' });
+    }
+}
+
+function hasRole(user, minimumRole) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Middleware factory: authenticates the request and requires at least `minimumRole`. API keys are
+ * refused unless the route names the scope they need with `apiKeyScope`.
+ */
+function requireRole(minimumRole, { apiKeyScope = null } = {}) {
+    return (req, res, next) => {
+        authenticate(req, res, () => {
+            if (req.user.api_key_id) {
+                if (!apiKeyScope || !req.user.scopes.includes(apiKeyScope)) {
+                    console.error(`API key ${req.user.api_key_id} denied ${req.method} ${req.originalUrl}`);
+                    return res.status(403).json({ success: false, error: 'This API key cannot access this endpoint' });
+                }
+                return next();
+            }
+            if (!hasRole(req.user, minimumRole)) {
+                console.error(`User ${req.user.email} (${req.user.role}) denied ${req.method} ${req.originalUrl}`);
+                return res.status(403).json({ success: false, error: 'You do not have permission to perform this action' });
+            }
+            next();
+        });
+    };
+}
+
+module.exports = {
+    ROLES,
+    API_KEY_PREFIX,
+    API_KEY_SCOPES,
+    seedAdminUser,
+    hashPassword,
+    verifyPassword,
+    createSession,
+    destroySession,
+    hashToken,
+    authenticate,
+    hasRole,
+    requireRole
+};
@@ -0,0 +1,88 @@
+// Builds iCalendar (RFC 5545) invites for interview rounds
+const { MAIL_FROM } = require('./notifications');
+
+// Domain part of event UIDs, so calendar clients match updates and cancellations to the original invite
+const CALENDAR_UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'hr-portal.local';
+const PRODUCT_ID = '-//HR Portal//Interviews//EN';
+
+// 20261019T093000Z
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function attendee(name, email, role) {
+    const cn = name ? `;CN="${String(name).replace(/"/g, '')}"` : '';
+    return `ATTENDEE${cn};ROLE=${role};PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${email}`;
+}
+
+/**
+ * iCalendar text for one interview. Cancelled interviews produce a CANCEL request so calendars
+ * that imported the original invite remove it; `interview.sequence` grows with each change.
+ *
+ * @param {object} interview interviews row with a panelists array of { name, email }
+ * @param {object} application row with full_name, email and job_role
+ */
+function buildInterviewInvite(interview, application) {
+    const cancelled = interview.status === 'cancelled';
+    const start = new Date(interview.scheduled_at);
+    const end = new Date(start.getTime() + interview.duration_minutes * 60 * 1000);
+    const description = [
+        `${interview.interview_type} interview with ${application.full_name} for ${application.job_role}.`,
+        interview.meeting_link ? `Meeting link: ${interview.meeting_link}` : '',
+        `Application ID: ${application.id}`
+    ].filter(line => line).join('\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+        'BEGIN:VEVENT',
+        `UID:interview-${interview.id}@${CALENDAR_UID_DOMAIN}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SEQUENCE:${interview.sequence}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        `SUMMARY:${escapeText(`${interview.interview_type} interview: ${application.full_name} (${application.job_role})`)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        interview.location || interview.meeting_link
+            ? `LOCATION:${escapeText(interview.location || interview.meeting_link)}`
+            : null,
+        interview.meeting_link ? `URL:${interview.meeting_link}` : null,
+        `ORGANIZER;CN=HR Team:mailto:${MAIL_FROM}`,
+        attendee(application.full_name, application.email, 'REQ-PARTICIPANT'),
+        ...(interview.panelists || []).map(panelist => attendee(panelist.name, panelist.email, 'CHAIR')),
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return lines.filter(line => line !== null).map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildInterviewInvite
+};
@@ -0,0 +1,57 @@
+const pool = require('./db');
+
+// A candidate cannot apply to the same posting again until this many days after their last application
+const REAPPLY_COOLDOWN_DAYS = parseInt(process.env.REAPPLY_COOLDOWN_DAYS, 10) || 180;
+
+// Creates the candidate or refreshes their contact details. The upsert also locks the
+// candidate row, so concurrent submissions by the same person are checked one at a time.
+async function upsertCandidate(client, { email, full_name, mobile }) {
+    const result = await client.query(`
+        INSERT INTO candidates (email, full_name, mobile)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (email) DO UPDATE
+        SET full_name = EXCLUDED.full_name, mobile = EXCLUDED.mobile, updated_at = NOW()
+        RETURNING *
+    `, [String(email).trim().toLowerCase(), full_name, mobile]);
+    return result.rows[0];
+}
+
+// The candidate's latest application to this posting inside the cooldown window, if any
+async function findRecentApplication(client, candidateId, postingId) {
+    const result = await client.query(`
+        SELECT id, status, submission_date
+        FROM applications
+        WHERE candidate_id = $1 AND job_posting_id = $2
+          AND submission_date > NOW() - $3::int * INTERVAL '1 day'
+        ORDER BY submission_date DESC
+        LIMIT 1
+    `, [candidateId, postingId, REAPPLY_COOLDOWN_DAYS]);
+    return result.rows[0] || null;
+}
+
+// Date from which the candidate may apply to the same posting again
+function getReapplyDate(submissionDate) {
+    const date = new Date(submissionDate);
+    date.setDate(date.getDate() + REAPPLY_COOLDOWN_DAYS);
+    return date;
+}
+
+// All of a candidate's applications except `excludeId`, newest first
+async function getOtherApplications(candidateId, excludeId) {
+    if (!candidateId) return [];
+    const result = await pool.query(`
+        SELECT id, job_posting_id, job_role, preferred_location, status, submission_date
+        FROM applications
+        WHERE candidate_id = $1 AND id <> $2 AND deleted_at IS NULL
+        ORDER BY submission_date DESC
+    `, [candidateId, excludeId]);
+    return result.rows;
+}
+
+module.exports = {
+    REAPPLY_COOLDOWN_DAYS,
+    upsertCandidate,
+    findRecentApplication,
+    getReapplyDate,
+    getOtherApplications
+};
@@ -0,0 +1,14 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+// Database connection
+const pool = new Pool({
+    user: process.env.DB_USER || 'postgres',
+    host: process.env.PG_HOST || 'localhost',
+    database: process.env.DB_NAME || 'job_applications',
+    password: process.env.DB_PASSWORD || 'Password@12345',
+    port: process.env.DB_PORT || 5432,
+    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
+});
+
+module.exports = pool;
@@ -0,0 +1,182 @@
+const pool = require('./db');
+const storage = require('./storage');
+
+const MB = 1024 * 1024;
+
+// Document types an application can carry. Single types (resume, cover letter) have one current
+// document: a new upload replaces it. Other types can hold several documents, each replaced on
+// its own. A replaced document is kept as an older version.
+const DOCUMENT_TYPES = {
+    resume: { label: 'Resume', prefix: 'resumes', formats: ['pdf', 'docx'], maxBytes: 5 * MB, maxFiles: 1, single: true },
+    cover_letter: { label: 'Cover letter', prefix: 'cover_letters', formats: ['pdf', 'docx'], maxBytes: 5 * MB, maxFiles: 1, single: true },
+    transcript: { label: 'Transcript / mark sheet', prefix: 'transcripts', formats: ['pdf', 'png', 'jpeg'], maxBytes: 5 * MB, maxFiles: 5 },
+    certificate: { label: 'Certificate', prefix: 'certificates', formats: ['pdf', 'png', 'jpeg'], maxBytes: 5 * MB, maxFiles: 10 },
+    portfolio: { label: 'Portfolio', prefix: 'portfolios', formats: ['pdf', 'png', 'jpeg'], maxBytes: 10 * MB, maxFiles: 5 },
+    other: { label: 'Other (e.g. ID proof)', prefix: 'other_documents', formats: ['pdf', 'docx', 'png', 'jpeg'], maxBytes: 5 * MB, maxFiles: 5 }
+};
+
+const DOCUMENT_COLUMNS = `
+    id, application_id, doc_type, version, replaces_document_id, storage_key, sha256, content_type,
+    original_name, size_bytes, uploaded_by_user_id, superseded_at, created_at
+`;
+
+// Multer fields for a multipart request that may carry any document type
+function uploadFields() {
+    return Object.keys(DOCUMENT_TYPES).map(type => ({ name: type, maxCount: DOCUMENT_TYPES[type].maxFiles }));
+}
+
+// Groups the files of a multer any() request by field like upload.fields would, rejecting fields
+// that are not listed and fields with more files than their maxCount
+function groupFiles(files, fields) {
+    const grouped = {};
+    for (const file of files || []) {
+        const field = fields.find(item => item.name === file.fieldname);
+        if (!field) {
+            return { code: 400, error: `Unexpected file field: ${file.fieldname}` };
+        }
+        grouped[file.fieldname] = grouped[file.fieldname] || [];
+        if (grouped[file.fieldname].length >= field.maxCount) {
+            return { code: 400, error: `At most ${field.maxCount} file(s) can be uploaded as ${file.fieldname}` };
+        }
+        grouped[file.fieldname].push(file);
+    }
+    return { files: grouped };
+}
+
+/**
+ * Checks an upload against the limits of its document type and stores it.
+ *
+ * @returns {Promise<{ key, sha256, size, format, contentType } | { code: number, error: string }>}
+ */
+async function storeDocument(file, type, source) {
+    const config = DOCUMENT_TYPES[type];
+    if (!config) {
+        return { code: 400, error: `Unknown document type: ${type}` };
+    }
+    if (file.size > config.maxBytes) {
+        console.error(`Rejected ${file.originalname}: ${file.size} bytes is over the ${type} limit`);
+        return { code: 400, error: `${file.originalname} is larger than the ${config.maxBytes / MB} MB limit for a ${config.label.toLowerCase()}` };
+    }
+    return storage.storeUpload(file, config.prefix, source, config.formats);
+}
+
+// Stores every document in a multipart request (req.files from uploadFields). Stops at the first
+// rejected file; the keys stored so far are returned either way so the caller can remove them.
+async function storeRequestFiles(files, source) {
+    const stored = [];
+    for (const type of Object.keys(DOCUMENT_TYPES)) {
+        for (const file of (files && files[type]) || []) {
+            const result = await storeDocument(file, type, source);
+            if (result.error) {
+                return { code: result.code, error: result.error, stored };
+            }
+            stored.push(Object.assign({ type, file }, result));
+        }
+    }
+    return { stored };
+}
+
+/**
+ * Records a stored file as a document of an application. With `replaces` (a document id) that
+ * document becomes an older version of the new one; a single type replaces its current document.
+ *
+ * @returns {Promise<{ document: object, replaced: object | null } | { code: number, error: string }>}
+ */
+async function addDocument(client, applicationId, type, stored, { file, replaces, user } = {}) {
+    const config = DOCUMENT_TYPES[type];
+    if (!config) {
+        return { code: 400, error: `Unknown document type: ${type}` };
+    }
+
+    let replaced = null;
+    if (replaces) {
+        const result = await client.query(`
+            SELECT ${DOCUMENT_COLUMNS} FROM application_documents
+            WHERE id = $1 AND application_id = $2 AND superseded_at IS NULL
+            FOR UPDATE
+        `, [replaces, applicationId]);
+        replaced = result.rows[0];
+        if (!replaced) {
+            return { code: 404, error: 'The document to replace was not found or has already been replaced' };
+        }
+        if (replaced.doc_type !== type) {
+            return { code: 400, error: `A ${DOCUMENT_TYPES[replaced.doc_type].label.toLowerCase()} can only be replaced by the same document type` };
+        }
+    } else if (config.single) {
+        const result = await client.query(`
+            SELECT ${DOCUMENT_COLUMNS} FROM application_documents
+            WHERE application_id = $1 AND doc_type = $2 AND superseded_at IS NULL
+            FOR UPDATE
+        `, [applicationId, type]);
+        replaced = result.rows[0] || null;
+    }
+
+    if (replaced) {
+        await client.query('UPDATE application_documents SET superseded_at = NOW() WHERE id = $1', [replaced.id]);
+    }
+    const result = await client.query(`
+        INSERT INTO application_documents (
+            application_id, doc_type, version, replaces_document_id, storage_key, sha256, content_type,
+            original_name, size_bytes, uploaded_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING ${DOCUMENT_COLUMNS}
+    `, [
+        applicationId, type, replaced ? replaced.version + 1 : 1, replaced ? replaced.id : null,
+        stored.key, stored.sha256, stored.contentType, file ? file.originalname : null, stored.size,
+        user ? user.id : null
+    ]);
+    return { document: result.rows[0], replaced };
+}
+
+// Every document of an application, current and replaced, newest first within each type
+async function getDocuments(applicationId, client = pool) {
+    const result = await client.query(`
+        SELECT ${DOCUMENT_COLUMNS} FROM application_documents
+        WHERE application_id = $1
+        ORDER BY doc_type, created_at DESC, id DESC
+    `, [applicationId]);
+    return result.rows;
+}
+
+// A document of an application: the given id, or else the newest current document of the type
+async function findDocument(applicationId, type, documentId) {
+    const result = documentId
+        ? await pool.query(`
+            SELECT ${DOCUMENT_COLUMNS} FROM application_documents
+            WHERE id = $1 AND application_id = $2 AND doc_type = $3
+        `, [documentId, applicationId, type])
+        : await pool.query(`
+            SELECT ${DOCUMENT_COLUMNS} FROM application_documents
+            WHERE application_id = $1 AND doc_type = $2 AND superseded_at IS NULL
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1
+        `, [applicationId, type]);
+    return result.rows[0] || null;
+}
+
+// Storage keys of all versions of an application's documents
+async function getStorageKeys(client, applicationId) {
+    const result = await client.query('SELECT storage_key FROM application_documents WHERE application_id = $1', [applicationId]);
+    return result.rows.map(row => row.storage_key);
+}
+
+// "resume-12.pdf", "certificate-12-v2.jpg"
+function downloadName(document) {
+    const format = Object.keys(storage.FORMATS).find(key => storage.FORMATS[key].contentType === document.content_type);
+    const extension = format ? storage.FORMATS[format].extension : 'bin';
+    const version = document.version > 1 ? `-v${document.version}` : '';
+    return `${document.doc_type}-${document.application_id}${version}.${extension}`;
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    uploadFields,
+    groupFiles,
+    storeDocument,
+    storeRequestFiles,
+    addDocument,
+    getDocuments,
+    findDocument,
+    getStorageKeys,
+    downloadName
+};
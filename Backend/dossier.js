@@ -0,0 +1,604 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const pool = require('./db');
+const pipeline = require('./pipeline');
+const documents = require('./documents');
+const storage = require('./storage');
+const skills = require('./skills');
+const forms = require('./forms');
+const interviews = require('./interviews');
+const scorecards = require('./scorecards');
+const notes = require('./notes');
+const pii = require('./pii');
+
+// Shown in the page header next to the logo
+const COMPANY_NAME = process.env.COMPANY_NAME || '';
+const LOGO_PATH = process.env.DOSSIER_LOGO_PATH || path.join(__dirname, '..', 'Fronted', 'logo.jpg');
+// Current documents of these types are appended after the dossier pages when they are PDFs
+const APPENDED_TYPES = ['resume', 'cover_letter'];
+const MAX_BATCH_DOSSIERS = 50;
+
+// A4, in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const HEADER_HEIGHT = 40;
+const FOOTER_HEIGHT = 30;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const LABEL_WIDTH = 150;
+const COLORS = {
+    text: rgb(0.07, 0.09, 0.15),
+    muted: rgb(0.42, 0.45, 0.5),
+    accent: rgb(0.15, 0.39, 0.92),
+    rule: rgb(0.9, 0.91, 0.92),
+    fill: rgb(0.95, 0.96, 0.97)
+};
+
+const EVENT_LABELS = {
+    resume_updated: 'Candidate uploaded an updated resume',
+    document_uploaded: 'Document uploaded',
+    interview_scheduled: 'Interview scheduled',
+    interview_rescheduled: 'Interview rescheduled',
+    interview_cancelled: 'Interview cancelled',
+    interview_outcome: 'Interview outcome recorded',
+    scorecard_submitted: 'Interview scorecard submitted',
+    assigned: 'Assignment changed',
+    archived: 'Application moved to the archive',
+    restored: 'Application restored from the archive'
+};
+
+function formatDate(value) {
+    if (!value) return '';
+    // Dates of birth are stored as "YYYY-MM-DD" text; parsing them would shift them to UTC
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = new Date(value);
+    if (isNaN(date)) return String(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDateTime(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Same wording as the history on the HR dashboard
+function describeEvent(event) {
+    switch (event.event_type) {
+        case 'submitted': return `Application submitted (${event.to_stage})`;
+        case 'withdrawn': return `Candidate withdrew from ${event.from_stage}`;
+        case 'knocked_out': return event.to_stage
+            ? `Rejected by screening questions: ${event.from_stage} -> ${event.to_stage}`
+            : 'Failed screening questions';
+        default: return EVENT_LABELS[event.event_type] || `${event.from_stage} -> ${event.to_stage}`;
+    }
+}
+
+function formatAnswer(answer) {
+    if (answer.masked) return answer.value;
+    if (answer.value === null || (Array.isArray(answer.value) && answer.value.length === 0)) return 'Not answered';
+    if (answer.type === 'yes_no') return answer.value ? 'Yes' : 'No';
+    return Array.isArray(answer.value) ? answer.value.join(', ') : String(answer.value);
+}
+
+/**
+ * Page layout on top of pdf-lib: keeps the write position, wraps text to the content width and
+ * starts a new page (with the header) when the next block does not fit.
+ */
+function createLayout(pdf, fonts, header) {
+    const layout = { page: null, y: 0, pages: [] };
+    const encodable = new Map();
+
+    // Standard PDF fonts only cover Latin-1 and some punctuation; other characters print as "?"
+    function clean(font, text) {
+        return Array.from(String(text).replace(/\t/g, ' ').replace(/\r/g, '')).map(char => {
+            const key = `${font.name}:${char}`;
+            if (!encodable.has(key)) {
+                try {
+                    font.encodeText(char);
+                    encodable.set(key, true);
+                } catch (error) {
+                    encodable.set(key, false);
+                }
+            }
+            return encodable.get(key) ? char : '?';
+        }).join('');
+    }
+
+    // Lines of `text` no wider than `width`; long words are broken
+    function wrap(text, font, size, width) {
+        const lines = [];
+        for (const paragraph of clean(font, text).split('\n')) {
+            let line = '';
+            for (const word of paragraph.split(' ')) {
+                let candidate = line ? `${line} ${word}` : word;
+                if (font.widthOfTextAtSize(candidate, size) <= width) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) lines.push(line);
+                line = '';
+                candidate = word;
+                while (font.widthOfTextAtSize(candidate, size) > width) {
+                    let cut = candidate.length - 1;
+                    while (cut > 1 && font.widthOfTextAtSize(candidate.slice(0, cut), size) > width) cut--;
+                    lines.push(candidate.slice(0, cut));
+                    candidate = candidate.slice(cut);
+                }
+                line = candidate;
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    function addPage() {
+        layout.page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+        layout.pages.push(layout.page);
+        header(layout.page);
+        layout.y = PAGE_HEIGHT - MARGIN - HEADER_HEIGHT;
+    }
+
+    function ensure(height) {
+        if (!layout.page || layout.y - height < MARGIN + FOOTER_HEIGHT) addPage();
+    }
+
+    function drawLines(lines, x, size, font, color) {
+        lines.forEach((line, index) => {
+            layout.page.drawText(line, { x, y: layout.y - size - index * size * 1.35, size, font, color });
+        });
+    }
+
+    layout.title = (text, subtitle) => {
+        ensure(50);
+        drawLines(wrap(text, fonts.bold, 18, CONTENT_WIDTH).slice(0, 2), MARGIN, 18, fonts.bold, COLORS.text);
+        layout.y -= 26;
+        for (const line of subtitle) {
+            const lines = wrap(line, fonts.regular, 10, CONTENT_WIDTH);
+            ensure(lines.length * 13.5);
+            drawLines(lines, MARGIN, 10, fonts.regular, COLORS.muted);
+            layout.y -= lines.length * 13.5;
+        }
+        layout.y -= 6;
+    };
+
+    layout.heading = text => {
+        // Keep a heading with at least a couple of lines of its section
+        ensure(60);
+        layout.y -= 10;
+        drawLines([clean(fonts.bold, text)], MARGIN, 12, fonts.bold, COLORS.accent);
+        layout.y -= 18;
+        layout.page.drawLine({
+            start: { x: MARGIN, y: layout.y },
+            end: { x: PAGE_WIDTH - MARGIN, y: layout.y },
+            thickness: 0.75,
+            color: COLORS.rule
+        });
+        layout.y -= 8;
+    };
+
+    // "Label: value" with label and value wrapped in their own columns; empty values are left out
+    layout.field = (label, value) => {
+        if (value === null || value === undefined || String(value).trim() === '') return;
+        const labels = wrap(label, fonts.bold, 10, LABEL_WIDTH - 10);
+        const values = wrap(value, fonts.regular, 10, CONTENT_WIDTH - LABEL_WIDTH);
+        const count = Math.max(labels.length, values.length);
+        for (let start = 0; start < count;) {
+            ensure(13.5);
+            const end = Math.min(count, start + Math.max(1, Math.floor((layout.y - MARGIN - FOOTER_HEIGHT) / 13.5)));
+            drawLines(labels.slice(start, end), MARGIN, 10, fonts.bold, COLORS.muted);
+            drawLines(values.slice(start, end), MARGIN + LABEL_WIDTH, 10, fonts.regular, COLORS.text);
+            layout.y -= (end - start) * 13.5;
+            start = end;
+        }
+        layout.y -= 3;
+    };
+
+    layout.paragraph = (text, { muted = false } = {}) => {
+        const lines = wrap(text, fonts.regular, 10, CONTENT_WIDTH);
+        for (const line of lines) {
+            ensure(13.5);
+            drawLines([line], MARGIN, 10, fonts.regular, muted ? COLORS.muted : COLORS.text);
+            layout.y -= 13.5;
+        }
+        layout.y -= 3;
+    };
+
+    /**
+     * A table with wrapped cells. `columns` are [{ title, width }] with widths as fractions of the
+     * content width. The header row is repeated when the table continues on a new page.
+     */
+    layout.table = (columns, rows) => {
+        const size = 9;
+        const lineHeight = size * 1.35;
+        const padding = 4;
+        const widths = columns.map(column => column.width * CONTENT_WIDTH);
+        const drawRow = (cells, font, shaded) => {
+            const wrapped = cells.map((cell, index) => wrap(cell === null || cell === undefined ? '' : cell, font, size, widths[index] - 2 * padding));
+            const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + 2 * padding;
+            if (shaded) {
+                layout.page.drawRectangle({ x: MARGIN, y: layout.y - height, width: CONTENT_WIDTH, height, color: COLORS.fill });
+            }
+            let x = MARGIN;
+            const top = layout.y;
+            wrapped.forEach((lines, index) => {
+                layout.y = top - padding;
+                drawLines(lines, x + padding, size, font, COLORS.text);
+                x += widths[index];
+            });
+            layout.y = top - height;
+            layout.page.drawLine({
+                start: { x: MARGIN, y: layout.y },
+                end: { x: PAGE_WIDTH - MARGIN, y: layout.y },
+                thickness: 0.5,
+                color: COLORS.rule
+            });
+        };
+        const rowHeight = cells => Math.max(...cells.map((cell, index) =>
+            wrap(cell === null || cell === undefined ? '' : cell, fonts.regular, size, widths[index] - 2 * padding).length)) * lineHeight + 2 * padding;
+        const titles = columns.map(column => column.title);
+
+        ensure(rowHeight(titles) + (rows.length ? rowHeight(rows[0]) : 0));
+        drawRow(titles, fonts.bold, true);
+        for (const row of rows) {
+            const height = rowHeight(row);
+            if (layout.y - height < MARGIN + FOOTER_HEIGHT) {
+                addPage();
+                drawRow(titles, fonts.bold, true);
+            }
+            drawRow(row, fonts.regular, false);
+        }
+        layout.y -= 8;
+    };
+
+    layout.footer = text => {
+        const label = clean(fonts.regular, text);
+        layout.pages.forEach((page, index) => {
+            const pageLabel = `Page ${index + 1} of ${layout.pages.length}`;
+            page.drawText(label, { x: MARGIN, y: MARGIN - 10, size: 8, font: fonts.regular, color: COLORS.muted });
+            page.drawText(pageLabel, {
+                x: PAGE_WIDTH - MARGIN - fonts.regular.widthOfTextAtSize(pageLabel, 8),
+                y: MARGIN - 10,
+                size: 8,
+                font: fonts.regular,
+                color: COLORS.muted
+            });
+        });
+    };
+
+    layout.clean = clean;
+    return layout;
+}
+
+async function loadLogo(pdf) {
+    try {
+        return await pdf.embedJpg(await fs.promises.readFile(LOGO_PATH));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Could not use ${LOGO_PATH} as the dossier logo:`, error.message);
+        return null;
+    }
+}
+
+async function loadAnswers(applicationId, user) {
+    const answers = await forms.getAnswers(applicationId);
+    pii.maskAnswers(answers, user);
+    return answers;
+}
+
+// Everything the dossier shows about an application, or null when it does not exist
+async function loadApplication(applicationId, user) {
+    const result = await pool.query('SELECT * FROM applications WHERE id = $1', [applicationId]);
+    if (result.rows.length === 0) return null;
+    // Viewers get the same masked personal details as on the dashboard
+    const application = pii.decryptFields(result.rows[0]);
+    pii.maskFields(application, user);
+    let education = application.additional_education;
+    try {
+        if (typeof education === 'string') education = JSON.parse(education);
+    } catch (error) {
+        education = [];
+    }
+
+    return {
+        application,
+        additionalEducation: Array.isArray(education) ? education : [],
+        skills: (await skills.getApplicationSkills([application.id]))[application.id],
+        answers: await loadAnswers(application.id, user),
+        documents: (await documents.getDocuments(application.id)).filter(doc => !doc.superseded_at),
+        events: await pipeline.getApplicationEvents(application.id),
+        interviews: await interviews.getApplicationInterviews(application.id),
+        scorecards: await scorecards.getApplicationScorecards(application.id, user),
+        notes: await notes.getNotes(application.id)
+    };
+}
+
+// Current resume and cover letter PDFs, loaded for appending. Keyed by document id.
+async function loadAttachments(docs) {
+    const attachments = {};
+    for (const doc of docs.filter(doc => APPENDED_TYPES.includes(doc.doc_type))) {
+        if (doc.content_type !== 'application/pdf') {
+            attachments[doc.id] = { note: 'Not a PDF; download it from the dashboard' };
+            continue;
+        }
+        try {
+            const buffer = await storage.readFile(doc.storage_key, doc.sha256);
+            attachments[doc.id] = { pdf: await PDFDocument.load(buffer, { ignoreEncryption: true }), note: 'Appended to this dossier' };
+        } catch (error) {
+            console.error(`Could not append document ${doc.id} to the dossier:`, error.message);
+            attachments[doc.id] = { note: 'Could not be read; download it from the dashboard' };
+        }
+    }
+    return attachments;
+}
+
+function renderSections(layout, data, attachments) {
+    const { application } = data;
+    const experienced = application.experience_status === 'Experienced';
+
+    layout.title(application.full_name, [
+        `${application.job_role || 'No job role'}${application.preferred_location ? `, ${application.preferred_location}` : ''}`,
+        `Application #${application.id}, submitted ${formatDateTime(application.submission_date)}. Status: ${application.status}`
+            + (application.deleted_at ? `. Archived on ${formatDate(application.deleted_at)}` : '')
+    ]);
+
+    layout.heading('Personal Information');
+    layout.field('Email', application.email);
+    layout.field('Mobile', application.mobile);
+    layout.field('Alternate Mobile', application.alt_mobile);
+    layout.field('Emergency Contact', application.emergency_contact);
+    layout.field('Date of Birth', formatDate(application.dob));
+    layout.field('Parent Name', application.parent_name);
+    layout.field('Gender', application.gender);
+    layout.field('Nationality', application.nationality);
+    layout.field('Marital Status', application.marital_status);
+
+    layout.heading('Address');
+    layout.field('Current Address', application.current_address);
+    layout.field('Permanent Address', application.permanent_address);
+    layout.field('City', application.city);
+    layout.field('State', application.state);
+    layout.field('Zipcode', application.zipcode);
+
+    layout.heading('Education');
+    const education = [['SSC', application.ssc_board, '', application.ssc_year, application.ssc_percentage]];
+    if (application.intermediate_board) {
+        education.push(['Intermediate', application.intermediate_board, '', application.intermediate_year, application.intermediate_percentage]);
+    }
+    if (application.college_name) {
+        education.push([
+            'Graduation',
+            application.college_name,
+            [application.qualification, application.branch].filter(value => value).join(' in '),
+            application.graduation_year,
+            application.graduation_percentage
+        ]);
+    }
+    data.additionalEducation.forEach(entry => {
+        education.push(['Additional', entry.institution, entry.qualification, entry.year, entry.percentage]);
+    });
+    layout.table([
+        { title: 'Level', width: 0.16 },
+        { title: 'Board / Institution', width: 0.34 },
+        { title: 'Qualification', width: 0.26 },
+        { title: 'Year', width: 0.1 },
+        { title: 'Score (%)', width: 0.14 }
+    ], education.map(row => row.map(cell => cell === null || cell === undefined ? '' : String(cell))));
+
+    layout.heading('Job Details');
+    layout.field('Job Role', application.job_role);
+    layout.field('Preferred Location', application.preferred_location);
+    layout.field('Notice Period', application.notice_period);
+    layout.field('Expected Salary', application.expected_salary);
+    layout.field('Experience', application.experience_status);
+    if (experienced) {
+        layout.field('Years of Experience', application.years_experience);
+        layout.field('Company', application.company_name);
+        layout.field('Designation', application.designation);
+        layout.field('Work Location', application.work_location);
+        layout.field('Duration', [application.start_date, application.end_date].filter(value => value).join(' to '));
+        layout.field('Last Salary', application.last_salary);
+    }
+    layout.field('Skills', data.skills.length > 0 ? data.skills.map(skill => skill.name).join(', ') : application.skills);
+
+    if (data.answers.length > 0) {
+        layout.heading('Screening Questions');
+        data.answers.forEach(answer => {
+            layout.field(answer.label, formatAnswer(answer) + (answer.knocked_out ? ' (failed the knockout rule)' : ''));
+        });
+    }
+
+    layout.heading('Additional Information');
+    layout.field('LinkedIn', application.linkedin);
+    layout.field('GitHub', application.github);
+    layout.field('Certifications', application.certifications);
+    if (application.reference_name) {
+        layout.field('Reference', `${application.reference_name}${application.reference_email ? ` (${application.reference_email})` : ''}`);
+    }
+
+    layout.heading('Documents');
+    if (data.documents.length === 0) {
+        layout.paragraph('No documents uploaded', { muted: true });
+    } else {
+        layout.table([
+            { title: 'Type', width: 0.2 },
+            { title: 'File', width: 0.36 },
+            { title: 'Uploaded', width: 0.16 },
+            { title: 'In this dossier', width: 0.28 }
+        ], data.documents.map(doc => [
+            documents.DOCUMENT_TYPES[doc.doc_type] ? documents.DOCUMENT_TYPES[doc.doc_type].label : doc.doc_type,
+            `${doc.original_name || documents.downloadName(doc)}${doc.version > 1 ? ` (v${doc.version})` : ''}`,
+            formatDate(doc.created_at),
+            attachments[doc.id] ? attachments[doc.id].note : 'Not included'
+        ]));
+    }
+
+    if (data.interviews.length > 0) {
+        layout.heading('Interviews');
+        layout.table([
+            { title: 'Round', width: 0.2 },
+            { title: 'Scheduled', width: 0.2 },
+            { title: 'Panel', width: 0.3 },
+            { title: 'Status', width: 0.15 },
+            { title: 'Outcome', width: 0.15 }
+        ], data.interviews.map(interview => [
+            interview.interview_type,
+            formatDateTime(interview.scheduled_at),
+            interview.panelists.map(panelist => panelist.name || panelist.email).join(', '),
+            interview.status,
+            interview.outcome || ''
+        ]));
+    }
+
+    // Notes: interview feedback, scorecards the requesting user may see and internal HR notes
+    const feedback = data.interviews.filter(interview => interview.feedback);
+    const visibleScorecards = data.scorecards.scorecards;
+    if (feedback.length > 0 || visibleScorecards.length > 0 || data.scorecards.hidden_count > 0 || data.notes.length > 0) {
+        layout.heading('Interview Feedback and Notes');
+        feedback.forEach(interview => {
+            layout.field(`${interview.interview_type} (${formatDate(interview.scheduled_at)})`, interview.feedback);
+        });
+        visibleScorecards.forEach(scorecard => {
+            const ratings = scorecard.ratings.map(item => `${item.criterion}: ${item.rating}/${scorecards.RATING_MAX}`).join(', ');
+            layout.field(
+                `${scorecard.interviewer_name}, ${scorecard.interview_type}`,
+                [`Recommendation: ${scorecard.recommendation.replace(/_/g, ' ')}`, ratings, scorecard.notes].filter(value => value).join('\n')
+            );
+        });
+        if (data.scorecards.hidden_count > 0) {
+            layout.paragraph(`${data.scorecards.hidden_count} scorecard(s) from other interviewers are hidden until you submit yours.`, { muted: true });
+        }
+        data.notes.forEach(thread => {
+            [thread, ...thread.replies].forEach((note, index) => {
+                layout.field(
+                    `${index === 0 ? 'Note' : 'Reply'} by ${note.author_name || 'former user'}, ${formatDateTime(note.created_at)}`,
+                    note.deleted ? 'Note deleted' : note.body
+                );
+            });
+        });
+    }
+
+    layout.heading('Status History');
+    if (data.events.length === 0) {
+        layout.paragraph('No recorded events', { muted: true });
+    } else {
+        layout.table([
+            { title: 'Date', width: 0.18 },
+            { title: 'Event', width: 0.3 },
+            { title: 'By', width: 0.18 },
+            { title: 'Comment', width: 0.34 }
+        ], data.events.map(event => [formatDateTime(event.created_at), describeEvent(event), event.actor_name, event.comment || '']));
+    }
+}
+
+/**
+ * Renders the candidate dossier of an application as seen by `user`: every section of the
+ * application, documents, interviews, feedback and status history, followed by the current
+ * resume and cover letter when they are PDFs.
+ *
+ * @returns {Promise<{ buffer: Buffer, filename: string }|null>} null when the application does not exist
+ */
+async function buildDossier(applicationId, user) {
+    const data = await loadApplication(applicationId, user);
+    if (!data) return null;
+    const { application } = data;
+    const attachments = await loadAttachments(data.documents);
+
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(`Candidate dossier: ${application.full_name}`);
+    pdf.setSubject(`Application #${application.id} for ${application.job_role || 'no job role'}`);
+    pdf.setCreator(COMPANY_NAME || 'HR dashboard');
+    const fonts = {
+        regular: await pdf.embedFont(StandardFonts.Helvetica),
+        bold: await pdf.embedFont(StandardFonts.HelveticaBold)
+    };
+    const logo = await loadLogo(pdf);
+
+    const layout = createLayout(pdf, fonts, page => {
+        let x = MARGIN;
+        const top = PAGE_HEIGHT - MARGIN;
+        if (logo) {
+            const size = logo.scaleToFit(90, 24);
+            page.drawImage(logo, { x, y: top - size.height, width: size.width, height: size.height });
+            x += size.width + 10;
+        }
+        if (COMPANY_NAME) {
+            page.drawText(layout.clean(fonts.bold, COMPANY_NAME), { x, y: top - 16, size: 11, font: fonts.bold, color: COLORS.text });
+        }
+        const label = 'Candidate Dossier';
+        page.drawText(label, {
+            x: PAGE_WIDTH - MARGIN - fonts.regular.widthOfTextAtSize(label, 9),
+            y: top - 16,
+            size: 9,
+            font: fonts.regular,
+            color: COLORS.muted
+        });
+        page.drawLine({ start: { x: MARGIN, y: top - 28 }, end: { x: PAGE_WIDTH - MARGIN, y: top - 28 }, thickness: 1, color: COLORS.accent });
+    });
+
+    renderSections(layout, data, attachments);
+    layout.footer(`${application.full_name}, application #${application.id}. Generated ${formatDateTime(new Date())}`);
+
+    for (const doc of data.documents) {
+        const attachment = attachments[doc.id];
+        if (!attachment || !attachment.pdf) continue;
+        const pages = await pdf.copyPages(attachment.pdf, attachment.pdf.getPageIndices());
+        pages.forEach(page => pdf.addPage(page));
+    }
+
+    const slug = String(application.full_name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    return {
+        buffer: Buffer.from(await pdf.save()),
+        filename: `dossier-${application.id}${slug ? `-${slug}` : ''}.pdf`
+    };
+}
+
+/**
+ * Writes a zip of the dossiers of `ids` to `stream`, one at a time so only one dossier is held in
+ * memory. Applications that do not exist or fail to render are listed in a MISSING.txt entry.
+ *
+ * @returns {Promise<{ count: number, missing: number[] }>}
+ */
+async function writeDossierZip(stream, ids, user) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const finished = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        stream.on('error', reject);
+        stream.on('finish', resolve);
+    });
+    archive.pipe(stream);
+
+    let count = 0;
+    const missing = [];
+    for (const id of ids) {
+        let dossier = null;
+        try {
+            dossier = await buildDossier(id, user);
+        } catch (error) {
+            console.error(`Error building dossier for application ${id}:`, error.message);
+        }
+        if (!dossier) {
+            missing.push(id);
+            continue;
+        }
+        const added = new Promise(resolve => archive.once('entry', resolve));
+        archive.append(dossier.buffer, { name: dossier.filename });
+        await added;
+        count++;
+    }
+    if (missing.length > 0) {
+        archive.append(`No dossier could be created for these application IDs:\n${missing.join('\n')}\n`, { name: 'MISSING.txt' });
+    }
+    await archive.finalize();
+    await finished;
+    return { count, missing };
+}
+
+module.exports = {
+    MAX_BATCH_DOSSIERS,
+    buildDossier,
+    writeDossierZip
+};
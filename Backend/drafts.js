@@ -0,0 +1,253 @@
+// Save-and-resume drafts of the candidate application form. A draft is found by a random token
+// that is only stored hashed; the candidate can ask for it in a link by email. Drafts expire
+// DRAFT_TTL_DAYS after they were last saved and are deleted by a cleanup job.
+const crypto = require('crypto');
+const pool = require('./db');
+const { hashToken } = require('./auth');
+const notifications = require('./notifications');
+const applicationSchema = require('./applicationSchema');
+const pii = require('./pii');
+
+const DRAFT_TTL_DAYS = parseInt(process.env.DRAFT_TTL_DAYS, 10) || 14;
+const DRAFT_CLEANUP_INTERVAL_MS = parseInt(process.env.DRAFT_CLEANUP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+// Page the resume link opens; the token is added as ?draft=
+const APPLICATION_FORM_URL = process.env.APPLICATION_FORM_URL || 'http://localhost:5500/Fronted/index.html';
+// Drafts need no login, so anyone can enter any address: at most this many resume links go to one
+// address per window, whichever drafts they are for
+const RESUME_LINK_LIMIT = parseInt(process.env.DRAFT_LINK_LIMIT, 10) || 3;
+const RESUME_LINK_WINDOW_HOURS = parseInt(process.env.DRAFT_LINK_WINDOW_HOURS, 10) || 24;
+
+// Form fields kept in a draft. Files cannot be saved; the candidate attaches them before submitting.
+const DRAFT_FIELDS = Object.keys(applicationSchema.FIELDS);
+const EDUCATION_FIELDS = Object.keys(applicationSchema.EDUCATION_FIELDS);
+const MAX_FIELD_LENGTH = 5000;
+// Answers to the custom questions of the chosen posting, by question key (see forms.js)
+const MAX_ANSWERS = 30;
+const MAX_ANSWER_CHOICES = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DRAFT_COLUMNS = 'id, email, form_data, page, link_sent_to, created_at, updated_at, expires_at';
+
+function createDraftToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    return { token, hash: hashToken(token) };
+}
+
+function getResumeUrl(token) {
+    const url = new URL(APPLICATION_FORM_URL);
+    url.searchParams.set('draft', token);
+    return url.toString();
+}
+
+function cleanValue(value) {
+    return String(value === undefined || value === null ? '' : value).slice(0, MAX_FIELD_LENGTH);
+}
+
+/**
+ * Keeps the known form fields of a draft as strings, plus additional_education entries and
+ * answers to custom questions. Unknown keys are dropped, so a draft can never carry more than the
+ * form itself.
+ *
+ * @returns {{ errors: string[], formData: object }}
+ */
+function sanitizeFormData(input) {
+    const errors = [];
+    const formData = {};
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: ['form_data must be an object'], formData };
+    }
+    DRAFT_FIELDS.forEach(field => {
+        if (input[field] !== undefined && input[field] !== null) formData[field] = cleanValue(input[field]);
+    });
+    if (input.additional_education !== undefined) {
+        if (!Array.isArray(input.additional_education)) {
+            errors.push('additional_education must be an array');
+        } else if (input.additional_education.length > applicationSchema.MAX_ADDITIONAL_EDUCATION) {
+            errors.push(`additional_education can have at most ${applicationSchema.MAX_ADDITIONAL_EDUCATION} entries`);
+        } else {
+            formData.additional_education = input.additional_education.map(entry => {
+                const cleaned = {};
+                EDUCATION_FIELDS.forEach(field => {
+                    cleaned[field] = cleanValue(entry && entry[field]);
+                });
+                return cleaned;
+            });
+        }
+    }
+    if (input.answers !== undefined) {
+        const answers = input.answers;
+        if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+            errors.push('answers must be an object');
+        } else if (Object.keys(answers).length > MAX_ANSWERS) {
+            errors.push(`answers can have at most ${MAX_ANSWERS} entries`);
+        } else {
+            formData.answers = {};
+            Object.keys(answers).filter(key => /^[a-z0-9_]{1,50}$/.test(key)).forEach(key => {
+                const value = answers[key];
+                formData.answers[key] = Array.isArray(value)
+                    ? value.slice(0, MAX_ANSWER_CHOICES).map(cleanValue)
+                    : cleanValue(value);
+            });
+        }
+    }
+    return { errors, formData };
+}
+
+// Sensitive form fields are stored encrypted, as they are in applications (see pii.js)
+function sealFormData(formData) {
+    return JSON.stringify(pii.encryptFields(formData));
+}
+
+function openDraft(draft) {
+    if (draft) pii.decryptFields(draft.form_data);
+    return draft;
+}
+
+// Looks up a draft that has not expired; null when the token does not match one
+async function findDraft(client, token, forUpdate = false) {
+    if (!token) return null;
+    const result = await client.query(`
+        SELECT ${DRAFT_COLUMNS} FROM application_drafts
+        WHERE token_hash = $1 AND expires_at > NOW()
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [hashToken(String(token).trim())]);
+    return openDraft(result.rows[0] || null);
+}
+
+/**
+ * Emails the resume link of a draft to the draft's address, when the candidate asks for it.
+ * Returns { draft } or { error, code }; 429 once the address has had RESUME_LINK_LIMIT links in
+ * the last RESUME_LINK_WINDOW_HOURS.
+ */
+async function sendResumeLink(client, token) {
+    const draft = await findDraft(client, token, true);
+    if (!draft) {
+        return { code: 404, error: 'This draft has expired or does not exist' };
+    }
+    if (!draft.email) {
+        return { code: 400, error: 'Enter a valid email address in the form first' };
+    }
+    // Requests for the same address wait for each other, so concurrent ones cannot all pass the limit
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [draft.email]);
+    const recent = await client.query(`
+        SELECT COUNT(*)::int AS count FROM email_outbox
+        WHERE to_address = $1 AND template_key = 'draft_saved' AND created_at > NOW() - $2::int * INTERVAL '1 hour'
+    `, [draft.email, RESUME_LINK_WINDOW_HOURS]);
+    if (recent.rows[0].count >= RESUME_LINK_LIMIT) {
+        return { code: 429, error: 'Too many links were sent to this address recently, please try again later' };
+    }
+
+    await notifications.notifyDraftSaved(client, draft, {
+        fullName: draft.form_data.full_name,
+        resumeUrl: getResumeUrl(token)
+    });
+    const result = await client.query(
+        `UPDATE application_drafts SET link_sent_to = email WHERE id = $1 RETURNING ${DRAFT_COLUMNS}`,
+        [draft.id]
+    );
+    return { draft: openDraft(result.rows[0]) };
+}
+
+function draftEmail(formData) {
+    const email = (formData.email || '').trim().toLowerCase();
+    return EMAIL_PATTERN.test(email) ? email.slice(0, 255) : null;
+}
+
+/**
+ * Creates a draft. Returns the token once; only its hash is stored.
+ *
+ * @returns {Promise<{ draft: object, token: string }>}
+ */
+async function createDraft(client, formData, page) {
+    const { token, hash } = createDraftToken();
+    const result = await client.query(`
+        INSERT INTO application_drafts (token_hash, email, form_data, page, expires_at)
+        VALUES ($1, $2, $3, $4, NOW() + $5::int * INTERVAL '1 day')
+        RETURNING ${DRAFT_COLUMNS}
+    `, [hash, draftEmail(formData), sealFormData(formData), page, DRAFT_TTL_DAYS]);
+    return { draft: openDraft(result.rows[0]), token };
+}
+
+// Replaces the saved form data and extends the expiry; null when the draft is gone
+async function saveDraft(client, token, formData, page) {
+    const result = await client.query(`
+        UPDATE application_drafts
+        SET email = $2, form_data = $3, page = $4, updated_at = NOW(), expires_at = NOW() + $5::int * INTERVAL '1 day'
+        WHERE token_hash = $1 AND expires_at > NOW()
+        RETURNING ${DRAFT_COLUMNS}
+    `, [hashToken(String(token).trim()), draftEmail(formData), sealFormData(formData), page, DRAFT_TTL_DAYS]);
+    return openDraft(result.rows[0] || null);
+}
+
+async function deleteDraft(client, id) {
+    await client.query('DELETE FROM application_drafts WHERE id = $1', [id]);
+}
+
+// Submitted values win; fields missing from the submission are taken from the draft
+function mergeIntoSubmission(draft, body) {
+    const merged = Object.assign({}, body);
+    DRAFT_FIELDS.forEach(field => {
+        if (merged[field] === undefined && draft.form_data[field] !== undefined) merged[field] = draft.form_data[field];
+    });
+    if (merged.additional_education === undefined && draft.form_data.additional_education) {
+        merged.additional_education = JSON.stringify(draft.form_data.additional_education);
+    }
+    if (merged.answers === undefined && draft.form_data.answers) {
+        merged.answers = JSON.stringify(draft.form_data.answers);
+    }
+    return merged;
+}
+
+// What the candidate's browser gets back; the stored hash and bookkeeping stay on the server
+function publicDraft(draft) {
+    return {
+        form_data: draft.form_data,
+        page: draft.page,
+        updated_at: draft.updated_at,
+        expires_at: draft.expires_at,
+        link_sent_to: draft.link_sent_to
+    };
+}
+
+async function purgeExpiredDrafts() {
+    const result = await pool.query('DELETE FROM application_drafts WHERE expires_at <= NOW()');
+    if (result.rowCount > 0) console.log(`Deleted ${result.rowCount} expired application draft(s)`);
+    return result.rowCount;
+}
+
+function startDraftCleanupJob() {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await purgeExpiredDrafts();
+        } catch (error) {
+            console.error('Error deleting expired drafts:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+    const timer = setInterval(run, DRAFT_CLEANUP_INTERVAL_MS);
+    timer.unref();
+    run();
+    console.log(`Draft cleanup job started: drafts expire ${DRAFT_TTL_DAYS} days after they were last saved`);
+    return timer;
+}
+
+module.exports = {
+    APPLICATION_FORM_URL,
+    DRAFT_TTL_DAYS,
+    DRAFT_FIELDS,
+    sanitizeFormData,
+    findDraft,
+    createDraft,
+    saveDraft,
+    deleteDraft,
+    sendResumeLink,
+    mergeIntoSubmission,
+    publicDraft,
+    getResumeUrl,
+    purgeExpiredDrafts,
+    startDraftCleanupJob
+};
@@ -0,0 +1,269 @@
+// Streams a filtered list of applications as CSV or XLSX. Rows are read in batches inside one
+// read-only snapshot, so large exports neither sit in memory nor mix rows from different moments.
+const ExcelJS = require('exceljs');
+const pool = require('./db');
+const tags = require('./tags');
+const pii = require('./pii');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const BATCH_SIZE = 500;
+
+// Exportable columns in their default order. `additional_education` expands into numbered
+// Qualification / Institution / Year / Percentage columns, as many as the longest list exported.
+const EXPORT_COLUMNS = [
+    { key: 'id', label: 'ID', type: 'number' },
+    { key: 'full_name', label: 'Full Name' },
+    { key: 'email', label: 'Email' },
+    { key: 'mobile', label: 'Mobile' },
+    { key: 'alt_mobile', label: 'Alternate Mobile' },
+    { key: 'dob', label: 'Date of Birth', type: 'date' },
+    { key: 'gender', label: 'Gender' },
+    { key: 'nationality', label: 'Nationality' },
+    { key: 'marital_status', label: 'Marital Status' },
+    { key: 'current_address', label: 'Current Address' },
+    { key: 'permanent_address', label: 'Permanent Address' },
+    { key: 'city', label: 'City' },
+    { key: 'state', label: 'State' },
+    { key: 'zipcode', label: 'Zipcode' },
+    { key: 'job_role', label: 'Job Role' },
+    { key: 'preferred_location', label: 'Preferred Location' },
+    { key: 'status', label: 'Status' },
+    { key: 'submission_date', label: 'Submitted', type: 'date' },
+    { key: 'assigned_recruiter', label: 'Assigned Recruiter' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'experience_status', label: 'Experience Status' },
+    { key: 'years_experience', label: 'Years of Experience', type: 'number' },
+    { key: 'company_name', label: 'Company' },
+    { key: 'designation', label: 'Designation' },
+    { key: 'work_location', label: 'Work Location' },
+    { key: 'start_date', label: 'Start Date' },
+    { key: 'end_date', label: 'End Date' },
+    { key: 'last_salary', label: 'Last Salary', type: 'number' },
+    { key: 'expected_salary', label: 'Expected Salary', type: 'number' },
+    { key: 'notice_period', label: 'Notice Period' },
+    { key: 'skills', label: 'Skills' },
+    { key: 'certifications', label: 'Certifications' },
+    { key: 'ssc_board', label: 'SSC Board' },
+    { key: 'ssc_year', label: 'SSC Year', type: 'number' },
+    { key: 'ssc_percentage', label: 'SSC Percentage' },
+    { key: 'intermediate_board', label: 'Intermediate Board' },
+    { key: 'intermediate_year', label: 'Intermediate Year', type: 'number' },
+    { key: 'intermediate_percentage', label: 'Intermediate Percentage' },
+    { key: 'college_name', label: 'College' },
+    { key: 'qualification', label: 'Qualification' },
+    { key: 'branch', label: 'Branch' },
+    { key: 'graduation_year', label: 'Graduation Year', type: 'number' },
+    { key: 'graduation_percentage', label: 'Graduation Percentage' },
+    { key: 'additional_education', label: 'Additional Education' },
+    { key: 'linkedin', label: 'LinkedIn' },
+    { key: 'github', label: 'GitHub' },
+    { key: 'reference_name', label: 'Reference Name' },
+    { key: 'reference_email', label: 'Reference Email' }
+];
+
+const DEFAULT_EXPORT_COLUMNS = [
+    'id', 'full_name', 'email', 'mobile', 'job_role', 'city', 'status', 'submission_date',
+    'experience_status', 'years_experience', 'expected_salary', 'notice_period'
+];
+
+const EDUCATION_FIELDS = [
+    { key: 'qualification', label: 'Qualification' },
+    { key: 'institution', label: 'Institution' },
+    { key: 'year', label: 'Year' },
+    { key: 'percentage', label: 'Percentage' }
+];
+
+// Computed from other tables rather than selected from applications
+const DERIVED_COLUMNS = ['assigned_recruiter', 'tags'];
+
+function parseColumns(value, errors) {
+    const keys = value === undefined || value === '' ? DEFAULT_EXPORT_COLUMNS : String(value).split(',').map(key => key.trim()).filter(key => key);
+    const unknown = keys.filter(key => !EXPORT_COLUMNS.some(column => column.key === key));
+    if (unknown.length > 0) errors.push(`Unknown export columns: ${unknown.join(', ')}`);
+    if (keys.length === 0) errors.push('At least one column is required');
+    return EXPORT_COLUMNS.filter(column => keys.includes(column.key));
+}
+
+function parseEducation(value) {
+    if (!value) return [];
+    try {
+        const list = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// One header per output cell, with additional_education expanded
+function buildHeaders(columns, educationCount) {
+    const headers = [];
+    for (const column of columns) {
+        if (column.key !== 'additional_education') {
+            headers.push(column);
+            continue;
+        }
+        for (let index = 1; index <= educationCount; index++) {
+            EDUCATION_FIELDS.forEach(field => headers.push({
+                key: `additional_education_${index}_${field.key}`,
+                label: `Additional Education ${index} ${field.label}`
+            }));
+        }
+    }
+    return headers;
+}
+
+function flattenRow(application, columns, educationCount) {
+    const row = {};
+    for (const column of columns) {
+        if (column.key === 'additional_education') {
+            const education = parseEducation(application.additional_education);
+            for (let index = 1; index <= educationCount; index++) {
+                const entry = education[index - 1] || {};
+                EDUCATION_FIELDS.forEach(field => {
+                    row[`additional_education_${index}_${field.key}`] = entry[field.key] === undefined ? null : entry[field.key];
+                });
+            }
+            continue;
+        }
+        let value = application[column.key];
+        // Masked values ("[hidden]") stay text
+        if (value !== null && value !== undefined && column.type === 'number' && !isNaN(value)) value = Number(value);
+        row[column.key] = value === undefined ? null : value;
+    }
+    return row;
+}
+
+// Quotes a CSV field when needed. Text starting with = + - @ is prefixed with ' so spreadsheet
+// programs do not run it as a formula.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves once the stream can take more: straight away, or after 'drain' when its buffer is full.
+// Rejects if the stream closes first (the client went away), so the export stops instead of waiting.
+function writeChunk(stream, chunk) {
+    if (stream.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const done = error => {
+            stream.off('drain', onDrain);
+            stream.off('close', onClose);
+            stream.off('error', done);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onDrain = () => done();
+        const onClose = () => done(new Error('Export stream closed before all rows were written'));
+        stream.on('drain', onDrain);
+        stream.on('close', onClose);
+        stream.on('error', done);
+    });
+}
+
+function createCsvWriter(stream) {
+    return {
+        // Byte order mark so Excel opens the file as UTF-8
+        start: headers => writeChunk(stream, '\ufeff' + headers.map(header => csvField(header.label)).join(',') + '\r\n'),
+        write: (headers, row) => writeChunk(stream, headers.map(header => csvField(row[header.key])).join(',') + '\r\n'),
+        finish: async () => stream.end()
+    };
+}
+
+function createXlsxWriter(stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet('Applications');
+    return {
+        start: headers => {
+            sheet.columns = headers.map(header => ({
+                header: header.label,
+                key: header.key,
+                width: Math.min(Math.max(header.label.length + 2, 12), 40),
+                style: header.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+            }));
+            sheet.getRow(1).font = { bold: true };
+        },
+        write: (headers, row) => sheet.addRow(row).commit(),
+        finish: async () => {
+            sheet.commit();
+            await workbook.commit();
+        }
+    };
+}
+
+async function addDerivedColumns(client, rows) {
+    await tags.addLabels(rows, client);
+    rows.forEach(row => {
+        row.tags = row.tags.map(tag => tag.name).join(', ');
+        row.assigned_recruiter = row.assigned_recruiter ? row.assigned_recruiter.full_name : null;
+    });
+}
+
+/**
+ * Writes the applications matching `where`/`values` (from parseApplicationQuery) to `stream`.
+ *
+ * @param {object} stream writable stream, usually the HTTP response
+ * @param {{ format: string, columns: object[], where: string, values: any[], orderBy: string, user: object }} options
+ *   user is the HR user exporting; personal details are masked when their role may not see them
+ * @returns {Promise<number>} number of rows written
+ */
+async function exportApplications(stream, { format, columns, where, values, orderBy, user }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+        let educationCount = 0;
+        if (columns.some(column => column.key === 'additional_education')) {
+            const result = await client.query(`
+                SELECT COALESCE(MAX(CASE WHEN jsonb_typeof(additional_education) = 'array'
+                    THEN jsonb_array_length(additional_education) ELSE 0 END), 0)::int AS count
+                FROM applications
+                ${where}
+            `, values);
+            educationCount = result.rows[0].count;
+        }
+
+        const selected = columns
+            .filter(column => column.key !== 'id' && !DERIVED_COLUMNS.includes(column.key))
+            .map(column => column.key);
+        const headers = buildHeaders(columns, educationCount);
+        const writer = format === 'xlsx' ? createXlsxWriter(stream) : createCsvWriter(stream);
+        await writer.start(headers);
+
+        let written = 0;
+        for (let offset = 0; ; offset += BATCH_SIZE) {
+            const batch = await client.query(`
+                SELECT ${['id', 'assigned_user_id', ...selected].join(', ')}
+                FROM applications
+                ${where}
+                ORDER BY ${orderBy}
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `, [...values, BATCH_SIZE, offset]);
+            if (batch.rows.length === 0) break;
+
+            await addDerivedColumns(client, batch.rows);
+            batch.rows.forEach(application => pii.maskFields(pii.decryptFields(application), user));
+            for (const application of batch.rows) {
+                await writer.write(headers, flattenRow(application, columns, educationCount));
+            }
+            written += batch.rows.length;
+            if (batch.rows.length < BATCH_SIZE) break;
+        }
+        await client.query('COMMIT');
+        await writer.finish();
+        return written;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    parseColumns,
+    exportApplications
+};
@@ -0,0 +1,397 @@
+const pool = require('./db');
+const documents = require('./documents');
+const pipeline = require('./pipeline');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+const applicationSchema = require('./applicationSchema');
+
+const QUESTION_TYPES = applicationSchema.QUESTION_TYPES;
+const CHOICE_TYPES = ['select', 'multi_select'];
+const MAX_QUESTIONS = 30;
+const MAX_FILE_QUESTIONS = 5;
+const MAX_OPTIONS = 50;
+// Stage a knocked-out application is moved to; it must exist in the pipeline
+const KNOCKOUT_STAGE = process.env.KNOCKOUT_STAGE || 'Rejected';
+// Who knockout rejections are recorded as in the application history
+const KNOCKOUT_ACTOR = 'Screening questions';
+
+const QUESTION_COLUMNS = 'id, form_id, question_key, label, help_text, type, required, options, min_value, max_value, knockout, position';
+
+// Options as ["Remote", "Office"] or one option per line
+function parseOptions(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split('\n');
+    return list.map(option => String(option).trim()).filter(option => option);
+}
+
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? NaN : number;
+}
+
+// "Willing to relocate?" -> "willing_to_relocate"
+function keyFromLabel(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50) || 'question';
+}
+
+/**
+ * Knockout rule of a question, or null. Choice and yes/no questions reject listed answers:
+ * { answers: ["Never"] } or { answers: [false] }. Number questions reject answers outside a range:
+ * { below: 2, above: 10 }. Text and file questions cannot knock out.
+ */
+function parseKnockout(question, value, errors) {
+    if (!value || (typeof value === 'object' && Object.keys(value).length === 0)) return null;
+    const name = question.label;
+    if (question.type === 'number') {
+        const below = parseNumber(value.below);
+        const above = parseNumber(value.above);
+        if (Number.isNaN(below) || Number.isNaN(above) || (below === null && above === null)) {
+            errors.push(`${name}: a knockout rule needs a number for below and/or above`);
+            return null;
+        }
+        return { below, above };
+    }
+    if (question.type === 'yes_no') {
+        const answers = (Array.isArray(value.answers) ? value.answers : [value.answers])
+            .map(answer => answer === true || /^(yes|true)$/i.test(String(answer)) ? true
+                : answer === false || /^(no|false)$/i.test(String(answer)) ? false : null);
+        if (answers.length === 0 || answers.includes(null)) {
+            errors.push(`${name}: a knockout answer must be yes or no`);
+            return null;
+        }
+        return { answers: [...new Set(answers)] };
+    }
+    if (CHOICE_TYPES.includes(question.type)) {
+        const answers = parseOptions(value.answers);
+        const unknown = answers.filter(answer => !question.options.includes(answer));
+        if (answers.length === 0 || unknown.length > 0) {
+            errors.push(`${name}: knockout answers must be options of the question`);
+            return null;
+        }
+        return { answers };
+    }
+    errors.push(`${name}: ${question.type} questions cannot have a knockout rule`);
+    return null;
+}
+
+function parseQuestions(list, errors) {
+    if (!Array.isArray(list)) {
+        errors.push('questions must be a list');
+        return [];
+    }
+    const questions = [];
+    for (const item of list) {
+        if (!item || typeof item !== 'object') {
+            errors.push('Each question must be an object');
+            continue;
+        }
+        const label = String(item.label || '').replace(/\s+/g, ' ').trim();
+        if (!label || label.length > 255) {
+            errors.push('Each question needs a label of at most 255 characters');
+            continue;
+        }
+        if (!QUESTION_TYPES.includes(item.type)) {
+            errors.push(`${label}: type must be one of: ${QUESTION_TYPES.join(', ')}`);
+            continue;
+        }
+        // Keys stay the same when a form is edited so answers in saved drafts still match
+        let key = item.key ? String(item.key).trim() : keyFromLabel(label);
+        if (!/^[a-z0-9_]{1,50}$/.test(key)) {
+            errors.push(`${label}: key may only contain lowercase letters, digits and underscores`);
+            continue;
+        }
+        if (!item.key) {
+            const base = key;
+            for (let suffix = 2; questions.some(question => question.key === key); suffix++) key = `${base.slice(0, 46)}_${suffix}`;
+        } else if (questions.some(question => question.key === key)) {
+            errors.push(`Duplicate question key: ${key}`);
+            continue;
+        }
+
+        const question = {
+            key,
+            label,
+            help_text: item.help_text ? String(item.help_text).trim().slice(0, 500) : null,
+            type: item.type,
+            required: item.required === true || item.required === 'true',
+            options: null,
+            min: null,
+            max: null
+        };
+        if (CHOICE_TYPES.includes(question.type)) {
+            question.options = [...new Set(parseOptions(item.options))];
+            if (question.options.length === 0 || question.options.length > MAX_OPTIONS) {
+                errors.push(`${label}: give between 1 and ${MAX_OPTIONS} options`);
+            } else if (question.options.some(option => option.length > 255)) {
+                errors.push(`${label}: options must be at most 255 characters`);
+            }
+        }
+        if (question.type === 'number') {
+            question.min = parseNumber(item.min);
+            question.max = parseNumber(item.max);
+            if (Number.isNaN(question.min) || Number.isNaN(question.max)) {
+                errors.push(`${label}: min and max must be numbers`);
+            } else if (question.min !== null && question.max !== null && question.min > question.max) {
+                errors.push(`${label}: min cannot be greater than max`);
+            }
+        }
+        question.knockout = parseKnockout(question, item.knockout, errors);
+        questions.push(question);
+    }
+    if (questions.length > MAX_QUESTIONS) errors.push(`A form can have at most ${MAX_QUESTIONS} questions`);
+    if (questions.filter(question => question.type === 'file').length > MAX_FILE_QUESTIONS) {
+        errors.push(`A form can have at most ${MAX_FILE_QUESTIONS} file questions`);
+    }
+    return questions;
+}
+
+// Validates a form payload. With `partial` set only the supplied fields are checked.
+function validateForm(body, partial = false) {
+    const errors = [];
+    const form = {};
+    let questions;
+
+    if (!partial || body.name !== undefined) {
+        const name = String(body.name || '').trim();
+        if (!name || name.length > 100) {
+            errors.push('name is required and must be at most 100 characters');
+        } else {
+            form.name = name;
+        }
+    }
+    if (body.description !== undefined) {
+        form.description = body.description ? String(body.description).trim().slice(0, 500) : null;
+    }
+    if (!partial || body.questions !== undefined) {
+        questions = parseQuestions(body.questions, errors);
+    }
+    return { errors, form, questions };
+}
+
+function toQuestion(row) {
+    return {
+        key: row.question_key,
+        label: row.label,
+        help_text: row.help_text,
+        type: row.type,
+        required: row.required,
+        options: row.options,
+        min: row.min_value === null ? null : Number(row.min_value),
+        max: row.max_value === null ? null : Number(row.max_value),
+        knockout: row.knockout
+    };
+}
+
+async function getForms(client = pool) {
+    const forms = await client.query('SELECT * FROM application_forms ORDER BY name');
+    const questions = await client.query(`SELECT ${QUESTION_COLUMNS} FROM application_form_questions ORDER BY position`);
+    return forms.rows.map(form => Object.assign(form, {
+        questions: questions.rows.filter(question => question.form_id === form.id).map(toQuestion)
+    }));
+}
+
+async function getForm(client, id) {
+    const forms = await getForms(client);
+    return forms.find(form => form.id === parseInt(id, 10)) || null;
+}
+
+// Creates (id null) or updates a form, replacing its questions when they are given
+async function saveForm(client, id, form, questions) {
+    let formId = id;
+    if (!id) {
+        const result = await client.query(
+            'INSERT INTO application_forms (name, description) VALUES ($1, $2) RETURNING id',
+            [form.name, form.description || null]
+        );
+        formId = result.rows[0].id;
+    } else {
+        const fields = Object.keys(form);
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+        await client.query(`
+            UPDATE application_forms
+            SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+            WHERE id = $${fields.length + 1}
+        `, [...fields.map(field => form[field]), id]);
+    }
+    if (questions) {
+        await client.query('DELETE FROM application_form_questions WHERE form_id = $1', [formId]);
+        for (const [position, question] of questions.entries()) {
+            await client.query(`
+                INSERT INTO application_form_questions (
+                    form_id, question_key, label, help_text, type, required, options, min_value, max_value, knockout, position
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            `, [
+                formId, question.key, question.label, question.help_text, question.type, question.required,
+                question.options ? JSON.stringify(question.options) : null, question.min, question.max,
+                question.knockout ? JSON.stringify(question.knockout) : null, position
+            ]);
+        }
+    }
+    return getForm(client, formId);
+}
+
+// The questions as candidates see them; knockout rules stay on the server
+function publicQuestions(form) {
+    if (!form) return [];
+    return form.questions.map(question => {
+        const { knockout, ...rest } = question;
+        return rest;
+    });
+}
+
+// The form of a posting, or null when the posting only uses the standard form
+async function getFormForPosting(posting, client = pool) {
+    return posting.application_form_id ? getForm(client, posting.application_form_id) : null;
+}
+
+// Multer fields for the file questions of a form: answer_<key>, one file each
+function uploadFields(form) {
+    if (!form) return [];
+    return form.questions
+        .filter(question => question.type === 'file')
+        .map(question => ({ name: `answer_${question.key}`, maxCount: 1 }));
+}
+
+/**
+ * Reads and validates the answers of a submission: `answers` is JSON (or an object) keyed by
+ * question key; files of file questions come as answer_<key> uploads.
+ *
+ * @returns {{ errors: object[], values: object }} as ApplicationSchema.validateAnswers
+ */
+function readAnswers(form, rawAnswers, files) {
+    if (!form) return { errors: [], values: {} };
+    let answers = rawAnswers || {};
+    if (typeof answers === 'string') {
+        try {
+            answers = JSON.parse(answers);
+        } catch (error) {
+            return { errors: [{ field: 'answers', code: 'format', message: 'Answers could not be read' }], values: {} };
+        }
+    }
+    answers = Object.assign({}, answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {});
+    form.questions.filter(question => question.type === 'file').forEach(question => {
+        const upload = files && files[`answer_${question.key}`];
+        answers[question.key] = upload ? upload[0].originalname : null;
+    });
+    return applicationSchema.validateAnswers(form.questions, answers);
+}
+
+// Stores the uploads of file questions as "other" documents. Stops at the first rejected file;
+// what was stored so far is returned either way so the caller can remove it.
+async function storeAnswerFiles(form, files, source) {
+    const stored = [];
+    for (const question of form ? form.questions.filter(item => item.type === 'file') : []) {
+        const upload = files && files[`answer_${question.key}`];
+        if (!upload) continue;
+        const result = await documents.storeDocument(upload[0], 'other', source);
+        if (result.error) {
+            return { code: result.code, error: result.error, stored };
+        }
+        stored.push(Object.assign({ questionKey: question.key, type: 'other', file: upload[0] }, result));
+    }
+    return { stored };
+}
+
+function isKnockedOut(question, value) {
+    const rule = question.knockout;
+    if (!rule || value === null || value === undefined) return false;
+    if (question.type === 'number') {
+        return (rule.below !== null && rule.below !== undefined && value < rule.below)
+            || (rule.above !== null && rule.above !== undefined && value > rule.above);
+    }
+    const given = Array.isArray(value) ? value : [value];
+    return given.some(answer => rule.answers.includes(answer));
+}
+
+function formatAnswer(value) {
+    if (value === true) return 'Yes';
+    if (value === false) return 'No';
+    if (Array.isArray(value)) return value.join(', ');
+    return value === null || value === undefined ? '' : String(value);
+}
+
+// Questions whose answer fails their knockout rule
+function findKnockouts(form, values) {
+    if (!form) return [];
+    return form.questions.filter(question => isKnockedOut(question, values[question.key]));
+}
+
+/**
+ * Stores the answers of a new application. `documentIds` maps the keys of file questions to
+ * the documents their uploads were stored as.
+ */
+async function saveAnswers(client, applicationId, form, values, documentIds = {}) {
+    if (!form) return;
+    for (const [position, question] of form.questions.entries()) {
+        const value = values[question.key];
+        await client.query(`
+            INSERT INTO application_answers (application_id, question_key, label, type, value, document_id, knocked_out, position)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            applicationId, question.key, question.label, question.type,
+            value === null || value === undefined ? null : JSON.stringify(value),
+            documentIds[question.key] || null, isKnockedOut(question, value), position
+        ]);
+    }
+}
+
+async function getAnswers(applicationId, client = pool) {
+    const result = await client.query(`
+        SELECT question_key, label, type, value, document_id, knocked_out
+        FROM application_answers
+        WHERE application_id = $1
+        ORDER BY position
+    `, [applicationId]);
+    return result.rows;
+}
+
+/**
+ * Moves a new application whose answers failed knockout rules to KNOCKOUT_STAGE, recording why
+ * and queueing the status email. When the pipeline has no such stage the application stays
+ * where it is and only the event is recorded.
+ */
+async function rejectKnockedOut(client, application, knockouts, values) {
+    const reasons = knockouts.map(question => `${question.label}: ${formatAnswer(values[question.key])}`).join('; ');
+    const stage = await pipeline.getStage(client, KNOCKOUT_STAGE);
+    if (!stage) {
+        console.error(`Application ${application.id} failed knockout questions, but there is no ${KNOCKOUT_STAGE} stage`);
+        await pipeline.recordEvent(client, application.id, {
+            eventType: 'knocked_out',
+            actorName: KNOCKOUT_ACTOR,
+            comment: `${reasons} (not moved: the pipeline has no ${KNOCKOUT_STAGE} stage)`
+        });
+        return null;
+    }
+
+    await client.query('UPDATE applications SET status = $1, version = version + 1 WHERE id = $2', [stage.name, application.id]);
+    await pipeline.recordEvent(client, application.id, {
+        eventType: 'knocked_out',
+        fromStage: application.status,
+        toStage: stage.name,
+        actorName: KNOCKOUT_ACTOR,
+        comment: reasons
+    });
+    await notifications.notifyStatusChanged(client, Object.assign({}, application, { status: stage.name }), application.status, null);
+    await webhooks.notifyStatusChanged(client, application.id, application.status, stage.name);
+    console.log(`Application ${application.id} moved to ${stage.name} by knockout questions: ${reasons}`);
+    return stage.name;
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    MAX_QUESTIONS,
+    KNOCKOUT_STAGE,
+    validateForm,
+    getForms,
+    getForm,
+    saveForm,
+    publicQuestions,
+    getFormForPosting,
+    uploadFields,
+    readAnswers,
+    storeAnswerFiles,
+    findKnockouts,
+    saveAnswers,
+    getAnswers,
+    rejectKnockedOut
+};
@@ -0,0 +1,240 @@
+const pool = require('./db');
+
+const INTERVIEW_TYPES = ['Phone Screen', 'Technical', 'Managerial', 'HR', 'Culture Fit', 'Other'];
+const INTERVIEW_OUTCOMES = ['passed', 'failed', 'on_hold', 'no_show'];
+const MAX_DURATION_MINUTES = 8 * 60;
+
+// Time zone used for interview times in candidate emails; defaults to the server's zone
+const INTERVIEW_TIME_ZONE = process.env.INTERVIEW_TIME_ZONE || undefined;
+
+const EMAIL_REGEX = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Accepts [{ name, email }] or strings like "Asha Rao <asha@example.com>" / "asha@example.com"
+function parsePanelists(value, errors) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+    const panelists = [];
+    for (const item of list) {
+        let name = null;
+        let email = null;
+        if (item && typeof item === 'object') {
+            name = item.name ? String(item.name).trim() : null;
+            email = String(item.email || '').trim();
+        } else {
+            const text = String(item || '').trim();
+            if (!text) continue;
+            const match = text.match(/^(.*?)\s*<([^>]+)>$/);
+            name = match ? match[1].trim() || null : null;
+            email = match ? match[2].trim() : text;
+        }
+        email = email.toLowerCase();
+        if (!EMAIL_REGEX.test(email)) {
+            errors.push(`Invalid interviewer email: ${email || '(empty)'}`);
+        } else if (!panelists.some(panelist => panelist.email === email)) {
+            panelists.push({ name: name ? name.slice(0, 255) : null, email });
+        }
+    }
+    return panelists;
+}
+
+// Validates a create/update payload. With `partial` set only the supplied fields are checked.
+function validateInterview(body, partial = false) {
+    const errors = [];
+    const interview = {};
+
+    if (!partial || body.interview_type !== undefined) {
+        if (!INTERVIEW_TYPES.includes(body.interview_type)) {
+            errors.push(`interview_type must be one of: ${INTERVIEW_TYPES.join(', ')}`);
+        } else {
+            interview.interview_type = body.interview_type;
+        }
+    }
+    if (!partial || body.scheduled_at !== undefined) {
+        const scheduledAt = new Date(body.scheduled_at);
+        if (!body.scheduled_at || isNaN(scheduledAt.getTime())) {
+            errors.push('scheduled_at must be a valid date and time');
+        } else if (scheduledAt <= new Date()) {
+            errors.push('scheduled_at must be in the future');
+        } else {
+            interview.scheduled_at = scheduledAt;
+        }
+    }
+    if (!partial || body.duration_minutes !== undefined) {
+        const duration = parseInt(body.duration_minutes, 10);
+        if (isNaN(duration) || duration < 5 || duration > MAX_DURATION_MINUTES) {
+            errors.push(`duration_minutes must be between 5 and ${MAX_DURATION_MINUTES}`);
+        } else {
+            interview.duration_minutes = duration;
+        }
+    }
+    if (body.location !== undefined) {
+        interview.location = body.location ? String(body.location).trim().slice(0, 255) : null;
+    }
+    if (body.meeting_link !== undefined) {
+        if (!body.meeting_link) {
+            interview.meeting_link = null;
+        } else if (!/^https?:\/\/\S+$/i.test(String(body.meeting_link).trim()) || String(body.meeting_link).length > 500) {
+            errors.push('meeting_link must be an http(s) URL');
+        } else {
+            interview.meeting_link = String(body.meeting_link).trim();
+        }
+    }
+    let panelists;
+    if (!partial || body.interviewers !== undefined) {
+        panelists = parsePanelists(body.interviewers, errors);
+        if (panelists.length === 0) errors.push('At least one interviewer is required');
+    }
+
+    return { errors, interview, panelists };
+}
+
+async function getPanelists(client, interviewIds) {
+    if (interviewIds.length === 0) return [];
+    const result = await client.query(
+        'SELECT interview_id, name, email FROM interview_panelists WHERE interview_id = ANY($1::int[]) ORDER BY email',
+        [interviewIds]
+    );
+    return result.rows;
+}
+
+async function withPanelists(client, interviews) {
+    const panelists = await getPanelists(client, interviews.map(interview => interview.id));
+    return interviews.map(interview => Object.assign(interview, {
+        panelists: panelists
+            .filter(panelist => panelist.interview_id === interview.id)
+            .map(panelist => ({ name: panelist.name, email: panelist.email }))
+    }));
+}
+
+async function getApplicationInterviews(applicationId) {
+    const result = await pool.query(
+        'SELECT * FROM interviews WHERE application_id = $1 ORDER BY scheduled_at, id',
+        [applicationId]
+    );
+    return withPanelists(pool, result.rows);
+}
+
+async function getInterview(client, id, forUpdate = false) {
+    const result = await client.query(`SELECT * FROM interviews WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`, [id]);
+    if (result.rows.length === 0) return null;
+    const [interview] = await withPanelists(client, result.rows);
+    return interview;
+}
+
+/**
+ * Scheduled interviews overlapping [start, start + duration) that share an interviewer or the
+ * candidate with the interview being planned. `excludeId` skips the interview being rescheduled.
+ */
+async function findConflicts(client, { excludeId = null, applicationId, start, durationMinutes, emails }) {
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+    const result = await client.query(`
+        SELECT i.id, i.application_id, i.interview_type, i.scheduled_at, i.duration_minutes,
+               a.full_name AS candidate_name, p.email AS interviewer_email
+        FROM interviews i
+        JOIN applications a ON a.id = i.application_id
+        LEFT JOIN interview_panelists p ON p.interview_id = i.id AND p.email = ANY($4::text[])
+        WHERE i.status = 'scheduled'
+          AND i.id <> $1
+          AND i.scheduled_at < $3
+          AND i.scheduled_at + i.duration_minutes * INTERVAL '1 minute' > $2
+          AND (p.email IS NOT NULL OR i.application_id = $5)
+        ORDER BY i.scheduled_at
+    `, [excludeId || 0, start, end, emails, applicationId]);
+
+    return result.rows.map(row => ({
+        interview_id: row.id,
+        application_id: row.application_id,
+        candidate_name: row.candidate_name,
+        interview_type: row.interview_type,
+        scheduled_at: row.scheduled_at,
+        duration_minutes: row.duration_minutes,
+        conflict_with: row.interviewer_email || 'candidate'
+    }));
+}
+
+async function replacePanelists(client, interviewId, panelists) {
+    await client.query('DELETE FROM interview_panelists WHERE interview_id = $1', [interviewId]);
+    for (const panelist of panelists) {
+        await client.query(
+            'INSERT INTO interview_panelists (interview_id, email, name) VALUES ($1, $2, $3)',
+            [interviewId, panelist.email, panelist.name]
+        );
+    }
+}
+
+async function createInterview(client, applicationId, interview, panelists, user) {
+    const result = await client.query(`
+        INSERT INTO interviews (
+            application_id, interview_type, scheduled_at, duration_minutes, location, meeting_link, created_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+    `, [
+        applicationId, interview.interview_type, interview.scheduled_at, interview.duration_minutes,
+        interview.location || null, interview.meeting_link || null, user.id
+    ]);
+    await replacePanelists(client, result.rows[0].id, panelists);
+    return getInterview(client, result.rows[0].id);
+}
+
+// Applies a partial update; the sequence is bumped so calendar clients replace the old invite
+async function updateInterview(client, id, changes, panelists) {
+    const fields = Object.keys(changes);
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+    await client.query(`
+        UPDATE interviews
+        SET ${[...assignments, 'sequence = sequence + 1', 'updated_at = NOW()'].join(', ')}
+        WHERE id = $${fields.length + 1}
+    `, [...fields.map(field => changes[field]), id]);
+    if (panelists) await replacePanelists(client, id, panelists);
+    return getInterview(client, id);
+}
+
+async function cancelInterview(client, id) {
+    await client.query(`
+        UPDATE interviews
+        SET status = 'cancelled', sequence = sequence + 1, updated_at = NOW()
+        WHERE id = $1
+    `, [id]);
+    return getInterview(client, id);
+}
+
+async function recordOutcome(client, id, outcome, feedback) {
+    await client.query(`
+        UPDATE interviews
+        SET status = 'completed', outcome = $2, feedback = $3, updated_at = NOW()
+        WHERE id = $1
+    `, [id, outcome, feedback || null]);
+    return getInterview(client, id);
+}
+
+function formatInterviewTime(date) {
+    return new Date(date).toLocaleString('en-US', {
+        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+        hour: 'numeric', minute: '2-digit', timeZoneName: 'short', timeZone: INTERVIEW_TIME_ZONE
+    });
+}
+
+// Placeholders for the interview email templates
+function interviewVariables(interview) {
+    return {
+        interview_type: interview.interview_type,
+        interview_time: formatInterviewTime(interview.scheduled_at),
+        duration_minutes: interview.duration_minutes,
+        location: interview.location || (interview.meeting_link ? 'Online' : 'To be confirmed'),
+        meeting_link: interview.meeting_link || 'None'
+    };
+}
+
+module.exports = {
+    INTERVIEW_TYPES,
+    INTERVIEW_OUTCOMES,
+    validateInterview,
+    getApplicationInterviews,
+    getInterview,
+    findConflicts,
+    createInterview,
+    updateInterview,
+    cancelInterview,
+    recordOutcome,
+    formatInterviewTime,
+    interviewVariables
+};
@@ -0,0 +1,128 @@
+// Live dashboard updates over Server-Sent Events. Routes publish application changes once their
+// transaction has committed and every connected HR dashboard receives them, so recruiters see new
+// submissions and each other's changes without refreshing. Events carry IDs, stages and versions
+// only, never candidate details; dashboards fetch what they need through the normal API.
+//
+// Subscribers and recent events are held in memory, so with several server processes a dashboard
+// only hears about changes made through the process it is connected to.
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.LIVE_HEARTBEAT_INTERVAL_MS, 10) || 25 * 1000;
+// Streams are closed after this long so the browser reconnects and the session is checked again
+const MAX_STREAM_AGE_MS = parseInt(process.env.LIVE_MAX_STREAM_AGE_MS, 10) || 15 * 60 * 1000;
+// Recent events replayed to a dashboard that reconnects with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 200;
+const RECONNECT_DELAY_MS = 5000;
+
+const EVENT_TYPES = ['application.created', 'application.updated', 'application.deleted'];
+
+const subscribers = new Set();
+const recentEvents = [];
+let lastEventId = 0;
+let heartbeatTimer = null;
+
+function formatEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function startHeartbeat() {
+    if (heartbeatTimer) return;
+    // A comment line keeps proxies from closing idle streams
+    heartbeatTimer = setInterval(() => {
+        subscribers.forEach(subscriber => subscriber.res.write(': keep-alive\n\n'));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+    if (heartbeatTimer && subscribers.size === 0) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+/**
+ * Turns the response into an event stream for an authenticated HR user. Events published after
+ * `lastSeenId` (the Last-Event-ID a reconnecting browser sends) are replayed first when they are
+ * still buffered.
+ */
+function subscribe(req, res, lastSeenId) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const seen = parseInt(lastSeenId, 10);
+    if (!isNaN(seen)) {
+        recentEvents.filter(event => event.id > seen).forEach(event => res.write(formatEvent(event)));
+    }
+
+    const subscriber = { res, user: req.user };
+    subscribers.add(subscriber);
+    startHeartbeat();
+    console.log(`Live updates: ${req.user.email} connected (${subscribers.size} open)`);
+
+    const expiry = setTimeout(() => res.end(), MAX_STREAM_AGE_MS);
+    expiry.unref();
+    req.on('close', () => {
+        clearTimeout(expiry);
+        subscribers.delete(subscriber);
+        stopHeartbeat();
+        console.log(`Live updates: ${req.user.email} disconnected (${subscribers.size} open)`);
+    });
+}
+
+/**
+ * Sends an event to every connected dashboard. `data` identifies the application and what
+ * changed; `actor` (the HR user who made the change, if any) lets dashboards skip their own changes.
+ */
+function publish(type, data, actor = null) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown live update event type: ${type}`);
+    }
+    const event = {
+        id: ++lastEventId,
+        type,
+        data: Object.assign({}, data, {
+            actor: actor ? { id: actor.id, full_name: actor.full_name } : null,
+            at: new Date().toISOString()
+        })
+    };
+    recentEvents.push(event);
+    if (recentEvents.length > REPLAY_BUFFER_SIZE) recentEvents.shift();
+
+    const message = formatEvent(event);
+    subscribers.forEach(subscriber => subscriber.res.write(message));
+    return event;
+}
+
+// Shorthands for the three application events; `fields` is e.g. { status, version, changes: ['status'] }
+function applicationCreated(id, fields, actor = null) {
+    return publish('application.created', Object.assign({ id: Number(id) }, fields), actor);
+}
+
+function applicationUpdated(id, fields, actor = null) {
+    return publish('application.updated', Object.assign({ id: Number(id) }, fields), actor);
+}
+
+function applicationDeleted(id, fields, actor = null) {
+    return publish('application.deleted', Object.assign({ id: Number(id) }, fields), actor);
+}
+
+function getSubscriberCount() {
+    return subscribers.size;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    subscribe,
+    publish,
+    applicationCreated,
+    applicationUpdated,
+    applicationDeleted,
+    getSubscriberCount
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const pii = require('./pii');
+
+// Transports share one interface: send({ from, to, subject, text }) resolves once the
+// message has been handed off, and rejects on failure so the outbox worker can retry.
+
+// Limit for each stage of an SMTP send (connecting, the greeting, and any idle socket)
+const SEND_TIMEOUT_MS = parseInt(process.env.MAIL_SEND_TIMEOUT_MS, 10) || 20000;
+
+function createSmtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        connectionTimeout: SEND_TIMEOUT_MS,
+        greetingTimeout: SEND_TIMEOUT_MS,
+        socketTimeout: SEND_TIMEOUT_MS
+    });
+    return {
+        name: 'smtp',
+        send: message => transporter.sendMail(message)
+    };
+}
+
+// Writes each message to MAIL_OUTPUT_DIR as a JSON file; useful for local development and tests
+function createFileTransport() {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, 'mail-outbox');
+    return {
+        name: 'file',
+        send: async message => {
+            await fs.promises.mkdir(outputDir, { recursive: true });
+            const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+            await fs.promises.writeFile(
+                path.join(outputDir, filename),
+                JSON.stringify(Object.assign({ date: new Date() }, message), null, 2)
+            );
+            console.log(`Wrote email "${message.subject}" for ${pii.maskEmail(message.to)} to ${filename}`);
+        }
+    };
+}
+
+// Logs that a message would be sent. The body holds tracking and draft links and the recipient is
+// personal data, so neither is logged; use the file transport to read the messages.
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        send: async message => {
+            console.log(`Email "${message.subject}" for ${pii.maskEmail(message.to)} dropped by the console transport (set SMTP_HOST, or MAIL_TRANSPORT=file to keep it)`);
+        }
+    };
+}
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+// Picks the transport from MAIL_TRANSPORT (smtp, file or console). Defaults to smtp when
+// SMTP_HOST is set and to console otherwise.
+function createTransport(name = process.env.MAIL_TRANSPORT) {
+    const transportName = name || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    const factory = TRANSPORTS[transportName];
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    SEND_TIMEOUT_MS,
+    createTransport
+};
@@ -0,0 +1,44 @@
+// Command line entry point for schema migrations:
+//   npm run migrate              apply all pending migrations
+//   npm run migrate:down [-- N]  revert the last N migrations (default 1)
+//   npm run migrate:status       list migrations and whether they are applied
+const pool = require('./db');
+const migrator = require('./migrator');
+
+async function main() {
+    const [command = 'up', argument] = process.argv.slice(2);
+    switch (command) {
+        case 'up': {
+            const applied = await migrator.migrateUp();
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+            break;
+        }
+        case 'down': {
+            const steps = argument === undefined ? 1 : parseInt(argument, 10);
+            if (isNaN(steps) || steps < 1) {
+                throw new Error('Number of migrations to revert must be a positive integer');
+            }
+            const reverted = await migrator.migrateDown(steps);
+            console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'No applied migrations to revert');
+            break;
+        }
+        case 'status': {
+            const status = await migrator.getStatus();
+            status.forEach(migration => {
+                const state = migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString()}` : 'pending';
+                console.log(`${migration.version.padEnd(50)} ${state}`);
+            });
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+}
+
+main()
+    .then(() => pool.end())
+    .catch(async error => {
+        console.error('Migration failed:', error.message);
+        await pool.end();
+        process.exit(1);
+    });
@@ -0,0 +1,29 @@
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS hr_users (
+            id SERIAL PRIMARY KEY,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            full_name VARCHAR(255) NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            last_login_at TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS hr_sessions (
+            token_hash VARCHAR(64) PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES hr_users(id) ON DELETE CASCADE,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS hr_sessions');
+    await client.query('DROP TABLE IF EXISTS hr_users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS job_postings (
+            id SERIAL PRIMARY KEY,
+            title VARCHAR(255) NOT NULL,
+            department VARCHAR(255),
+            description TEXT,
+            locations TEXT[] NOT NULL DEFAULT '{}',
+            openings INTEGER NOT NULL DEFAULT 1,
+            status VARCHAR(20) NOT NULL DEFAULT 'Open',
+            closing_date DATE,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS job_posting_id INTEGER REFERENCES job_postings(id)');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS job_posting_id');
+    await client.query('DROP TABLE IF EXISTS job_postings');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+// The search expression must match SEARCH_VECTOR_SQL in applicationQuery.js for the index to be used
+async function up(client) {
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS applications_search_idx ON applications
+        USING GIN (to_tsvector('simple', coalesce(full_name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(skills, '')))
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS applications_submission_date_idx ON applications (submission_date DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS applications_status_idx ON applications (status)');
+    await client.query('CREATE INDEX IF NOT EXISTS applications_job_posting_idx ON applications (job_posting_id)');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS applications_search_idx');
+    await client.query('DROP INDEX IF EXISTS applications_submission_date_idx');
+    await client.query('DROP INDEX IF EXISTS applications_status_idx');
+    await client.query('DROP INDEX IF EXISTS applications_job_posting_idx');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+// Statuses used before the pipeline existed, mapped onto the default stages
+const LEGACY_STATUS_MAP = {
+    'Pending': 'Applied',
+    'Under Review': 'Screening',
+    'Approved': 'Offer'
+};
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS pipeline_stages (
+            name VARCHAR(50) PRIMARY KEY,
+            position INTEGER NOT NULL,
+            is_initial BOOLEAN NOT NULL DEFAULT FALSE,
+            is_terminal BOOLEAN NOT NULL DEFAULT FALSE
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS pipeline_transitions (
+            from_stage VARCHAR(50) NOT NULL REFERENCES pipeline_stages(name) ON DELETE CASCADE,
+            to_stage VARCHAR(50) NOT NULL REFERENCES pipeline_stages(name) ON DELETE CASCADE,
+            PRIMARY KEY (from_stage, to_stage)
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_events (
+            id SERIAL PRIMARY KEY,
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            event_type VARCHAR(50) NOT NULL,
+            from_stage VARCHAR(50),
+            to_stage VARCHAR(50),
+            actor_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL,
+            actor_name VARCHAR(255) NOT NULL,
+            comment TEXT,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS application_events_application_idx ON application_events (application_id, created_at)');
+
+    for (const [legacy, stage] of Object.entries(LEGACY_STATUS_MAP)) {
+        await client.query('UPDATE applications SET status = $1 WHERE status = $2', [stage, legacy]);
+    }
+    await client.query(`ALTER TABLE applications ALTER COLUMN status SET DEFAULT 'Applied'`);
+}
+
+async function down(client) {
+    for (const [legacy, stage] of Object.entries(LEGACY_STATUS_MAP)) {
+        await client.query('UPDATE applications SET status = $1 WHERE status = $2', [legacy, stage]);
+    }
+    await client.query(`ALTER TABLE applications ALTER COLUMN status SET DEFAULT 'Pending'`);
+    await client.query('DROP TABLE IF EXISTS application_events');
+    await client.query('DROP TABLE IF EXISTS pipeline_transitions');
+    await client.query('DROP TABLE IF EXISTS pipeline_stages');
+}
+
+module.exports = { up, down };
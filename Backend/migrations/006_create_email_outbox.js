@@ -0,0 +1,35 @@
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS email_templates (
+            key VARCHAR(50) PRIMARY KEY,
+            subject VARCHAR(255) NOT NULL,
+            body TEXT NOT NULL,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_by_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS email_outbox (
+            id SERIAL PRIMARY KEY,
+            template_key VARCHAR(50) NOT NULL,
+            application_id INTEGER REFERENCES applications(id) ON DELETE SET NULL,
+            to_address VARCHAR(255) NOT NULL,
+            subject VARCHAR(255) NOT NULL,
+            body TEXT NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            sent_at TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS email_outbox_pending_idx ON email_outbox (status, next_attempt_at)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS email_outbox');
+    await client.query('DROP TABLE IF EXISTS email_templates');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,9 @@
+async function up(client) {
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS tracking_token_hash VARCHAR(64)');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS tracking_token_hash');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Moves applications from one-application-per-email onto a candidates table
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS candidates (
+            id SERIAL PRIMARY KEY,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            full_name VARCHAR(255) NOT NULL,
+            mobile VARCHAR(20),
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS candidate_id INTEGER REFERENCES candidates(id)');
+    await client.query('ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_email_key');
+    await client.query(`
+        INSERT INTO candidates (email, full_name, mobile)
+        SELECT DISTINCT ON (LOWER(email)) LOWER(email), full_name, mobile
+        FROM applications
+        WHERE candidate_id IS NULL
+        ORDER BY LOWER(email), submission_date DESC
+        ON CONFLICT (email) DO NOTHING
+    `);
+    await client.query(`
+        UPDATE applications a
+        SET candidate_id = c.id
+        FROM candidates c
+        WHERE a.candidate_id IS NULL AND c.email = LOWER(a.email)
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS applications_candidate_idx ON applications (candidate_id, job_posting_id)');
+}
+
+// Fails if a candidate has more than one application, since email becomes unique again
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS applications_candidate_idx');
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS candidate_id');
+    await client.query('DROP TABLE IF EXISTS candidates');
+    await client.query('ALTER TABLE applications ADD CONSTRAINT applications_email_key UNIQUE (email)');
+}
+
+module.exports = { up, down };
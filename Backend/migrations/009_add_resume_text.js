@@ -0,0 +1,21 @@
+// Text extracted from the resume PDF, added to the ?q= search. The search expression must match
+// SEARCH_VECTOR_SQL in applicationQuery.js for the index to be used.
+async function up(client) {
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS resume_text TEXT');
+    await client.query('DROP INDEX IF EXISTS applications_search_idx');
+    await client.query(`
+        CREATE INDEX applications_search_idx ON applications
+        USING GIN (to_tsvector('simple', coalesce(full_name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(skills, '') || ' ' || coalesce(resume_text, '')))
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS applications_search_idx');
+    await client.query(`
+        CREATE INDEX applications_search_idx ON applications
+        USING GIN (to_tsvector('simple', coalesce(full_name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(skills, '')))
+    `);
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS resume_text');
+}
+
+module.exports = { up, down };
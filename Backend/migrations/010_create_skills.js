@@ -0,0 +1,163 @@
+// Canonical skills and the other spellings that mean the same thing. Skills not listed here are
+// created as applicants and postings mention them (see skills.js).
+const DEFAULT_SKILLS = [
+    { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6'] },
+    { name: 'TypeScript', aliases: ['TS'] },
+    { name: 'Python', aliases: ['Py', 'Python3'] },
+    { name: 'Java', aliases: ['Core Java'] },
+    { name: 'C++', aliases: ['CPP'] },
+    { name: 'C#', aliases: ['CSharp', 'C Sharp'] },
+    { name: '.NET', aliases: ['DotNet'] },
+    { name: 'Golang', aliases: ['Go'] },
+    { name: 'PHP', aliases: [] },
+    { name: 'SQL', aliases: [] },
+    { name: 'PostgreSQL', aliases: ['Postgres', 'PSQL'] },
+    { name: 'MySQL', aliases: [] },
+    { name: 'MongoDB', aliases: ['Mongo'] },
+    { name: 'Redis', aliases: [] },
+    { name: 'HTML', aliases: ['HTML5'] },
+    { name: 'CSS', aliases: ['CSS3'] },
+    { name: 'React', aliases: ['ReactJS', 'React.js'] },
+    { name: 'Angular', aliases: ['AngularJS'] },
+    { name: 'Vue.js', aliases: ['Vue', 'VueJS'] },
+    { name: 'Node.js', aliases: ['Node', 'NodeJS'] },
+    { name: 'Express', aliases: ['ExpressJS', 'Express.js'] },
+    { name: 'Django', aliases: [] },
+    { name: 'Flask', aliases: [] },
+    { name: 'Spring Boot', aliases: ['Spring', 'SpringBoot'] },
+    { name: 'REST', aliases: ['REST API', 'REST APIs', 'RESTful'] },
+    { name: 'GraphQL', aliases: [] },
+    { name: 'AWS', aliases: ['Amazon Web Services'] },
+    { name: 'Azure', aliases: ['Microsoft Azure'] },
+    { name: 'GCP', aliases: ['Google Cloud', 'Google Cloud Platform'] },
+    { name: 'Docker', aliases: [] },
+    { name: 'Kubernetes', aliases: ['K8s'] },
+    { name: 'CI/CD', aliases: ['CICD', 'Continuous Integration'] },
+    { name: 'Git', aliases: [] },
+    { name: 'Linux', aliases: [] },
+    { name: 'Machine Learning', aliases: ['ML'] },
+    { name: 'Deep Learning', aliases: ['DL'] },
+    { name: 'NLP', aliases: ['Natural Language Processing'] },
+    { name: 'Excel', aliases: ['MS Excel', 'Microsoft Excel'] },
+    { name: 'Power BI', aliases: ['PowerBI'] },
+    { name: 'Selenium', aliases: [] },
+    { name: 'Agile', aliases: [] }
+];
+
+// Copies of the skills.js name normalization as of this migration, so replaying it does not
+// depend on later code
+function skillKey(name) {
+    return String(name || '').toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+function cleanSkillName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().slice(0, 100);
+}
+
+function parseSkillList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const seen = new Set();
+    return String(value).split(',').map(cleanSkillName).filter(name => {
+        const key = skillKey(name);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+async function createSkill(client, name) {
+    const cleaned = cleanSkillName(name);
+    const existing = await client.query(`
+        SELECT s.id, s.name
+        FROM skill_aliases a
+        JOIN skills s ON s.id = a.skill_id
+        WHERE a.alias_key = $1
+    `, [skillKey(cleaned)]);
+    if (existing.rows[0]) return existing.rows[0];
+    await client.query(
+        'INSERT INTO skills (name, name_key) VALUES ($1, $2) ON CONFLICT (name_key) DO NOTHING',
+        [cleaned, skillKey(cleaned)]
+    );
+    const created = await client.query('SELECT id, name FROM skills WHERE name_key = $1', [skillKey(cleaned)]);
+    await client.query(
+        'INSERT INTO skill_aliases (alias_key, alias, skill_id) VALUES ($1, $2, $3) ON CONFLICT (alias_key) DO NOTHING',
+        [skillKey(cleaned), cleaned, created.rows[0].id]
+    );
+    return created.rows[0];
+}
+
+// Normalized skills with synonyms, the skills of each application, and the skill and experience
+// requirements of each job posting used for ranking applicants
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS skills (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            name_key VARCHAR(100) NOT NULL UNIQUE,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS skill_aliases (
+            alias_key VARCHAR(100) PRIMARY KEY,
+            alias VARCHAR(100) NOT NULL,
+            skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_skills (
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+            PRIMARY KEY (application_id, skill_id)
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS job_posting_skills (
+            job_posting_id INTEGER NOT NULL REFERENCES job_postings(id) ON DELETE CASCADE,
+            skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+            requirement VARCHAR(20) NOT NULL CHECK (requirement IN ('required', 'nice_to_have')),
+            PRIMARY KEY (job_posting_id, skill_id)
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS application_skills_skill_idx ON application_skills (skill_id)');
+    await client.query('ALTER TABLE job_postings ADD COLUMN IF NOT EXISTS min_experience NUMERIC(4, 1)');
+    await client.query('ALTER TABLE job_postings ADD COLUMN IF NOT EXISTS max_notice_days INTEGER');
+    await client.query('ALTER TABLE job_postings ADD COLUMN IF NOT EXISTS max_salary NUMERIC(12, 2)');
+
+    for (const skill of DEFAULT_SKILLS) {
+        const created = await createSkill(client, skill.name);
+        for (const alias of skill.aliases) {
+            await client.query(
+                'INSERT INTO skill_aliases (alias_key, alias, skill_id) VALUES ($1, $2, $3) ON CONFLICT (alias_key) DO NOTHING',
+                [skillKey(alias), alias, created.id]
+            );
+        }
+    }
+    const applications = await client.query("SELECT id, skills FROM applications WHERE skills IS NOT NULL AND skills <> ''");
+    for (const application of applications.rows) {
+        const skillIds = [];
+        for (const name of parseSkillList(application.skills)) {
+            const skill = await createSkill(client, name);
+            if (!skillIds.includes(skill.id)) skillIds.push(skill.id);
+        }
+        for (const skillId of skillIds) {
+            await client.query(
+                'INSERT INTO application_skills (application_id, skill_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                [application.id, skillId]
+            );
+        }
+    }
+    console.log(`Normalized skills of ${applications.rows.length} application(s)`);
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE job_postings DROP COLUMN IF EXISTS max_salary');
+    await client.query('ALTER TABLE job_postings DROP COLUMN IF EXISTS max_notice_days');
+    await client.query('ALTER TABLE job_postings DROP COLUMN IF EXISTS min_experience');
+    await client.query('DROP TABLE IF EXISTS job_posting_skills');
+    await client.query('DROP TABLE IF EXISTS application_skills');
+    await client.query('DROP TABLE IF EXISTS skill_aliases');
+    await client.query('DROP TABLE IF EXISTS skills');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Interview rounds for an application and the people on each panel. Panelists are identified by
+// email so interviewers without an HR login can be scheduled and checked for conflicts.
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS interviews (
+            id SERIAL PRIMARY KEY,
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            interview_type VARCHAR(50) NOT NULL,
+            scheduled_at TIMESTAMP NOT NULL,
+            duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+            location VARCHAR(255),
+            meeting_link VARCHAR(500),
+            status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+            outcome VARCHAR(20),
+            feedback TEXT,
+            sequence INTEGER NOT NULL DEFAULT 0,
+            created_by_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS interview_panelists (
+            interview_id INTEGER NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+            email VARCHAR(255) NOT NULL,
+            name VARCHAR(255),
+            PRIMARY KEY (interview_id, email)
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS interviews_application_idx ON interviews (application_id, scheduled_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS interviews_scheduled_idx ON interviews (scheduled_at) WHERE status = \'scheduled\'');
+    await client.query('CREATE INDEX IF NOT EXISTS interview_panelists_email_idx ON interview_panelists (email)');
+
+    // The invite used to be sent on entering the Interview stage and had no time or place. It is
+    // now sent per scheduled round with new placeholders, so the old text is replaced by the new default.
+    await client.query("DELETE FROM email_templates WHERE key = 'interview_invite'");
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS interview_panelists');
+    await client.query('DROP TABLE IF EXISTS interviews');
+    await client.query("DELETE FROM email_templates WHERE key IN ('interview_invite', 'interview_rescheduled', 'interview_cancelled')");
+}
+
+module.exports = { up, down };
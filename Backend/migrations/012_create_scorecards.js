@@ -0,0 +1,83 @@
+// Seeded as the default template, used for postings without a template of their own
+const DEFAULT_TEMPLATE = {
+    name: 'General interview',
+    is_default: true,
+    criteria: [
+        { name: 'Technical skills', description: 'Depth of knowledge in the skills the role needs' },
+        { name: 'Problem solving', description: 'Breaks problems down and reasons about trade-offs' },
+        { name: 'Communication', description: 'Explains ideas clearly and listens' },
+        { name: 'Culture fit', description: 'Works well with others and shares the team\'s values' }
+    ]
+};
+
+// Scorecard templates (criteria rated 1-5) chosen per job posting, and the scorecards interviewers
+// submit for each interview round. Ratings keep the criterion name so later template edits do
+// not change past feedback.
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS scorecard_templates (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            is_default BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS scorecard_templates_default_idx ON scorecard_templates (is_default) WHERE is_default');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS scorecard_template_criteria (
+            id SERIAL PRIMARY KEY,
+            template_id INTEGER NOT NULL REFERENCES scorecard_templates(id) ON DELETE CASCADE,
+            name VARCHAR(100) NOT NULL,
+            description VARCHAR(500),
+            position INTEGER NOT NULL,
+            UNIQUE (template_id, name)
+        )
+    `);
+    await client.query('ALTER TABLE job_postings ADD COLUMN IF NOT EXISTS scorecard_template_id INTEGER REFERENCES scorecard_templates(id) ON DELETE SET NULL');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS scorecards (
+            id SERIAL PRIMARY KEY,
+            interview_id INTEGER NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            template_id INTEGER REFERENCES scorecard_templates(id) ON DELETE SET NULL,
+            interviewer_user_id INTEGER NOT NULL REFERENCES hr_users(id) ON DELETE CASCADE,
+            recommendation VARCHAR(20) NOT NULL
+                CHECK (recommendation IN ('strong_hire', 'hire', 'no_hire', 'strong_no_hire')),
+            notes TEXT,
+            submitted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (interview_id, interviewer_user_id)
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS scorecard_ratings (
+            scorecard_id INTEGER NOT NULL REFERENCES scorecards(id) ON DELETE CASCADE,
+            criterion VARCHAR(100) NOT NULL,
+            rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+            PRIMARY KEY (scorecard_id, criterion)
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS scorecards_application_idx ON scorecards (application_id)');
+
+    const template = await client.query(
+        'INSERT INTO scorecard_templates (name, is_default) VALUES ($1, $2) RETURNING id',
+        [DEFAULT_TEMPLATE.name, DEFAULT_TEMPLATE.is_default]
+    );
+    for (const [position, criterion] of DEFAULT_TEMPLATE.criteria.entries()) {
+        await client.query(
+            'INSERT INTO scorecard_template_criteria (template_id, name, description, position) VALUES ($1, $2, $3, $4)',
+            [template.rows[0].id, criterion.name, criterion.description, position]
+        );
+    }
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS scorecard_ratings');
+    await client.query('DROP TABLE IF EXISTS scorecards');
+    await client.query('ALTER TABLE job_postings DROP COLUMN IF EXISTS scorecard_template_id');
+    await client.query('DROP TABLE IF EXISTS scorecard_template_criteria');
+    await client.query('DROP TABLE IF EXISTS scorecard_templates');
+}
+
+module.exports = { up, down };
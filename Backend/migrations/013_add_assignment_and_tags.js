@@ -0,0 +1,32 @@
+// Recruiter assigned to each application, and free-form tags HR can put on applications
+async function up(client) {
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS assigned_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS applications_assigned_user_idx ON applications (assigned_user_id)');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS tags (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(50) NOT NULL,
+            name_key VARCHAR(50) NOT NULL UNIQUE,
+            color VARCHAR(7) NOT NULL DEFAULT '#6b7280',
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_tags (
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+            created_by_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (application_id, tag_id)
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS application_tags_tag_idx ON application_tags (tag_id)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS application_tags');
+    await client.query('DROP TABLE IF EXISTS tags');
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS assigned_user_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+// Deleting an application moves it to the archive; the retention job removes it for good later
+async function up(client) {
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS deleted_by_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS applications_deleted_at_idx ON applications (deleted_at)');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS applications_deleted_at_idx');
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS deleted_by_user_id');
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS deleted_at');
+}
+
+module.exports = { up, down };
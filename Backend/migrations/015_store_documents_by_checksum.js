@@ -0,0 +1,130 @@
+// Replaces the absolute resume_path / cover_letter_path columns with content-addressed storage keys
+// and SHA-256 checksums (see storage.js), and records quarantined uploads. Existing files are copied
+// into the configured storage; rows whose file is missing on disk are left without one.
+//
+// The storage drivers are copied from storage.js as of this migration (only what it uses), so
+// replaying it does not depend on later versions of that module.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+
+const DOCUMENTS = [
+    { column: 'resume', prefix: 'resumes' },
+    { column: 'cover_letter', prefix: 'cover_letters' }
+];
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function createLocalStore() {
+    const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage'));
+    return {
+        name: 'local',
+        root,
+        put: async (key, buffer) => {
+            const target = path.join(root, key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            const temp = `${target}.${process.pid}-${Date.now()}.tmp`;
+            await fs.promises.writeFile(temp, buffer);
+            await fs.promises.rename(temp, target);
+        }
+    };
+}
+
+function createS3Store() {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+    }
+    const s3 = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_ENDPOINT ? process.env.S3_FORCE_PATH_STYLE !== 'false' : false,
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    return {
+        name: 's3',
+        put: async (key, buffer, { contentType, sha256: checksum }) => {
+            await s3.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+                ChecksumSHA256: Buffer.from(checksum, 'hex').toString('base64')
+            }));
+        }
+    };
+}
+
+// STORAGE_DRIVER picks local or s3, defaulting to s3 when S3_BUCKET is set
+function createStore() {
+    const driverName = process.env.STORAGE_DRIVER || (process.env.S3_BUCKET ? 's3' : 'local');
+    if (driverName === 'local') return createLocalStore();
+    if (driverName === 's3') return createS3Store();
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: local, s3`);
+}
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS quarantined_files (
+            id SERIAL PRIMARY KEY,
+            storage_key VARCHAR(255) NOT NULL,
+            sha256 CHAR(64) NOT NULL,
+            original_name VARCHAR(255),
+            signature VARCHAR(255) NOT NULL,
+            source VARCHAR(50) NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const store = createStore();
+    for (const { column, prefix } of DOCUMENTS) {
+        await client.query(`ALTER TABLE applications ADD COLUMN IF NOT EXISTS ${column}_key VARCHAR(255)`);
+        await client.query(`ALTER TABLE applications ADD COLUMN IF NOT EXISTS ${column}_sha256 CHAR(64)`);
+
+        const rows = await client.query(`SELECT id, ${column}_path AS file_path FROM applications WHERE ${column}_path IS NOT NULL`);
+        for (const row of rows.rows) {
+            if (!fs.existsSync(row.file_path)) {
+                console.error(`Application ${row.id}: ${row.file_path} is missing, leaving ${column} empty`);
+                continue;
+            }
+            const buffer = fs.readFileSync(row.file_path);
+            const checksum = sha256(buffer);
+            const key = `${prefix}/${checksum}.pdf`;
+            await store.put(key, buffer, { contentType: 'application/pdf', sha256: checksum });
+            await client.query(
+                `UPDATE applications SET ${column}_key = $1, ${column}_sha256 = $2 WHERE id = $3`,
+                [key, checksum, row.id]
+            );
+        }
+        await client.query(`ALTER TABLE applications DROP COLUMN ${column}_path`);
+    }
+}
+
+// Only possible with the local driver, whose files have a path on disk
+async function down(client) {
+    const store = createStore();
+    if (store.name !== 'local') {
+        throw new Error('Reverting this migration needs the local storage driver');
+    }
+    for (const { column } of DOCUMENTS) {
+        await client.query(`ALTER TABLE applications ADD COLUMN IF NOT EXISTS ${column}_path VARCHAR(255)`);
+        const rows = await client.query(`SELECT id, ${column}_key AS storage_key FROM applications WHERE ${column}_key IS NOT NULL`);
+        for (const row of rows.rows) {
+            await client.query(
+                `UPDATE applications SET ${column}_path = $1 WHERE id = $2`,
+                [path.join(store.root, row.storage_key), row.id]
+            );
+        }
+        await client.query(`ALTER TABLE applications DROP COLUMN ${column}_key`);
+        await client.query(`ALTER TABLE applications DROP COLUMN ${column}_sha256`);
+    }
+    await client.query('DROP TABLE IF EXISTS quarantined_files');
+}
+
+module.exports = { up, down };
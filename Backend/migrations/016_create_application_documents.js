@@ -0,0 +1,60 @@
+// Typed, versioned documents per application (see documents.js). The resume and cover letter move
+// out of the applications table; their size and original file name were never recorded.
+const DOCUMENT_TYPES = ['resume', 'cover_letter', 'transcript', 'certificate', 'portfolio', 'other'];
+const MOVED_TYPES = ['resume', 'cover_letter'];
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_documents (
+            id SERIAL PRIMARY KEY,
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            doc_type VARCHAR(30) NOT NULL CHECK (doc_type IN (${DOCUMENT_TYPES.map(type => `'${type}'`).join(', ')})),
+            version INTEGER NOT NULL DEFAULT 1,
+            replaces_document_id INTEGER REFERENCES application_documents(id) ON DELETE SET NULL,
+            storage_key VARCHAR(255) NOT NULL,
+            sha256 CHAR(64) NOT NULL,
+            content_type VARCHAR(100) NOT NULL,
+            original_name VARCHAR(255),
+            size_bytes INTEGER,
+            uploaded_by_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL,
+            superseded_at TIMESTAMP,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS application_documents_application_idx ON application_documents (application_id, doc_type)');
+    await client.query('CREATE INDEX IF NOT EXISTS application_documents_storage_key_idx ON application_documents (storage_key)');
+
+    for (const type of MOVED_TYPES) {
+        await client.query(`
+            INSERT INTO application_documents (application_id, doc_type, storage_key, sha256, content_type, created_at)
+            SELECT id, '${type}', ${type}_key, ${type}_sha256, 'application/pdf', submission_date
+            FROM applications
+            WHERE ${type}_key IS NOT NULL
+            ORDER BY id
+        `);
+        await client.query(`ALTER TABLE applications DROP COLUMN IF EXISTS ${type}_key`);
+        await client.query(`ALTER TABLE applications DROP COLUMN IF EXISTS ${type}_sha256`);
+    }
+}
+
+// Restores the current resume and cover letter; other document types and older versions are lost
+async function down(client) {
+    for (const type of MOVED_TYPES) {
+        await client.query(`ALTER TABLE applications ADD COLUMN IF NOT EXISTS ${type}_key VARCHAR(255)`);
+        await client.query(`ALTER TABLE applications ADD COLUMN IF NOT EXISTS ${type}_sha256 CHAR(64)`);
+        const rows = await client.query(`
+            SELECT application_id, storage_key, sha256 FROM application_documents
+            WHERE doc_type = $1 AND superseded_at IS NULL
+            ORDER BY id
+        `, [type]);
+        for (const row of rows.rows) {
+            await client.query(
+                `UPDATE applications SET ${type}_key = $1, ${type}_sha256 = $2 WHERE id = $3`,
+                [row.storage_key, row.sha256, row.application_id]
+            );
+        }
+    }
+    await client.query('DROP TABLE IF EXISTS application_documents');
+}
+
+module.exports = { up, down };
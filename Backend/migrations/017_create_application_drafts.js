@@ -0,0 +1,23 @@
+// Partly filled application forms saved by the candidate, reopened with a link (see drafts.js)
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_drafts (
+            id SERIAL PRIMARY KEY,
+            token_hash VARCHAR(64) NOT NULL UNIQUE,
+            email VARCHAR(255),
+            form_data JSONB NOT NULL DEFAULT '{}',
+            page INTEGER NOT NULL DEFAULT 0,
+            link_sent_to VARCHAR(255),
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS application_drafts_expires_idx ON application_drafts (expires_at)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS application_drafts');
+}
+
+module.exports = { up, down };
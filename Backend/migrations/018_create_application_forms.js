@@ -0,0 +1,56 @@
+// Custom application forms: questions an admin adds on top of the standard form, chosen per job
+// posting. Answers keep the question's label and type so later form edits do not change what a
+// candidate answered.
+const QUESTION_TYPES = ['text', 'number', 'select', 'multi_select', 'yes_no', 'file'];
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_forms (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            description VARCHAR(500),
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_form_questions (
+            id SERIAL PRIMARY KEY,
+            form_id INTEGER NOT NULL REFERENCES application_forms(id) ON DELETE CASCADE,
+            question_key VARCHAR(50) NOT NULL,
+            label VARCHAR(255) NOT NULL,
+            help_text VARCHAR(500),
+            type VARCHAR(20) NOT NULL CHECK (type IN (${QUESTION_TYPES.map(type => `'${type}'`).join(', ')})),
+            required BOOLEAN NOT NULL DEFAULT FALSE,
+            options JSONB,
+            min_value NUMERIC,
+            max_value NUMERIC,
+            knockout JSONB,
+            position INTEGER NOT NULL,
+            UNIQUE (form_id, question_key)
+        )
+    `);
+    await client.query('ALTER TABLE job_postings ADD COLUMN IF NOT EXISTS application_form_id INTEGER REFERENCES application_forms(id) ON DELETE SET NULL');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_answers (
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            question_key VARCHAR(50) NOT NULL,
+            label VARCHAR(255) NOT NULL,
+            type VARCHAR(20) NOT NULL,
+            value JSONB,
+            document_id INTEGER REFERENCES application_documents(id) ON DELETE SET NULL,
+            knocked_out BOOLEAN NOT NULL DEFAULT FALSE,
+            position INTEGER NOT NULL,
+            PRIMARY KEY (application_id, question_key)
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS application_answers');
+    await client.query('ALTER TABLE job_postings DROP COLUMN IF EXISTS application_form_id');
+    await client.query('DROP TABLE IF EXISTS application_form_questions');
+    await client.query('DROP TABLE IF EXISTS application_forms');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,79 @@
+// Privacy controls (see pii.js and privacy.js): sensitive application columns become text so they
+// can hold ciphertext, the terms a candidate accepted are recorded per application, and
+// data-subject exports and erasures are audited. The audit log keeps a hash of the subject's email,
+// not the address, so it survives an erasure without keeping the person's data.
+const crypto = require('crypto');
+
+const CIPHER_PREFIX = 'enc:v1:';
+
+// Copy of pii.decryptValue as of this migration, so replaying it does not depend on later code
+function decrypt(value) {
+    if (typeof value !== 'string' || !value.startsWith(CIPHER_PREFIX)) return value;
+    const raw = (process.env.PII_ENCRYPTION_KEY || '').trim();
+    if (!raw) throw new Error('Encrypted application data found but PII_ENCRYPTION_KEY is not set');
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    const [iv, tag, encrypted] = value.slice(CIPHER_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// The columns pii.js encrypted when this migration was written
+const ENCRYPTED_FIELDS = ['dob', 'parent_name', 'current_address', 'permanent_address', 'emergency_contact', 'last_salary'];
+
+const TEXT_COLUMNS = [
+    { column: 'dob', type: 'DATE' },
+    { column: 'parent_name', type: 'VARCHAR(255)' },
+    { column: 'emergency_contact', type: 'VARCHAR(255)' },
+    { column: 'last_salary', type: 'NUMERIC' }
+];
+
+async function up(client) {
+    for (const { column } of TEXT_COLUMNS) {
+        await client.query(`ALTER TABLE applications ALTER COLUMN ${column} TYPE TEXT USING ${column}::text`);
+    }
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_consents (
+            id SERIAL PRIMARY KEY,
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            terms_version VARCHAR(50) NOT NULL,
+            ip_address VARCHAR(64),
+            user_agent VARCHAR(500),
+            accepted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS application_consents_application_idx ON application_consents (application_id)');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS privacy_audit_log (
+            id SERIAL PRIMARY KEY,
+            action VARCHAR(20) NOT NULL CHECK (action IN ('export', 'erase')),
+            subject_hash CHAR(64) NOT NULL,
+            subject_hint VARCHAR(255),
+            actor_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL,
+            actor_name VARCHAR(255),
+            details JSONB,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS privacy_audit_log_subject_idx ON privacy_audit_log (subject_hash)');
+}
+
+// Decrypts the columns first, so PII_ENCRYPTION_KEY must be set when rolling back encrypted data
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS privacy_audit_log');
+    await client.query('DROP TABLE IF EXISTS application_consents');
+
+    const rows = await client.query(`SELECT id, ${ENCRYPTED_FIELDS.join(', ')} FROM applications`);
+    for (const row of rows.rows) {
+        const values = ENCRYPTED_FIELDS.map(field => decrypt(row[field]));
+        await client.query(
+            `UPDATE applications SET ${ENCRYPTED_FIELDS.map((field, index) => `${field} = $${index + 2}`).join(', ')} WHERE id = $1`,
+            [row.id, ...values]
+        );
+    }
+    for (const { column, type } of TEXT_COLUMNS) {
+        await client.query(`ALTER TABLE applications ALTER COLUMN ${column} TYPE ${type} USING ${column}::${type.replace(/\(.*\)/, '')}`);
+    }
+}
+
+module.exports = { up, down };
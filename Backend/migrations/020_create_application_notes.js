@@ -0,0 +1,34 @@
+// Internal HR notes on applications, threaded one level deep (replies hang off a top-level note),
+// and the HR users each note @mentions. A note with replies keeps its row when deleted so the
+// thread stays readable; its body is cleared instead.
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS application_notes (
+            id SERIAL PRIMARY KEY,
+            application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+            parent_note_id INTEGER REFERENCES application_notes(id) ON DELETE CASCADE,
+            author_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL,
+            author_name VARCHAR(255),
+            body TEXT,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            edited_at TIMESTAMP,
+            deleted_at TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS application_notes_application_idx ON application_notes (application_id, created_at)');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS note_mentions (
+            note_id INTEGER NOT NULL REFERENCES application_notes(id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES hr_users(id) ON DELETE CASCADE,
+            PRIMARY KEY (note_id, user_id)
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS note_mentions_user_idx ON note_mentions (user_id)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS note_mentions');
+    await client.query('DROP TABLE IF EXISTS application_notes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// Row version for optimistic concurrency: every change to an application's status, assignee,
+// archive state or resume bumps it, and status updates that name an older version are rejected
+// so two recruiters cannot silently overwrite each other.
+async function up(client) {
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS version');
+}
+
+module.exports = { up, down };
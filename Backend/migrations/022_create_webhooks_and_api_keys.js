@@ -0,0 +1,62 @@
+// Outbound integrations: webhook endpoints registered by admins, the queue and log of deliveries
+// to them (retried with backoff like the email outbox), and API keys other internal systems use
+// to read applications. Signing secrets are stored encrypted when PII_ENCRYPTION_KEY is set;
+// API keys are stored as SHA-256 hashes only.
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_endpoints (
+            id SERIAL PRIMARY KEY,
+            url VARCHAR(2000) NOT NULL,
+            description VARCHAR(255),
+            events TEXT[] NOT NULL DEFAULT '{}',
+            secret TEXT NOT NULL,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id SERIAL PRIMARY KEY,
+            endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+            event_id VARCHAR(36) NOT NULL,
+            event_type VARCHAR(50) NOT NULL,
+            application_id INTEGER REFERENCES applications(id) ON DELETE CASCADE,
+            payload JSONB NOT NULL,
+            replay_of_delivery_id INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_status_code INTEGER,
+            last_error TEXT,
+            last_response TEXT,
+            next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            delivered_at TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_pending_idx ON webhook_deliveries (status, next_attempt_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint_idx ON webhook_deliveries (endpoint_id, id)');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            key_prefix VARCHAR(20) NOT NULL,
+            key_hash VARCHAR(64) NOT NULL UNIQUE,
+            scopes TEXT[] NOT NULL DEFAULT '{}',
+            created_by_user_id INTEGER REFERENCES hr_users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP,
+            last_used_at TIMESTAMP,
+            revoked_at TIMESTAMP
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS api_keys');
+    await client.query('DROP TABLE IF EXISTS webhook_deliveries');
+    await client.query('DROP TABLE IF EXISTS webhook_endpoints');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// expected_salary joins the encrypted application columns (see pii.js), so it becomes text. The
+// existing values are encrypted at startup like the other columns were in 019.
+const crypto = require('crypto');
+
+const CIPHER_PREFIX = 'enc:v1:';
+
+// Copy of pii.decryptValue as of this migration, so replaying it does not depend on later code
+function decrypt(value) {
+    if (typeof value !== 'string' || !value.startsWith(CIPHER_PREFIX)) return value;
+    const raw = (process.env.PII_ENCRYPTION_KEY || '').trim();
+    if (!raw) throw new Error('Encrypted application data found but PII_ENCRYPTION_KEY is not set');
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    const [iv, tag, encrypted] = value.slice(CIPHER_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+async function up(client) {
+    await client.query('ALTER TABLE applications ALTER COLUMN expected_salary TYPE TEXT USING expected_salary::text');
+}
+
+// Decrypts the column first, so PII_ENCRYPTION_KEY must be set when rolling back encrypted data
+async function down(client) {
+    const rows = await client.query('SELECT id, expected_salary FROM applications WHERE expected_salary IS NOT NULL');
+    for (const row of rows.rows) {
+        await client.query('UPDATE applications SET expected_salary = $1 WHERE id = $2', [decrypt(row.expected_salary), row.id]);
+    }
+    await client.query('ALTER TABLE applications ALTER COLUMN expected_salary TYPE NUMERIC USING expected_salary::numeric');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// Webhook payloads carry IDs, the job and the stage only; endpoints get the candidate's name and
+// contact details only when an admin allows it for that endpoint.
+async function up(client) {
+    await client.query('ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS include_personal_data BOOLEAN NOT NULL DEFAULT FALSE');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE webhook_endpoints DROP COLUMN IF EXISTS include_personal_data');
+}
+
+module.exports = { up, down };
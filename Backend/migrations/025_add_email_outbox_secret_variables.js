@@ -0,0 +1,42 @@
+// Tracking and draft links are no longer stored in email_outbox.body (see notifications.enqueue).
+// Sent emails queued before this change still hold them, so their bodies are removed; unsent ones
+// keep theirs so they can still go out.
+const crypto = require('crypto');
+
+const CIPHER_PREFIX = 'enc:v1:';
+
+const SECRET_TEMPLATE_KEYS = ['application_submitted', 'draft_saved'];
+
+// Copy of pii.decryptValue as of this migration, so replaying it does not depend on later code
+function decrypt(value) {
+    if (typeof value !== 'string' || !value.startsWith(CIPHER_PREFIX)) return value;
+    const raw = (process.env.PII_ENCRYPTION_KEY || '').trim();
+    if (!raw) throw new Error('Encrypted outbox data found but PII_ENCRYPTION_KEY is not set');
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    const [iv, tag, encrypted] = value.slice(CIPHER_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+async function up(client) {
+    await client.query('ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS secret_variables TEXT');
+    await client.query(`
+        UPDATE email_outbox
+        SET body = '[removed: contained a tracking or draft link]'
+        WHERE status = 'sent' AND template_key = ANY($1::text[])
+    `, [SECRET_TEMPLATE_KEYS]);
+}
+
+// Writes the held-back values into unsent emails, so PII_ENCRYPTION_KEY must be set when rolling back
+async function down(client) {
+    const rows = await client.query('SELECT id, subject, body, secret_variables FROM email_outbox WHERE secret_variables IS NOT NULL');
+    for (const row of rows.rows) {
+        const secrets = JSON.parse(decrypt(row.secret_variables));
+        const fill = text => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in secrets ? String(secrets[name] || '') : match));
+        await client.query('UPDATE email_outbox SET subject = $1, body = $2 WHERE id = $3', [fill(row.subject).slice(0, 255), fill(row.body), row.id]);
+    }
+    await client.query('ALTER TABLE email_outbox DROP COLUMN IF EXISTS secret_variables');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,188 @@
+// Match scores are stored with each application so the ranking can sort and page in SQL (see
+// ranking.js). Existing applications are scored here, which decrypts expected_salary, so
+// PII_ENCRYPTION_KEY must be set when the data is already encrypted. Decryption and scoring are
+// copied in so replaying the migration does not depend on later code.
+const crypto = require('crypto');
+
+const CIPHER_PREFIX = 'enc:v1:';
+
+// Copy of pii.decryptValue as of this migration
+function decrypt(value) {
+    if (typeof value !== 'string' || !value.startsWith(CIPHER_PREFIX)) return value;
+    const raw = (process.env.PII_ENCRYPTION_KEY || '').trim();
+    if (!raw) throw new Error('Encrypted application data found but PII_ENCRYPTION_KEY is not set');
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    const [iv, tag, encrypted] = value.slice(CIPHER_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// The scoring below is a copy of ranking.js as of this migration. Points available for each
+// criterion; a perfect match scores 100.
+const WEIGHTS = {
+    required_skills: 40,
+    nice_to_have_skills: 10,
+    experience: 20,
+    notice_period: 15,
+    expected_salary: 15
+};
+
+// Notice periods are free text on the form ("Immediate", "30 days", "2 months"); null when unreadable
+function parseNoticeDays(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    if (/^(immediate|immediately|none|nil|serving|0)/.test(text)) return 0;
+    const match = text.match(/(\d+(?:\.\d+)?)\s*(day|week|month)?/);
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    const unitDays = { day: 1, week: 7, month: 30 }[match[2]] || 1;
+    return Math.round(amount * unitDays);
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function skillCriterion(criterion, wanted, applicantSkillIds, label) {
+    const max = WEIGHTS[criterion];
+    if (wanted.length === 0) {
+        return { criterion, points: max, max_points: max, detail: `No ${label} skills set for this posting` };
+    }
+    const matched = wanted.filter(skill => applicantSkillIds.has(skill.id));
+    const missing = wanted.filter(skill => !applicantSkillIds.has(skill.id));
+    return {
+        criterion,
+        points: round(max * matched.length / wanted.length),
+        max_points: max,
+        matched: matched.map(skill => skill.name),
+        missing: missing.map(skill => skill.name),
+        detail: `Has ${matched.length} of ${wanted.length} ${label} skills` +
+            (missing.length > 0 ? ` (missing: ${missing.map(skill => skill.name).join(', ')})` : '')
+    };
+}
+
+function experienceCriterion(application, posting) {
+    const max = WEIGHTS.experience;
+    const minimum = posting.min_experience === null ? null : parseFloat(posting.min_experience);
+    const years = application.years_experience === null ? 0 : parseFloat(application.years_experience);
+    if (!minimum) {
+        return { criterion: 'experience', points: max, max_points: max, detail: 'No minimum experience set' };
+    }
+    const points = years >= minimum ? max : max * years / minimum;
+    return {
+        criterion: 'experience',
+        points: round(points),
+        max_points: max,
+        detail: `${years} year(s) of experience, ${minimum} required`
+    };
+}
+
+// Full points within the posting's limit, shrinking in proportion to how far the notice exceeds it
+function noticeCriterion(application, posting) {
+    const max = WEIGHTS.notice_period;
+    if (posting.max_notice_days === null) {
+        return { criterion: 'notice_period', points: max, max_points: max, detail: 'No notice period limit set' };
+    }
+    const days = parseNoticeDays(application.notice_period);
+    if (days === null) {
+        return {
+            criterion: 'notice_period',
+            points: round(max / 2),
+            max_points: max,
+            detail: `Notice period "${application.notice_period}" could not be read`
+        };
+    }
+    const limit = posting.max_notice_days;
+    const points = days <= limit ? max : max * limit / days;
+    return {
+        criterion: 'notice_period',
+        points: round(points),
+        max_points: max,
+        detail: `${days} day(s) notice, up to ${limit} wanted`
+    };
+}
+
+// Full points within budget, nothing once the expectation is double the budget or more
+function salaryCriterion(application, posting) {
+    const max = WEIGHTS.expected_salary;
+    if (posting.max_salary === null) {
+        return { criterion: 'expected_salary', points: max, max_points: max, detail: 'No salary budget set' };
+    }
+    const budget = parseFloat(posting.max_salary);
+    if (application.expected_salary === null) {
+        return { criterion: 'expected_salary', points: max, max_points: max, detail: 'No expected salary given' };
+    }
+    const expected = parseFloat(application.expected_salary);
+    const points = expected <= budget ? max : max * Math.max(0, 1 - (expected - budget) / budget);
+    return {
+        criterion: 'expected_salary',
+        points: round(points),
+        max_points: max,
+        // The expectation itself is personal data (see pii.js) and stays out of the breakdown
+        detail: expected <= budget ? `Within the budget of ${budget}` : `Above the budget of ${budget}`
+    };
+}
+
+function scoreApplication(application, applicantSkillIds, posting) {
+    const breakdown = [
+        skillCriterion('required_skills', posting.required_skills, applicantSkillIds, 'required'),
+        skillCriterion('nice_to_have_skills', posting.nice_to_have_skills, applicantSkillIds, 'nice-to-have'),
+        experienceCriterion(application, posting),
+        noticeCriterion(application, posting),
+        salaryCriterion(application, posting)
+    ];
+    return {
+        score: round(breakdown.reduce((total, item) => total + item.points, 0)),
+        breakdown
+    };
+}
+
+async function up(client) {
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS match_score NUMERIC(4,1)');
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS match_breakdown JSONB');
+    await client.query('CREATE INDEX IF NOT EXISTS applications_match_score_idx ON applications (job_posting_id, match_score DESC)');
+
+    const postings = await client.query('SELECT * FROM job_postings');
+    const postingsById = {};
+    postings.rows.forEach(posting => {
+        postingsById[posting.id] = Object.assign(posting, { required_skills: [], nice_to_have_skills: [] });
+    });
+    const postingSkills = await client.query(`
+        SELECT p.job_posting_id, p.requirement, s.id, s.name
+        FROM job_posting_skills p
+        JOIN skills s ON s.id = p.skill_id
+        ORDER BY s.name
+    `);
+    postingSkills.rows.forEach(row => {
+        const key = row.requirement === 'required' ? 'required_skills' : 'nice_to_have_skills';
+        postingsById[row.job_posting_id][key].push({ id: row.id, name: row.name });
+    });
+
+    const applications = await client.query(`
+        SELECT id, job_posting_id, years_experience, expected_salary, notice_period
+        FROM applications
+        WHERE job_posting_id IS NOT NULL
+    `);
+    const applicationSkills = await client.query('SELECT application_id, skill_id FROM application_skills');
+    for (const application of applications.rows) {
+        application.expected_salary = decrypt(application.expected_salary);
+        const skillIds = new Set(applicationSkills.rows
+            .filter(row => row.application_id === application.id)
+            .map(row => row.skill_id));
+        const match = scoreApplication(application, skillIds, postingsById[application.job_posting_id]);
+        await client.query(
+            'UPDATE applications SET match_score = $1, match_breakdown = $2 WHERE id = $3',
+            [match.score, JSON.stringify(match.breakdown), application.id]
+        );
+    }
+    console.log(`Scored ${applications.rows.length} application(s)`);
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS applications_match_score_idx');
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS match_breakdown');
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS match_score');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// expected_salary is encrypted (023), so the application list filters and sorts by a plaintext
+// band instead: the salary rounded down to SALARY_BAND_SIZE. Existing applications get their band
+// here; decryption is copied in so the migration does not depend on later versions of pii.js, and
+// PII_ENCRYPTION_KEY must be set when the salaries are already encrypted.
+const crypto = require('crypto');
+
+const CIPHER_PREFIX = 'enc:v1:';
+const SALARY_BAND_SIZE = parseInt(process.env.SALARY_BAND_SIZE, 10) || 50000;
+
+// Copy of pii.decryptValue as of this migration
+function decrypt(value) {
+    if (typeof value !== 'string' || !value.startsWith(CIPHER_PREFIX)) return value;
+    const raw = (process.env.PII_ENCRYPTION_KEY || '').trim();
+    if (!raw) throw new Error('Encrypted application data found but PII_ENCRYPTION_KEY is not set');
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    const [iv, tag, encrypted] = value.slice(CIPHER_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+async function up(client) {
+    await client.query('ALTER TABLE applications ADD COLUMN IF NOT EXISTS expected_salary_band NUMERIC');
+    await client.query('CREATE INDEX IF NOT EXISTS applications_salary_band_idx ON applications (expected_salary_band)');
+
+    const rows = await client.query('SELECT id, expected_salary FROM applications WHERE expected_salary IS NOT NULL');
+    for (const row of rows.rows) {
+        const amount = Number(decrypt(row.expected_salary));
+        if (isNaN(amount)) continue;
+        await client.query(
+            'UPDATE applications SET expected_salary_band = $1 WHERE id = $2',
+            [Math.floor(amount / SALARY_BAND_SIZE) * SALARY_BAND_SIZE, row.id]
+        );
+    }
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS applications_salary_band_idx');
+    await client.query('ALTER TABLE applications DROP COLUMN IF EXISTS expected_salary_band');
+}
+
+module.exports = { up, down };
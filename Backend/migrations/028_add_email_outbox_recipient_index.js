@@ -0,0 +1,11 @@
+// Resume links of application drafts are limited per address (see drafts.sendResumeLink), which
+// counts the recent emails to that address
+async function up(client) {
+    await client.query('CREATE INDEX IF NOT EXISTS email_outbox_recipient_idx ON email_outbox (to_address, template_key, created_at)');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS email_outbox_recipient_idx');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+// Migration files are named <version>_<description>.js and export async up(client) and down(client).
+// They run in filename order, each inside its own transaction.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+async function createMigrationsTable() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(255) PRIMARY KEY,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { version: file.replace(/\.js$/, ''), up: migration.up, down: migration.down };
+        });
+}
+
+// Every migration on disk with the time it was applied, or null when it is pending
+async function getStatus() {
+    await createMigrationsTable();
+    const result = await pool.query('SELECT version, applied_at FROM schema_migrations');
+    const applied = new Map(result.rows.map(row => [row.version, row.applied_at]));
+    return loadMigrations().map(migration => ({
+        version: migration.version,
+        applied_at: applied.get(migration.version) || null
+    }));
+}
+
+async function getPendingMigrations() {
+    const status = await getStatus();
+    return status.filter(migration => !migration.applied_at);
+}
+
+async function runInTransaction(callback) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await callback(client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Applies all pending migrations in order and stops at the first failure
+async function migrateUp() {
+    const pending = new Set((await getPendingMigrations()).map(migration => migration.version));
+    const applied = [];
+    for (const migration of loadMigrations().filter(migration => pending.has(migration.version))) {
+        console.log(`Applying migration ${migration.version}...`);
+        await runInTransaction(async client => {
+            await migration.up(client);
+            await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [migration.version]);
+        });
+        applied.push(migration.version);
+        console.log(`Applied migration ${migration.version}`);
+    }
+    return applied;
+}
+
+// Reverts the most recently applied migrations, newest first
+async function migrateDown(steps = 1) {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const result = await pool.query('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT $1', [steps]);
+    const reverted = [];
+    for (const { version } of result.rows) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`Migration file for applied version ${version} not found`);
+        }
+        console.log(`Reverting migration ${version}...`);
+        await runInTransaction(async client => {
+            await migration.down(client);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+        reverted.push(version);
+        console.log(`Reverted migration ${version}`);
+    }
+    return reverted;
+}
+
+module.exports = {
+    getStatus,
+    getPendingMigrations,
+    migrateUp,
+    migrateDown
+};
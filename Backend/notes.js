@@ -0,0 +1,227 @@
+// Internal HR notes on applications. Notes are threaded one level deep: a reply to a reply joins
+// the thread of the top-level note. "@asha" (the part of an HR user's email before the @) or
+// "@asha@example.com" mentions a colleague, who is emailed a link to the application.
+// Nothing here is exposed through the candidate portal.
+const pool = require('./db');
+const auth = require('./auth');
+const notifications = require('./notifications');
+
+const MAX_NOTE_LENGTH = 5000;
+// Dashboard page linked from mention emails; the application is opened with ?application=
+const HR_DASHBOARD_URL = process.env.HR_DASHBOARD_URL || 'http://localhost:5500/Hr_Page/index.html';
+
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+const ARCHIVED = { code: 409, error: 'Application is archived; restore it first' };
+
+function getApplicationUrl(applicationId) {
+    const url = new URL(HR_DASHBOARD_URL);
+    url.searchParams.set('application', applicationId);
+    return url.toString();
+}
+
+// "@asha, ask @ravi.k@example.com." -> ['asha', 'ravi.k@example.com']
+function parseMentions(body) {
+    const handles = [...String(body || '').matchAll(MENTION_PATTERN)]
+        .map(match => match[2].replace(/\.+$/, '').toLowerCase())
+        .filter(handle => handle);
+    return [...new Set(handles)];
+}
+
+function validateBody(body) {
+    const text = String(body === undefined || body === null ? '' : body).trim();
+    if (!text) return { error: 'body is required' };
+    if (text.length > MAX_NOTE_LENGTH) return { error: `body must be ${MAX_NOTE_LENGTH} characters or fewer` };
+    return { text };
+}
+
+/**
+ * Active HR users who can be mentioned, each with the handle to type after the @: the part of
+ * the email before the @, or the whole email when two users share that part.
+ */
+async function getMentionableUsers(client = pool) {
+    const result = await client.query(`
+        SELECT id, full_name, email, role
+        FROM hr_users
+        WHERE is_active
+        ORDER BY full_name
+    `);
+    const localPart = user => user.email.split('@')[0].toLowerCase();
+    return result.rows.map(user => Object.assign(user, {
+        handle: result.rows.filter(other => localPart(other) === localPart(user)).length === 1
+            ? localPart(user)
+            : user.email.toLowerCase()
+    }));
+}
+
+// The users a note body mentions; handles that match nobody (or more than one user) are ignored
+async function resolveMentions(client, body) {
+    const handles = parseMentions(body);
+    if (handles.length === 0) return [];
+    const users = await getMentionableUsers(client);
+    return users.filter(user => handles.includes(user.handle) || handles.includes(user.email.toLowerCase()));
+}
+
+// Replaces the note's mentions and emails the users mentioned for the first time
+async function saveMentions(client, note, application, author, previousUserIds = []) {
+    const users = await resolveMentions(client, note.body);
+    await client.query('DELETE FROM note_mentions WHERE note_id = $1', [note.id]);
+    for (const user of users) {
+        await client.query('INSERT INTO note_mentions (note_id, user_id) VALUES ($1, $2)', [note.id, user.id]);
+        if (previousUserIds.includes(user.id) || user.id === author.id) continue;
+        await notifications.notifyMention(client, application, {
+            to: user.email,
+            mentionedName: user.full_name,
+            authorName: author.full_name,
+            note: note.body,
+            applicationUrl: getApplicationUrl(application.id)
+        });
+    }
+    return users;
+}
+
+async function findApplication(client, applicationId) {
+    const result = await client.query(
+        'SELECT id, full_name, job_role, deleted_at FROM applications WHERE id = $1',
+        [applicationId]
+    );
+    return result.rows[0] || null;
+}
+
+async function findNote(client, noteId) {
+    const result = await client.query('SELECT * FROM application_notes WHERE id = $1 FOR UPDATE', [noteId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Adds a note, or a reply when parentId is given. Returns { note } with the new note's id and the
+ * users it mentions, or { error, code }.
+ */
+async function createNote(client, applicationId, { body, parentId = null }, user) {
+    const { text, error } = validateBody(body);
+    if (error) return { code: 400, error };
+    const application = await findApplication(client, applicationId);
+    if (!application) return { code: 404, error: 'Application not found' };
+    if (application.deleted_at) return ARCHIVED;
+
+    let threadId = null;
+    if (parentId !== null && parentId !== undefined && parentId !== '') {
+        const parent = await findNote(client, parentId);
+        if (!parent || parent.application_id !== application.id) {
+            return { code: 400, error: 'parent_id must be a note on the same application' };
+        }
+        if (parent.deleted_at) return { code: 409, error: 'Cannot reply to a deleted note' };
+        threadId = parent.parent_note_id || parent.id;
+    }
+
+    const result = await client.query(`
+        INSERT INTO application_notes (application_id, parent_note_id, author_user_id, author_name, body)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `, [application.id, threadId, user.id, user.full_name, text]);
+    const note = result.rows[0];
+    const mentions = await saveMentions(client, note, application, user);
+    return { note: { id: note.id, parent_note_id: threadId, mentions: mentions.map(mention => mention.id) } };
+}
+
+// Only the author can edit a note. Users newly mentioned by the edit are notified.
+async function updateNote(client, noteId, body, user) {
+    const { text, error } = validateBody(body);
+    if (error) return { code: 400, error };
+    const note = await findNote(client, noteId);
+    if (!note) return { code: 404, error: 'Note not found' };
+    if (note.deleted_at) return { code: 409, error: 'Note has been deleted' };
+    if (note.author_user_id !== user.id) return { code: 403, error: 'Only the author can edit a note' };
+    const application = await findApplication(client, note.application_id);
+    if (application.deleted_at) return ARCHIVED;
+
+    const previous = await client.query('SELECT user_id FROM note_mentions WHERE note_id = $1', [note.id]);
+    const updated = await client.query(
+        'UPDATE application_notes SET body = $1, edited_at = NOW() WHERE id = $2 RETURNING *',
+        [text, note.id]
+    );
+    const mentions = await saveMentions(client, updated.rows[0], application, user, previous.rows.map(row => row.user_id));
+    return { note: { id: note.id, application_id: note.application_id, mentions: mentions.map(mention => mention.id) } };
+}
+
+/**
+ * Deletes a note; authors can delete their own notes and admins any note. A note that still has
+ * replies is blanked instead, and a blanked note goes once its last reply is deleted.
+ */
+async function deleteNote(client, noteId, user) {
+    const note = await findNote(client, noteId);
+    if (!note || note.deleted_at) return { code: 404, error: 'Note not found' };
+    if (note.author_user_id !== user.id && !auth.hasRole(user, 'admin')) {
+        return { code: 403, error: 'Only the author or an admin can delete a note' };
+    }
+
+    const replies = await client.query('SELECT COUNT(*)::int AS count FROM application_notes WHERE parent_note_id = $1', [note.id]);
+    if (replies.rows[0].count > 0) {
+        await client.query('UPDATE application_notes SET body = NULL, deleted_at = NOW() WHERE id = $1', [note.id]);
+        await client.query('DELETE FROM note_mentions WHERE note_id = $1', [note.id]);
+        return { deleted: 'blanked', application_id: note.application_id };
+    }
+    await client.query('DELETE FROM application_notes WHERE id = $1', [note.id]);
+    if (note.parent_note_id) {
+        const siblings = await client.query(
+            'SELECT COUNT(*)::int AS count FROM application_notes WHERE parent_note_id = $1',
+            [note.parent_note_id]
+        );
+        if (siblings.rows[0].count === 0) {
+            await client.query('DELETE FROM application_notes WHERE id = $1 AND deleted_at IS NOT NULL', [note.parent_note_id]);
+        }
+    }
+    return { deleted: 'removed', application_id: note.application_id };
+}
+
+/**
+ * Notes of an application as threads, oldest first: top-level notes with their replies, each
+ * with the users it mentions. Deleted notes that still have replies come back with deleted: true
+ * and no body.
+ */
+async function getNotes(applicationId, client = pool) {
+    const notes = await client.query(`
+        SELECT id, parent_note_id, author_user_id, author_name, body, created_at, edited_at, deleted_at
+        FROM application_notes
+        WHERE application_id = $1
+        ORDER BY created_at, id
+    `, [applicationId]);
+    const mentions = await client.query(`
+        SELECT m.note_id, u.id, u.full_name, u.email
+        FROM note_mentions m
+        JOIN hr_users u ON u.id = m.user_id
+        JOIN application_notes n ON n.id = m.note_id
+        WHERE n.application_id = $1
+        ORDER BY u.full_name
+    `, [applicationId]);
+
+    const threads = [];
+    const byId = {};
+    notes.rows.forEach(row => {
+        const note = Object.assign(row, {
+            deleted: Boolean(row.deleted_at),
+            mentions: mentions.rows
+                .filter(mention => mention.note_id === row.id)
+                .map(mention => ({ id: mention.id, full_name: mention.full_name, email: mention.email }))
+        });
+        byId[note.id] = note;
+        if (note.parent_note_id && byId[note.parent_note_id]) {
+            byId[note.parent_note_id].replies.push(note);
+        } else {
+            note.replies = [];
+            threads.push(note);
+        }
+    });
+    return threads;
+}
+
+module.exports = {
+    HR_DASHBOARD_URL,
+    MAX_NOTE_LENGTH,
+    getApplicationUrl,
+    parseMentions,
+    getMentionableUsers,
+    createNote,
+    updateNote,
+    deleteNote,
+    getNotes
+};
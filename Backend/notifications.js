@@ -0,0 +1,351 @@
+const pool = require('./db');
+const { createTransport, SEND_TIMEOUT_MS } = require('./mailer');
+const pii = require('./pii');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@example.com';
+const HR_NOTIFY_EMAIL = process.env.HR_NOTIFY_EMAIL || '';
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.MAIL_RETRY_BASE_SECONDS, 10) || 60;
+const WORKER_INTERVAL_MS = parseInt(process.env.MAIL_WORKER_INTERVAL_MS, 10) || 15000;
+const WORKER_BATCH_SIZE = 10;
+// Emails in a batch are sent one after another, so a claim must outlast every send timing out
+// in each of its stages
+const CLAIM_LEASE_SECONDS = Math.ceil(WORKER_BATCH_SIZE * 3 * SEND_TIMEOUT_MS / 1000) + 60;
+
+const APPLICATION_VARIABLES = ['full_name', 'email', 'job_role', 'preferred_location', 'application_id', 'status'];
+const INTERVIEW_VARIABLES = [
+    ...APPLICATION_VARIABLES, 'interview_type', 'interview_time', 'duration_minutes', 'location', 'meeting_link'
+];
+
+// Seeded on first start; HR can edit subject and body through PUT /api/notifications/templates/:key.
+// secretVariables grant access to the candidate's application or draft. They are left as placeholders in
+// the stored body and filled in only when the email is sent (see enqueue).
+const DEFAULT_TEMPLATES = [
+    {
+        key: 'application_submitted',
+        description: 'Sent to the candidate when an application is submitted',
+        variables: [...APPLICATION_VARIABLES, 'tracking_token', 'tracking_url'],
+        secretVariables: ['tracking_token', 'tracking_url'],
+        subject: 'We received your application for {{job_role}}',
+        body: 'Dear {{full_name}},\n\nThank you for applying for the {{job_role}} position ({{preferred_location}}). ' +
+            'Your application number is {{application_id}}.\n\nYou can check its progress, upload an updated resume or withdraw at any time:\n' +
+            '{{tracking_url}}\n\nTracking token: {{tracking_token}}\n\nOur HR team will review your application and get back to you.\n\nRegards,\nHR Team'
+    },
+    {
+        key: 'status_changed',
+        description: 'Sent to the candidate when their application moves to another stage',
+        variables: [...APPLICATION_VARIABLES, 'previous_status', 'comment'],
+        subject: 'Update on your application for {{job_role}}',
+        body: 'Dear {{full_name}},\n\nYour application for {{job_role}} has moved from {{previous_status}} to {{status}}.\n\nRegards,\nHR Team'
+    },
+    {
+        key: 'interview_invite',
+        description: 'Sent to the candidate when an interview round is scheduled',
+        variables: INTERVIEW_VARIABLES,
+        subject: 'Interview invitation for {{job_role}}',
+        body: 'Dear {{full_name}},\n\nWe would like to invite you to a {{interview_type}} interview for the {{job_role}} position.\n\n' +
+            'When: {{interview_time}} ({{duration_minutes}} minutes)\nWhere: {{location}}\nMeeting link: {{meeting_link}}\n\n' +
+            'Please let us know if this time does not suit you.\n\nRegards,\nHR Team'
+    },
+    {
+        key: 'interview_rescheduled',
+        description: 'Sent to the candidate when a scheduled interview round changes',
+        variables: INTERVIEW_VARIABLES,
+        subject: 'Updated interview details for {{job_role}}',
+        body: 'Dear {{full_name}},\n\nThe details of your {{interview_type}} interview for the {{job_role}} position have changed.\n\n' +
+            'When: {{interview_time}} ({{duration_minutes}} minutes)\nWhere: {{location}}\nMeeting link: {{meeting_link}}\n\n' +
+            'Regards,\nHR Team'
+    },
+    {
+        key: 'interview_cancelled',
+        description: 'Sent to the candidate when a scheduled interview round is cancelled',
+        variables: INTERVIEW_VARIABLES,
+        subject: 'Interview cancelled for {{job_role}}',
+        body: 'Dear {{full_name}},\n\nYour {{interview_type}} interview for the {{job_role}} position on {{interview_time}} has been cancelled. ' +
+            'Our HR team will be in touch about next steps.\n\nRegards,\nHR Team'
+    },
+    {
+        key: 'draft_saved',
+        description: 'Sent to the candidate with a link to continue an unfinished application',
+        variables: ['full_name', 'email', 'resume_url', 'expires_at'],
+        secretVariables: ['resume_url'],
+        subject: 'Continue your application',
+        body: 'Dear {{full_name}},\n\nYour application has been saved as a draft. You can continue where you left off with this link:\n' +
+            '{{resume_url}}\n\nThe draft is kept until {{expires_at}}; saving it again extends that. ' +
+            'Please do not share this link, as anyone with it can see what you have entered.\n\nRegards,\nHR Team'
+    },
+    {
+        key: 'hr_new_application',
+        description: 'Sent to HR_NOTIFY_EMAIL when a new application is submitted',
+        variables: APPLICATION_VARIABLES,
+        subject: 'New application: {{full_name}} for {{job_role}}',
+        body: '{{full_name}} ({{email}}) applied for {{job_role}} in {{preferred_location}}.\n\nApplication ID: {{application_id}}'
+    },
+    {
+        key: 'note_mention',
+        description: 'Sent to an HR user when a colleague @mentions them in a note on an application',
+        variables: ['mentioned_name', 'author_name', 'full_name', 'job_role', 'application_id', 'note', 'application_url'],
+        subject: '{{author_name}} mentioned you on {{full_name}}\'s application',
+        body: 'Hi {{mentioned_name}},\n\n{{author_name}} mentioned you in a note on the application of {{full_name}} for {{job_role}} ' +
+            '(ID {{application_id}}):\n\n{{note}}\n\nOpen the application:\n{{application_url}}'
+    }
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Inserts any default template that does not exist yet; edited templates are left alone
+async function seedDefaultTemplates() {
+    for (const template of DEFAULT_TEMPLATES) {
+        await pool.query(
+            'INSERT INTO email_templates (key, subject, body) VALUES ($1, $2, $3) ON CONFLICT (key) DO NOTHING',
+            [template.key, template.subject, template.body]
+        );
+    }
+    console.log('Default email templates seeded');
+}
+
+function getTemplateDefinition(key) {
+    return DEFAULT_TEMPLATES.find(template => template.key === key);
+}
+
+function hasSecretVariables(key) {
+    const definition = getTemplateDefinition(key);
+    return Boolean(definition && definition.secretVariables && definition.secretVariables.length > 0);
+}
+
+async function getTemplates() {
+    const result = await pool.query('SELECT * FROM email_templates ORDER BY key');
+    return result.rows.map(row => {
+        const definition = getTemplateDefinition(row.key);
+        return Object.assign(row, {
+            description: definition ? definition.description : '',
+            variables: definition ? definition.variables : []
+        });
+    });
+}
+
+// Replaces {{name}} placeholders; unknown or empty values render as an empty string
+function render(text, variables) {
+    return String(text).replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// Returns a list of problems with a template edit; empty when it is valid
+function validateTemplate(key, { subject, body }) {
+    const errors = [];
+    const definition = getTemplateDefinition(key);
+    if (!subject || !String(subject).trim()) errors.push('subject is required');
+    if (subject && String(subject).length > 255) errors.push('subject must be 255 characters or fewer');
+    if (!body || !String(body).trim()) errors.push('body is required');
+
+    const used = [...`${subject || ''} ${body || ''}`.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+    const unknown = [...new Set(used)].filter(name => !definition.variables.includes(name));
+    if (unknown.length > 0) {
+        errors.push(`Unknown placeholders: ${unknown.join(', ')}. Available: ${definition.variables.join(', ')}`);
+    }
+    return errors;
+}
+
+async function updateTemplate(key, { subject, body }, user) {
+    const result = await pool.query(`
+        UPDATE email_templates
+        SET subject = $1, body = $2, updated_at = NOW(), updated_by_user_id = $3
+        WHERE key = $4
+        RETURNING *
+    `, [String(subject).trim(), body, user.id, key]);
+    return result.rows[0];
+}
+
+/**
+ * Renders a template and queues it in the outbox. Pass the transaction client so the
+ * email is only queued if the surrounding change commits. The template's secret variables
+ * stay as placeholders in the stored subject and body; their values are kept encrypted in
+ * secret_variables and dropped once the email is sent.
+ */
+async function enqueue(client, templateKey, { to, applicationId = null, variables }) {
+    if (!to) return null;
+    const template = await client.query('SELECT subject, body FROM email_templates WHERE key = $1', [templateKey]);
+    if (template.rows.length === 0) {
+        console.error(`Email template ${templateKey} not found; nothing queued`);
+        return null;
+    }
+    const definition = getTemplateDefinition(templateKey);
+    const secretNames = (definition && definition.secretVariables) || [];
+    const stored = Object.assign({}, variables);
+    const secrets = {};
+    secretNames.forEach(name => {
+        secrets[name] = variables[name];
+        stored[name] = `{{${name}}}`;
+    });
+    const result = await client.query(`
+        INSERT INTO email_outbox (template_key, application_id, to_address, subject, body, secret_variables)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+    `, [
+        templateKey, applicationId, to,
+        render(template.rows[0].subject, stored).slice(0, 255),
+        render(template.rows[0].body, stored),
+        secretNames.length > 0 ? pii.encryptValue(JSON.stringify(secrets)) : null
+    ]);
+    console.log(`Queued ${templateKey} email ${result.rows[0].id} for ${pii.maskEmail(to)}`);
+    return result.rows[0].id;
+}
+
+function applicationVariables(application) {
+    return {
+        full_name: application.full_name,
+        email: application.email,
+        job_role: application.job_role,
+        preferred_location: application.preferred_location,
+        application_id: application.id,
+        status: application.status
+    };
+}
+
+// The tracking token only goes into the candidate's own email, never the HR notification
+async function notifyApplicationSubmitted(client, application, { trackingToken, trackingUrl } = {}) {
+    const variables = applicationVariables(application);
+    await enqueue(client, 'application_submitted', {
+        to: application.email,
+        applicationId: application.id,
+        variables: Object.assign({ tracking_token: trackingToken, tracking_url: trackingUrl }, variables)
+    });
+    await enqueue(client, 'hr_new_application', { to: HR_NOTIFY_EMAIL, applicationId: application.id, variables });
+}
+
+async function notifyStatusChanged(client, application, previousStatus, comment) {
+    const variables = Object.assign(applicationVariables(application), { previous_status: previousStatus, comment });
+    await enqueue(client, 'status_changed', { to: application.email, applicationId: application.id, variables });
+}
+
+// templateKey is interview_invite, interview_rescheduled or interview_cancelled
+async function notifyInterview(client, templateKey, application, interviewVariables) {
+    const variables = Object.assign(applicationVariables(application), interviewVariables);
+    await enqueue(client, templateKey, { to: application.email, applicationId: application.id, variables });
+}
+
+async function notifyDraftSaved(client, draft, { fullName, resumeUrl }) {
+    await enqueue(client, 'draft_saved', {
+        to: draft.email,
+        variables: {
+            full_name: fullName || 'Candidate',
+            email: draft.email,
+            resume_url: resumeUrl,
+            expires_at: new Date(draft.expires_at).toDateString()
+        }
+    });
+}
+
+// Internal notes never reach the candidate; this goes to the mentioned HR user only
+async function notifyMention(client, application, { to, mentionedName, authorName, note, applicationUrl }) {
+    await enqueue(client, 'note_mention', {
+        to,
+        applicationId: application.id,
+        variables: {
+            mentioned_name: mentionedName,
+            author_name: authorName,
+            full_name: application.full_name,
+            job_role: application.job_role,
+            application_id: application.id,
+            note,
+            application_url: applicationUrl
+        }
+    });
+}
+
+// Fills in the secret variables held back by enqueue
+function renderSecrets(text, email) {
+    if (!email.secret_variables) return text;
+    return render(text, JSON.parse(pii.decryptValue(email.secret_variables)));
+}
+
+// Sends due outbox emails. Failures are retried with exponential backoff until MAX_ATTEMPTS.
+// Due rows are claimed in a single statement that pushes next_attempt_at past the time the whole
+// batch can take, so no transaction or row lock is held while the mail server is called. If the
+// worker dies mid-batch the lease runs out and the rows are picked up again. Secret variables are
+// cleared once an email is sent or has failed for the last time.
+async function processOutbox(transport) {
+    const due = await pool.query(`
+        UPDATE email_outbox
+        SET next_attempt_at = NOW() + $2::int * INTERVAL '1 second'
+        WHERE id IN (
+            SELECT id FROM email_outbox
+            WHERE status = 'pending' AND next_attempt_at <= NOW()
+            ORDER BY id
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [WORKER_BATCH_SIZE, CLAIM_LEASE_SECONDS]);
+    const emails = due.rows.sort((a, b) => a.id - b.id);
+
+    for (const email of emails) {
+        const attempts = email.attempts + 1;
+        try {
+            await transport.send({
+                from: MAIL_FROM,
+                to: email.to_address,
+                subject: renderSecrets(email.subject, email),
+                text: renderSecrets(email.body, email)
+            });
+            await pool.query(`
+                UPDATE email_outbox
+                SET status = 'sent', attempts = $2, last_error = NULL, sent_at = NOW(), secret_variables = NULL
+                WHERE id = $1
+            `, [email.id, attempts]);
+            console.log(`Sent email ${email.id} (${email.template_key}) to ${pii.maskEmail(email.to_address)}`);
+        } catch (error) {
+            const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+            const delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+            await pool.query(`
+                UPDATE email_outbox
+                SET status = $2, attempts = $3, last_error = $4, next_attempt_at = NOW() + $5::int * INTERVAL '1 second',
+                    secret_variables = CASE WHEN $2 = 'failed' THEN NULL ELSE secret_variables END
+                WHERE id = $1
+            `, [email.id, status, attempts, error.message, delaySeconds]);
+            console.error(`Error sending email ${email.id} (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+        }
+    }
+    return emails.length;
+}
+
+function startOutboxWorker() {
+    const transport = createTransport();
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processOutbox(transport);
+        } catch (error) {
+            console.error('Error processing email outbox:', error.message);
+        } finally {
+            running = false;
+        }
+    }, WORKER_INTERVAL_MS);
+    timer.unref();
+    console.log(`Email outbox worker started using the ${transport.name} transport`);
+    return timer;
+}
+
+module.exports = {
+    MAIL_FROM,
+    DEFAULT_TEMPLATES,
+    seedDefaultTemplates,
+    getTemplateDefinition,
+    hasSecretVariables,
+    getTemplates,
+    render,
+    validateTemplate,
+    updateTemplate,
+    enqueue,
+    notifyApplicationSubmitted,
+    notifyDraftSaved,
+    notifyStatusChanged,
+    notifyInterview,
+    notifyMention,
+    processOutbox,
+    startOutboxWorker
+};
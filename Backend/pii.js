@@ -0,0 +1,257 @@
+// Applicant personal data: field-level encryption of sensitive application columns, masking for
+// HR roles that may not see personal details, and redaction of request data before it is logged.
+const crypto = require('crypto');
+const pool = require('./db');
+const auth = require('./auth');
+
+// Stored encrypted with AES-256-GCM, so SQL cannot filter or sort by them
+const ENCRYPTED_FIELDS = [
+    'dob', 'parent_name', 'current_address', 'permanent_address', 'emergency_contact', 'last_salary', 'expected_salary'
+];
+const CIPHER_PREFIX = 'enc:v1:';
+// expected_salary is also kept rounded down to a band in expected_salary_band, which the
+// application list filters and sorts by instead of the encrypted value
+const SALARY_BAND_SIZE = parseInt(process.env.SALARY_BAND_SIZE, 10) || 50000;
+const ENCRYPT_BATCH_SIZE = 200;
+
+// HR users below this role get personal details masked in every response, export and dossier
+const PII_VIEW_ROLE = process.env.PII_VIEW_ROLE || 'recruiter';
+const HIDDEN = '[hidden]';
+
+// 730000 => 700000 with the default band size; null when there is no salary
+function salaryBand(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = Number(value);
+    if (isNaN(amount)) return null;
+    return Math.floor(amount / SALARY_BAND_SIZE) * SALARY_BAND_SIZE;
+}
+
+function maskEmail(value) {
+    const [name, domain] = String(value).split('@');
+    return domain ? `${name.charAt(0)}***@${domain}` : HIDDEN;
+}
+
+function maskPhone(value) {
+    const text = String(value);
+    return text.length > 4 ? '*'.repeat(text.length - 4) + text.slice(-4) : HIDDEN;
+}
+
+const hide = () => HIDDEN;
+
+const MASKED_FIELDS = {
+    email: maskEmail,
+    reference_email: maskEmail,
+    mobile: maskPhone,
+    alt_mobile: maskPhone,
+    emergency_contact: maskPhone,
+    dob: hide,
+    parent_name: hide,
+    current_address: hide,
+    permanent_address: hide,
+    reference_name: hide,
+    last_salary: hide,
+    expected_salary: hide,
+    // The parsed resume repeats the address, phone number and date of birth
+    resume_text: hide
+};
+
+// Request fields replaced before a body is logged, and query parameters replaced in access logs
+const LOG_REDACTED_FIELDS = [
+    'full_name', 'email', 'mobile', 'alt_mobile', 'dob', 'parent_name', 'gender', 'nationality',
+    'marital_status', 'current_address', 'permanent_address', 'zipcode', 'emergency_contact',
+    'expected_salary', 'last_salary', 'linkedin', 'github', 'reference_name', 'reference_email',
+    'answers', 'draft_token', 'token', 'password'
+];
+const LOG_REDACTED_PARAMS = ['q', 'email', 'token', 'draft'];
+const REDACTED = '[redacted]';
+
+let cachedKey;
+
+// PII_ENCRYPTION_KEY holds 32 bytes as hex or base64 (e.g. `openssl rand -base64 32`). Null when unset.
+function getKey() {
+    if (cachedKey !== undefined) return cachedKey;
+    const raw = (process.env.PII_ENCRYPTION_KEY || '').trim();
+    if (!raw) {
+        cachedKey = null;
+        return cachedKey;
+    }
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    if (key.length !== 32) {
+        throw new Error('PII_ENCRYPTION_KEY must be 32 bytes, hex or base64 encoded');
+    }
+    cachedKey = key;
+    return cachedKey;
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(CIPHER_PREFIX);
+}
+
+// "enc:v1:<iv>:<auth tag>:<ciphertext>", base64 parts. Without a key the value is stored as text.
+function encryptValue(value) {
+    if (value === null || value === undefined) return null;
+    if (isEncrypted(value)) return value;
+    const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    const key = getKey();
+    if (!key) return text;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return CIPHER_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+// Values written before encryption was enabled are returned as they are
+function decryptValue(value) {
+    if (!isEncrypted(value)) return value;
+    const key = getKey();
+    if (!key) throw new Error('Encrypted application data found but PII_ENCRYPTION_KEY is not set');
+    const [iv, tag, encrypted] = value.slice(CIPHER_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Copy of `fields` with the sensitive ones encrypted; other keys are left alone
+function encryptFields(fields) {
+    const encrypted = Object.assign({}, fields);
+    ENCRYPTED_FIELDS.forEach(field => {
+        if (field in encrypted) encrypted[field] = encryptValue(encrypted[field]);
+    });
+    return encrypted;
+}
+
+// Decrypts the sensitive fields of a row in place and returns it
+function decryptFields(row) {
+    if (!row) return row;
+    ENCRYPTED_FIELDS.forEach(field => {
+        if (field in row) row[field] = decryptValue(row[field]);
+    });
+    return row;
+}
+
+function canViewPii(user) {
+    if (user && user.api_key_id) return user.scopes.includes('applications:pii');
+    return Boolean(user) && auth.hasRole(user, PII_VIEW_ROLE);
+}
+
+/**
+ * Masks the personal details of a (decrypted) application row in place when `user` may not see
+ * them. Returns the names of the fields that were masked.
+ */
+function maskFields(row, user) {
+    if (!row || canViewPii(user)) return [];
+    const masked = [];
+    Object.keys(MASKED_FIELDS).forEach(field => {
+        if (row[field] === null || row[field] === undefined || row[field] === '') return;
+        row[field] = MASKED_FIELDS[field](row[field]);
+        masked.push(field);
+    });
+    return masked;
+}
+
+/**
+ * Masks the answers to a posting's custom questions (as returned by forms.getAnswers) in place
+ * when `user` may not see personal details: questions can ask for anything, so every answered
+ * value is hidden and the answer is marked `masked`. Returns whether any answer was masked.
+ */
+function maskAnswers(answers, user) {
+    if (!answers || canViewPii(user)) return false;
+    let masked = false;
+    answers.forEach(answer => {
+        if (answer.value === null || answer.value === undefined) return;
+        answer.value = HIDDEN;
+        answer.masked = true;
+        masked = true;
+    });
+    return masked;
+}
+
+// Copy of a request body or query safe to log
+function redact(data) {
+    if (!data || typeof data !== 'object') return data;
+    const copy = Object.assign({}, data);
+    LOG_REDACTED_FIELDS.forEach(field => {
+        if (copy[field] !== undefined && copy[field] !== '') copy[field] = REDACTED;
+    });
+    return copy;
+}
+
+// Request URL with personal query parameters replaced, for the access log
+function redactUrl(url) {
+    const queryStart = String(url).indexOf('?');
+    if (queryStart === -1) return url;
+    const params = new URLSearchParams(url.slice(queryStart + 1));
+    LOG_REDACTED_PARAMS.forEach(name => {
+        if (params.has(name)) params.set(name, 'redacted');
+    });
+    return `${url.slice(0, queryStart)}?${params.toString()}`;
+}
+
+/**
+ * Encrypts sensitive values written before PII_ENCRYPTION_KEY was set, a batch at a time.
+ * Returns the number of applications updated.
+ */
+async function encryptStoredApplications() {
+    if (!getKey()) return 0;
+    const plaintext = ENCRYPTED_FIELDS
+        .map(field => `(${field} IS NOT NULL AND ${field} NOT LIKE '${CIPHER_PREFIX}%')`)
+        .join(' OR ');
+    let updated = 0;
+    for (;;) {
+        const result = await pool.query(`
+            SELECT id, ${ENCRYPTED_FIELDS.join(', ')}
+            FROM applications
+            WHERE ${plaintext}
+            ORDER BY id
+            LIMIT $1
+        `, [ENCRYPT_BATCH_SIZE]);
+        for (const row of result.rows) {
+            const encrypted = encryptFields(row);
+            await pool.query(
+                `UPDATE applications SET ${ENCRYPTED_FIELDS.map((field, index) => `${field} = $${index + 2}`).join(', ')} WHERE id = $1`,
+                [row.id, ...ENCRYPTED_FIELDS.map(field => encrypted[field])]
+            );
+        }
+        updated += result.rows.length;
+        if (result.rows.length < ENCRYPT_BATCH_SIZE) break;
+    }
+    return updated;
+}
+
+// Run at startup: rejects a malformed key, encrypts leftover plaintext, and refuses to run without
+// a key once encrypted data exists
+async function setupEncryption() {
+    if (getKey()) {
+        const updated = await encryptStoredApplications();
+        if (updated > 0) console.log(`Encrypted personal details of ${updated} existing application(s)`);
+        console.log(`Sensitive application fields are encrypted: ${ENCRYPTED_FIELDS.join(', ')}`);
+        return;
+    }
+    const encrypted = await pool.query(
+        `SELECT 1 FROM applications WHERE ${ENCRYPTED_FIELDS.map(field => `${field} LIKE $1`).join(' OR ')} LIMIT 1`,
+        [`${CIPHER_PREFIX}%`]
+    );
+    if (encrypted.rows.length > 0) {
+        throw new Error('Applications hold encrypted data but PII_ENCRYPTION_KEY is not set');
+    }
+    console.warn('PII_ENCRYPTION_KEY is not set; sensitive application fields are stored unencrypted');
+}
+
+module.exports = {
+    ENCRYPTED_FIELDS,
+    PII_VIEW_ROLE,
+    SALARY_BAND_SIZE,
+    salaryBand,
+    maskEmail,
+    encryptValue,
+    decryptValue,
+    encryptFields,
+    decryptFields,
+    canViewPii,
+    maskFields,
+    maskAnswers,
+    redact,
+    redactUrl,
+    encryptStoredApplications,
+    setupEncryption
+};
@@ -0,0 +1,185 @@
+const pool = require('./db');
+
+// Candidates can withdraw from any non-terminal stage through the portal, outside the
+// configured transitions, so every pipeline must keep this terminal stage
+const WITHDRAWN_STAGE = 'Withdrawn';
+// Terminal stage that counts as a hire: for the funnel and time-to-hire, and application.hired webhooks
+const HIRED_STAGE = process.env.HIRED_STAGE || 'Hired';
+
+// Seeded on first start; HR admins can replace it through PUT /api/pipeline
+const DEFAULT_PIPELINE = {
+    stages: [
+        { name: 'Applied', is_initial: true, is_terminal: false },
+        { name: 'Screening', is_initial: false, is_terminal: false },
+        { name: 'Interview', is_initial: false, is_terminal: false },
+        { name: 'Offer', is_initial: false, is_terminal: false },
+        { name: 'Hired', is_initial: false, is_terminal: true },
+        { name: 'Rejected', is_initial: false, is_terminal: true },
+        { name: WITHDRAWN_STAGE, is_initial: false, is_terminal: true }
+    ],
+    transitions: [
+        { from: 'Applied', to: 'Screening' },
+        { from: 'Applied', to: 'Rejected' },
+        { from: 'Screening', to: 'Interview' },
+        { from: 'Screening', to: 'Rejected' },
+        { from: 'Interview', to: 'Offer' },
+        { from: 'Interview', to: 'Rejected' },
+        { from: 'Offer', to: 'Hired' },
+        { from: 'Offer', to: 'Rejected' }
+    ]
+};
+
+// Seeds the default pipeline when none is configured
+async function seedDefaultPipeline() {
+    const existing = await pool.query('SELECT COUNT(*)::int AS count FROM pipeline_stages');
+    if (existing.rows[0].count > 0) return;
+
+    await savePipeline(DEFAULT_PIPELINE);
+    console.log('Seeded default hiring pipeline');
+}
+
+// Pipelines seeded before candidates could withdraw get the Withdrawn stage appended
+async function ensureWithdrawnStage() {
+    const result = await pool.query(`
+        INSERT INTO pipeline_stages (name, position, is_initial, is_terminal)
+        SELECT $1, COALESCE(MAX(position), -1) + 1, FALSE, TRUE FROM pipeline_stages
+        ON CONFLICT (name) DO NOTHING
+    `, [WITHDRAWN_STAGE]);
+    if (result.rowCount > 0) {
+        console.log(`Added ${WITHDRAWN_STAGE} stage to the hiring pipeline`);
+    }
+}
+
+async function getStage(client, name) {
+    const result = await client.query('SELECT name, position, is_initial, is_terminal FROM pipeline_stages WHERE name = $1', [name]);
+    return result.rows[0] || null;
+}
+
+async function getPipeline(client = pool) {
+    const stages = await client.query('SELECT name, position, is_initial, is_terminal FROM pipeline_stages ORDER BY position');
+    const transitions = await client.query('SELECT from_stage, to_stage FROM pipeline_transitions');
+    return {
+        stages: stages.rows.map(stage => Object.assign(stage, {
+            next: transitions.rows.filter(t => t.from_stage === stage.name).map(t => t.to_stage)
+        })),
+        transitions: transitions.rows.map(t => ({ from: t.from_stage, to: t.to_stage }))
+    };
+}
+
+async function getInitialStage(client = pool) {
+    const result = await client.query('SELECT name FROM pipeline_stages WHERE is_initial = TRUE LIMIT 1');
+    if (result.rows.length === 0) {
+        throw new Error('No initial pipeline stage is configured');
+    }
+    return result.rows[0].name;
+}
+
+async function isTransitionAllowed(client, fromStage, toStage) {
+    const result = await client.query(
+        'SELECT 1 FROM pipeline_transitions WHERE from_stage = $1 AND to_stage = $2',
+        [fromStage, toStage]
+    );
+    return result.rows.length > 0;
+}
+
+async function getAllowedTransitions(client, fromStage) {
+    const result = await client.query('SELECT to_stage FROM pipeline_transitions WHERE from_stage = $1', [fromStage]);
+    return result.rows.map(row => row.to_stage);
+}
+
+// Returns a list of problems with a pipeline definition; empty when it is valid
+function validatePipeline(pipeline) {
+    const errors = [];
+    const stages = Array.isArray(pipeline.stages) ? pipeline.stages : [];
+    const transitions = Array.isArray(pipeline.transitions) ? pipeline.transitions : [];
+    const names = stages.map(stage => stage && String(stage.name || '').trim());
+
+    if (stages.length === 0) errors.push('At least one stage is required');
+    if (names.some(name => !name)) errors.push('Every stage needs a name');
+    if (names.some(name => name && name.length > 50)) errors.push('Stage names must be 50 characters or fewer');
+    if (new Set(names).size !== names.length) errors.push('Stage names must be unique');
+    if (stages.filter(stage => stage && stage.is_initial).length !== 1) errors.push('Exactly one stage must be marked initial');
+    if (!stages.some(stage => stage && stage.name === WITHDRAWN_STAGE && stage.is_terminal)) {
+        errors.push(`A terminal ${WITHDRAWN_STAGE} stage is required`);
+    }
+
+    for (const transition of transitions) {
+        if (!transition || !names.includes(transition.from) || !names.includes(transition.to)) {
+            errors.push(`Transition ${transition && transition.from} -> ${transition && transition.to} references an unknown stage`);
+        } else if (transition.from === transition.to) {
+            errors.push(`Transition ${transition.from} -> ${transition.to} does not change stage`);
+        } else if (stages.find(stage => stage.name === transition.from).is_terminal) {
+            errors.push(`Terminal stage ${transition.from} cannot have outgoing transitions`);
+        }
+    }
+    return errors;
+}
+
+// Replaces the whole pipeline definition. Callers validate first.
+async function savePipeline(pipeline, client = null) {
+    const db = client || await pool.connect();
+    try {
+        if (!client) await db.query('BEGIN');
+        await db.query('DELETE FROM pipeline_transitions');
+        await db.query('DELETE FROM pipeline_stages');
+        for (const [index, stage] of pipeline.stages.entries()) {
+            await db.query(
+                'INSERT INTO pipeline_stages (name, position, is_initial, is_terminal) VALUES ($1, $2, $3, $4)',
+                [String(stage.name).trim(), index, Boolean(stage.is_initial), Boolean(stage.is_terminal)]
+            );
+        }
+        for (const transition of pipeline.transitions) {
+            await db.query(
+                'INSERT INTO pipeline_transitions (from_stage, to_stage) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                [transition.from, transition.to]
+            );
+        }
+        if (!client) await db.query('COMMIT');
+    } catch (error) {
+        if (!client) await db.query('ROLLBACK');
+        throw error;
+    } finally {
+        if (!client) db.release();
+    }
+}
+
+/**
+ * Appends an entry to an application's history.
+ * `actor` is the HR user (req.user) making the change, or null for the candidate/system.
+ */
+async function recordEvent(client, applicationId, { eventType, fromStage = null, toStage = null, actor = null, actorName = null, comment = null }) {
+    const result = await client.query(`
+        INSERT INTO application_events (application_id, event_type, from_stage, to_stage, actor_user_id, actor_name, comment)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [
+        applicationId, eventType, fromStage, toStage,
+        actor ? actor.id : null, actorName || (actor ? actor.full_name : 'System'), comment || null
+    ]);
+    return result.rows[0];
+}
+
+async function getApplicationEvents(applicationId) {
+    const result = await pool.query(
+        'SELECT * FROM application_events WHERE application_id = $1 ORDER BY created_at, id',
+        [applicationId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    WITHDRAWN_STAGE,
+    HIRED_STAGE,
+    DEFAULT_PIPELINE,
+    seedDefaultPipeline,
+    ensureWithdrawnStage,
+    getStage,
+    getPipeline,
+    getInitialStage,
+    isTransitionAllowed,
+    getAllowedTransitions,
+    validatePipeline,
+    savePipeline,
+    recordEvent,
+    getApplicationEvents
+};
@@ -0,0 +1,212 @@
+// Consent records and data-subject requests. An admin can export everything held about an email
+// address as JSON, or erase it together with its files. Both are written to privacy_audit_log,
+// which keeps a hash of the address instead of the address itself.
+const crypto = require('crypto');
+const pool = require('./db');
+const pii = require('./pii');
+const storage = require('./storage');
+const documents = require('./documents');
+const pipeline = require('./pipeline');
+const forms = require('./forms');
+const skills = require('./skills');
+const interviews = require('./interviews');
+const scorecards = require('./scorecards');
+const applicationActions = require('./applicationActions');
+const notes = require('./notes');
+const liveUpdates = require('./liveUpdates');
+
+// Version of the terms shown with the checkbox in Fronted/index.html; change it when they change
+const TERMS_VERSION = process.env.TERMS_VERSION || '1';
+const ACCEPTED_VALUES = ['accepted', 'true', 'on', 'yes'];
+const AUDIT_PAGE_SIZE = 200;
+
+// Internal bookkeeping left out of an export
+const INTERNAL_COLUMNS = ['tracking_token_hash'];
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function hashEmail(email) {
+    return crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+}
+
+function hasAcceptedTerms(body) {
+    return ACCEPTED_VALUES.includes(String((body && body.terms) || '').trim().toLowerCase());
+}
+
+// Records that the candidate accepted the current terms with this application
+async function recordConsent(client, applicationId, { ipAddress = null, userAgent = null } = {}) {
+    await client.query(`
+        INSERT INTO application_consents (application_id, terms_version, ip_address, user_agent)
+        VALUES ($1, $2, $3, $4)
+    `, [applicationId, TERMS_VERSION, ipAddress ? String(ipAddress).slice(0, 64) : null, userAgent ? String(userAgent).slice(0, 500) : null]);
+}
+
+async function getConsents(applicationId, client = pool) {
+    const result = await client.query(`
+        SELECT terms_version, ip_address, user_agent, accepted_at
+        FROM application_consents
+        WHERE application_id = $1
+        ORDER BY accepted_at
+    `, [applicationId]);
+    return result.rows;
+}
+
+async function recordAudit(client, action, email, actor, details) {
+    await client.query(`
+        INSERT INTO privacy_audit_log (action, subject_hash, subject_hint, actor_user_id, actor_name, details)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [action, hashEmail(email), pii.maskEmail(normalizeEmail(email)), actor.id, actor.full_name, JSON.stringify(details)]);
+}
+
+// Applications of the address, including archived ones and any filed under its candidate record
+async function findSubjectApplications(client, email, forUpdate = false) {
+    const result = await client.query(`
+        SELECT * FROM applications
+        WHERE LOWER(email) = $1 OR candidate_id IN (SELECT id FROM candidates WHERE email = $1)
+        ORDER BY id
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [email]);
+    return result.rows;
+}
+
+// Every version of the application's documents with the file itself, base64 encoded
+async function exportDocuments(applicationId) {
+    const rows = await documents.getDocuments(applicationId);
+    const exported = [];
+    for (const document of rows) {
+        const entry = Object.assign({}, document, { filename: documents.downloadName(document) });
+        try {
+            entry.content_base64 = (await storage.readFile(document.storage_key, document.sha256)).toString('base64');
+        } catch (error) {
+            console.error(`Could not read ${document.storage_key} for a data export:`, error.message);
+            entry.content_error = 'File could not be read';
+        }
+        exported.push(entry);
+    }
+    return exported;
+}
+
+/**
+ * Everything held about an email address: the candidate record, every application with its
+ * documents, answers, history, interviews, scorecards, consents and HR notes, saved drafts and
+ * the emails sent to it. The export is audited even when nothing is found.
+ */
+async function exportSubject(email, actor) {
+    const subject = normalizeEmail(email);
+    const candidate = await pool.query('SELECT * FROM candidates WHERE email = $1', [subject]);
+    const applications = [];
+    for (const row of await findSubjectApplications(pool, subject)) {
+        const application = pii.decryptFields(row);
+        INTERNAL_COLUMNS.forEach(column => delete application[column]);
+        applications.push(Object.assign(application, {
+            skill_list: (await skills.getApplicationSkills([application.id]))[application.id],
+            answers: await forms.getAnswers(application.id),
+            documents: await exportDocuments(application.id),
+            history: await pipeline.getApplicationEvents(application.id),
+            interviews: await interviews.getApplicationInterviews(application.id),
+            scorecards: (await scorecards.getApplicationScorecards(application.id, actor)).scorecards,
+            consents: await getConsents(application.id),
+            notes: await notes.getNotes(application.id)
+        }));
+    }
+    const drafts = await pool.query(`
+        SELECT id, form_data, page, created_at, updated_at, expires_at
+        FROM application_drafts
+        WHERE email = $1
+        ORDER BY id
+    `, [subject]);
+    const emails = await pool.query(`
+        SELECT id, template_key, application_id, to_address, subject, body, status, created_at, sent_at
+        FROM email_outbox
+        WHERE LOWER(to_address) = $1
+        ORDER BY id
+    `, [subject]);
+
+    const data = {
+        email: subject,
+        exported_at: new Date(),
+        candidate: candidate.rows[0] || null,
+        applications,
+        drafts: drafts.rows.map(draft => Object.assign(draft, { form_data: pii.decryptFields(draft.form_data) })),
+        emails: emails.rows
+    };
+    await recordAudit(pool, 'export', subject, actor, {
+        applications: applications.length,
+        drafts: drafts.rows.length,
+        emails: emails.rows.length
+    });
+    console.log(`Data export for ${pii.maskEmail(subject)}: ${applications.length} application(s)`);
+    return data;
+}
+
+/**
+ * Permanently deletes everything held about an email address in one transaction, then removes
+ * the files no other application uses. Returns what was deleted.
+ */
+async function eraseSubject(email, actor) {
+    const subject = normalizeEmail(email);
+    const client = await pool.connect();
+    let files = [];
+    let ids = [];
+    let erased;
+    try {
+        await client.query('BEGIN');
+        const applications = await findSubjectApplications(client, subject, true);
+        ids = applications.map(application => application.id);
+        for (const id of ids) {
+            files = files.concat(await documents.getStorageKeys(client, id));
+        }
+        const emails = await client.query(
+            'DELETE FROM email_outbox WHERE LOWER(to_address) = $1 OR application_id = ANY($2::int[])',
+            [subject, ids]
+        );
+        // Interviews, scorecards, documents, answers, events, consents, notes, tags and webhook deliveries
+        // go with the applications
+        await client.query('DELETE FROM applications WHERE id = ANY($1::int[])', [ids]);
+        const candidates = await client.query('DELETE FROM candidates WHERE email = $1', [subject]);
+        const drafts = await client.query('DELETE FROM application_drafts WHERE email = $1', [subject]);
+        erased = {
+            applications: ids.length,
+            candidates: candidates.rowCount,
+            drafts: drafts.rowCount,
+            emails: emails.rowCount,
+            files: new Set(files).size
+        };
+        await recordAudit(client, 'erase', subject, actor, Object.assign({ application_ids: ids }, erased));
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+    ids.forEach(id => liveUpdates.applicationDeleted(id, { archived: false }, actor));
+    await applicationActions.removeFiles(files);
+    console.log(`Erased data of ${pii.maskEmail(subject)}: ${erased.applications} application(s), ${erased.files} file(s)`);
+    return erased;
+}
+
+// Newest first; with an email, only the requests about that address
+async function getAuditLog({ email = null } = {}) {
+    const result = await pool.query(`
+        SELECT id, action, subject_hint, actor_user_id, actor_name, details, created_at
+        FROM privacy_audit_log
+        ${email ? 'WHERE subject_hash = $2' : ''}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $1
+    `, email ? [AUDIT_PAGE_SIZE, hashEmail(email)] : [AUDIT_PAGE_SIZE]);
+    return result.rows;
+}
+
+module.exports = {
+    TERMS_VERSION,
+    normalizeEmail,
+    hasAcceptedTerms,
+    recordConsent,
+    getConsents,
+    exportSubject,
+    eraseSubject,
+    getAuditLog
+};
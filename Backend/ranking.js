@@ -0,0 +1,227 @@
+const pool = require('./db');
+const pii = require('./pii');
+const skills = require('./skills');
+
+// Points available for each criterion; a perfect match scores 100
+const WEIGHTS = {
+    required_skills: 40,
+    nice_to_have_skills: 10,
+    experience: 20,
+    notice_period: 15,
+    expected_salary: 15
+};
+
+// Job posting columns the score depends on besides its skills; changing one rescores its applicants
+const SCORED_POSTING_FIELDS = ['min_experience', 'max_notice_days', 'max_salary'];
+
+// Notice periods are free text on the form ("Immediate", "30 days", "2 months"); null when unreadable
+function parseNoticeDays(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    if (/^(immediate|immediately|none|nil|serving|0)/.test(text)) return 0;
+    const match = text.match(/(\d+(?:\.\d+)?)\s*(day|week|month)?/);
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    const unitDays = { day: 1, week: 7, month: 30 }[match[2]] || 1;
+    return Math.round(amount * unitDays);
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function skillCriterion(criterion, wanted, applicantSkillIds, label) {
+    const max = WEIGHTS[criterion];
+    if (wanted.length === 0) {
+        return { criterion, points: max, max_points: max, detail: `No ${label} skills set for this posting` };
+    }
+    const matched = wanted.filter(skill => applicantSkillIds.has(skill.id));
+    const missing = wanted.filter(skill => !applicantSkillIds.has(skill.id));
+    return {
+        criterion,
+        points: round(max * matched.length / wanted.length),
+        max_points: max,
+        matched: matched.map(skill => skill.name),
+        missing: missing.map(skill => skill.name),
+        detail: `Has ${matched.length} of ${wanted.length} ${label} skills` +
+            (missing.length > 0 ? ` (missing: ${missing.map(skill => skill.name).join(', ')})` : '')
+    };
+}
+
+function experienceCriterion(application, posting) {
+    const max = WEIGHTS.experience;
+    const minimum = posting.min_experience === null ? null : parseFloat(posting.min_experience);
+    const years = application.years_experience === null ? 0 : parseFloat(application.years_experience);
+    if (!minimum) {
+        return { criterion: 'experience', points: max, max_points: max, detail: 'No minimum experience set' };
+    }
+    const points = years >= minimum ? max : max * years / minimum;
+    return {
+        criterion: 'experience',
+        points: round(points),
+        max_points: max,
+        detail: `${years} year(s) of experience, ${minimum} required`
+    };
+}
+
+// Full points within the posting's limit, shrinking in proportion to how far the notice exceeds it
+function noticeCriterion(application, posting) {
+    const max = WEIGHTS.notice_period;
+    if (posting.max_notice_days === null) {
+        return { criterion: 'notice_period', points: max, max_points: max, detail: 'No notice period limit set' };
+    }
+    const days = parseNoticeDays(application.notice_period);
+    if (days === null) {
+        return {
+            criterion: 'notice_period',
+            points: round(max / 2),
+            max_points: max,
+            detail: `Notice period "${application.notice_period}" could not be read`
+        };
+    }
+    const limit = posting.max_notice_days;
+    const points = days <= limit ? max : max * limit / days;
+    return {
+        criterion: 'notice_period',
+        points: round(points),
+        max_points: max,
+        detail: `${days} day(s) notice, up to ${limit} wanted`
+    };
+}
+
+// Full points within budget, nothing once the expectation is double the budget or more
+function salaryCriterion(application, posting) {
+    const max = WEIGHTS.expected_salary;
+    if (posting.max_salary === null) {
+        return { criterion: 'expected_salary', points: max, max_points: max, detail: 'No salary budget set' };
+    }
+    const budget = parseFloat(posting.max_salary);
+    if (application.expected_salary === null) {
+        return { criterion: 'expected_salary', points: max, max_points: max, detail: 'No expected salary given' };
+    }
+    const expected = parseFloat(application.expected_salary);
+    const points = expected <= budget ? max : max * Math.max(0, 1 - (expected - budget) / budget);
+    return {
+        criterion: 'expected_salary',
+        points: round(points),
+        max_points: max,
+        // The expectation itself is personal data (see pii.js) and stays out of the breakdown
+        detail: expected <= budget ? `Within the budget of ${budget}` : `Above the budget of ${budget}`
+    };
+}
+
+/**
+ * Scores one application against a posting's requirements.
+ *
+ * @param {object} application row with years_experience, notice_period and expected_salary
+ * @param {Set<number>} applicantSkillIds ids of the application's normalized skills
+ * @param {object} posting job_postings row plus required_skills and nice_to_have_skills
+ * @returns {{ score: number, breakdown: object[] }}
+ */
+function scoreApplication(application, applicantSkillIds, posting) {
+    const breakdown = [
+        skillCriterion('required_skills', posting.required_skills, applicantSkillIds, 'required'),
+        skillCriterion('nice_to_have_skills', posting.nice_to_have_skills, applicantSkillIds, 'nice-to-have'),
+        experienceCriterion(application, posting),
+        noticeCriterion(application, posting),
+        salaryCriterion(application, posting)
+    ];
+    return {
+        score: round(breakdown.reduce((total, item) => total + item.points, 0)),
+        breakdown
+    };
+}
+
+// Scores the applications matching `where`/`values` against their postings and stores the result in
+// match_score and match_breakdown. Scores are kept because expected_salary is encrypted, so ranking
+// cannot compute them in SQL. Returns how many applications were scored.
+async function storeScores(client, where, values) {
+    const result = await client.query(`
+        SELECT id, job_posting_id, years_experience, expected_salary, notice_period
+        FROM applications
+        ${where}
+    `, values);
+    if (result.rows.length === 0) return 0;
+    result.rows.forEach(row => pii.decryptFields(row));
+
+    const postingIds = [...new Set(result.rows.map(row => row.job_posting_id))];
+    const postings = await client.query('SELECT * FROM job_postings WHERE id = ANY($1::int[])', [postingIds]);
+    const postingSkills = await skills.getPostingSkills(postingIds, client);
+    const postingsById = {};
+    postings.rows.forEach(posting => {
+        postingsById[posting.id] = Object.assign(posting, postingSkills[posting.id]);
+    });
+    const applicationSkills = await skills.getApplicationSkills(result.rows.map(row => row.id), client);
+
+    for (const application of result.rows) {
+        const match = scoreApplication(
+            application,
+            new Set(applicationSkills[application.id].map(skill => skill.id)),
+            postingsById[application.job_posting_id]
+        );
+        await client.query(
+            'UPDATE applications SET match_score = $1, match_breakdown = $2 WHERE id = $3',
+            [match.score, JSON.stringify(match.breakdown), application.id]
+        );
+    }
+    return result.rows.length;
+}
+
+// Call after an application is submitted, in the same transaction
+function updateApplicationScore(client, applicationId) {
+    return storeScores(client, 'WHERE id = $1', [applicationId]);
+}
+
+// Call after a posting's requirements change; rescores everyone who applied to it
+function updatePostingScores(client, postingId) {
+    return storeScores(client, 'WHERE job_posting_id = $1', [postingId]);
+}
+
+// Call after applications or postings gained a skill (a merge); rescores every posting that asks for it
+function updateSkillScores(client, skillId) {
+    return storeScores(client, `
+        WHERE job_posting_id IN (SELECT job_posting_id FROM job_posting_skills WHERE skill_id = $1)
+    `, [skillId]);
+}
+
+/**
+ * One page of the applications matching `where`/`values` (from parseApplicationQuery, limited to
+ * the posting), best score first. Ties keep the newest application first.
+ *
+ * @returns {Promise<{ applications: object[], total: number }>} each application carries
+ *     match.score and match.breakdown
+ */
+async function rankApplications(where, values, { limit, offset }) {
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM applications ${where}`, values);
+    const result = await pool.query(`
+        SELECT id, full_name, email, job_posting_id, job_role, city, experience_status,
+               years_experience, expected_salary, notice_period, submission_date, status,
+               assigned_user_id, version, match_score, match_breakdown
+        FROM applications
+        ${where}
+        ORDER BY match_score DESC NULLS LAST, submission_date DESC, id DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+
+    const applications = result.rows.map(row => {
+        const match = {
+            score: row.match_score === null ? null : parseFloat(row.match_score),
+            breakdown: row.match_breakdown || []
+        };
+        delete row.match_score;
+        delete row.match_breakdown;
+        return Object.assign(pii.decryptFields(row), { match });
+    });
+    return { applications, total: count.rows[0].total };
+}
+
+module.exports = {
+    WEIGHTS,
+    SCORED_POSTING_FIELDS,
+    parseNoticeDays,
+    scoreApplication,
+    updateApplicationScore,
+    updatePostingScores,
+    updateSkillScores,
+    rankApplications
+};
@@ -0,0 +1,369 @@
+// The package entry point runs a self-test when loaded without a parent module; the library file does not
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+// Only the first pages are read; resumes longer than this are unusual and the rest is rarely needed
+const MAX_PAGES = 10;
+// Upper bound on the text stored with an application
+const MAX_TEXT_LENGTH = 100000;
+const MAX_SKILLS = 25;
+
+// Section headings recognised in resumes, by the section they start
+const SECTION_HEADINGS = {
+    education: [
+        'education', 'educational qualification', 'educational qualifications', 'academic qualification',
+        'academic qualifications', 'academics', 'academic details', 'academic background', 'qualifications',
+        'educational background'
+    ],
+    experience: [
+        'experience', 'work experience', 'professional experience', 'employment history', 'employment',
+        'work history', 'career history', 'internships', 'internship'
+    ],
+    skills: [
+        'skills', 'technical skills', 'key skills', 'core skills', 'skill set', 'skillset', 'technologies',
+        'core competencies', 'tools and technologies', 'technical expertise'
+    ],
+    other: [
+        'projects', 'academic projects', 'personal projects', 'certifications', 'certificates', 'achievements',
+        'summary', 'professional summary', 'profile', 'objective', 'career objective', 'personal details',
+        'personal information', 'hobbies', 'interests', 'languages', 'languages known', 'awards', 'publications',
+        'references', 'declaration', 'contact', 'about me', 'extracurricular activities', 'strengths'
+    ]
+};
+
+// Skills picked up anywhere in the text, with the spelling used for the tag
+const KNOWN_SKILLS = [
+    'JavaScript', 'TypeScript', 'Java', 'Python', 'C++', 'C#', 'PHP', 'Ruby', 'Golang', 'Kotlin', 'Swift',
+    'Scala', 'Rust', 'Dart', 'SQL', 'PL/SQL', 'HTML', 'CSS', 'Sass', 'React', 'Angular', 'Vue.js', 'Next.js',
+    'Node.js', 'Express', 'Django', 'Flask', 'FastAPI', 'Spring Boot', 'Hibernate', '.NET', 'ASP.NET', 'Laravel',
+    'jQuery', 'Bootstrap', 'Tailwind', 'Redux', 'GraphQL', 'REST', 'PostgreSQL', 'MySQL', 'MongoDB', 'Redis',
+    'Oracle', 'SQL Server', 'SQLite', 'Elasticsearch', 'Kafka', 'RabbitMQ', 'AWS', 'Azure', 'GCP', 'Docker',
+    'Kubernetes', 'Terraform', 'Jenkins', 'Git', 'GitHub Actions', 'Linux', 'Bash', 'CI/CD', 'Microservices',
+    'Machine Learning', 'Deep Learning', 'TensorFlow', 'PyTorch', 'Pandas', 'NumPy', 'Scikit-learn', 'NLP',
+    'Power BI', 'Tableau', 'Excel', 'Figma', 'Photoshop', 'Selenium', 'Jest', 'JUnit', 'Android', 'iOS',
+    'Flutter', 'React Native', 'Agile', 'Scrum', 'JIRA', 'SAP', 'Salesforce', 'AutoCAD', 'MATLAB'
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s*,?\\s*\\d{4}|\\d{1,2}\\s*[/-]\\s*\\d{4}|\\d{4})`;
+const DATE_RANGE_REGEX = new RegExp(
+    `(${DATE_PATTERN})\\s*(?:-|–|—|to|till|until)\\s*(${DATE_PATTERN}|present|current|now|till date|date)`, 'i'
+);
+
+const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_REGEX = /(?:\+|\b)\d[\d\s().-]{8,18}\d\b/g;
+const LINKEDIN_REGEX = /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[A-Za-z0-9_-]+\/?/i;
+const GITHUB_REGEX = /(?:https?:\/\/)?(?:www\.)?github\.com\/[A-Za-z0-9_-]+\/?/i;
+const YEAR_REGEX = /\b(19[6-9]\d|20\d{2})\b/g;
+const PERCENTAGE_REGEX = /(\d{1,3}(?:\.\d{1,2})?)\s*%/;
+
+const SSC_REGEX = /\b(ssc|10th|class x|matric|matriculation|secondary school certificate|sslc)\b/i;
+const INTERMEDIATE_REGEX = /\b(hsc|12th|class xii|intermediate|higher secondary|senior secondary|puc|pre-university)\b/i;
+const BACHELOR_REGEX = /\b(b\.?\s?tech|b\.?\s?e\.?(?=[\s,(|-]|$)|b\.?\s?sc|bca|b\.?\s?com|bba|b\.?\s?arch|b\.?\s?pharm|bachelor(?:'s)?(?: of [a-z ]+?)?)(?=[\s,(|-]|$)/i;
+const OTHER_DEGREE_REGEX = /\b(m\.?\s?tech|m\.?\s?e\.?(?=[\s,(|-]|$)|m\.?\s?sc|mca|mba|m\.?\s?com|master(?:'s)?(?: of [a-z ]+?)?|ph\.?\s?d|doctorate|diploma|pg diploma|pgdm)(?=[\s,(|-]|$)/i;
+const INSTITUTION_REGEX = /\b(university|college|institute|institution|school|academy|vidyalaya|vidyapeeth|iit|nit|iiit|board|cbse|icse)\b/i;
+
+const COMPANY_REGEX = /\b(ltd|limited|pvt|private|inc|llc|llp|corp|corporation|technologies|technology|solutions|systems|services|software|labs|consulting|consultancy|infotech|global|group|bank|company)\b\.?/i;
+const DESIGNATION_REGEX = /\b(engineer|developer|manager|analyst|intern|trainee|consultant|lead|designer|architect|executive|officer|associate|specialist|administrator|tester|scientist|programmer|head|director|coordinator|representative|assistant)\b/i;
+
+// Text of a PDF or DOCX resume (format as detected by storage.detectFormat)
+async function extractText(buffer, format = 'pdf') {
+    if (format === 'docx') {
+        const result = await mammoth.extractRawText({ buffer });
+        return normalizeText(result.value).slice(0, MAX_TEXT_LENGTH);
+    }
+    // Small Buffers share a pooled ArrayBuffer, which the bundled pdf.js reads from offset 0; pass a copy
+    const data = await pdfParse(new Uint8Array(buffer), { max: MAX_PAGES });
+    return normalizeText(data.text).slice(0, MAX_TEXT_LENGTH);
+}
+
+// Text of an uploaded resume for search. A resume without readable text is still a valid resume,
+// so extraction failures are logged and give null instead of failing the request.
+async function readResumeText(buffer, name, format = 'pdf') {
+    try {
+        const text = await extractText(buffer, format);
+        console.log(`Extracted ${text.length} characters of resume text from ${name}`);
+        return text || null;
+    } catch (error) {
+        console.error(`Could not extract resume text from ${name}:`, error.message);
+        return null;
+    }
+}
+
+function normalizeText(text) {
+    return String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[•●▪◦‣]/g, '•')
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function getLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(line => line);
+}
+
+function headingSection(line) {
+    const heading = line.toLowerCase().replace(/[^a-z& ]/g, '').replace(/&/g, 'and').replace(/\s+/g, ' ').trim();
+    if (!heading || heading.length > 40) return null;
+    for (const [section, headings] of Object.entries(SECTION_HEADINGS)) {
+        if (headings.includes(heading)) return section;
+    }
+    return null;
+}
+
+// Splits the lines into { header, education, experience, skills } by the headings found.
+// Lines before the first heading form the header, where the name and contact details usually are.
+function splitSections(lines) {
+    const sections = { header: [], education: [], experience: [], skills: [], other: [] };
+    let current = 'header';
+    for (const line of lines) {
+        const section = headingSection(line);
+        if (section) {
+            current = section;
+            continue;
+        }
+        sections[current].push(line);
+    }
+    return sections;
+}
+
+function toTitleCase(value) {
+    return value.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+// First short line of letters near the top that is not a heading or a contact detail
+function guessName(lines) {
+    for (const line of lines.slice(0, 8)) {
+        const candidate = line.replace(/^(name|resume|curriculum vitae|cv)\s*[:-]?\s*/i, '').trim();
+        if (/^(resume|curriculum vitae|cv|bio[- ]?data)$/i.test(candidate)) continue;
+        if (headingSection(candidate)) continue;
+        if (/^[A-Za-z]+(?:\.? [A-Za-z]+){1,3}$/.test(candidate) && candidate.length <= 60) {
+            const name = candidate.replace(/\./g, '');
+            return name === name.toUpperCase() ? toTitleCase(name) : name;
+        }
+    }
+    return null;
+}
+
+// Digits only, to match the form's 10-15 digit rule. Year ranges and dates are skipped.
+function guessPhone(text) {
+    for (const match of text.match(PHONE_REGEX) || []) {
+        if (DATE_RANGE_REGEX.test(match) || /\d{4}\s*[-/]\s*\d{2}\s*[-/]\s*\d{2}/.test(match)) continue;
+        const digits = match.replace(/\D/g, '');
+        if (digits.length >= 10 && digits.length <= 15) return digits;
+    }
+    return null;
+}
+
+function findUrl(text, regex) {
+    const match = text.match(regex);
+    if (!match) return null;
+    return /^https?:\/\//i.test(match[0]) ? match[0] : `https://${match[0]}`;
+}
+
+// Tags end up in the form as they are, so only plain skill-like text is kept
+function isSkillLike(value) {
+    return value.length >= 1 && value.length <= 30 && value.split(' ').length <= 4 &&
+        /^[A-Za-z0-9+#./ &()-]+$/.test(value) && /[A-Za-z]/.test(value);
+}
+
+function guessSkills(text, skillLines) {
+    const skills = [];
+    const seen = new Set();
+    const add = skill => {
+        const key = skill.toLowerCase();
+        if (!seen.has(key) && skills.length < MAX_SKILLS) {
+            seen.add(key);
+            skills.push(skill);
+        }
+    };
+
+    // Items listed under a skills heading, e.g. "Languages: Java, Python | SQL"
+    skillLines.forEach(line => {
+        line.replace(/^[^:]{1,30}:/, '')
+            .split(/[,|•·;]/)
+            .map(item => item.replace(/^[-*]\s*/, '').replace(/\.$/, '').trim())
+            .filter(isSkillLike)
+            .forEach(add);
+    });
+
+    // Well known skills mentioned anywhere else
+    const lowerText = text.toLowerCase();
+    KNOWN_SKILLS.forEach(skill => {
+        const escaped = skill.toLowerCase().replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        if (new RegExp(`(^|[^a-z0-9+#.])${escaped}(?=$|[^a-z0-9+#])`).test(lowerText)) add(skill);
+    });
+    return skills;
+}
+
+function educationLevel(line) {
+    if (INTERMEDIATE_REGEX.test(line)) return 'intermediate';
+    if (SSC_REGEX.test(line)) return 'ssc';
+    if (BACHELOR_REGEX.test(line)) return 'graduation';
+    if (OTHER_DEGREE_REGEX.test(line)) return 'other';
+    return null;
+}
+
+function splitParts(line) {
+    return line.split(/\s*(?:[,|]|\s[-–—]\s)\s*/).map(part => part.trim()).filter(part => part);
+}
+
+function stripScores(value) {
+    return value
+        .replace(/\(?\s*\d{1,3}(?:\.\d{1,2})?\s*%\s*\)?/g, '')
+        .replace(/\(?\s*(?:cgpa|gpa|sgpa)\s*[:-]?\s*\d{1,2}(?:\.\d{1,2})?(?:\s*\/\s*10)?\s*\)?/gi, '')
+        .replace(/\(?\s*(?:19[6-9]\d|20\d{2})(?:\s*[-–]\s*(?:19[6-9]\d|20\d{2}|present))?\s*\)?/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,:|-]+|[\s,:|-]+$/g, '');
+}
+
+// Groups education lines into entries, each starting at a line that names a qualification
+function guessEducation(lines) {
+    const entries = [];
+    let current = null;
+    for (const line of lines) {
+        const level = educationLevel(line);
+        if (level) {
+            current = { level, lines: [line] };
+            entries.push(current);
+        } else if (current && current.lines.length < 4) {
+            current.lines.push(line);
+        }
+    }
+
+    let hasGraduation = false;
+    return entries.slice(0, 6).map(entry => {
+        const text = entry.lines.join(' | ');
+        const parts = splitParts(entry.lines[0]);
+        const qualificationPart = parts.find(part => educationLevel(part)) || entry.lines[0];
+        const institutionPart = splitParts(text).find(part => INSTITUTION_REGEX.test(part) && !educationLevel(part));
+        const years = text.match(YEAR_REGEX) || [];
+        const percentage = text.match(PERCENTAGE_REGEX);
+
+        let level = entry.level;
+        if (level === 'graduation') {
+            if (hasGraduation) level = 'other';
+            hasGraduation = true;
+        }
+
+        const qualification = stripScores(qualificationPart);
+        const branchMatch = qualification.match(/\b(?:in|\()\s*([A-Za-z &]{3,60}?)\s*\)?$/);
+        return {
+            level,
+            qualification: qualification.slice(0, 255) || null,
+            branch: branchMatch ? branchMatch[1].trim() : null,
+            institution: institutionPart ? stripScores(institutionPart).slice(0, 255) || null : null,
+            year: years.length > 0 ? years[years.length - 1] : null,
+            percentage: percentage && parseFloat(percentage[1]) <= 100 ? percentage[1] : null
+        };
+    });
+}
+
+// "Mar 2021", "03/2021" or "2021" as MM/YYYY; a bare year has no month and gives null
+function toMonthYear(value) {
+    const text = value.toLowerCase().trim();
+    const numeric = text.match(/^(\d{1,2})\s*[/-]\s*(\d{4})$/);
+    if (numeric && parseInt(numeric[1], 10) >= 1 && parseInt(numeric[1], 10) <= 12) {
+        return `${numeric[1].padStart(2, '0')}/${numeric[2]}`;
+    }
+    const named = text.match(/^([a-z]{3})[a-z]*\.?\s*,?\s*(\d{4})$/);
+    if (named && MONTHS.includes(named[1])) {
+        return `${String(MONTHS.indexOf(named[1]) + 1).padStart(2, '0')}/${named[2]}`;
+    }
+    return null;
+}
+
+// Sort key for a date in a range; "present" sorts after every real date
+function dateSortKey(value) {
+    if (/^(present|current|now|till date|date)$/i.test(value.trim())) return 999999;
+    const monthYear = toMonthYear(value);
+    if (monthYear) {
+        const [month, year] = monthYear.split('/');
+        return parseInt(year, 10) * 100 + parseInt(month, 10);
+    }
+    const year = value.match(/\d{4}/);
+    return year ? parseInt(year[0], 10) * 100 + 12 : 0;
+}
+
+function classifyRoleParts(parts) {
+    const result = { company_name: null, designation: null };
+    for (const part of parts) {
+        const atMatch = part.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+        if (atMatch && !result.company_name) {
+            result.designation = result.designation || atMatch[1];
+            result.company_name = atMatch[2];
+            continue;
+        }
+        if (!result.company_name && COMPANY_REGEX.test(part)) {
+            result.company_name = part;
+        } else if (!result.designation && DESIGNATION_REGEX.test(part)) {
+            result.designation = part;
+        }
+    }
+    // Without a clear company marker the first unclassified part is the best guess
+    if (!result.company_name) {
+        result.company_name = parts.find(part => part !== result.designation) || null;
+    }
+    return result;
+}
+
+// The job with the latest end date. Each job is recognised by its date range; the company and
+// designation are taken from the same line and the lines just above it.
+function guessRecentEmployment(lines) {
+    const jobs = [];
+    let previousEnd = 0;
+    lines.forEach((line, index) => {
+        const range = line.match(DATE_RANGE_REGEX);
+        if (!range) return;
+        const remainder = line.replace(range[0], '').replace(/[()]/g, ' ');
+        const context = lines.slice(Math.max(previousEnd, index - 2), index)
+            .filter(contextLine => !contextLine.startsWith('•'))
+            .concat(remainder);
+        const parts = context.flatMap(splitParts).filter(part => /[A-Za-z]{2}/.test(part));
+        previousEnd = index + 1;
+        jobs.push(Object.assign(classifyRoleParts(parts), {
+            start_date: toMonthYear(range[1]),
+            end_date: toMonthYear(range[2]),
+            is_current: dateSortKey(range[2]) === 999999,
+            sortKey: dateSortKey(range[2]) * 1000000 + dateSortKey(range[1])
+        }));
+    });
+    if (jobs.length === 0) return null;
+
+    const recent = jobs.reduce((latest, job) => (job.sortKey > latest.sortKey ? job : latest));
+    delete recent.sortKey;
+    recent.company_name = recent.company_name ? recent.company_name.slice(0, 255) : null;
+    recent.designation = recent.designation ? recent.designation.slice(0, 255) : null;
+    return recent;
+}
+
+/**
+ * Best-guess application fields from resume text. Every field may be null (or empty) when
+ * nothing suitable is found; the candidate reviews the values before submitting.
+ */
+function parseResume(text) {
+    const normalized = normalizeText(text);
+    const lines = getLines(normalized);
+    const sections = splitSections(lines);
+    const email = normalized.match(EMAIL_REGEX);
+
+    return {
+        full_name: guessName(sections.header.length > 0 ? sections.header : lines),
+        email: email ? email[0].toLowerCase() : null,
+        mobile: guessPhone(sections.header.length > 0 ? sections.header.join('\n') : normalized) || guessPhone(normalized),
+        linkedin: findUrl(normalized, LINKEDIN_REGEX),
+        github: findUrl(normalized, GITHUB_REGEX),
+        skills: guessSkills(normalized, sections.skills),
+        education: guessEducation(sections.education.length > 0 ? sections.education : lines),
+        experience: guessRecentEmployment(sections.experience)
+    };
+}
+
+module.exports = {
+    MAX_TEXT_LENGTH,
+    extractText,
+    readResumeText,
+    parseResume
+};
@@ -0,0 +1,80 @@
+// Permanently removes archived applications, and their uploaded files, once they have been in the
+// archive longer than ARCHIVE_RETENTION_DAYS. A value of 0 keeps archived applications forever.
+const pool = require('./db');
+const applicationActions = require('./applicationActions');
+const liveUpdates = require('./liveUpdates');
+
+const parsedRetentionDays = parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10);
+const ARCHIVE_RETENTION_DAYS = isNaN(parsedRetentionDays) ? 30 : parsedRetentionDays;
+const RETENTION_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+// Deletes expired archived applications in batches, each in its own transaction. Files of a
+// batch are removed only after that batch has committed. Returns the number purged.
+async function purgeArchivedApplications() {
+    if (ARCHIVE_RETENTION_DAYS <= 0) return 0;
+    let purged = 0;
+    for (;;) {
+        const client = await pool.connect();
+        let files = [];
+        let count = 0;
+        try {
+            await client.query('BEGIN');
+            const expired = await client.query(`
+                SELECT id FROM applications
+                WHERE deleted_at < NOW() - $1::int * INTERVAL '1 day'
+                ORDER BY id
+                LIMIT $2
+                FOR UPDATE
+            `, [ARCHIVE_RETENTION_DAYS, PURGE_BATCH_SIZE]);
+            for (const row of expired.rows) {
+                const result = await applicationActions.purgeApplication(client, row.id);
+                files = files.concat(result.files || []);
+            }
+            await client.query('COMMIT');
+            count = expired.rows.length;
+            expired.rows.forEach(row => liveUpdates.applicationDeleted(row.id, { archived: false }));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        applicationActions.removeFiles(files);
+        purged += count;
+        if (count < PURGE_BATCH_SIZE) break;
+    }
+    if (purged > 0) console.log(`Purged ${purged} archived application(s) older than ${ARCHIVE_RETENTION_DAYS} days`);
+    return purged;
+}
+
+function startRetentionJob() {
+    if (ARCHIVE_RETENTION_DAYS <= 0) {
+        console.log('Archive retention disabled; archived applications are kept until deleted by hand');
+        return null;
+    }
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await purgeArchivedApplications();
+        } catch (error) {
+            console.error('Error purging archived applications:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+    const timer = setInterval(run, RETENTION_INTERVAL_MS);
+    timer.unref();
+    run();
+    console.log(`Archive retention job started: archived applications are purged after ${ARCHIVE_RETENTION_DAYS} days`);
+    return timer;
+}
+
+module.exports = {
+    ARCHIVE_RETENTION_DAYS,
+    purgeArchivedApplications,
+    startRetentionJob
+};
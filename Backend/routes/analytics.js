@@ -0,0 +1,98 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const analytics = require('../analytics');
+const { parseApplicationQuery } = require('../applicationQuery');
+
+const router = express.Router();
+
+/**
+ * Every report accepts the application list filters (submitted_from, submitted_to, job_role,
+ * city, status, job_posting_id, ...). Returns the parsed filters and report options, or sends a
+ * 400 and returns null.
+ */
+function parseReportQuery(req, res) {
+    const { errors, where, values } = parseApplicationQuery(req.query, { user: req.user });
+    const options = analytics.parseReportOptions(req.query);
+    errors.push(...options.errors);
+    if (errors.length > 0) {
+        res.status(400).json({ success: false, error: 'Invalid report parameters', details: errors });
+        return null;
+    }
+    return { where, values, options };
+}
+
+// Applications submitted per day, week or month: ?interval=week&group_by=job_role
+router.get('/volume', requireRole('viewer'), async (req, res) => {
+    try {
+        const report = parseReportQuery(req, res);
+        if (!report) return;
+        const volume = await analytics.getVolume(report.where, report.values, Object.assign({
+            from: req.query.submitted_from || null,
+            to: req.query.submitted_to || null
+        }, report.options));
+        if (volume.error) {
+            return res.status(volume.code).json({ success: false, error: volume.error });
+        }
+        res.json(Object.assign({ success: true }, volume));
+    } catch (error) {
+        console.error('Error building volume report:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// How many applications reached each pipeline stage, with conversion rates
+router.get('/funnel', requireRole('viewer'), async (req, res) => {
+    try {
+        const report = parseReportQuery(req, res);
+        if (!report) return;
+        res.json(Object.assign({ success: true }, await analytics.getFunnel(report.where, report.values)));
+    } catch (error) {
+        console.error('Error building funnel report:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Days spent in each stage, and how long applications still there have been waiting
+router.get('/time-in-stage', requireRole('viewer'), async (req, res) => {
+    try {
+        const report = parseReportQuery(req, res);
+        if (!report) return;
+        res.json(Object.assign({ success: true }, await analytics.getTimeInStage(report.where, report.values)));
+    } catch (error) {
+        console.error('Error building time-in-stage report:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Days from submission to hire, overall and per job role
+router.get('/time-to-hire', requireRole('viewer'), async (req, res) => {
+    try {
+        const report = parseReportQuery(req, res);
+        if (!report) return;
+        res.json(Object.assign({ success: true }, await analytics.getTimeToHire(report.where, report.values)));
+    } catch (error) {
+        console.error('Error building time-to-hire report:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Applications by job_role, city, qualification or experience_status, with their stages
+router.get('/breakdown/:dimension', requireRole('viewer'), async (req, res) => {
+    try {
+        const { dimension } = req.params;
+        if (!analytics.BREAKDOWN_DIMENSIONS.includes(dimension)) {
+            return res.status(400).json({
+                success: false,
+                error: `Breakdowns are available by: ${analytics.BREAKDOWN_DIMENSIONS.join(', ')}`
+            });
+        }
+        const report = parseReportQuery(req, res);
+        if (!report) return;
+        res.json(Object.assign({ success: true }, await analytics.getBreakdown(report.where, report.values, dimension)));
+    } catch (error) {
+        console.error('Error building breakdown report:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { requireRole, API_KEY_SCOPES } = require('../auth');
+const apiKeys = require('../apiKeys');
+
+const router = express.Router();
+
+// Every API key, newest first, with its prefix but never the key itself (admin only)
+router.get('/', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, api_keys: await apiKeys.getApiKeys(), scopes: API_KEY_SCOPES });
+    } catch (error) {
+        console.error('Error fetching API keys:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create a key: { name, scopes: ['applications:read'], expires_at }. The key is returned only here.
+router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+        const errors = apiKeys.validateApiKey(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid API key', details: errors });
+        }
+        const { apiKey, key } = await apiKeys.createApiKey(req.body, req.user);
+        console.log(`User ${req.user.email} created API key ${apiKey.id} (${apiKey.name})`);
+        res.status(201).json({ success: true, api_key: apiKey, key });
+    } catch (error) {
+        console.error('Error creating API key:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Revoke a key; it stops working immediately
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} revoking API key ${id}`);
+        if (!await apiKeys.revokeApiKey(id)) {
+            return res.status(404).json({ success: false, error: 'No active API key with this ID' });
+        }
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (error) {
+        console.error('Error revoking API key:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const pool = require('../db');
+const auth = require('../auth');
+
+const router = express.Router();
+
+// Stricter limit on login attempts than the global limiter
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { success: false, error: 'Too many login attempts, please try again later' }
+});
+
+const USER_COLUMNS = 'id, email, full_name, role, is_active, created_at, last_login_at';
+
+// Log in with email and password; returns a bearer token
+router.post('/login', loginLimiter, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ success: false, error: 'Email and password are required' });
+        }
+        console.log(`Login attempt for ${email}`);
+
+        const result = await pool.query(
+            'SELECT * FROM hr_users WHERE email = $1 AND is_active = TRUE',
+            [String(email).toLowerCase()]
+        );
+        const user = result.rows[0];
+        if (!user || !(await auth.verifyPassword(password, user.password_hash))) {
+            console.error(`Login failed for ${email}`);
+            return res.status(401).json({ success: false, error: 'Invalid email or password' });
+        }
+
+        const { token, expiresAt } = await auth.createSession(user.id);
+        await pool.query('UPDATE hr_users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+
+        console.log(`User ${user.email} logged in`);
+        res.json({
+            success: true,
+            token,
+            expires_at: expiresAt,
+            user: { id: user.id, email: user.email, full_name: user.full_name, role: user.role }
+        });
+    } catch (error) {
+        console.error('Error logging in:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// End the current session
+router.post('/logout', auth.authenticate, async (req, res) => {
+    try {
+        // API keys have no session; they are revoked through /api/api-keys instead
+        if (req.user.api_key_id) {
+            return res.status(400).json({ success: false, error: 'API keys cannot log out; an admin can revoke the key' });
+        }
+        await auth.destroySession(req.sessionToken);
+        console.log(`User ${req.user.email} logged out`);
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Error logging out:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Current user
+router.get('/me', auth.authenticate, (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+// List HR users (admin only)
+router.get('/users', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`SELECT ${USER_COLUMNS} FROM hr_users ORDER BY created_at`);
+        res.json({ success: true, users: result.rows });
+    } catch (error) {
+        console.error('Error fetching HR users:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Active recruiters and admins that applications can be assigned to
+router.get('/recruiters', auth.requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT id, full_name, email
+            FROM hr_users
+            WHERE is_active AND role IN ('recruiter', 'admin')
+            ORDER BY full_name
+        `);
+        res.json({ success: true, users: result.rows });
+    } catch (error) {
+        console.error('Error fetching recruiters:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create an HR user (admin only)
+router.post('/users', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const { email, full_name, password, role = 'viewer' } = req.body;
+        if (!email || !full_name || !password) {
+            return res.status(400).json({ success: false, error: 'email, full_name and password are required' });
+        }
+        if (!auth.ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `role must be one of: ${auth.ROLES.join(', ')}` });
+        }
+        if (String(password).length < 8) {
+            return res.status(400).json({ success: false, error: 'Password must be at least 8 characters' });
+        }
+
+        const existing = await pool.query('SELECT id FROM hr_users WHERE email = $1', [String(email).toLowerCase()]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ success: false, error: 'A user with this email already exists' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO hr_users (email, full_name, password_hash, role)
+             VALUES ($1, $2, $3, $4) RETURNING ${USER_COLUMNS}`,
+            [String(email).toLowerCase(), full_name, await auth.hashPassword(password), role]
+        );
+        console.log(`User ${req.user.email} created HR user ${email} with role ${role}`);
+        res.status(201).json({ success: true, user: result.rows[0] });
+    } catch (error) {
+        console.error('Error creating HR user:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Update an HR user's name, role, active flag or password (admin only)
+router.put('/users/:id', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { full_name, role, is_active, password } = req.body;
+        const updates = {};
+
+        if (full_name !== undefined) updates.full_name = full_name;
+        if (role !== undefined) {
+            if (!auth.ROLES.includes(role)) {
+                return res.status(400).json({ success: false, error: `role must be one of: ${auth.ROLES.join(', ')}` });
+            }
+            updates.role = role;
+        }
+        if (is_active !== undefined) updates.is_active = Boolean(is_active);
+        if (password !== undefined) {
+            if (String(password).length < 8) {
+                return res.status(400).json({ success: false, error: 'Password must be at least 8 characters' });
+            }
+            updates.password_hash = await auth.hashPassword(password);
+        }
+        if (String(req.user.id) === String(id) && (updates.role && updates.role !== 'admin' || updates.is_active === false)) {
+            return res.status(400).json({ success: false, error: 'You cannot demote or deactivate your own account' });
+        }
+
+        const fields = Object.keys(updates);
+        if (fields.length === 0) {
+            return res.status(400).json({ success: false, error: 'No fields to update' });
+        }
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+        const result = await pool.query(
+            `UPDATE hr_users SET ${assignments.join(', ')} WHERE id = $${fields.length + 1} RETURNING ${USER_COLUMNS}`,
+            [...fields.map(field => updates[field]), id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        // Role changes, deactivation and password resets take effect immediately
+        if (updates.role || updates.is_active === false || updates.password_hash) {
+            await pool.query('DELETE FROM hr_sessions WHERE user_id = $1', [id]);
+        }
+
+        console.log(`User ${req.user.email} updated HR user ${id}:`, fields);
+        res.json({ success: true, user: result.rows[0] });
+    } catch (error) {
+        console.error('Error updating HR user:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
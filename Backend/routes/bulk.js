@@ -0,0 +1,237 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const tags = require('../tags');
+const applicationActions = require('../applicationActions');
+const dossier = require('../dossier');
+const liveUpdates = require('../liveUpdates');
+
+const router = express.Router();
+
+const MAX_BULK_IDS = 500;
+
+// Unique application IDs, sorted so concurrent bulk requests lock rows in the same order
+function parseIds(value, errors) {
+    if (!Array.isArray(value) || value.length === 0) {
+        errors.push('ids must be a non-empty array of application IDs');
+        return [];
+    }
+    const ids = [...new Set(value.map(id => Number(id)))];
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        errors.push('ids must be positive integers');
+    }
+    if (ids.length > MAX_BULK_IDS) {
+        errors.push(`At most ${MAX_BULK_IDS} applications can be changed at once`);
+    }
+    return ids.sort((a, b) => a - b);
+}
+
+/**
+ * Runs `action(client, id)` for every ID in one transaction and reports each row's result.
+ * A row whose action returns { error } is reported as failed without affecting the others;
+ * an unexpected error rolls back the whole batch.
+ */
+async function runBulk(ids, action) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const results = [];
+        for (const id of ids) {
+            const result = await action(client, id);
+            if (result.error) {
+                results.push({ id, success: false, error: result.error });
+            } else {
+                results.push(Object.assign({ id, success: true }, result));
+            }
+        }
+        await client.query('COMMIT');
+        return results;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Tells connected dashboards about every row the bulk action changed
+function publishChanges(results, publishRow) {
+    results.filter(result => result.success && !result.unchanged).forEach(publishRow);
+}
+
+function summarize(results) {
+    const succeeded = results.filter(result => result.success).length;
+    return { success: true, results, succeeded, failed: results.length - succeeded };
+}
+
+// Move applications to a pipeline stage: { ids, status, comment }
+router.post('/status', requireRole('recruiter'), async (req, res) => {
+    try {
+        const errors = [];
+        const ids = parseIds(req.body.ids, errors);
+        const { status, comment } = req.body;
+        if (!status) errors.push('status is required');
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid bulk request', details: errors });
+        }
+
+        console.log(`User ${req.user.email} moving ${ids.length} applications to ${status}`);
+        const results = await runBulk(ids, async (client, id) => {
+            const result = await applicationActions.changeStatus(client, id, status, { actor: req.user, comment });
+            return result.error ? result : { status: result.status, version: result.version };
+        });
+        publishChanges(results, result =>
+            liveUpdates.applicationUpdated(result.id, { status: result.status, version: result.version, changes: ['status'] }, req.user)
+        );
+        const summary = summarize(results);
+        console.log(`Bulk status change: ${summary.succeeded} updated, ${summary.failed} failed`);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error changing status in bulk:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Assign applications to a recruiter, or unassign them with user_id null: { ids, user_id }
+router.post('/assign', requireRole('recruiter'), async (req, res) => {
+    try {
+        const errors = [];
+        const ids = parseIds(req.body.ids, errors);
+        const userId = req.body.user_id === null || req.body.user_id === '' ? null : Number(req.body.user_id);
+        if (req.body.user_id === undefined) errors.push('user_id is required (null to unassign)');
+        else if (userId !== null && !Number.isInteger(userId)) errors.push('user_id must be an integer or null');
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid bulk request', details: errors });
+        }
+
+        const assignee = userId === null ? null : await applicationActions.getAssignableUser(pool, userId);
+        if (userId !== null && !assignee) {
+            return res.status(400).json({ success: false, error: 'Applications can only be assigned to an active recruiter or admin' });
+        }
+
+        console.log(`User ${req.user.email} assigning ${ids.length} applications to ${assignee ? assignee.email : 'nobody'}`);
+        const results = await runBulk(ids, (client, id) =>
+            applicationActions.assignRecruiter(client, id, assignee, { actor: req.user })
+        );
+        publishChanges(results, result =>
+            liveUpdates.applicationUpdated(result.id, { version: result.version, changes: ['assignee'] }, req.user)
+        );
+        const summary = summarize(results);
+        console.log(`Bulk assignment: ${summary.succeeded} updated, ${summary.failed} failed`);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error assigning applications in bulk:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add tags to applications, creating tags that do not exist yet: { ids, tags: ['referral'] or 'a, b' }
+router.post('/tags', requireRole('recruiter'), async (req, res) => {
+    try {
+        const errors = [];
+        const ids = parseIds(req.body.ids, errors);
+        const names = tags.parseTagList(req.body.tags);
+        if (names.length === 0) errors.push('At least one tag is required');
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid bulk request', details: errors });
+        }
+
+        console.log(`User ${req.user.email} tagging ${ids.length} applications with: ${names.join(', ')}`);
+        const results = await runBulk(ids, async (client, id) => {
+            const exists = await client.query('SELECT id, deleted_at FROM applications WHERE id = $1 FOR UPDATE', [id]);
+            if (exists.rows.length === 0) {
+                return { error: 'Application not found' };
+            }
+            if (exists.rows[0].deleted_at) {
+                return { error: 'Application is archived; restore it first' };
+            }
+            return { added: await tags.addApplicationTags(client, id, names, req.user) };
+        });
+        publishChanges(results.filter(result => result.added && result.added.length > 0), result =>
+            liveUpdates.applicationUpdated(result.id, { changes: ['tags'] }, req.user)
+        );
+        const summary = summarize(results);
+        console.log(`Bulk tagging: ${summary.succeeded} updated, ${summary.failed} failed`);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error tagging applications in bulk:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Move applications to the archive (admin only): { ids }
+router.post('/delete', requireRole('admin'), async (req, res) => {
+    try {
+        const errors = [];
+        const ids = parseIds(req.body.ids, errors);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid bulk request', details: errors });
+        }
+
+        console.log(`User ${req.user.email} archiving ${ids.length} applications`);
+        const results = await runBulk(ids, (client, id) =>
+            applicationActions.archiveApplication(client, id, { actor: req.user })
+        );
+        publishChanges(results, result =>
+            liveUpdates.applicationDeleted(result.id, { archived: true, version: result.version }, req.user)
+        );
+        const summary = summarize(results);
+        console.log(`Bulk archive: ${summary.succeeded} archived, ${summary.failed} failed`);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error archiving applications in bulk:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Bring archived applications back (admin only): { ids }
+router.post('/restore', requireRole('admin'), async (req, res) => {
+    try {
+        const errors = [];
+        const ids = parseIds(req.body.ids, errors);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid bulk request', details: errors });
+        }
+
+        console.log(`User ${req.user.email} restoring ${ids.length} applications`);
+        const results = await runBulk(ids, (client, id) =>
+            applicationActions.restoreApplication(client, id, { actor: req.user })
+        );
+        publishChanges(results, result =>
+            liveUpdates.applicationUpdated(result.id, { status: result.status, version: result.version, changes: ['restored'] }, req.user)
+        );
+        const summary = summarize(results);
+        console.log(`Bulk restore: ${summary.succeeded} restored, ${summary.failed} failed`);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error restoring applications in bulk:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Zip of the candidate dossiers (PDF) of the selected applications: { ids }
+router.post('/dossiers', requireRole('viewer'), async (req, res) => {
+    try {
+        const errors = [];
+        const ids = parseIds(req.body.ids, errors);
+        if (ids.length > dossier.MAX_BATCH_DOSSIERS) {
+            errors.push(`At most ${dossier.MAX_BATCH_DOSSIERS} dossiers can be downloaded at once`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid bulk request', details: errors });
+        }
+
+        console.log(`User ${req.user.email} downloading dossiers of ${ids.length} applications`);
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="dossiers-${new Date().toISOString().slice(0, 10)}.zip"`);
+        const { count, missing } = await dossier.writeDossierZip(res, ids, req.user);
+        console.log(`Zipped ${count} dossiers${missing.length > 0 ? `, none for application IDs ${missing.join(', ')}` : ''}`);
+    } catch (error) {
+        console.error('Error zipping dossiers:', error.message);
+        // Once the zip has started the status can no longer change; cut the download short
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
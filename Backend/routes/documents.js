@@ -0,0 +1,128 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const pipeline = require('../pipeline');
+const documents = require('../documents');
+const storage = require('../storage');
+const resumeParser = require('../resumeParser');
+const applicationActions = require('../applicationActions');
+const liveUpdates = require('../liveUpdates');
+const { upload } = require('../uploads');
+
+const router = express.Router();
+
+// Document types with their accepted formats and size limits, for the HR upload form
+router.get('/types', requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        types: Object.keys(documents.DOCUMENT_TYPES).map(type => {
+            const config = documents.DOCUMENT_TYPES[type];
+            return {
+                type,
+                label: config.label,
+                formats: config.formats,
+                accept: config.formats.map(format => storage.FORMATS[format].contentType).join(','),
+                max_bytes: config.maxBytes,
+                single: Boolean(config.single)
+            };
+        })
+    });
+});
+
+// All documents of one application, including replaced versions: ?application_id=12
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const applicationId = parseInt(req.query.application_id, 10);
+        if (isNaN(applicationId)) {
+            return res.status(400).json({ success: false, error: 'application_id is required' });
+        }
+        res.json({ success: true, documents: await documents.getDocuments(applicationId) });
+    } catch (error) {
+        console.error('Error fetching documents:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Add a document on behalf of the candidate (multipart: application_id, type, file and optionally
+ * replaces, the id of the document this is a new version of).
+ */
+router.post('/', requireRole('recruiter'), upload.single('file'), async (req, res) => {
+    const client = await pool.connect();
+    let stored = null;
+    const removeUpload = () => {
+        if (stored) applicationActions.removeFiles([stored.key]);
+    };
+    try {
+        const { type } = req.body;
+        const applicationId = parseInt(req.body.application_id, 10);
+        const replaces = req.body.replaces ? parseInt(req.body.replaces, 10) : null;
+        console.log(`User ${req.user.email} uploading ${type} for application ID: ${req.body.application_id}`);
+        const errors = [];
+        if (isNaN(applicationId)) errors.push('application_id is required');
+        if (!documents.DOCUMENT_TYPES[type]) errors.push(`type must be one of: ${Object.keys(documents.DOCUMENT_TYPES).join(', ')}`);
+        if (replaces !== null && isNaN(replaces)) errors.push('replaces must be a document id');
+        if (!req.file) errors.push('file is required');
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid document', details: errors });
+        }
+
+        const result = await documents.storeDocument(req.file, type, 'hr_upload');
+        if (result.error) {
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        stored = result;
+        const resumeText = type === 'resume'
+            ? await resumeParser.readResumeText(req.file.buffer, req.file.originalname, stored.format)
+            : null;
+
+        await client.query('BEGIN');
+        const application = await client.query(
+            'SELECT id, deleted_at FROM applications WHERE id = $1 FOR UPDATE',
+            [applicationId]
+        );
+        if (application.rows.length === 0) {
+            await client.query('ROLLBACK');
+            removeUpload();
+            return res.status(404).json({ success: false, error: 'Application not found' });
+        }
+        if (application.rows[0].deleted_at) {
+            await client.query('ROLLBACK');
+            removeUpload();
+            return res.status(409).json({ success: false, error: 'Application is archived; restore it first' });
+        }
+
+        const added = await documents.addDocument(client, applicationId, type, stored, { file: req.file, replaces, user: req.user });
+        if (added.error) {
+            await client.query('ROLLBACK');
+            removeUpload();
+            return res.status(added.code).json({ success: false, error: added.error });
+        }
+        // Only the current resume is searchable
+        if (type === 'resume') {
+            await client.query('UPDATE applications SET resume_text = $1, version = version + 1 WHERE id = $2', [resumeText, applicationId]);
+        }
+        const label = documents.DOCUMENT_TYPES[type].label;
+        await pipeline.recordEvent(client, applicationId, {
+            eventType: 'document_uploaded',
+            actor: req.user,
+            comment: added.replaced
+                ? `${label} replaced with version ${added.document.version} (${req.file.originalname})`
+                : `${label} added (${req.file.originalname})`
+        });
+        await client.query('COMMIT');
+        liveUpdates.applicationUpdated(applicationId, { changes: ['documents'] }, req.user);
+
+        console.log(`Document ID ${added.document.id} (${type} v${added.document.version}) added to application ID ${applicationId}`);
+        res.status(201).json({ success: true, document: added.document });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        removeUpload();
+        console.error('Error uploading document:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
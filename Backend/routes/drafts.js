@@ -0,0 +1,137 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const pool = require('../db');
+const drafts = require('../drafts');
+
+const router = express.Router();
+
+// Drafts need no login, so guessing tokens is limited per IP. The form autosaves at most about
+// twice a minute, well within this.
+const draftLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 60,
+    message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+router.use(draftLimiter);
+
+function parseDraftBody(body) {
+    const { errors, formData } = drafts.sanitizeFormData(body.form_data);
+    const page = parseInt(body.page, 10);
+    return { errors, formData, page: isNaN(page) || page < 0 ? 0 : page };
+}
+
+function notFound(res) {
+    return res.status(404).json({ success: false, error: 'This draft has expired or does not exist' });
+}
+
+// Start a draft: { form_data, page }. The token in the response is shown only once; the candidate
+// can have it emailed as a link with POST /send-link.
+router.post('/', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { errors, formData, page } = parseDraftBody(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid draft', details: errors });
+        }
+
+        await client.query('BEGIN');
+        const { draft, token } = await drafts.createDraft(client, formData, page);
+        await client.query('COMMIT');
+
+        console.log(`Application draft ${draft.id} created`);
+        res.status(201).json({
+            success: true,
+            token,
+            resume_url: drafts.getResumeUrl(token),
+            draft: drafts.publicDraft(draft)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error creating draft:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Open a draft: { token }
+router.post('/load', async (req, res) => {
+    try {
+        const draft = await drafts.findDraft(pool, req.body.token);
+        if (!draft) return notFound(res);
+        console.log(`Application draft ${draft.id} loaded`);
+        res.json({ success: true, draft: drafts.publicDraft(draft) });
+    } catch (error) {
+        console.error('Error loading draft:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Autosave: { token, form_data, page }. Each save extends the expiry.
+router.put('/', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { errors, formData, page } = parseDraftBody(req.body);
+        if (!req.body.token) errors.push('token is required');
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid draft', details: errors });
+        }
+
+        await client.query('BEGIN');
+        const draft = await drafts.saveDraft(client, req.body.token, formData, page);
+        if (!draft) {
+            await client.query('ROLLBACK');
+            return notFound(res);
+        }
+        await client.query('COMMIT');
+
+        console.log(`Application draft ${draft.id} saved`);
+        res.json({ success: true, draft: drafts.publicDraft(draft) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error saving draft:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Email the link to continue the draft to its address: { token }
+router.post('/send-link', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await drafts.sendResumeLink(client, req.body.token);
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        await client.query('COMMIT');
+
+        console.log(`Resume link of application draft ${result.draft.id} emailed`);
+        res.json({ success: true, draft: drafts.publicDraft(result.draft) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error emailing draft link:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Discard a draft: { token }
+router.delete('/', async (req, res) => {
+    try {
+        const draft = await drafts.findDraft(pool, req.body.token);
+        if (!draft) return notFound(res);
+        await drafts.deleteDraft(pool, draft.id);
+        console.log(`Application draft ${draft.id} discarded`);
+        res.json({ success: true, message: 'Draft discarded' });
+    } catch (error) {
+        console.error('Error discarding draft:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
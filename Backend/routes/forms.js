@@ -0,0 +1,108 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const forms = require('../forms');
+
+const router = express.Router();
+
+// Application forms with their questions, including knockout rules
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            forms: await forms.getForms(),
+            question_types: forms.QUESTION_TYPES,
+            knockout_stage: forms.KNOCKOUT_STAGE
+        });
+    } catch (error) {
+        console.error('Error fetching application forms:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Create a form: { name, description, questions: [{ key, label, help_text, type, required,
+ * options, min, max, knockout }] }. The key is derived from the label when left out.
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        console.log(`User ${req.user.email} creating application form:`, req.body);
+        const { errors, form, questions } = forms.validateForm(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid application form', details: errors });
+        }
+
+        await client.query('BEGIN');
+        const created = await forms.saveForm(client, null, form, questions);
+        await client.query('COMMIT');
+
+        console.log(`Application form ${created.name} created, ID: ${created.id}`);
+        res.status(201).json({ success: true, form: created });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'An application form with this name already exists' });
+        }
+        console.error('Error creating application form:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Update a form (partial updates allowed). Applications already submitted keep their answers.
+router.put('/:id', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} updating application form ID ${id}:`, req.body);
+        const { errors, form, questions } = forms.validateForm(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid application form', details: errors });
+        }
+        if (Object.keys(form).length === 0 && !questions) {
+            return res.status(400).json({ success: false, error: 'No fields to update' });
+        }
+
+        await client.query('BEGIN');
+        const current = await client.query('SELECT id FROM application_forms WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: 'Application form not found' });
+        }
+        const updated = await forms.saveForm(client, current.rows[0].id, form, questions);
+        await client.query('COMMIT');
+
+        console.log(`Application form ID ${id} updated`);
+        res.json({ success: true, form: updated });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'An application form with this name already exists' });
+        }
+        console.error('Error updating application form:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Delete a form; postings using it go back to the standard form
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} deleting application form ID ${id}`);
+        const result = await pool.query('DELETE FROM application_forms WHERE id = $1 RETURNING id', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Application form not found' });
+        }
+        console.log(`Application form ID ${id} deleted`);
+        res.json({ success: true, id: result.rows[0].id, message: 'Application form deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting application form:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const pipeline = require('../pipeline');
+const notifications = require('../notifications');
+const interviews = require('../interviews');
+const { buildInterviewInvite } = require('../calendar');
+
+const router = express.Router();
+
+async function getApplication(client, id, forUpdate = false) {
+    const result = await client.query(
+        `SELECT id, full_name, email, job_role, preferred_location, status, deleted_at FROM applications WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [id]
+    );
+    return result.rows[0] || null;
+}
+
+function conflictResponse(res, conflicts) {
+    return res.status(409).json({
+        success: false,
+        error: 'The interview overlaps with other scheduled interviews',
+        conflicts
+    });
+}
+
+// Interview types and outcomes for the HR forms
+router.get('/options', requireRole('viewer'), (req, res) => {
+    res.json({ success: true, types: interviews.INTERVIEW_TYPES, outcomes: interviews.INTERVIEW_OUTCOMES });
+});
+
+// Interview rounds of one application: ?application_id=12
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const applicationId = parseInt(req.query.application_id, 10);
+        if (isNaN(applicationId)) {
+            return res.status(400).json({ success: false, error: 'application_id is required' });
+        }
+        res.json({ success: true, interviews: await interviews.getApplicationInterviews(applicationId) });
+    } catch (error) {
+        console.error('Error fetching interviews:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Schedule a round: { application_id, interview_type, scheduled_at, duration_minutes, interviewers,
+ * location, meeting_link }. Overlaps with the interviewers' or the candidate's other scheduled
+ * interviews are rejected with 409 unless ignore_conflicts is true.
+ */
+router.post('/', requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        console.log(`User ${req.user.email} scheduling interview:`, req.body);
+        const { errors, interview, panelists } = interviews.validateInterview(req.body);
+        if (isNaN(parseInt(req.body.application_id, 10))) errors.push('application_id is required');
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid interview', details: errors });
+        }
+
+        await client.query('BEGIN');
+        const application = await getApplication(client, parseInt(req.body.application_id, 10), true);
+        if (!application) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: 'Application not found' });
+        }
+        if (application.deleted_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: 'Cannot schedule interviews for an archived application' });
+        }
+        const stage = await pipeline.getStage(client, application.status);
+        if (stage && stage.is_terminal) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: `Cannot schedule interviews for an application that is ${application.status}` });
+        }
+
+        const conflicts = await interviews.findConflicts(client, {
+            applicationId: application.id,
+            start: interview.scheduled_at,
+            durationMinutes: interview.duration_minutes,
+            emails: panelists.map(panelist => panelist.email)
+        });
+        if (conflicts.length > 0 && req.body.ignore_conflicts !== true) {
+            await client.query('ROLLBACK');
+            return conflictResponse(res, conflicts);
+        }
+
+        const created = await interviews.createInterview(client, application.id, interview, panelists, req.user);
+        await pipeline.recordEvent(client, application.id, {
+            eventType: 'interview_scheduled',
+            actor: req.user,
+            comment: `${created.interview_type} on ${interviews.formatInterviewTime(created.scheduled_at)}`
+        });
+        await notifications.notifyInterview(client, 'interview_invite', application, interviews.interviewVariables(created));
+        await client.query('COMMIT');
+
+        console.log(`Interview ID ${created.id} scheduled for application ID ${application.id}`);
+        res.status(201).json({ success: true, interview: created, conflicts });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error scheduling interview:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Reschedule or edit a scheduled round; accepts any of the fields of POST /
+router.put('/:id', requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} updating interview ID ${id}:`, req.body);
+        const { errors, interview: changes, panelists } = interviews.validateInterview(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid interview', details: errors });
+        }
+        if (Object.keys(changes).length === 0 && !panelists) {
+            return res.status(400).json({ success: false, error: 'No changes given' });
+        }
+
+        await client.query('BEGIN');
+        const current = await interviews.getInterview(client, id, true);
+        if (!current) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: 'Interview not found' });
+        }
+        if (current.status !== 'scheduled') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: `Cannot change an interview that is ${current.status}` });
+        }
+
+        const merged = Object.assign({}, current, changes);
+        const conflicts = await interviews.findConflicts(client, {
+            excludeId: current.id,
+            applicationId: current.application_id,
+            start: new Date(merged.scheduled_at),
+            durationMinutes: merged.duration_minutes,
+            emails: (panelists || current.panelists).map(panelist => panelist.email)
+        });
+        if (conflicts.length > 0 && req.body.ignore_conflicts !== true) {
+            await client.query('ROLLBACK');
+            return conflictResponse(res, conflicts);
+        }
+
+        const updated = await interviews.updateInterview(client, current.id, changes, panelists);
+        const application = await getApplication(client, current.application_id);
+        await pipeline.recordEvent(client, current.application_id, {
+            eventType: 'interview_rescheduled',
+            actor: req.user,
+            comment: `${updated.interview_type} moved to ${interviews.formatInterviewTime(updated.scheduled_at)}`
+        });
+        await notifications.notifyInterview(client, 'interview_rescheduled', application, interviews.interviewVariables(updated));
+        await client.query('COMMIT');
+
+        console.log(`Interview ID ${id} updated`);
+        res.json({ success: true, interview: updated, conflicts });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating interview:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Cancel a scheduled round: { reason }
+router.post('/:id/cancel', requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const reason = req.body.reason ? String(req.body.reason).slice(0, 1000) : null;
+        console.log(`User ${req.user.email} cancelling interview ID ${id}`);
+
+        await client.query('BEGIN');
+        const current = await interviews.getInterview(client, id, true);
+        if (!current) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: 'Interview not found' });
+        }
+        if (current.status !== 'scheduled') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: `Interview is already ${current.status}` });
+        }
+
+        const cancelled = await interviews.cancelInterview(client, current.id);
+        const application = await getApplication(client, current.application_id);
+        await pipeline.recordEvent(client, current.application_id, {
+            eventType: 'interview_cancelled',
+            actor: req.user,
+            comment: `${cancelled.interview_type} on ${interviews.formatInterviewTime(cancelled.scheduled_at)}` +
+                (reason ? `: ${reason}` : '')
+        });
+        await notifications.notifyInterview(client, 'interview_cancelled', application, interviews.interviewVariables(cancelled));
+        await client.query('COMMIT');
+
+        console.log(`Interview ID ${id} cancelled`);
+        res.json({ success: true, interview: cancelled });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error cancelling interview:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Record the result of a round: { outcome, feedback }. Can be corrected after it is first recorded.
+router.put('/:id/outcome', requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const { outcome } = req.body;
+        const feedback = req.body.feedback ? String(req.body.feedback).slice(0, 5000) : null;
+        console.log(`User ${req.user.email} recording outcome ${outcome} for interview ID ${id}`);
+        if (!interviews.INTERVIEW_OUTCOMES.includes(outcome)) {
+            return res.status(400).json({
+                success: false,
+                error: `outcome must be one of: ${interviews.INTERVIEW_OUTCOMES.join(', ')}`
+            });
+        }
+
+        await client.query('BEGIN');
+        const current = await interviews.getInterview(client, id, true);
+        if (!current) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: 'Interview not found' });
+        }
+        if (current.status === 'cancelled') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: 'Cannot record an outcome for a cancelled interview' });
+        }
+
+        const updated = await interviews.recordOutcome(client, current.id, outcome, feedback);
+        await pipeline.recordEvent(client, current.application_id, {
+            eventType: 'interview_outcome',
+            actor: req.user,
+            comment: `${updated.interview_type}: ${outcome}` + (feedback ? ` - ${feedback}` : '')
+        });
+        await client.query('COMMIT');
+
+        console.log(`Outcome recorded for interview ID ${id}`);
+        res.json({ success: true, interview: updated });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error recording interview outcome:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Calendar invite (.ics) for the round; cancelled rounds download as a cancellation
+router.get('/:id/ics', requireRole('viewer'), async (req, res) => {
+    try {
+        const interview = await interviews.getInterview(pool, req.params.id);
+        if (!interview) {
+            return res.status(404).json({ success: false, error: 'Interview not found' });
+        }
+        const application = await getApplication(pool, interview.application_id);
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="interview-${interview.id}.ics"`);
+        res.send(buildInterviewInvite(interview, application));
+    } catch (error) {
+        console.error('Error building interview invite:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
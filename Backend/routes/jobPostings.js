@@ -0,0 +1,422 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const skills = require('../skills');
+const ranking = require('../ranking');
+const scorecards = require('../scorecards');
+const forms = require('../forms');
+const { parseApplicationQuery } = require('../applicationQuery');
+const pii = require('../pii');
+const tags = require('../tags');
+
+const router = express.Router();
+
+const POSTING_STATUSES = ['Open', 'Closed'];
+
+// A posting accepts applications while it is open and its closing date (if any) has not passed
+const acceptingSql = (alias = '') => {
+    const col = alias ? `${alias}.` : '';
+    return `(${col}status = 'Open' AND (${col}closing_date IS NULL OR ${col}closing_date >= CURRENT_DATE))`;
+};
+
+function parseLocations(locations) {
+    if (locations === undefined || locations === null || locations === '') return [];
+    const list = Array.isArray(locations) ? locations : String(locations).split(',');
+    return list.map(location => String(location).trim()).filter(location => location);
+}
+
+// Validates a create/update payload. With `partial` set only the supplied fields are checked.
+function validatePosting(body, partial = false) {
+    const errors = [];
+    const posting = {};
+
+    if (!partial || body.title !== undefined) {
+        if (!body.title || !String(body.title).trim()) {
+            errors.push('title is required');
+        } else {
+            posting.title = String(body.title).trim();
+        }
+    }
+    if (body.department !== undefined) {
+        posting.department = body.department ? String(body.department).trim() : null;
+    }
+    if (body.description !== undefined) {
+        posting.description = body.description ? String(body.description) : null;
+    }
+    if (!partial || body.locations !== undefined) {
+        posting.locations = parseLocations(body.locations);
+        if (posting.locations.length === 0) {
+            errors.push('At least one location is required');
+        }
+    }
+    if (!partial || body.openings !== undefined) {
+        const openings = parseInt(body.openings, 10);
+        if (isNaN(openings) || openings < 1) {
+            errors.push('openings must be a positive integer');
+        } else {
+            posting.openings = openings;
+        }
+    }
+    if (body.status !== undefined) {
+        if (!POSTING_STATUSES.includes(body.status)) {
+            errors.push(`status must be one of: ${POSTING_STATUSES.join(', ')}`);
+        } else {
+            posting.status = body.status;
+        }
+    }
+    if (body.closing_date !== undefined) {
+        if (!body.closing_date) {
+            posting.closing_date = null;
+        } else if (isNaN(Date.parse(body.closing_date))) {
+            errors.push('closing_date must be a valid date');
+        } else {
+            posting.closing_date = body.closing_date;
+        }
+    }
+    // Empty means the default scorecard template
+    if (body.scorecard_template_id !== undefined) {
+        const templateId = parseInt(body.scorecard_template_id, 10);
+        if (body.scorecard_template_id === null || body.scorecard_template_id === '') {
+            posting.scorecard_template_id = null;
+        } else if (isNaN(templateId) || templateId < 1) {
+            errors.push('scorecard_template_id must be a template ID');
+        } else {
+            posting.scorecard_template_id = templateId;
+        }
+    }
+    // Empty means the standard application form without custom questions
+    if (body.application_form_id !== undefined) {
+        const formId = parseInt(body.application_form_id, 10);
+        if (body.application_form_id === null || body.application_form_id === '') {
+            posting.application_form_id = null;
+        } else if (isNaN(formId) || formId < 1) {
+            errors.push('application_form_id must be a form ID');
+        } else {
+            posting.application_form_id = formId;
+        }
+    }
+    // Ranking requirements; missing or empty means no requirement
+    const limits = [
+        { name: 'min_experience', parse: parseFloat, max: 50 },
+        { name: 'max_notice_days', parse: value => parseInt(value, 10), max: 365 },
+        { name: 'max_salary', parse: parseFloat, max: 9999999999 }
+    ];
+    for (const limit of limits) {
+        if (body[limit.name] === undefined || body[limit.name] === null || body[limit.name] === '') {
+            if (!partial || body[limit.name] !== undefined) posting[limit.name] = null;
+            continue;
+        }
+        const value = limit.parse(body[limit.name]);
+        if (isNaN(value) || value < 0 || value > limit.max) {
+            errors.push(`${limit.name} must be a number between 0 and ${limit.max}`);
+        } else {
+            posting[limit.name] = value;
+        }
+    }
+
+    return { errors, posting };
+}
+
+// required_skills / nice_to_have_skills from a payload, or null when neither is supplied
+function parseSkillRequirements(body) {
+    if (body.required_skills === undefined && body.nice_to_have_skills === undefined) return null;
+    return {
+        required: skills.parseSkillList(body.required_skills),
+        nice_to_have: skills.parseSkillList(body.nice_to_have_skills)
+    };
+}
+
+// Adds required_skills and nice_to_have_skills to each posting
+async function withSkills(postings) {
+    const byPosting = await skills.getPostingSkills(postings.map(posting => posting.id));
+    return postings.map(posting => Object.assign(posting, byPosting[posting.id]));
+}
+
+// Looks up the posting an application is being submitted against. Returns { posting } when the
+// posting exists and still accepts applications, otherwise { error } with a message for the client.
+async function findPostingForApplication(postingId) {
+    const id = parseInt(postingId, 10);
+    if (isNaN(id)) {
+        return { error: 'Invalid job_posting_id' };
+    }
+    const result = await pool.query(
+        `SELECT *, ${acceptingSql()} AS accepting_applications FROM job_postings WHERE id = $1`,
+        [id]
+    );
+    if (result.rows.length === 0) {
+        return { error: 'Job posting not found' };
+    }
+    const posting = result.rows[0];
+    if (!posting.accepting_applications) {
+        return { error: 'This job posting is no longer accepting applications' };
+    }
+    return { posting };
+}
+
+// Checks that the scorecard template and application form a posting refers to exist
+async function findMissingReferences(posting) {
+    const errors = [];
+    if (posting.scorecard_template_id && !(await scorecards.getTemplate(pool, posting.scorecard_template_id))) {
+        errors.push('Scorecard template not found');
+    }
+    if (posting.application_form_id && !(await forms.getForm(pool, posting.application_form_id))) {
+        errors.push('Application form not found');
+    }
+    return errors;
+}
+
+// Public list of postings that accept applications, used by the candidate form. Each posting
+// carries the custom questions of its application form, without their knockout rules.
+router.get('/open', async (req, res) => {
+    try {
+        console.log('Fetching open job postings...');
+        const query = `
+            SELECT id, title, department, description, locations, openings, closing_date, application_form_id
+            FROM job_postings
+            WHERE ${acceptingSql()}
+            ORDER BY created_at DESC
+        `;
+        const result = await pool.query(query);
+        const allForms = await forms.getForms();
+        const postings = result.rows.map(({ application_form_id: formId, ...posting }) => Object.assign(posting, {
+            questions: forms.publicQuestions(allForms.find(form => form.id === formId))
+        }));
+        res.json({ success: true, postings });
+    } catch (error) {
+        console.error('Error fetching open job postings:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to fetch job postings' });
+    }
+});
+
+// List job postings. ?open=true limits the list to postings that accept applications.
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        console.log('Fetching job postings...', req.query);
+        const onlyOpen = req.query.open === 'true';
+        const query = `
+            SELECT p.*, ${acceptingSql('p')} AS accepting_applications,
+                   COALESCE(c.application_count, 0)::int AS application_count
+            FROM job_postings p
+            LEFT JOIN (
+                SELECT job_posting_id, COUNT(*) AS application_count
+                FROM applications
+                WHERE deleted_at IS NULL
+                GROUP BY job_posting_id
+            ) c ON c.job_posting_id = p.id
+            ${onlyOpen ? `WHERE ${acceptingSql('p')}` : ''}
+            ORDER BY p.created_at DESC
+        `;
+        const result = await pool.query(query);
+        console.log(`Fetched ${result.rows.length} job postings`);
+        res.json({ success: true, postings: await withSkills(result.rows) });
+    } catch (error) {
+        console.error('Error fetching job postings:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get single job posting by ID
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`Fetching job posting with ID: ${id}`);
+        const result = await pool.query(
+            `SELECT *, ${acceptingSql()} AS accepting_applications FROM job_postings WHERE id = $1`,
+            [id]
+        );
+        if (result.rows.length === 0) {
+            console.error(`Job posting with ID ${id} not found`);
+            return res.status(404).json({ success: false, error: 'Job posting not found' });
+        }
+        const [posting] = await withSkills(result.rows);
+        res.json({ success: true, posting });
+    } catch (error) {
+        console.error('Error fetching job posting:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create a job posting
+router.post('/', requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        console.log('Creating job posting:', req.body);
+        const { errors, posting } = validatePosting(req.body);
+        if (errors.length > 0) {
+            console.error('Invalid job posting:', errors);
+            return res.status(400).json({ success: false, error: 'Invalid job posting', details: errors });
+        }
+        const missing = await findMissingReferences(posting);
+        if (missing.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid job posting', details: missing });
+        }
+
+        const query = `
+            INSERT INTO job_postings (
+                title, department, description, locations, openings, status, closing_date,
+                min_experience, max_notice_days, max_salary, scorecard_template_id, application_form_id
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *
+        `;
+        const values = [
+            posting.title, posting.department || null, posting.description || null, posting.locations,
+            posting.openings, posting.status || 'Open', posting.closing_date || null,
+            posting.min_experience, posting.max_notice_days, posting.max_salary,
+            posting.scorecard_template_id || null, posting.application_form_id || null
+        ];
+        await client.query('BEGIN');
+        const result = await client.query(query, values);
+        const requirements = parseSkillRequirements(req.body);
+        if (requirements) {
+            await skills.setPostingSkills(client, result.rows[0].id, requirements);
+        }
+        await client.query('COMMIT');
+
+        console.log('Job posting created, ID:', result.rows[0].id);
+        const [created] = await withSkills(result.rows);
+        res.status(201).json({ success: true, posting: created });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error creating job posting:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Update a job posting (partial updates allowed, e.g. { status: 'Closed' })
+router.put('/:id', requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        console.log(`Updating job posting ID ${id}:`, req.body);
+        const { errors, posting } = validatePosting(req.body, true);
+        if (errors.length > 0) {
+            console.error('Invalid job posting update:', errors);
+            return res.status(400).json({ success: false, error: 'Invalid job posting', details: errors });
+        }
+        const missing = await findMissingReferences(posting);
+        if (missing.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid job posting', details: missing });
+        }
+
+        const fields = Object.keys(posting);
+        const requirements = parseSkillRequirements(req.body);
+        if (fields.length === 0 && !requirements) {
+            return res.status(400).json({ success: false, error: 'No fields to update' });
+        }
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+        const query = `
+            UPDATE job_postings
+            SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+            WHERE id = $${fields.length + 1}
+            RETURNING *
+        `;
+        await client.query('BEGIN');
+        const result = await client.query(query, [...fields.map(field => posting[field]), id]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            console.error(`Job posting with ID ${id} not found`);
+            return res.status(404).json({ success: false, error: 'Job posting not found' });
+        }
+        if (requirements) {
+            await skills.setPostingSkills(client, result.rows[0].id, requirements);
+        }
+        if (requirements || fields.some(field => ranking.SCORED_POSTING_FIELDS.includes(field))) {
+            const rescored = await ranking.updatePostingScores(client, result.rows[0].id);
+            console.log(`Rescored ${rescored} applications for job posting ID ${id}`);
+        }
+        await client.query('COMMIT');
+
+        console.log(`Job posting ID ${id} updated successfully`);
+        const [updated] = await withSkills(result.rows);
+        res.json({ success: true, posting: updated });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating job posting:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Applicants to a posting scored against its skill, experience, notice period and salary
+// requirements, best first. Accepts the same filters and paging as GET /api/applications;
+// each application carries match.score (0-100) and match.breakdown explaining it. Scores are
+// stored when an application is submitted and when the posting's requirements change.
+router.get('/:id/ranking', requireRole('viewer'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`Ranking applicants for job posting ID ${id}`, pii.redact(req.query));
+        const result = await pool.query('SELECT * FROM job_postings WHERE id = $1', [id]);
+        if (result.rows.length === 0) {
+            console.error(`Job posting with ID ${id} not found`);
+            return res.status(404).json({ success: false, error: 'Job posting not found' });
+        }
+        const [posting] = await withSkills(result.rows);
+
+        const { errors, where, values, limit, offset, page, pageSize } = parseApplicationQuery(
+            Object.assign({}, req.query, { job_posting_id: posting.id, sort: undefined }),
+            { user: req.user }
+        );
+        if (errors.length > 0) {
+            console.error('Invalid ranking query:', errors);
+            return res.status(400).json({ success: false, error: 'Invalid query parameters', details: errors });
+        }
+
+        const { applications, total } = await ranking.rankApplications(where, values, { limit, offset });
+        applications.forEach(application => pii.maskFields(application, req.user));
+        console.log(`Ranked ${applications.length} of ${total} applicants for job posting ID ${id}`);
+        res.json({
+            success: true,
+            posting,
+            weights: ranking.WEIGHTS,
+            applications: await tags.addLabels(applications),
+            pagination: {
+                page,
+                page_size: pageSize,
+                total,
+                total_pages: Math.ceil(total / pageSize)
+            }
+        });
+    } catch (error) {
+        console.error('Error ranking applicants:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete a job posting. Postings that already have applications must be closed instead.
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`Deleting job posting with ID: ${id}`);
+
+        const usage = await pool.query('SELECT COUNT(*)::int AS count FROM applications WHERE job_posting_id = $1', [id]);
+        if (usage.rows[0].count > 0) {
+            console.error(`Job posting ${id} has ${usage.rows[0].count} applications, refusing to delete`);
+            return res.status(409).json({
+                success: false,
+                error: 'Job posting has applications; close it instead of deleting it'
+            });
+        }
+
+        const result = await pool.query('DELETE FROM job_postings WHERE id = $1 RETURNING id', [id]);
+        if (result.rows.length === 0) {
+            console.error(`Job posting with ID ${id} not found`);
+            return res.status(404).json({ success: false, error: 'Job posting not found' });
+        }
+
+        console.log(`Job posting ID ${id} deleted successfully`);
+        res.json({ success: true, id: result.rows[0].id, message: 'Job posting deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting job posting:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = {
+    router,
+    findPostingForApplication
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const liveUpdates = require('../liveUpdates');
+
+const router = express.Router();
+
+// EventSource cannot send an Authorization header, so the stream also accepts the session token
+// as ?token= (kept out of the access log by pii.redactUrl)
+function tokenFromQuery(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.token === 'string' && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+/**
+ * Stream of application.created, application.updated and application.deleted events as
+ * Server-Sent Events. Reconnecting browsers send Last-Event-ID (or ?last_event_id=) and get the
+ * events they missed while those are still buffered.
+ */
+router.get('/', tokenFromQuery, requireRole('viewer'), (req, res) => {
+    try {
+        liveUpdates.subscribe(req, res, req.get('Last-Event-ID') || req.query.last_event_id);
+    } catch (error) {
+        console.error('Error opening live update stream:', error.message);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
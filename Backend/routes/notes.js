@@ -0,0 +1,117 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const notes = require('../notes');
+const liveUpdates = require('../liveUpdates');
+
+const router = express.Router();
+
+// Runs a notes.js change in a transaction; results with { error } are rolled back
+async function inTransaction(change) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await change(client);
+        await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// HR users that can be @mentioned, with the handle to type
+router.get('/mentionable', requireRole('viewer'), async (req, res) => {
+    try {
+        const users = await notes.getMentionableUsers();
+        res.json({ success: true, users: users.map(user => ({ id: user.id, full_name: user.full_name, handle: user.handle })) });
+    } catch (error) {
+        console.error('Error fetching mentionable users:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Note threads of one application, oldest first: ?application_id=12
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const applicationId = parseInt(req.query.application_id, 10);
+        if (isNaN(applicationId)) {
+            return res.status(400).json({ success: false, error: 'application_id is required' });
+        }
+        res.json({ success: true, notes: await notes.getNotes(applicationId) });
+    } catch (error) {
+        console.error('Error fetching notes:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add a note, or reply to one with parent_id: { application_id, body, parent_id }
+router.post('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const applicationId = parseInt(req.body.application_id, 10);
+        const parentId = req.body.parent_id === undefined || req.body.parent_id === null || req.body.parent_id === ''
+            ? null
+            : Number(req.body.parent_id);
+        if (isNaN(applicationId)) {
+            return res.status(400).json({ success: false, error: 'application_id is required' });
+        }
+        if (parentId !== null && !Number.isInteger(parentId)) {
+            return res.status(400).json({ success: false, error: 'parent_id must be a note ID' });
+        }
+        console.log(`User ${req.user.email} adding a note to application ID ${applicationId}`);
+
+        const result = await inTransaction(client =>
+            notes.createNote(client, applicationId, { body: req.body.body, parentId }, req.user)
+        );
+        if (result.error) {
+            console.error(`Cannot add note to application ${applicationId}: ${result.error}`);
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        console.log(`Note ID ${result.note.id} added, ${result.note.mentions.length} mention(s)`);
+        liveUpdates.applicationUpdated(applicationId, { changes: ['notes'] }, req.user);
+        res.status(201).json({ success: true, note: result.note, notes: await notes.getNotes(applicationId) });
+    } catch (error) {
+        console.error('Error adding note:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Edit your own note: { body }
+router.put('/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} editing note ID ${id}`);
+        const result = await inTransaction(client => notes.updateNote(client, id, req.body.body, req.user));
+        if (result.error) {
+            console.error(`Cannot edit note ${id}: ${result.error}`);
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        liveUpdates.applicationUpdated(result.note.application_id, { changes: ['notes'] }, req.user);
+        res.json({ success: true, note: result.note });
+    } catch (error) {
+        console.error('Error editing note:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete your own note (admins can delete any)
+router.delete('/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} deleting note ID ${id}`);
+        const result = await inTransaction(client => notes.deleteNote(client, id, req.user));
+        if (result.error) {
+            console.error(`Cannot delete note ${id}: ${result.error}`);
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        liveUpdates.applicationUpdated(result.application_id, { changes: ['notes'] }, req.user);
+        res.json({ success: true, deleted: result.deleted });
+    } catch (error) {
+        console.error('Error deleting note:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
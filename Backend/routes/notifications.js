@@ -0,0 +1,97 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const notifications = require('../notifications');
+
+const router = express.Router();
+
+const OUTBOX_STATUSES = ['pending', 'sent', 'failed'];
+
+// Email templates with the placeholders each one supports
+router.get('/templates', requireRole('recruiter'), async (req, res) => {
+    try {
+        res.json({ success: true, templates: await notifications.getTemplates() });
+    } catch (error) {
+        console.error('Error fetching email templates:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Edit a template's subject and body (admin only)
+router.put('/templates/:key', requireRole('admin'), async (req, res) => {
+    try {
+        const { key } = req.params;
+        console.log(`User ${req.user.email} updating email template ${key}`);
+        if (!notifications.getTemplateDefinition(key)) {
+            return res.status(404).json({ success: false, error: 'Email template not found' });
+        }
+
+        const errors = notifications.validateTemplate(key, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid template', details: errors });
+        }
+
+        const template = await notifications.updateTemplate(key, req.body, req.user);
+        console.log(`Email template ${key} updated successfully`);
+        res.json({ success: true, template });
+    } catch (error) {
+        console.error('Error updating email template:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Recent outbox entries, newest first; ?status=pending|sent|failed
+router.get('/outbox', requireRole('admin'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !OUTBOX_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+        }
+        const result = await pool.query(`
+            SELECT id, template_key, application_id, to_address, subject, status, attempts, last_error,
+                   next_attempt_at, created_at, sent_at
+            FROM email_outbox
+            ${status ? 'WHERE status = $1' : ''}
+            ORDER BY id DESC
+            LIMIT 100
+        `, status ? [status] : []);
+        res.json({ success: true, emails: result.rows });
+    } catch (error) {
+        console.error('Error fetching email outbox:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Queue a failed email for another round of attempts. Emails whose tracking or draft link was
+// dropped when they failed (see notifications.processOutbox) cannot be resent.
+router.post('/outbox/:id/retry', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} retrying email ${id}`);
+        const failed = await pool.query(`SELECT template_key FROM email_outbox WHERE id = $1 AND status = 'failed'`, [id]);
+        if (failed.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'No failed email with this ID' });
+        }
+        if (notifications.hasSecretVariables(failed.rows[0].template_key)) {
+            return res.status(409).json({
+                success: false,
+                error: 'This email carried a tracking or draft link, which was removed when it failed, so it cannot be resent'
+            });
+        }
+        const result = await pool.query(`
+            UPDATE email_outbox
+            SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+            WHERE id = $1 AND status = 'failed'
+            RETURNING id
+        `, [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'No failed email with this ID' });
+        }
+        res.json({ success: true, message: 'Email queued for retry' });
+    } catch (error) {
+        console.error('Error retrying email:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const pipeline = require('../pipeline');
+
+const router = express.Router();
+
+// Current stages (in order) with the stages each one can move to
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ success: true, pipeline: await pipeline.getPipeline() });
+    } catch (error) {
+        console.error('Error fetching pipeline:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Replace the pipeline: { stages: [{ name, is_initial, is_terminal }], transitions: [{ from, to }] }
+router.put('/', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        console.log(`User ${req.user.email} updating pipeline:`, req.body);
+        const errors = pipeline.validatePipeline(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid pipeline', details: errors });
+        }
+
+        await client.query('BEGIN');
+        const names = req.body.stages.map(stage => String(stage.name).trim());
+        const orphaned = await client.query(
+            'SELECT status, COUNT(*)::int AS count FROM applications WHERE NOT (status = ANY($1)) GROUP BY status',
+            [names]
+        );
+        if (orphaned.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                error: 'Some applications are in stages that the new pipeline removes',
+                details: orphaned.rows.map(row => `${row.count} application(s) in ${row.status}`)
+            });
+        }
+
+        await pipeline.savePipeline(req.body, client);
+        await client.query('COMMIT');
+        console.log('Pipeline updated successfully');
+        res.json({ success: true, pipeline: await pipeline.getPipeline() });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating pipeline:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const pool = require('../db');
+const { hashToken } = require('../auth');
+const pipeline = require('../pipeline');
+const notifications = require('../notifications');
+const resumeParser = require('../resumeParser');
+const documents = require('../documents');
+const applicationActions = require('../applicationActions');
+const liveUpdates = require('../liveUpdates');
+const webhooks = require('../webhooks');
+const { upload } = require('../uploads');
+const pii = require('../pii');
+
+const router = express.Router();
+
+// Link included in the confirmation email and submit response; the page reads email and token from the query string
+const CANDIDATE_PORTAL_URL = process.env.CANDIDATE_PORTAL_URL || 'http://localhost:5500/Fronted/status.html';
+
+// Event types a candidate sees in their own history. HR comments and actor names stay internal.
+const CANDIDATE_EVENT_TYPES = ['submitted', 'stage_changed', 'resume_updated', 'withdrawn'];
+
+// Every portal request carries a token, so guessing attempts are limited per IP
+const portalLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+router.use(portalLimiter);
+
+function createTrackingToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    return { token, hash: hashToken(token) };
+}
+
+function getTrackingUrl(email, token) {
+    const url = new URL(CANDIDATE_PORTAL_URL);
+    url.searchParams.set('email', email);
+    url.searchParams.set('token', token);
+    return url.toString();
+}
+
+// Looks up the application matching an email and tracking token; null when they do not match.
+// Pass forUpdate inside a transaction to lock the row before changing it.
+async function findTrackedApplication(client, email, token, forUpdate = false) {
+    if (!email || !token) return null;
+    const result = await client.query(`
+        SELECT id, full_name, email, job_role, preferred_location, status, submission_date
+        FROM applications
+        WHERE LOWER(email) = LOWER($1) AND tracking_token_hash = $2 AND deleted_at IS NULL
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [String(email).trim(), hashToken(String(token).trim())]);
+    return result.rows[0] || null;
+}
+
+function notFound(res) {
+    return res.status(404).json({ success: false, error: 'No application matches this email and tracking token' });
+}
+
+// Current stage and history for the candidate
+router.post('/status', async (req, res) => {
+    try {
+        const { email, token } = req.body;
+        console.log(`Candidate status lookup for ${pii.maskEmail(email)}`);
+        const application = await findTrackedApplication(pool, email, token);
+        if (!application) return notFound(res);
+
+        const stage = await pipeline.getStage(pool, application.status);
+        const events = await pipeline.getApplicationEvents(application.id);
+        res.json({
+            success: true,
+            application: {
+                id: application.id,
+                full_name: application.full_name,
+                job_role: application.job_role,
+                preferred_location: application.preferred_location,
+                status: application.status,
+                submission_date: application.submission_date,
+                is_closed: Boolean(stage && stage.is_terminal)
+            },
+            history: events
+                .filter(event => CANDIDATE_EVENT_TYPES.includes(event.event_type))
+                .map(event => ({
+                    event_type: event.event_type,
+                    from_stage: event.from_stage,
+                    to_stage: event.to_stage,
+                    created_at: event.created_at
+                }))
+        });
+    } catch (error) {
+        console.error('Error fetching candidate status:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Replace the resume on an open application (multipart: email, token, resume). The previous
+// resume is kept as an older version. The email and token are checked before the file is stored,
+// scanned or parsed, and again under a row lock in case the application changed in the meantime.
+router.post('/resume', upload.single('resume'), async (req, res) => {
+    const client = await pool.connect();
+    let stored = null;
+    const removeUpload = () => {
+        if (stored) applicationActions.removeFiles([stored.key]);
+    };
+    try {
+        const { email, token } = req.body;
+        console.log(`Candidate resume update for ${pii.maskEmail(email)}`);
+        const tracked = await findTrackedApplication(client, email, token);
+        if (!tracked) return notFound(res);
+        const trackedStage = await pipeline.getStage(client, tracked.status);
+        if (trackedStage && trackedStage.is_terminal) {
+            return res.status(409).json({ success: false, error: `This application is ${tracked.status} and can no longer be updated` });
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'Resume is required' });
+        }
+
+        const result = await documents.storeDocument(req.file, 'resume', 'portal');
+        if (result.error) {
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        stored = result;
+        const resumeText = await resumeParser.readResumeText(req.file.buffer, req.file.originalname, stored.format);
+
+        await client.query('BEGIN');
+        const application = await findTrackedApplication(client, email, token, true);
+        if (!application) {
+            await client.query('ROLLBACK');
+            removeUpload();
+            return notFound(res);
+        }
+        const stage = await pipeline.getStage(client, application.status);
+        if (stage && stage.is_terminal) {
+            await client.query('ROLLBACK');
+            removeUpload();
+            return res.status(409).json({ success: false, error: `This application is ${application.status} and can no longer be updated` });
+        }
+
+        await documents.addDocument(client, application.id, 'resume', stored, { file: req.file });
+        const updated = await client.query(
+            'UPDATE applications SET resume_text = $1, version = version + 1 WHERE id = $2 RETURNING version',
+            [resumeText, application.id]
+        );
+        await pipeline.recordEvent(client, application.id, {
+            eventType: 'resume_updated',
+            actorName: application.full_name
+        });
+        await client.query('COMMIT');
+        liveUpdates.applicationUpdated(application.id, { version: updated.rows[0].version, changes: ['resume'] });
+
+        console.log(`Resume updated for application ID ${application.id}`);
+        res.json({ success: true, message: 'Resume updated successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        removeUpload();
+        console.error('Error updating candidate resume:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Withdraw an open application; allowed from any non-terminal stage
+router.post('/withdraw', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { email, token, reason } = req.body;
+        console.log(`Candidate withdrawal request for ${pii.maskEmail(email)}`);
+
+        await client.query('BEGIN');
+        const application = await findTrackedApplication(client, email, token, true);
+        if (!application) {
+            await client.query('ROLLBACK');
+            return notFound(res);
+        }
+
+        const stage = await pipeline.getStage(client, application.status);
+        if (stage && stage.is_terminal) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: `This application is already ${application.status}` });
+        }
+
+        const updated = await client.query(
+            'UPDATE applications SET status = $1, version = version + 1 WHERE id = $2 RETURNING version',
+            [pipeline.WITHDRAWN_STAGE, application.id]
+        );
+        await pipeline.recordEvent(client, application.id, {
+            eventType: 'withdrawn',
+            fromStage: application.status,
+            toStage: pipeline.WITHDRAWN_STAGE,
+            actorName: application.full_name,
+            comment: reason ? String(reason).slice(0, 1000) : null
+        });
+        await notifications.notifyStatusChanged(
+            client,
+            Object.assign({}, application, { status: pipeline.WITHDRAWN_STAGE }),
+            application.status,
+            reason
+        );
+        await webhooks.notifyStatusChanged(client, application.id, application.status, pipeline.WITHDRAWN_STAGE);
+        await client.query('COMMIT');
+        liveUpdates.applicationUpdated(application.id, {
+            status: pipeline.WITHDRAWN_STAGE,
+            version: updated.rows[0].version,
+            changes: ['status']
+        });
+
+        console.log(`Application ID ${application.id} withdrawn by candidate`);
+        res.json({ success: true, status: pipeline.WITHDRAWN_STAGE, message: 'Application withdrawn' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error withdrawing application:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = {
+    CANDIDATE_PORTAL_URL,
+    router,
+    createTrackingToken,
+    getTrackingUrl
+};
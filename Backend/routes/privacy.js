@@ -0,0 +1,64 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const privacy = require('../privacy');
+const pii = require('../pii');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// The subject's address comes in the body so it stays out of URLs and access logs
+function readSubject(req, res) {
+    const email = privacy.normalizeEmail(req.body.email);
+    if (!EMAIL_PATTERN.test(email)) {
+        res.status(400).json({ success: false, error: 'A valid email is required' });
+        return null;
+    }
+    return email;
+}
+
+// Everything held about an email address, as JSON: { email }
+router.post('/export', requireRole('admin'), async (req, res) => {
+    try {
+        const email = readSubject(req, res);
+        if (!email) return;
+        console.log(`User ${req.user.email} exporting the data of ${pii.maskEmail(email)}`);
+        const data = await privacy.exportSubject(email, req.user);
+        res.setHeader('Content-Disposition', `attachment; filename="data-export-${new Date().toISOString().slice(0, 10)}.json"`);
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error exporting subject data:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Permanently delete everything held about an email address, files included:
+// { email, confirm_email }. Archived applications are erased too.
+router.post('/erase', requireRole('admin'), async (req, res) => {
+    try {
+        const email = readSubject(req, res);
+        if (!email) return;
+        if (privacy.normalizeEmail(req.body.confirm_email) !== email) {
+            return res.status(400).json({ success: false, error: 'confirm_email must repeat the email to erase' });
+        }
+        console.log(`User ${req.user.email} erasing the data of ${pii.maskEmail(email)}`);
+        const erased = await privacy.eraseSubject(email, req.user);
+        res.json({ success: true, erased, message: `Erased ${erased.applications} application(s) and ${erased.files} file(s)` });
+    } catch (error) {
+        console.error('Error erasing subject data:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Data-subject exports and erasures, newest first; ?email= shows the requests about one address
+router.get('/audit', requireRole('admin'), async (req, res) => {
+    try {
+        const email = req.query.email ? privacy.normalizeEmail(req.query.email) : null;
+        res.json({ success: true, entries: await privacy.getAuditLog({ email }) });
+    } catch (error) {
+        console.error('Error fetching privacy audit log:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { upload } = require('../uploads');
+const resumeParser = require('../resumeParser');
+const storage = require('../storage');
+
+const router = express.Router();
+
+// Parsing is CPU-bound and needs no login, so it gets a tighter limit than the rest of the API
+const parseLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+// Extract text from a PDF or DOCX resume (multipart: resume) and return best-guess form values.
+// Nothing is stored; the resume is uploaded again with the application.
+router.post('/parse', parseLimiter, upload.single('resume'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'Resume is required' });
+        }
+        console.log(`Parsing resume ${req.file.originalname} (${req.file.size} bytes)`);
+        const inspected = await storage.inspectUpload(req.file, 'resume_parse', ['pdf', 'docx']);
+        if (inspected.error) {
+            return res.status(inspected.code).json({ success: false, error: inspected.error });
+        }
+
+        let text;
+        try {
+            text = await resumeParser.extractText(req.file.buffer, inspected.format);
+        } catch (error) {
+            console.error('Error extracting resume text:', error.message);
+            return res.status(422).json({ success: false, error: 'Could not read text from this file' });
+        }
+        if (!text) {
+            return res.status(422).json({ success: false, error: 'No text found in this file. Scanned resumes cannot be read.' });
+        }
+
+        const fields = resumeParser.parseResume(text);
+        console.log(`Resume parsed: ${text.length} characters, ${fields.skills.length} skills, ${fields.education.length} education entries`);
+        res.json({ success: true, fields });
+    } catch (error) {
+        console.error('Error parsing resume:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
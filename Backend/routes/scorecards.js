@@ -0,0 +1,195 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const pipeline = require('../pipeline');
+const interviews = require('../interviews');
+const scorecards = require('../scorecards');
+
+const router = express.Router();
+
+// Scorecard templates with their criteria; the default one applies to postings without a template
+router.get('/templates', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            templates: await scorecards.getTemplates(),
+            recommendations: scorecards.RECOMMENDATIONS,
+            rating_range: { min: scorecards.RATING_MIN, max: scorecards.RATING_MAX }
+        });
+    } catch (error) {
+        console.error('Error fetching scorecard templates:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create a template: { name, criteria: [{ name, description }] or one criterion per line, is_default }
+router.post('/templates', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        console.log(`User ${req.user.email} creating scorecard template:`, req.body);
+        const { errors, template, criteria } = scorecards.validateTemplate(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid scorecard template', details: errors });
+        }
+
+        await client.query('BEGIN');
+        const created = await scorecards.saveTemplate(client, null, template, criteria);
+        await client.query('COMMIT');
+
+        console.log(`Scorecard template ${created.name} created, ID: ${created.id}`);
+        res.status(201).json({ success: true, template: created });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'A scorecard template with this name already exists' });
+        }
+        console.error('Error creating scorecard template:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Update a template (partial updates allowed). Scorecards already submitted keep their ratings.
+router.put('/templates/:id', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} updating scorecard template ID ${id}:`, req.body);
+        const { errors, template, criteria } = scorecards.validateTemplate(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid scorecard template', details: errors });
+        }
+        if (Object.keys(template).length === 0 && !criteria) {
+            return res.status(400).json({ success: false, error: 'No fields to update' });
+        }
+
+        await client.query('BEGIN');
+        const current = await client.query('SELECT id, is_default FROM scorecard_templates WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: 'Scorecard template not found' });
+        }
+        if (current.rows[0].is_default && template.is_default === false) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: 'Make another template the default instead' });
+        }
+        const updated = await scorecards.saveTemplate(client, current.rows[0].id, template, criteria);
+        await client.query('COMMIT');
+
+        console.log(`Scorecard template ID ${id} updated`);
+        res.json({ success: true, template: updated });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'A scorecard template with this name already exists' });
+        }
+        console.error('Error updating scorecard template:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Delete a template; postings using it fall back to the default template
+router.delete('/templates/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} deleting scorecard template ID ${id}`);
+        const current = await pool.query('SELECT id, is_default FROM scorecard_templates WHERE id = $1', [id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Scorecard template not found' });
+        }
+        if (current.rows[0].is_default) {
+            return res.status(409).json({ success: false, error: 'The default scorecard template cannot be deleted' });
+        }
+
+        await pool.query('DELETE FROM scorecard_templates WHERE id = $1', [id]);
+        console.log(`Scorecard template ID ${id} deleted`);
+        res.json({ success: true, id: current.rows[0].id, message: 'Scorecard template deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting scorecard template:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Scorecards of an application with averages per criterion and recommendation counts:
+// ?application_id=12. Interviewers who still owe a scorecard only see their own.
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const applicationId = parseInt(req.query.application_id, 10);
+        if (isNaN(applicationId)) {
+            return res.status(400).json({ success: false, error: 'application_id is required' });
+        }
+        const template = await scorecards.getTemplateForApplication(pool, applicationId);
+        const result = await scorecards.getApplicationScorecards(applicationId, req.user);
+        res.json(Object.assign({ success: true, template }, result));
+    } catch (error) {
+        console.error('Error fetching scorecards:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Submit (or revise) the current user's scorecard for an interview round they sit on:
+ * { ratings: { "Communication": 4, ... }, recommendation, notes }. Every criterion of the
+ * application's scorecard template must be rated.
+ */
+router.put('/interviews/:interviewId', requireRole('viewer'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { interviewId } = req.params;
+        console.log(`User ${req.user.email} submitting scorecard for interview ID ${interviewId}`);
+
+        await client.query('BEGIN');
+        const interview = await interviews.getInterview(client, interviewId, true);
+        if (!interview) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: 'Interview not found' });
+        }
+        if (!interview.panelists.some(panelist => panelist.email === req.user.email.toLowerCase())) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ success: false, error: 'Only interviewers on this panel can submit a scorecard' });
+        }
+        if (interview.status === 'cancelled') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: 'Cannot submit a scorecard for a cancelled interview' });
+        }
+        if (new Date(interview.scheduled_at) > new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: 'Scorecards can be submitted once the interview has started' });
+        }
+
+        const template = await scorecards.getTemplateForApplication(client, interview.application_id);
+        if (!template) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: 'No scorecard template is configured' });
+        }
+        const { errors, scorecard } = scorecards.validateScorecard(req.body, template);
+        if (errors.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, error: 'Invalid scorecard', details: errors });
+        }
+
+        const scorecardId = await scorecards.saveScorecard(client, interview, req.user, template, scorecard);
+        // The history is visible to everyone, so it records that feedback exists but not what it says
+        await pipeline.recordEvent(client, interview.application_id, {
+            eventType: 'scorecard_submitted',
+            actor: req.user,
+            comment: `${interview.interview_type} round`
+        });
+        await client.query('COMMIT');
+
+        console.log(`Scorecard ID ${scorecardId} saved for interview ID ${interviewId}`);
+        const result = await scorecards.getApplicationScorecards(interview.application_id, req.user);
+        res.json(Object.assign({ success: true, id: scorecardId, template }, result));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error saving scorecard:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const skills = require('../skills');
+const ranking = require('../ranking');
+
+const router = express.Router();
+
+// All skills with their synonyms and how many applications list them
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ success: true, skills: await skills.getSkills() });
+    } catch (error) {
+        console.error('Error fetching skills:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add a synonym: { alias: "JS" }. If the alias is already a skill of its own it is merged into this one.
+router.post('/:id/aliases', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const alias = skills.cleanSkillName(req.body.alias);
+        console.log(`User ${req.user.email} adding alias "${alias}" to skill ID ${id}`);
+        if (!skills.skillKey(alias)) {
+            return res.status(400).json({ success: false, error: 'alias is required' });
+        }
+
+        await client.query('BEGIN');
+        const result = await client.query('SELECT id, name FROM skills WHERE id = $1 FOR UPDATE', [id]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, error: 'Skill not found' });
+        }
+        const merged = await skills.addAlias(client, result.rows[0], alias);
+        if (merged) await ranking.updateSkillScores(client, result.rows[0].id);
+        await client.query('COMMIT');
+
+        console.log(`Alias "${alias}" added to skill ${result.rows[0].name}${merged ? `, merged skill ${merged.name}` : ''}`);
+        res.json({ success: true, skill: result.rows[0], merged });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error adding skill alias:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
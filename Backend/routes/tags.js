@@ -0,0 +1,62 @@
+const express = require('express');
+const pool = require('../db');
+const { requireRole } = require('../auth');
+const tags = require('../tags');
+
+const router = express.Router();
+
+// Every tag with its colour and how many active applications carry it
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json({ success: true, tags: await tags.getTags() });
+    } catch (error) {
+        console.error('Error fetching tags:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Rename or recolour a tag: { name, color } (either may be left out)
+router.put('/:id', requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const { name, color } = req.body;
+        console.log(`User ${req.user.email} updating tag ID ${id}`);
+        const errors = tags.validateTagUpdate({ name, color });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid tag', details: errors });
+        }
+
+        await client.query('BEGIN');
+        const result = await tags.updateTag(client, id, { name, color });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        await client.query('COMMIT');
+        res.json({ success: true, tag: result.tag });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating tag:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Delete a tag and take it off every application (admin only)
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} deleting tag ID ${id}`);
+        if (!await tags.deleteTag(id)) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting tag:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
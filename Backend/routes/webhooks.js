@@ -0,0 +1,136 @@
+const express = require('express');
+const { requireRole } = require('../auth');
+const webhooks = require('../webhooks');
+
+const router = express.Router();
+
+// Event types endpoints can subscribe to
+router.get('/events', requireRole('admin'), (req, res) => {
+    res.json({ success: true, events: webhooks.EVENT_TYPES });
+});
+
+// Registered endpoints with their pending and failed delivery counts (admin only)
+router.get('/', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, webhooks: await webhooks.getEndpoints() });
+    } catch (error) {
+        console.error('Error fetching webhooks:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Register an endpoint: { url, description, events: ['application.hired'], include_personal_data }.
+// The signing secret is returned only here (and when it is rotated).
+router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+        const errors = webhooks.validateEndpoint(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid webhook', details: errors });
+        }
+        const { endpoint, secret } = await webhooks.createEndpoint(req.body, req.user);
+        console.log(`User ${req.user.email} registered webhook ${endpoint.id} for ${endpoint.events.join(', ')}`);
+        res.status(201).json({ success: true, webhook: endpoint, secret });
+    } catch (error) {
+        console.error('Error registering webhook:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change an endpoint: { url, description, events, is_active, include_personal_data } (any may be left out)
+router.put('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const errors = webhooks.validateEndpoint(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid webhook', details: errors });
+        }
+        console.log(`User ${req.user.email} updating webhook ${id}`);
+        const endpoint = await webhooks.updateEndpoint(id, req.body);
+        if (!endpoint) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true, webhook: endpoint });
+    } catch (error) {
+        console.error('Error updating webhook:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Replace the signing secret; the new secret is returned once
+router.post('/:id/rotate-secret', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} rotating the secret of webhook ${id}`);
+        const secret = await webhooks.rotateSecret(id);
+        if (!secret) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true, secret });
+    } catch (error) {
+        console.error('Error rotating webhook secret:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove an endpoint and its delivery log
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} deleting webhook ${id}`);
+        if (!await webhooks.deleteEndpoint(id)) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+        console.error('Error deleting webhook:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Queue a webhook.test event for the endpoint
+router.post('/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} sending a test event to webhook ${id}`);
+        const delivery = await webhooks.sendTest(id, req.user);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.status(201).json({ success: true, delivery });
+    } catch (error) {
+        console.error('Error sending test webhook:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delivery log of an endpoint, newest first; ?status=pending|delivered|failed
+router.get('/:id/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !webhooks.DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `status must be one of: ${webhooks.DELIVERY_STATUSES.join(', ')}` });
+        }
+        res.json({ success: true, deliveries: await webhooks.getDeliveries(req.params.id, { status }) });
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send a delivered or failed event again; the original stays in the log
+router.post('/deliveries/:id/replay', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} replaying webhook delivery ${id}`);
+        const result = await webhooks.replayDelivery(id);
+        if (result.error) {
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        res.status(201).json({ success: true, delivery: result.delivery });
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const net = require('net');
+
+// Scanners share one interface: scan(buffer) resolves to { clean: true } or
+// { clean: false, signature }, and rejects when the file could not be scanned.
+
+// Streams the file to a ClamAV daemon with the INSTREAM command
+function createClamavScanner() {
+    const host = process.env.CLAMAV_HOST || '127.0.0.1';
+    const port = parseInt(process.env.CLAMAV_PORT, 10) || 3310;
+    const timeoutMs = parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || 10000;
+    const chunkSize = 64 * 1024;
+
+    return {
+        name: 'clamav',
+        scan: buffer => new Promise((resolve, reject) => {
+            let reply = '';
+            const socket = net.createConnection({ host, port }, () => {
+                socket.write('zINSTREAM\0');
+                for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+                    const chunk = buffer.subarray(offset, offset + chunkSize);
+                    const length = Buffer.alloc(4);
+                    length.writeUInt32BE(chunk.length);
+                    socket.write(length);
+                    socket.write(chunk);
+                }
+                // A zero-length chunk ends the stream
+                socket.write(Buffer.alloc(4));
+            });
+            socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`ClamAV did not answer within ${timeoutMs} ms`)));
+            socket.on('data', data => {
+                reply += data.toString();
+            });
+            socket.on('error', reject);
+            socket.on('close', () => {
+                // "stream: OK" or "stream: Eicar-Test-Signature FOUND"
+                const answer = reply.replace(/\0/g, '').trim();
+                const found = answer.match(/^stream: (.+) FOUND$/);
+                if (found) return resolve({ clean: false, signature: found[1] });
+                if (answer === 'stream: OK') return resolve({ clean: true });
+                reject(new Error(`Unexpected ClamAV reply: ${answer || '(empty)'}`));
+            });
+        })
+    };
+}
+
+// Accepts every file; for development and deployments without a scanner
+function createNoopScanner() {
+    return {
+        name: 'none',
+        scan: async () => ({ clean: true })
+    };
+}
+
+const SCANNERS = {
+    clamav: createClamavScanner,
+    none: createNoopScanner
+};
+
+// Picks the scanner from MALWARE_SCANNER (clamav or none). Defaults to clamav when CLAMAV_HOST
+// is set and to none otherwise.
+function createScanner(name = process.env.MALWARE_SCANNER) {
+    const scannerName = name || (process.env.CLAMAV_HOST ? 'clamav' : 'none');
+    const factory = SCANNERS[scannerName];
+    if (!factory) {
+        throw new Error(`Unknown MALWARE_SCANNER "${scannerName}". Use one of: ${Object.keys(SCANNERS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    createScanner
+};
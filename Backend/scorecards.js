@@ -0,0 +1,265 @@
+const pool = require('./db');
+
+const RECOMMENDATIONS = ['strong_hire', 'hire', 'no_hire', 'strong_no_hire'];
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+const MAX_CRITERIA = 20;
+
+// Criteria as [{ name, description }], ["Communication", ...] or one criterion per line
+function parseCriteria(value, errors) {
+    const list = Array.isArray(value) ? value : String(value || '').split('\n');
+    const criteria = [];
+    for (const item of list) {
+        const name = String(item && typeof item === 'object' ? item.name || '' : item || '').replace(/\s+/g, ' ').trim();
+        if (!name) continue;
+        if (name.length > 100) {
+            errors.push(`Criterion name is too long: ${name.slice(0, 20)}...`);
+        } else if (criteria.some(criterion => criterion.name.toLowerCase() === name.toLowerCase())) {
+            errors.push(`Duplicate criterion: ${name}`);
+        } else {
+            const description = item && typeof item === 'object' && item.description ? String(item.description).trim().slice(0, 500) : null;
+            criteria.push({ name, description });
+        }
+    }
+    if (criteria.length === 0) errors.push('At least one criterion is required');
+    if (criteria.length > MAX_CRITERIA) errors.push(`A template can have at most ${MAX_CRITERIA} criteria`);
+    return criteria;
+}
+
+// Validates a template payload. With `partial` set only the supplied fields are checked.
+function validateTemplate(body, partial = false) {
+    const errors = [];
+    const template = {};
+    let criteria;
+
+    if (!partial || body.name !== undefined) {
+        const name = String(body.name || '').trim();
+        if (!name || name.length > 100) {
+            errors.push('name is required and must be at most 100 characters');
+        } else {
+            template.name = name;
+        }
+    }
+    if (body.is_default !== undefined) {
+        template.is_default = body.is_default === true || body.is_default === 'true';
+    }
+    if (!partial || body.criteria !== undefined) {
+        criteria = parseCriteria(body.criteria, errors);
+    }
+    return { errors, template, criteria };
+}
+
+async function getTemplates(client = pool) {
+    const templates = await client.query('SELECT * FROM scorecard_templates ORDER BY is_default DESC, name');
+    const criteria = await client.query('SELECT template_id, name, description FROM scorecard_template_criteria ORDER BY position');
+    return templates.rows.map(template => Object.assign(template, {
+        criteria: criteria.rows
+            .filter(criterion => criterion.template_id === template.id)
+            .map(criterion => ({ name: criterion.name, description: criterion.description }))
+    }));
+}
+
+async function getTemplate(client, id) {
+    const templates = await getTemplates(client);
+    return templates.find(template => template.id === parseInt(id, 10)) || null;
+}
+
+// The posting's template, or the default one when the posting has none
+async function getTemplateForApplication(client, applicationId) {
+    const result = await client.query(`
+        SELECT COALESCE(p.scorecard_template_id, d.id) AS template_id
+        FROM applications a
+        LEFT JOIN job_postings p ON p.id = a.job_posting_id
+        LEFT JOIN scorecard_templates d ON d.is_default
+        WHERE a.id = $1
+    `, [applicationId]);
+    if (result.rows.length === 0 || !result.rows[0].template_id) return null;
+    return getTemplate(client, result.rows[0].template_id);
+}
+
+// Creates (id null) or updates a template. Making it the default clears the flag on the others.
+async function saveTemplate(client, id, template, criteria) {
+    if (template.is_default) {
+        await client.query('UPDATE scorecard_templates SET is_default = FALSE WHERE is_default AND id <> $1', [id || 0]);
+    }
+    let templateId = id;
+    if (!id) {
+        const result = await client.query(
+            'INSERT INTO scorecard_templates (name, is_default) VALUES ($1, $2) RETURNING id',
+            [template.name, template.is_default || false]
+        );
+        templateId = result.rows[0].id;
+    } else {
+        const fields = Object.keys(template);
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+        await client.query(`
+            UPDATE scorecard_templates
+            SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+            WHERE id = $${fields.length + 1}
+        `, [...fields.map(field => template[field]), id]);
+    }
+    if (criteria) {
+        await client.query('DELETE FROM scorecard_template_criteria WHERE template_id = $1', [templateId]);
+        for (const [position, criterion] of criteria.entries()) {
+            await client.query(
+                'INSERT INTO scorecard_template_criteria (template_id, name, description, position) VALUES ($1, $2, $3, $4)',
+                [templateId, criterion.name, criterion.description || null, position]
+            );
+        }
+    }
+    return getTemplate(client, templateId);
+}
+
+// Ratings as { "Communication": 4 } or [{ criterion, rating }]; every criterion of the template must be rated
+function validateScorecard(body, template) {
+    const errors = [];
+    const given = Array.isArray(body.ratings)
+        ? Object.fromEntries(body.ratings.map(item => [item && item.criterion, item && item.rating]))
+        : (body.ratings && typeof body.ratings === 'object' ? body.ratings : {});
+
+    const ratings = [];
+    for (const criterion of template.criteria) {
+        const rating = Number(given[criterion.name]);
+        if (!Number.isInteger(rating) || rating < RATING_MIN || rating > RATING_MAX) {
+            errors.push(`${criterion.name} must be rated from ${RATING_MIN} to ${RATING_MAX}`);
+        } else {
+            ratings.push({ criterion: criterion.name, rating });
+        }
+    }
+    const unknown = Object.keys(given).filter(name => !template.criteria.some(criterion => criterion.name === name));
+    if (unknown.length > 0) errors.push(`Unknown criteria: ${unknown.join(', ')}`);
+    if (!RECOMMENDATIONS.includes(body.recommendation)) {
+        errors.push(`recommendation must be one of: ${RECOMMENDATIONS.join(', ')}`);
+    }
+
+    return {
+        errors,
+        scorecard: {
+            recommendation: body.recommendation,
+            notes: body.notes ? String(body.notes).slice(0, 10000) : null,
+            ratings
+        }
+    };
+}
+
+// Saves the interviewer's scorecard for a round, replacing their earlier one if they resubmit
+async function saveScorecard(client, interview, user, template, scorecard) {
+    const result = await client.query(`
+        INSERT INTO scorecards (interview_id, application_id, template_id, interviewer_user_id, recommendation, notes)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (interview_id, interviewer_user_id) DO UPDATE
+        SET template_id = EXCLUDED.template_id, recommendation = EXCLUDED.recommendation,
+            notes = EXCLUDED.notes, updated_at = NOW()
+        RETURNING id
+    `, [interview.id, interview.application_id, template.id, user.id, scorecard.recommendation, scorecard.notes]);
+    const scorecardId = result.rows[0].id;
+
+    await client.query('DELETE FROM scorecard_ratings WHERE scorecard_id = $1', [scorecardId]);
+    for (const item of scorecard.ratings) {
+        await client.query(
+            'INSERT INTO scorecard_ratings (scorecard_id, criterion, rating) VALUES ($1, $2, $3)',
+            [scorecardId, item.criterion, item.rating]
+        );
+    }
+    return scorecardId;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Average per criterion, overall average rating and recommendation counts
+function summarize(scorecards) {
+    const byCriterion = {};
+    let total = 0;
+    let count = 0;
+    for (const scorecard of scorecards) {
+        for (const item of scorecard.ratings) {
+            byCriterion[item.criterion] = byCriterion[item.criterion] || { criterion: item.criterion, total: 0, count: 0 };
+            byCriterion[item.criterion].total += item.rating;
+            byCriterion[item.criterion].count++;
+            total += item.rating;
+            count++;
+        }
+    }
+    const recommendations = {};
+    RECOMMENDATIONS.forEach(recommendation => {
+        recommendations[recommendation] = scorecards.filter(scorecard => scorecard.recommendation === recommendation).length;
+    });
+    return {
+        scorecard_count: scorecards.length,
+        overall_average: count > 0 ? round(total / count) : null,
+        criteria: Object.values(byCriterion).map(item => ({
+            criterion: item.criterion,
+            average: round(item.total / item.count),
+            count: item.count
+        })),
+        recommendations
+    };
+}
+
+/**
+ * Scorecards of an application as seen by `user`. While the user sits on a panel of this
+ * application (a round that is not cancelled) without having submitted their own scorecard for it,
+ * other interviewers' scorecards are hidden and left out of the summary so they cannot bias theirs.
+ */
+async function getApplicationScorecards(applicationId, user) {
+    const interviews = await pool.query(`
+        SELECT i.id, i.interview_type, i.scheduled_at, i.status, p.email IS NOT NULL AS is_panelist
+        FROM interviews i
+        LEFT JOIN interview_panelists p ON p.interview_id = i.id AND p.email = LOWER($2)
+        WHERE i.application_id = $1
+        ORDER BY i.scheduled_at, i.id
+    `, [applicationId, user.email]);
+    const result = await pool.query(`
+        SELECT s.id, s.interview_id, s.interviewer_user_id, s.recommendation, s.notes, s.submitted_at, s.updated_at,
+               u.full_name AS interviewer_name, u.email AS interviewer_email, i.interview_type
+        FROM scorecards s
+        JOIN hr_users u ON u.id = s.interviewer_user_id
+        JOIN interviews i ON i.id = s.interview_id
+        WHERE s.application_id = $1
+        ORDER BY s.submitted_at
+    `, [applicationId]);
+    const ratings = result.rows.length === 0 ? [] : (await pool.query(
+        'SELECT scorecard_id, criterion, rating FROM scorecard_ratings WHERE scorecard_id = ANY($1::int[])',
+        [result.rows.map(row => row.id)]
+    )).rows;
+    const all = result.rows.map(scorecard => Object.assign(scorecard, {
+        ratings: ratings
+            .filter(item => item.scorecard_id === scorecard.id)
+            .map(item => ({ criterion: item.criterion, rating: item.rating }))
+    }));
+
+    const rounds = interviews.rows.map(interview => {
+        const submitted = all.some(scorecard => scorecard.interview_id === interview.id && scorecard.interviewer_user_id === user.id);
+        return Object.assign(interview, {
+            submitted,
+            can_submit: interview.is_panelist && interview.status !== 'cancelled' && new Date(interview.scheduled_at) <= new Date()
+        });
+    });
+    const pending = rounds.filter(interview => interview.is_panelist && interview.status !== 'cancelled' && !interview.submitted);
+    const visible = pending.length > 0
+        ? all.filter(scorecard => scorecard.interviewer_user_id === user.id)
+        : all;
+
+    return {
+        rounds,
+        scorecards: visible,
+        hidden_count: all.length - visible.length,
+        summary: summarize(visible)
+    };
+}
+
+module.exports = {
+    RECOMMENDATIONS,
+    RATING_MIN,
+    RATING_MAX,
+    validateTemplate,
+    getTemplates,
+    getTemplate,
+    getTemplateForApplication,
+    saveTemplate,
+    validateScorecard,
+    saveScorecard,
+    getApplicationScorecards
+};
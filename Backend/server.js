@@ -1,26 +1,79 @@
 const express = require('express');
-const { Pool } = require('pg');
 const multer = require('multer');
 const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const fs = require('fs');
 require('dotenv').config();
+const pool = require('./db');
+const auth = require('./auth');
+const authRoutes = require('./routes/auth');
+const jobPostings = require('./routes/jobPostings');
+const pipeline = require('./pipeline');
+const pipelineRoutes = require('./routes/pipeline');
+const notifications = require('./notifications');
+const notificationRoutes = require('./routes/notifications');
+const portal = require('./routes/portal');
+const candidates = require('./candidates');
+const applicationActions = require('./applicationActions');
+const skillCatalog = require('./skills');
+const skillRoutes = require('./routes/skills');
+const ranking = require('./ranking');
+const interviewRoutes = require('./routes/interviews');
+const scorecardRoutes = require('./routes/scorecards');
+const bulkRoutes = require('./routes/bulk');
+const exporter = require('./exporter');
+const resumeParser = require('./resumeParser');
+const resumeRoutes = require('./routes/resume');
+const storage = require('./storage');
+const documents = require('./documents');
+const documentRoutes = require('./routes/documents');
+const applicationSchema = require('./applicationSchema');
+const forms = require('./forms');
+const formRoutes = require('./routes/forms');
+const analyticsRoutes = require('./routes/analytics');
+const drafts = require('./drafts');
+const notes = require('./notes');
+const dossier = require('./dossier');
+const draftRoutes = require('./routes/drafts');
+const pii = require('./pii');
+const privacy = require('./privacy');
+const privacyRoutes = require('./routes/privacy');
+const tags = require('./tags');
+const tagRoutes = require('./routes/tags');
+const noteRoutes = require('./routes/notes');
+const liveUpdates = require('./liveUpdates');
+const liveUpdateRoutes = require('./routes/liveUpdates');
+const webhooks = require('./webhooks');
+const webhookRoutes = require('./routes/webhooks');
+const apiKeyRoutes = require('./routes/apiKeys');
+const migrator = require('./migrator');
+const retention = require('./retention');
+const { parseApplicationQuery } = require('./applicationQuery');
+const { submissionUpload } = require('./uploads');
 
 const app = express();
 
+// API keys with this scope can use the read-only application routes below
+const READ_SCOPE = 'applications:read';
+
 // Middleware
 app.use(helmet());
+// Search terms, emails and tokens in query strings are kept out of the access log
+morgan.token('url', req => pii.redactUrl(req.originalUrl || req.url));
 app.use(morgan('combined'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-const allowedOrigins = [
+// CORS_ORIGINS is a comma-separated list of extra origins. The pages the backend links to (the
+// application form, candidate status page and HR dashboard) are always allowed.
+const allowedOrigins = [...new Set([
     'http://localhost:3000',
-    'http://localhost:3001'
-];
+    'http://localhost:3001',
+    ...(process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(origin => origin),
+    ...[drafts.APPLICATION_FORM_URL, portal.CANDIDATE_PORTAL_URL, notes.HR_DASHBOARD_URL].map(url => new URL(url).origin)
+])];
 
 app.use(cors({
     origin: (origin, callback) => {
@@ -33,7 +86,8 @@ app.use(cors({
         }
     },
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Content-Disposition']
 }));
 
 // Serve static files (e.g., favicon.ico, logo.jpg)
@@ -47,242 +101,72 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Database connection
-const pool = new Pool({
-    user: process.env.DB_USER || 'postgres',
-    host: process.env.PG_HOST || 'localhost',
-    database: process.env.DB_NAME || 'job_applications',
-    password: process.env.DB_PASSWORD || 'Password@12345',
-    port: process.env.DB_PORT || 5432,
-    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
-});
+// HR login and user management
+app.use('/api/auth', authRoutes);
 
-async function createApplicationsTable() {
-    const query = `
-        CREATE TABLE IF NOT EXISTS applications (
-            id SERIAL PRIMARY KEY,
-            full_name VARCHAR(255) NOT NULL,
-            email VARCHAR(255) NOT NULL UNIQUE,
-            mobile VARCHAR(20) NOT NULL,
-            dob DATE NOT NULL,
-            parent_name VARCHAR(255) NOT NULL,
-            gender VARCHAR(50) NOT NULL,
-            nationality VARCHAR(100) NOT NULL,
-            marital_status VARCHAR(50),
-            current_address TEXT NOT NULL,
-            permanent_address TEXT NOT NULL,
-            state VARCHAR(100) NOT NULL,
-            city VARCHAR(100) NOT NULL,
-            zipcode VARCHAR(20) NOT NULL,
-            emergency_contact VARCHAR(255) NOT NULL,
-            ssc_board VARCHAR(255) NOT NULL,
-            ssc_year INTEGER NOT NULL,
-            ssc_percentage VARCHAR(10) NOT NULL,
-            intermediate_board VARCHAR(255),
-            intermediate_year INTEGER,
-            intermediate_percentage VARCHAR(10),
-            college_name VARCHAR(255),
-            qualification VARCHAR(255),
-            branch VARCHAR(255),
-            graduation_year INTEGER,
-            graduation_percentage VARCHAR(10),
-            additional_education JSONB,
-            job_role VARCHAR(255) NOT NULL,
-            preferred_location VARCHAR(255) NOT NULL,
-            notice_period VARCHAR(100) NOT NULL,
-            expected_salary NUMERIC,
-            skills TEXT NOT NULL,
-            experience_status VARCHAR(50) NOT NULL,
-            years_experience INTEGER,
-            company_name VARCHAR(255),
-            designation VARCHAR(255),
-            work_location VARCHAR(255),
-            start_date VARCHAR(20),
-            end_date VARCHAR(20),
-            last_salary NUMERIC,
-            alt_mobile VARCHAR(20),
-            linkedin VARCHAR(255),
-            github VARCHAR(255),
-            certifications TEXT,
-            reference_name VARCHAR(255),
-            reference_email VARCHAR(255),
-            resume_path VARCHAR(255) NOT NULL,
-            cover_letter_path VARCHAR(255),
-            submission_date TIMESTAMP NOT NULL,
-            status VARCHAR(50) DEFAULT 'Pending'
-        );
-    `;
-    try {
-        await pool.query(query);
-        console.log('Applications table created or already exists');
-    } catch (error) {
-        console.error('Error creating applications table:', error.message, { query, position: error.position });
-        throw error;
-    }
-}
+// Job postings
+app.use('/api/job-postings', jobPostings.router);
 
-async function syncApplicationsTable() {
-    const expectedColumns = [
-        { name: 'id', type: 'SERIAL PRIMARY KEY', defaultValue: null },
-        { name: 'full_name', type: 'VARCHAR(255)', nullable: false, defaultValue: '' },
-        { name: 'email', type: 'VARCHAR(255)', nullable: false, defaultValue: '' },
-        { name: 'mobile', type: 'VARCHAR(20)', nullable: false, defaultValue: '' },
-        { name: 'dob', type: 'DATE', nullable: false, defaultValue: '1970-01-01' },
-        { name: 'parent_name', type: 'VARCHAR(255)', nullable: false, defaultValue: '' },
-        { name: 'gender', type: 'VARCHAR(50)', nullable: false, defaultValue: '' },
-        { name: 'nationality', type: 'VARCHAR(100)', nullable: false, defaultValue: '' },
-        { name: 'marital_status', type: 'VARCHAR(50)', nullable: true, defaultValue: null },
-        { name: 'current_address', type: 'TEXT', nullable: false, defaultValue: '' },
-        { name: 'permanent_address', type: 'TEXT', nullable: false, defaultValue: '' },
-        { name: 'state', type: 'VARCHAR(100)', nullable: false, defaultValue: '' },
-        { name: 'city', type: 'VARCHAR(100)', nullable: false, defaultValue: '' },
-        { name: 'zipcode', type: 'VARCHAR(20)', nullable: false, defaultValue: '' },
-        { name: 'emergency_contact', type: 'VARCHAR(255)', nullable: false, defaultValue: '' },
-        { name: 'ssc_board', type: 'VARCHAR(255)', nullable: false, defaultValue: '' },
-        { name: 'ssc_year', type: 'INTEGER', nullable: false, defaultValue: 0 },
-        { name: 'ssc_percentage', type: 'VARCHAR(10)', nullable: false, defaultValue: '' },
-        { name: 'intermediate_board', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'intermediate_year', type: 'INTEGER', nullable: true, defaultValue: null },
-        { name: 'intermediate_percentage', type: 'VARCHAR(10)', nullable: true, defaultValue: null },
-        { name: 'college_name', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'qualification', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'branch', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'graduation_year', type: 'INTEGER', nullable: true, defaultValue: null },
-        { name: 'graduation_percentage', type: 'VARCHAR(10)', nullable: true, defaultValue: null },
-        { name: 'additional_education', type: 'JSONB', nullable: true, defaultValue: null },
-        { name: 'job_role', type: 'VARCHAR(255)', nullable: false, defaultValue: '' },
-        { name: 'preferred_location', type: 'VARCHAR(255)', nullable: false, defaultValue: '' },
-        { name: 'notice_period', type: 'VARCHAR(100)', nullable: false, defaultValue: '' },
-        { name: 'expected_salary', type: 'NUMERIC', nullable: true, defaultValue: null },
-        { name: 'skills', type: 'TEXT', nullable: false, defaultValue: '' },
-        { name: 'experience_status', type: 'VARCHAR(50)', nullable: false, defaultValue: '' },
-        { name: 'years_experience', type: 'INTEGER', nullable: true, defaultValue: null },
-        { name: 'company_name', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'designation', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'work_location', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'start_date', type: 'VARCHAR(20)', nullable: true, defaultValue: null },
-        { name: 'end_date', type: 'VARCHAR(20)', nullable: true, defaultValue: null },
-        { name: 'last_salary', type: 'NUMERIC', nullable: true, defaultValue: null },
-        { name: 'alt_mobile', type: 'VARCHAR(20)', nullable: true, defaultValue: null },
-        { name: 'linkedin', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'github', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'certifications', type: 'TEXT', nullable: true, defaultValue: null },
-        { name: 'reference_name', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'reference_email', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'resume_path', type: 'VARCHAR(255)', nullable: false, defaultValue: '' },
-        { name: 'cover_letter_path', type: 'VARCHAR(255)', nullable: true, defaultValue: null },
-        { name: 'submission_date', type: 'TIMESTAMP', nullable: false, defaultValue: 'CURRENT_TIMESTAMP' },
-        { name: 'status', type: 'VARCHAR(50)', nullable: true, defaultValue: 'Pending' }
-    ];
+// Hiring pipeline stages and transitions
+app.use('/api/pipeline', pipelineRoutes);
 
-    try {
-        const result = await pool.query(`
-            SELECT column_name, data_type, character_maximum_length, is_nullable
-            FROM information_schema.columns
-            WHERE table_name = 'applications';
-        `);
-
-        const existingColumns = result.rows.map(row => ({
-            name: row.column_name,
-            type: row.data_type.toUpperCase(),
-            length: row.character_maximum_length,
-            nullable: row.is_nullable === 'YES' ? '' : 'NOT NULL'
-        }));
-
-        const missingColumns = expectedColumns.filter(
-            col => !existingColumns.some(ex => ex.name === col.name)
-        );
-
-        for (const col of missingColumns) {
-            let columnType = col.type;
-            if (col.type.includes('VARCHAR') || col.type.includes('TEXT') || col.type.includes('JSONB')) {
-                await pool.query(`
-                    ALTER TABLE applications
-                    ADD COLUMN ${col.name} ${col.type.replace('NOT NULL', '').trim()} ${col.defaultValue ? `DEFAULT '${col.defaultValue}'` : ''};
-                `);
-                if (col.defaultValue !== null && col.type !== 'SERIAL PRIMARY KEY') {
-                    await pool.query(`
-                        UPDATE applications
-                        SET ${col.name} = $1
-                        WHERE ${col.name} IS NULL;
-                    `, [col.defaultValue]);
-                }
-                if (col.nullable === false) {
-                    await pool.query(`
-                        ALTER TABLE applications
-                        ALTER COLUMN ${col.name} SET NOT NULL;
-                    `);
-                }
-                console.log(`Added column ${col.name} to applications table`);
-            } else {
-                await pool.query(`
-                    ALTER TABLE applications
-                    ADD COLUMN ${col.name} ${col.type.replace('NOT NULL', '').trim()} ${col.defaultValue ? `DEFAULT ${col.defaultValue}` : ''};
-                `);
-                if (col.defaultValue !== null && col.type !== 'SERIAL PRIMARY KEY') {
-                    await pool.query(`
-                        UPDATE applications
-                        SET ${col.name} = $1
-                        WHERE ${col.name} IS NULL;
-                    `, [col.defaultValue]);
-                }
-                if (col.nullable === false) {
-                    await pool.query(`
-                        ALTER TABLE applications
-                        ALTER COLUMN ${col.name} SET NOT NULL;
-                    `);
-                }
-                console.log(`Added column ${col.name} to applications table`);
-            }
-        }
-    } catch (error) {
-        console.error('Error syncing applications table:', error.message);
-    }
-}
+// Email templates and outbox
+app.use('/api/notifications', notificationRoutes);
 
-pool.connect()
-    .then(async () => {
-        console.log('Database connected successfully');
-        await createApplicationsTable();
-        await syncApplicationsTable();
-    })
-    .catch(err => console.error('Database connection error:', err.message));
-
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, 'Uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-    console.log('Created uploads directory:', uploadDir);
-}
+// Candidate self-service: status, history, resume updates and withdrawal
+app.use('/api/portal', portal.router);
 
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        console.log(`Saving file ${file.originalname} to ${uploadDir}`);
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const filename = `${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`;
-        console.log(`Generated filename: ${filename}`);
-        cb(null, filename);
-    }
-});
+// Resume parsing for pre-filling the application form
+app.use('/api/resume', resumeRoutes);
 
-const fileFilter = (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
-        console.log(`File ${file.originalname} is a valid PDF`);
-        cb(null, true);
-    } else {
-        console.error(`File ${file.originalname} rejected: Only PDF files are allowed`);
-        cb(new Error('Only PDF files are allowed'), false);
-    }
-};
+// Save-and-resume drafts of the application form
+app.use('/api/drafts', draftRoutes);
+
+// Normalized skills and their synonyms
+app.use('/api/skills', skillRoutes);
+
+// Interview rounds, panel conflicts and calendar invites
+app.use('/api/interviews', interviewRoutes);
 
-const upload = multer({
-    storage: storage,
-    limits: { fileSize: 5 * 1024 * 1024 },
-    fileFilter: fileFilter
+// Interviewer scorecards, their templates and aggregated feedback
+app.use('/api/scorecards', scorecardRoutes);
+
+// Bulk status changes, assignment, tagging and deletion of selected applications
+app.use('/api/applications/bulk', bulkRoutes);
+
+// Application documents and their versions
+app.use('/api/documents', documentRoutes);
+
+// Custom application forms (screening questions) chosen per job posting
+app.use('/api/application-forms', formRoutes);
+
+// Hiring reports: volume, funnel, time in stage, time to hire and breakdowns
+app.use('/api/analytics', analyticsRoutes);
+
+// Data-subject exports and erasures, and their audit log
+app.use('/api/privacy', privacyRoutes);
+
+// Application tags and their colours
+app.use('/api/tags', tagRoutes);
+
+// Internal HR notes on applications, with @mentions
+app.use('/api/notes', noteRoutes);
+
+// Server-Sent Events stream of application changes for the HR dashboard
+app.use('/api/live', liveUpdateRoutes);
+
+// Outbound webhooks for HRIS/ATS sync, and their delivery log
+app.use('/api/webhooks', webhookRoutes);
+
+// API keys for other internal systems reading applications
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Validation rules of the application form, loaded by the form with a script tag
+app.get('/api/application-schema.js', (req, res) => {
+    // The form is served from another origin
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.type('application/javascript');
+    res.sendFile(path.join(__dirname, 'applicationSchema.js'));
 });
 
 // Serve the HTML file
@@ -292,114 +176,98 @@ app.get('/', (req, res) => {
 });
 
 // Form submission endpoint
-app.post('/api/submit', upload.fields([
-    { name: 'resume', maxCount: 1 },
-    { name: 'cover_letter', maxCount: 1 }
-]), async (req, res) => {
+app.post('/api/submit', submissionUpload, async (req, res) => {
+    // Storage keys written for this submission, removed again if it is not saved
+    const storedKeys = [];
     try {
         console.log('Received form submission:', {
-            body: req.body,
-            files: req.files ? {
-                resume: req.files['resume'] ? req.files['resume'][0] : null,
-                cover_letter: req.files['cover_letter'] ? req.files['cover_letter'][0] : null
-            } : null
+            body: pii.redact(req.body),
+            files: req.files ? req.files.map(file => `${file.fieldname}: ${file.size} bytes`) : null
         });
 
+        // Submitting a resumed draft promotes it: fields the form did not send come from the draft,
+        // and the draft is deleted with the insert. An expired draft token is ignored.
+        const draft = req.body.draft_token ? await drafts.findDraft(pool, req.body.draft_token) : null;
+        if (draft) {
+            console.log(`Submission continues application draft ${draft.id}`);
+            req.body = drafts.mergeIntoSubmission(draft, req.body);
+        }
+
+        console.log('Validating application fields...');
+        const { errors: fieldErrors, values: fields } = applicationSchema.validateApplication(req.body);
+        // The consent itself is recorded with the application below
+        if (!privacy.hasAcceptedTerms(req.body)) {
+            fieldErrors.push({ field: 'terms', code: 'required', message: 'Please accept the terms and conditions' });
+        }
+        if (fieldErrors.length > 0) {
+            console.error('Invalid application fields:', fieldErrors.map(error => `${error.field} (${error.code})`));
+            return res.status(400).json({ success: false, error: 'Please correct the highlighted fields', errors: fieldErrors });
+        }
         const {
             full_name, email, mobile, dob, parent_name, gender, nationality, marital_status,
             current_address, permanent_address, state, city, zipcode, emergency_contact,
             ssc_board, ssc_year, ssc_percentage,
             intermediate_board, intermediate_year, intermediate_percentage,
             college_name, qualification, branch, graduation_year, graduation_percentage,
-            additional_education, job_role, preferred_location, notice_period,
+            additional_education, job_posting_id, preferred_location, notice_period,
             expected_salary, skills, experience_status, years_experience, company_name,
             designation, work_location, start_date, end_date, last_salary,
             alt_mobile, linkedin, github, certifications, reference_name, reference_email
-        } = req.body;
-
-        console.log('Validating required fields...');
-        const requiredFields = [
-            'full_name', 'email', 'mobile', 'dob', 'parent_name', 'gender', 'nationality',
-            'current_address', 'permanent_address', 'state', 'city', 'zipcode', 'emergency_contact',
-            'ssc_board', 'ssc_year', 'ssc_percentage', 'job_role', 'preferred_location',
-            'notice_period', 'skills', 'experience_status'
-        ];
-        const missingFields = requiredFields.filter(field => !req.body[field] && req.body[field] !== '');
-        if (missingFields.length > 0) {
-            console.error('Missing required fields:', missingFields);
-            return res.status(400).json({ success: false, error: 'Missing required fields', missing: missingFields });
-        }
-
-        console.log('Sanitizing integer fields...');
-        const sanitizeInteger = (value, fieldName, isNullable) => {
-            if (value === '' || value === undefined || value === null) {
-                if (isNullable) return null;
-                throw new Error(`Invalid ${fieldName}: empty value not allowed for non-nullable field`);
-            }
-            const parsed = parseInt(value, 10);
-            if (isNaN(parsed)) {
-                throw new Error(`Invalid ${fieldName}: "${value}" is not a valid integer`);
-            }
-            return parsed;
-        };
+        } = fields;
 
-        const sanitizedSscYear = sanitizeInteger(ssc_year, 'ssc_year', false);
-        const sanitizedIntermediateYear = sanitizeInteger(intermediate_year, 'intermediate_year', true);
-        const sanitizedGraduationYear = sanitizeInteger(graduation_year, 'graduation_year', true);
-        const sanitizedYearsExperience = sanitizeInteger(years_experience, 'years_experience', true);
-
-        console.log('Validating optional sections...');
-        const validateEducationSection = (fields) => {
-            const hasValue = fields.some(field => req.body[field] && req.body[field] !== '');
-            if (hasValue) {
-                return fields.every(field => req.body[field] && req.body[field] !== '');
-            }
-            return true;
-        };
-
-        const intermediateValid = validateEducationSection(['intermediate_board', 'intermediate_year', 'intermediate_percentage']);
-        const graduationValid = validateEducationSection(['college_name', 'qualification', 'branch', 'graduation_year', 'graduation_percentage']);
-        const experienceValid = experience_status !== 'Experienced' || (
-            years_experience && company_name && designation && work_location && start_date && end_date
-        );
-
-        if (!intermediateValid || !graduationValid || !experienceValid) {
-            console.error('Incomplete optional section data:', { intermediateValid, graduationValid, experienceValid });
-            return res.status(400).json({ success: false, error: 'Incomplete optional section data' });
+        console.log('Checking job posting...');
+        const { posting, error: postingError } = await jobPostings.findPostingForApplication(job_posting_id);
+        if (postingError) {
+            console.error('Job posting check failed:', postingError);
+            return res.status(400).json({ success: false, error: postingError });
         }
-
-        console.log('Processing additional education...');
-        let additionalEducation = [];
-        if (additional_education) {
-            try {
-                additionalEducation = typeof additional_education === 'string' 
-                    ? JSON.parse(additional_education) : additional_education;
-                if (!Array.isArray(additionalEducation)) {
-                    throw new Error('additional_ ation must be an array');
-                }
-            } catch (e) {
-                console.error('Error parsing additional_education:', e.message);
-                return res.status(400).json({ success: false, error: 'Invalid additional_education format' });
-            }
+        if (posting.locations.length > 0 && !posting.locations.includes(preferred_location)) {
+            console.error(`Location ${preferred_location} is not offered by posting ${posting.id}`);
+            return res.status(400).json({ success: false, error: 'Preferred location is not offered for this job posting' });
         }
-
-        for (let edu of additionalEducation) {
-            if (!edu.institution || !edu.qualification || !edu.year || !edu.percentage) {
-                console.error('Incomplete additional education data:', edu);
-                return res.status(400).json({ success: false, error: 'Incomplete additional education data' });
-            }
+        const job_role = posting.title;
+
+        // Custom questions of the posting's form, file questions included
+        const form = await forms.getFormForPosting(posting);
+        const grouped = documents.groupFiles(req.files, documents.uploadFields().concat(forms.uploadFields(form)));
+        if (grouped.error) {
+            console.error('Rejected submission files:', grouped.error);
+            return res.status(grouped.code).json({ success: false, error: grouped.error });
+        }
+        const files = grouped.files;
+        const { errors: answerErrors, values: answers } = forms.readAnswers(form, req.body.answers, files);
+        if (answerErrors.length > 0) {
+            console.error('Invalid answers:', answerErrors.map(error => `${error.field} (${error.code})`));
+            return res.status(400).json({ success: false, error: 'Please correct the highlighted fields', errors: answerErrors });
         }
 
-        const resumePath = req.files['resume'] ? req.files['resume'][0].path : null;
-        const coverLetterPath = req.files['cover_letter'] ? req.files['cover_letter'][0].path : null;
-
-        console.log('File upload details:', { resumePath, coverLetterPath });
-
-        if (!resumePath) {
+        if (!files['resume']) {
             console.error('Resume is required but not provided');
             return res.status(400).json({ success: false, error: 'Resume is required' });
         }
 
+        const uploaded = await documents.storeRequestFiles(files, 'submission');
+        uploaded.stored.forEach(document => storedKeys.push(document.key));
+        if (uploaded.error) {
+            applicationActions.removeFiles(storedKeys);
+            return res.status(uploaded.code).json({ success: false, error: uploaded.error });
+        }
+        const answerFiles = await forms.storeAnswerFiles(form, files, 'submission');
+        answerFiles.stored.forEach(document => storedKeys.push(document.key));
+        if (answerFiles.error) {
+            applicationActions.removeFiles(storedKeys);
+            return res.status(answerFiles.code).json({ success: false, error: answerFiles.error });
+        }
+        console.log('File upload details:', uploaded.stored.map(document => `${document.type}: ${document.key}`));
+
+        const resume = uploaded.stored.find(document => document.type === 'resume');
+        const resumeText = await resumeParser.readResumeText(resume.file.buffer, resume.file.originalname, resume.format);
+
+        // Shown to the candidate once; only the hash is stored
+        const tracking = portal.createTrackingToken();
+        const trackingUrl = portal.getTrackingUrl(email, tracking.token);
+        const initialStage = await pipeline.getInitialStage();
+
         console.log('Inserting data into database...');
         const query = `
             INSERT INTO applications (
@@ -407,48 +275,159 @@ app.post('/api/submit', upload.fields([
                 current_address, permanent_address, state, city, zipcode, emergency_contact,
                 ssc_board, ssc_year, ssc_percentage, intermediate_board, intermediate_year,
                 intermediate_percentage, college_name, qualification, branch, graduation_year,
-                graduation_percentage, additional_education, job_role, preferred_location,
+                graduation_percentage, additional_education, job_posting_id, job_role, preferred_location,
                 notice_period, expected_salary, skills, experience_status, years_experience,
                 company_name, designation, work_location, start_date, end_date, last_salary,
-                alt_mobile, linkedin, github, certifications, reference_name, reference_email,
-                resume_path, cover_letter_path, submission_date, status
+                alt_mobile, linkedin, github, certifications, reference_name, reference_email, resume_text,
+                submission_date, status, tracking_token_hash, expected_salary_band, candidate_id
             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
                 $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33,
-                $34, $35, $36, $37, $38, $39, $40, $41, $42, $43, $44, $45, $46, $47, $48, $49
+                $34, $35, $36, $37, $38, $39, $40, $41, $42, $43, $44, $45, $46, $47, $48, $49,
+                $50, $51, $52
             ) RETURNING id
         `;
 
+        // Sensitive columns are stored encrypted (see pii.js)
+        const sealed = pii.encryptFields({
+            dob, parent_name, current_address, permanent_address, emergency_contact, last_salary, expected_salary
+        });
         const values = [
-            full_name, email, mobile, dob, parent_name, gender, nationality, marital_status,
-            current_address, permanent_address, state, city, zipcode, emergency_contact,
-            ssc_board, sanitizedSscYear, ssc_percentage, intermediate_board, sanitizedIntermediateYear,
-            intermediate_percentage, college_name, qualification, branch, sanitizedGraduationYear,
-            graduation_percentage, JSON.stringify(additionalEducation), job_role,
-            preferred_location, notice_period, expected_salary ? parseFloat(expected_salary) : null,
-            skills, experience_status, sanitizedYearsExperience, company_name, designation,
-            work_location, start_date, end_date, last_salary ? parseFloat(last_salary) : null,
+            full_name, email, mobile, sealed.dob, sealed.parent_name, gender, nationality, marital_status,
+            sealed.current_address, sealed.permanent_address, state, city, zipcode, sealed.emergency_contact,
+            ssc_board, ssc_year, ssc_percentage, intermediate_board, intermediate_year,
+            intermediate_percentage, college_name, qualification, branch, graduation_year,
+            graduation_percentage, JSON.stringify(additional_education), posting.id, job_role,
+            preferred_location, notice_period, sealed.expected_salary, skills, experience_status,
+            years_experience, company_name, designation, work_location, start_date, end_date, sealed.last_salary,
             alt_mobile, linkedin, github, certifications, reference_name, reference_email,
-            resumePath, coverLetterPath, new Date(), 'Pending'
+            resumeText, new Date(), initialStage, tracking.hash, pii.salaryBand(expected_salary)
         ];
 
-        const result = await pool.query(query, values);
+        const client = await pool.connect();
+        let result;
+        // Where the application ends up; knockout questions can move it straight on
+        let submittedStatus = initialStage;
+        try {
+            await client.query('BEGIN');
+            const candidate = await candidates.upsertCandidate(client, { email, full_name, mobile });
+            const recent = await candidates.findRecentApplication(client, candidate.id, posting.id);
+            if (recent) {
+                await client.query('ROLLBACK');
+                applicationActions.removeFiles(storedKeys);
+                const reapplyDate = candidates.getReapplyDate(recent.submission_date);
+                console.error(`Candidate ${candidate.id} already applied to posting ${posting.id} (application ${recent.id})`);
+                return res.status(409).json({
+                    success: false,
+                    error: `You have already applied for ${job_role}. You can apply for this position again after ${reapplyDate.toDateString()}.`,
+                    reapply_after: reapplyDate
+                });
+            }
+
+            values.push(candidate.id);
+            result = await client.query(query, values);
+            if (draft) await drafts.deleteDraft(client, draft.id);
+            await privacy.recordConsent(client, result.rows[0].id, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+            for (const document of uploaded.stored) {
+                await documents.addDocument(client, result.rows[0].id, document.type, document, { file: document.file });
+            }
+            const answerDocumentIds = {};
+            for (const document of answerFiles.stored) {
+                const added = await documents.addDocument(client, result.rows[0].id, document.type, document, { file: document.file });
+                answerDocumentIds[document.questionKey] = added.document.id;
+            }
+            await forms.saveAnswers(client, result.rows[0].id, form, answers, answerDocumentIds);
+            await skillCatalog.setApplicationSkills(client, result.rows[0].id, skills);
+            await ranking.updateApplicationScore(client, result.rows[0].id);
+            await pipeline.recordEvent(client, result.rows[0].id, {
+                eventType: 'submitted',
+                toStage: initialStage,
+                actorName: full_name
+            });
+            const submitted = {
+                id: result.rows[0].id,
+                full_name,
+                email,
+                job_role,
+                preferred_location,
+                status: initialStage
+            };
+            await notifications.notifyApplicationSubmitted(client, submitted, { trackingToken: tracking.token, trackingUrl });
+            await webhooks.notifySubmitted(client, submitted.id);
+            const knockouts = forms.findKnockouts(form, answers);
+            if (knockouts.length > 0) {
+                submittedStatus = (await forms.rejectKnockedOut(client, submitted, knockouts, answers)) || initialStage;
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
         console.log('Database insertion successful, application ID:', result.rows[0].id);
+        liveUpdates.applicationCreated(result.rows[0].id, { job_role, status: submittedStatus });
 
         const response = { 
             success: true, 
             id: result.rows[0].id,
+            tracking_token: tracking.token,
+            tracking_url: trackingUrl,
             message: 'Application submitted successfully'
         };
-        console.log('Sending response to client:', response);
+        // The tracking token is deliberately left out of the logs
+        console.log('Sending response to client for application ID:', response.id);
         res.json(response);
     } catch (error) {
         console.error('Error processing submission:', error.message, { stack: error.stack });
+        applicationActions.removeFiles(storedKeys);
+        // Database errors carry a SQLSTATE code; never pass their text back to the candidate
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'This application has already been submitted' });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.code ? 'We could not save your application. Please try again later.' : error.message
+        });
+    }
+});
+
+/**
+ * Download the applications matching the list filters as a spreadsheet:
+ * ?format=csv|xlsx&columns=id,full_name,additional_education&status=New&... (same filters and
+ * sort as GET /api/applications; paging is ignored so the whole filtered view is exported).
+ */
+app.get('/api/applications/export', auth.requireRole('viewer', { apiKeyScope: READ_SCOPE }), async (req, res) => {
+    try {
+        console.log(`User ${req.user.email} exporting applications...`, pii.redact(req.query));
+        const { format = 'csv', columns: columnList, page, page_size, ...filters } = req.query;
+        const { errors, where, values, orderBy } = parseApplicationQuery(filters, { user: req.user });
+        if (!exporter.EXPORT_FORMATS.includes(format)) {
+            errors.push(`format must be one of: ${exporter.EXPORT_FORMATS.join(', ')}`);
+        }
+        const columns = exporter.parseColumns(columnList, errors);
+        if (errors.length > 0) {
+            console.error('Invalid export query:', errors);
+            return res.status(400).json({ success: false, error: 'Invalid query parameters', details: errors });
+        }
+
+        const filename = `applications-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Type', format === 'xlsx'
+            ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            : 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        const count = await exporter.exportApplications(res, { format, columns, where, values, orderBy, user: req.user });
+        console.log(`Exported ${count} applications as ${format}`);
+    } catch (error) {
+        console.error('Error exporting applications:', error.message);
+        // Once rows have been streamed the status can no longer change; cut the download short
+        if (res.headersSent) return res.destroy(error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // Get single application by ID
-app.get('/api/applications/:id', async (req, res) => {
+app.get('/api/applications/:id', auth.requireRole('viewer', { apiKeyScope: READ_SCOPE }), async (req, res) => {
     try {
         const { id } = req.params;
         console.log(`Fetching application with ID: ${id}`);
@@ -463,7 +442,9 @@ app.get('/api/applications/:id', async (req, res) => {
             });
         }
 
-        const application = result.rows[0];
+        const application = pii.decryptFields(result.rows[0]);
+        delete application.tracking_token_hash;
+        application.masked_fields = pii.maskFields(application, req.user);
         if (application.additional_education) {
             try {
                 if (typeof application.additional_education === 'string') {
@@ -480,10 +461,23 @@ app.get('/api/applications/:id', async (req, res) => {
             application.additional_education = [];
         }
 
+        const otherApplications = await candidates.getOtherApplications(application.candidate_id, application.id);
+        application.skill_list = (await skillCatalog.getApplicationSkills([application.id]))[application.id];
+        application.documents = await documents.getDocuments(application.id);
+        application.answers = await forms.getAnswers(application.id);
+        if (pii.maskAnswers(application.answers, req.user)) application.masked_fields.push('answers');
+        await tags.addLabels([application]);
+        // Where and how the terms were accepted is personal data too
+        const consents = await privacy.getConsents(application.id);
+        application.consents = pii.canViewPii(req.user)
+            ? consents
+            : consents.map(consent => ({ terms_version: consent.terms_version, accepted_at: consent.accepted_at }));
+
         console.log(`Application fetched successfully: ID ${id}`);
         res.json({ 
             success: true, 
-            application 
+            application,
+            other_applications: otherApplications
         });
     } catch (error) {
         console.error('Error fetching application:', error.message);
@@ -494,155 +488,397 @@ app.get('/api/applications/:id', async (req, res) => {
     }
 });
 
-// Get all applications
-app.get('/api/applications', async (req, res) => {
+// List applications with search, filters, sorting and pagination (see applicationQuery.js)
+app.get('/api/applications', auth.requireRole('viewer', { apiKeyScope: READ_SCOPE }), async (req, res) => {
     try {
-        console.log('Fetching all applications...');
+        console.log('Fetching applications...', pii.redact(req.query));
+        const { errors, where, values, orderBy, limit, offset, page, pageSize } = parseApplicationQuery(req.query, { user: req.user });
+        if (errors.length > 0) {
+            console.error('Invalid application query:', errors);
+            return res.status(400).json({ success: false, error: 'Invalid query parameters', details: errors });
+        }
+
+        const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM applications ${where}`, values);
+        const total = countResult.rows[0].total;
+
         const query = `
-            SELECT id, full_name, email, job_role, submission_date,
-                   resume_path, cover_letter_path, status
+            SELECT id, full_name, email, job_posting_id, job_role, city, experience_status,
+                   years_experience, expected_salary, submission_date,
+                   status, assigned_user_id, version, deleted_at
             FROM applications
-            ORDER BY submission_date DESC
+            ${where}
+            ORDER BY ${orderBy}
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
         `;
-        const result = await pool.query(query);
-        console.log(`Fetched ${result.rows.length} applications`);
-        res.json({ success: true, applications: result.rows });
+        const result = await pool.query(query, [...values, limit, offset]);
+        result.rows.forEach(row => pii.maskFields(pii.decryptFields(row), req.user));
+        await tags.addLabels(result.rows);
+        console.log(`Fetched ${result.rows.length} of ${total} applications`);
+        res.json({
+            success: true,
+            applications: result.rows,
+            pagination: {
+                page,
+                page_size: pageSize,
+                total,
+                total_pages: Math.ceil(total / pageSize)
+            }
+        });
     } catch (error) {
         console.error('Error fetching applications:', error.message);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Update application status
-app.put('/api/applications/:id/status', async (req, res) => {
+/**
+ * Move an application to another pipeline stage: { status, comment, version }. Only transitions
+ * configured in the pipeline are allowed; anything else is rejected with 409 and the allowed
+ * stages. `version` is required: the application version the change is based on (as returned with
+ * the application). When someone has changed the application since, the update is rejected with
+ * 409 and the current status and version.
+ */
+app.put('/api/applications/:id/status', auth.requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
     try {
         const { id } = req.params;
-        const { status } = req.body;
-        console.log(`Updating status for application ID ${id} to: ${status}`);
+        const { status, comment } = req.body;
+        const expectedVersion = Number(req.body.version);
+        console.log(`User ${req.user.email} updating status for application ID ${id} to: ${status}`);
 
-        if (!['Pending', 'Approved', 'Rejected', 'Under Review'].includes(status)) {
-            console.error(`Invalid status: ${status}`);
-            return res.status(400).json({ success: false, error: 'Invalid status' });
+        if (!status) {
+            return res.status(400).json({ success: false, error: 'status is required' });
+        }
+        if (req.body.version === undefined || req.body.version === null || req.body.version === '') {
+            return res.status(400).json({ success: false, error: 'version is required' });
+        }
+        if (!Number.isInteger(expectedVersion) || expectedVersion < 1) {
+            return res.status(400).json({ success: false, error: 'version must be a positive integer' });
         }
 
-        const query = 'UPDATE applications SET status = $1 WHERE id = $2 RETURNING id';
-        const result = await pool.query(query, [status, id]);
-
-        if (result.rows.length === 0) {
-            console.error(`Application with ID ${id} not found`);
-            return res.status(404).json({ success: false, error: 'Application not found' });
+        await client.query('BEGIN');
+        const result = await applicationActions.changeStatus(client, id, status, { actor: req.user, comment, expectedVersion });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            console.error(`Cannot update status of application ${id}: ${result.error}`);
+            return res.status(result.code).json({
+                success: false,
+                error: result.error,
+                current_status: result.current_status,
+                current_version: result.current_version,
+                allowed_statuses: result.allowed_statuses
+            });
         }
+        await client.query('COMMIT');
+        liveUpdates.applicationUpdated(id, { status, version: result.version, changes: ['status'] }, req.user);
 
         console.log(`Status updated successfully for application ID ${id}`);
-        res.json({ success: true, id: result.rows[0].id });
+        res.json({ success: true, id: Number(id), status, version: result.version, event: result.event });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Error updating application status:', error.message);
         res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
     }
 });
 
-// Delete a single application by ID
-app.delete('/api/applications/:id', async (req, res) => {
+// Assign the application to a recruiter, or unassign it with user_id null: { user_id }
+app.put('/api/applications/:id/assignee', auth.requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
     try {
         const { id } = req.params;
-        console.log(`Deleting application with ID: ${id}`);
-        
-        const getQuery = 'SELECT resume_path, cover_letter_path FROM applications WHERE id = $1';
-        const getResult = await pool.query(getQuery, [id]);
-        
-        if (getResult.rows.length === 0) {
-            console.error(`Application with ID ${id} not found`);
+        const userId = req.body.user_id === null || req.body.user_id === '' ? null : Number(req.body.user_id);
+        if (req.body.user_id === undefined) {
+            return res.status(400).json({ success: false, error: 'user_id is required (null to unassign)' });
+        }
+        if (userId !== null && !Number.isInteger(userId)) {
+            return res.status(400).json({ success: false, error: 'user_id must be an integer or null' });
+        }
+        const assignee = userId === null ? null : await applicationActions.getAssignableUser(pool, userId);
+        if (userId !== null && !assignee) {
+            return res.status(400).json({ success: false, error: 'Applications can only be assigned to an active recruiter or admin' });
+        }
+        console.log(`User ${req.user.email} assigning application ID ${id} to ${assignee ? assignee.email : 'nobody'}`);
+
+        await client.query('BEGIN');
+        const result = await applicationActions.assignRecruiter(client, id, assignee, { actor: req.user });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            console.error(`Cannot assign application ${id}: ${result.error}`);
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        await client.query('COMMIT');
+        if (!result.unchanged) {
+            liveUpdates.applicationUpdated(id, { version: result.version, changes: ['assignee'] }, req.user);
+        }
+        res.json({
+            success: true,
+            id: Number(id),
+            assigned_recruiter: assignee ? { id: assignee.id, full_name: assignee.full_name } : null,
+            version: result.version
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error assigning application:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Add tags to an application, creating tags that do not exist yet: { tags: ['referral'] or 'a, b' }
+app.post('/api/applications/:id/tags', auth.requireRole('recruiter'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const names = tags.parseTagList(req.body.tags);
+        if (names.length === 0) {
+            return res.status(400).json({ success: false, error: 'At least one tag is required' });
+        }
+        console.log(`User ${req.user.email} tagging application ID ${id} with: ${names.join(', ')}`);
+
+        await client.query('BEGIN');
+        const exists = await client.query('SELECT id, deleted_at FROM applications WHERE id = $1 FOR UPDATE', [id]);
+        if (exists.rows.length === 0 || exists.rows[0].deleted_at) {
+            await client.query('ROLLBACK');
+            return exists.rows.length === 0
+                ? res.status(404).json({ success: false, error: 'Application not found' })
+                : res.status(409).json({ success: false, error: 'Application is archived; restore it first' });
+        }
+        const added = await tags.addApplicationTags(client, id, names, req.user);
+        const current = (await tags.getApplicationTags([Number(id)], client))[id];
+        await client.query('COMMIT');
+        if (added.length > 0) liveUpdates.applicationUpdated(id, { changes: ['tags'] }, req.user);
+        res.json({ success: true, added, tags: current });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error tagging application:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Take a tag off an application; the tag itself stays available
+app.delete('/api/applications/:id/tags/:tagId', auth.requireRole('recruiter'), async (req, res) => {
+    try {
+        const { id, tagId } = req.params;
+        console.log(`User ${req.user.email} removing tag ID ${tagId} from application ID ${id}`);
+        if (!await tags.removeApplicationTag(pool, id, tagId)) {
+            return res.status(404).json({ success: false, error: 'The application does not have this tag' });
+        }
+        liveUpdates.applicationUpdated(id, { changes: ['tags'] }, req.user);
+        res.json({ success: true, tags: (await tags.getApplicationTags([Number(id)]))[id] });
+    } catch (error) {
+        console.error('Error removing tag:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Status history and other events for an application, oldest first
+app.get('/api/applications/:id/history', auth.requireRole('viewer', { apiKeyScope: READ_SCOPE }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        console.log(`Fetching history for application ID: ${id}`);
+        const events = await pipeline.getApplicationEvents(id);
+        res.json({ success: true, events });
+    } catch (error) {
+        console.error('Error fetching application history:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Candidate dossier PDF with every section, feedback and status history, followed by the
+// resume and cover letter when they are PDFs
+app.get('/api/applications/:id/dossier', auth.requireRole('viewer'), async (req, res) => {
+    try {
+        const applicationId = parseInt(req.params.id, 10);
+        if (isNaN(applicationId)) {
+            return res.status(400).json({ success: false, error: 'Invalid application id' });
+        }
+        console.log(`User ${req.user.email} downloading the dossier of application ID: ${applicationId}`);
+        const result = await dossier.buildDossier(applicationId, req.user);
+        if (!result) {
             return res.status(404).json({ success: false, error: 'Application not found' });
         }
-        
-        const { resume_path, cover_letter_path } = getResult.rows[0];
-        
-        const deleteQuery = 'DELETE FROM applications WHERE id = $1 RETURNING id';
-        const deleteResult = await pool.query(deleteQuery, [id]);
-        
-        if (resume_path && fs.existsSync(resume_path)) {
-            console.log(`Deleting resume file: ${resume_path}`);
-            fs.unlinkSync(resume_path);
-        }
-        if (cover_letter_path && fs.existsSync(cover_letter_path)) {
-            console.log(`Deleting cover letter file: ${cover_letter_path}`);
-            fs.unlinkSync(cover_letter_path);
-        }
-        
-        console.log(`Application ID ${id} deleted successfully`);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+        res.send(result.buffer);
+    } catch (error) {
+        console.error('Error building dossier:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Move an application to the archive. Archived applications are hidden from the dashboard and the
+// candidate portal and can be restored until the retention job purges them.
+app.delete('/api/applications/:id', auth.requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} archiving application with ID: ${id}`);
+
+        await client.query('BEGIN');
+        const result = await applicationActions.archiveApplication(client, id, { actor: req.user });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            console.error(`Cannot archive application ${id}: ${result.error}`);
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        await client.query('COMMIT');
+        liveUpdates.applicationDeleted(id, { archived: true, version: result.version }, req.user);
+
+        console.log(`Application ID ${id} archived successfully`);
         res.json({ 
             success: true, 
-            id: deleteResult.rows[0].id,
-            message: 'Application deleted successfully'
+            id: Number(id),
+            message: 'Application moved to the archive'
         });
     } catch (error) {
-        console.error('Error deleting application:', error.message);
+        await client.query('ROLLBACK');
+        console.error('Error archiving application:', error.message);
         res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
     }
 });
 
-// Clear all applications
-app.delete('/api/clear', async (req, res) => {
+// Bring an archived application back to the dashboard
+app.post('/api/applications/:id/restore', auth.requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
     try {
-        console.log('Clearing all applications...');
-        fs.readdir(uploadDir, (err, files) => {
-            if (err) {
-                console.error('Error reading upload directory:', err.message);
-                return;
-            }
-            for (const file of files) {
-                console.log(`Deleting file: ${file}`);
-                fs.unlink(path.join(uploadDir, file), err => {
-                    if (err) console.error('Error deleting file:', err.message);
-                });
-            }
-        });
+        const { id } = req.params;
+        console.log(`User ${req.user.email} restoring application with ID: ${id}`);
+
+        await client.query('BEGIN');
+        const result = await applicationActions.restoreApplication(client, id, { actor: req.user });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            console.error(`Cannot restore application ${id}: ${result.error}`);
+            return res.status(result.code).json({ success: false, error: result.error });
+        }
+        await client.query('COMMIT');
+        liveUpdates.applicationUpdated(id, { status: result.status, version: result.version, changes: ['restored'] }, req.user);
+
+        console.log(`Application ID ${id} restored successfully`);
+        res.json({ success: true, id: Number(id), message: 'Application restored' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error restoring application:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Permanently delete an archived application and its files without waiting for the retention job
+app.delete('/api/applications/:id/permanent', auth.requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        console.log(`User ${req.user.email} permanently deleting application with ID: ${id}`);
+
+        await client.query('BEGIN');
+        const result = await applicationActions.purgeApplication(client, id);
+        if (result.error) {
+            await client.query('ROLLBACK');
+            console.error(`Cannot permanently delete application ${id}: ${result.error}`);
+            return res.status(result.code).json({
+                success: false,
+                error: result.code === 409 ? 'Only archived applications can be deleted permanently' : result.error
+            });
+        }
+        await client.query('COMMIT');
+        liveUpdates.applicationDeleted(id, { archived: false }, req.user);
+        // Files go only once the row is gone for good
+        applicationActions.removeFiles(result.files);
 
-        const query = 'TRUNCATE TABLE applications RESTART IDENTITY';
-        await pool.query(query);
-        console.log('All applications cleared from database');
-        res.json({ success: true, message: 'All applications cleared successfully' });
+        console.log(`Application ID ${id} permanently deleted`);
+        res.json({ success: true, id: Number(id), message: 'Application deleted permanently' });
     } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error permanently deleting application:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Move every active application to the archive
+app.delete('/api/clear', auth.requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        console.log(`User ${req.user.email} archiving all applications...`);
+        await client.query('BEGIN');
+        const active = await client.query('SELECT id FROM applications WHERE deleted_at IS NULL ORDER BY id FOR UPDATE');
+        const archived = [];
+        for (const row of active.rows) {
+            archived.push(Object.assign({ id: row.id }, await applicationActions.archiveApplication(client, row.id, { actor: req.user })));
+        }
+        await client.query('COMMIT');
+        archived.forEach(row => liveUpdates.applicationDeleted(row.id, { archived: true, version: row.version }, req.user));
+
+        console.log(`${active.rows.length} applications moved to the archive`);
+        res.json({
+            success: true,
+            archived: active.rows.length,
+            message: `${active.rows.length} applications moved to the archive`
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Error clearing applications:', error.message);
         res.status(500).json({ success: false, error: error.message });
+    } finally {
+        client.release();
     }
 });
 
-// Download resume or cover letter
-app.get('/api/download/:type/:id', async (req, res) => {
+/**
+ * Download a document of an application: the current document of the type, or any version with
+ * ?document=<id>. ?inline=true serves it for preview in the browser instead of as an attachment.
+ */
+app.get('/api/download/:type/:id', auth.requireRole('viewer', { apiKeyScope: READ_SCOPE }), async (req, res) => {
     try {
         const { type, id } = req.params;
-        console.log(`Downloading ${type} for application ID: ${id}`);
-        if (!['resume', 'cover_letter'].includes(type)) {
+        console.log(`Downloading ${type} for application ID: ${id}`, req.query);
+        if (!documents.DOCUMENT_TYPES[type]) {
             console.error(`Invalid file type: ${type}`);
             return res.status(400).json({ success: false, error: 'Invalid file type' });
         }
+        const applicationId = parseInt(id, 10);
+        const documentId = req.query.document ? parseInt(req.query.document, 10) : null;
+        if (isNaN(applicationId) || (documentId !== null && isNaN(documentId))) {
+            return res.status(400).json({ success: false, error: 'Invalid application or document id' });
+        }
 
-        const query = `SELECT ${type}_path FROM applications WHERE id = $1`;
-        const result = await pool.query(query, [id]);
-
-        if (result.rows.length === 0 || !result.rows[0][`${type}_path`]) {
+        const document = await documents.findDocument(applicationId, type, documentId);
+        if (!document) {
             console.error(`File not found for ${type}, application ID: ${id}`);
             return res.status(404).json({ success: false, error: 'File not found' });
         }
 
-        const filePath = result.rows[0][`${type}_path`];
-        console.log(`Sending file: ${filePath}`);
-        res.download(filePath, (err) => {
-            if (err) {
-                console.error('Error downloading file:', err.message);
-                res.status(500).json({ success: false, error: 'Error downloading file' });
+        let file;
+        try {
+            file = await storage.readFile(document.storage_key, document.sha256);
+        } catch (error) {
+            console.error(`Error reading ${document.storage_key}:`, error.message);
+            if (error.code === 'ENOENT') {
+                return res.status(404).json({ success: false, error: 'File not found' });
             }
-        });
+            return res.status(500).json({ success: false, error: 'Error downloading file' });
+        }
+
+        console.log(`Sending file: ${document.storage_key}`);
+        const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+        res.setHeader('Content-Type', document.content_type);
+        res.setHeader('Content-Disposition', `${disposition}; filename="${documents.downloadName(document)}"`);
+        res.send(file);
     } catch (error) {
         console.error('Error processing download:', error.message);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Serve uploaded files
-app.use('/Uploads', express.static(uploadDir));
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     console.log('Health check requested');
@@ -656,6 +892,10 @@ app.use((err, req, res, next) => {
         console.error('Multer error:', err.message);
         return res.status(400).json({ success: false, error: 'File upload error: ' + err.message });
     }
+    // Errors raised with a client error status, such as a rejected upload type (see uploads.js)
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ success: false, error: err.message });
+    }
     if (err.message === 'Not allowed by CORS') {
         console.error('CORS error:', err.message);
         return res.status(403).json({ success: false, error: 'CORS policy violation' });
@@ -663,8 +903,37 @@ app.use((err, req, res, next) => {
     res.status(500).json({ success: false, error: 'Something went wrong!' });
 });
 
-// Start server
+// Start server. The schema is managed by `npm run migrate`; the server will not serve
+// traffic against a database with pending migrations.
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+
+async function startServer() {
+    try {
+        const pending = await migrator.getPendingMigrations();
+        console.log('Database connected successfully');
+        if (pending.length > 0) {
+            console.error(`Refusing to start: ${pending.length} pending migration(s): ${pending.map(m => m.version).join(', ')}`);
+            console.error('Run "npm run migrate" and start the server again.');
+            process.exit(1);
+        }
+
+        await auth.seedAdminUser();
+        await pipeline.seedDefaultPipeline();
+        await pipeline.ensureWithdrawnStage();
+        await notifications.seedDefaultTemplates();
+        await pii.setupEncryption();
+        notifications.startOutboxWorker();
+        webhooks.startDeliveryWorker();
+        retention.startRetentionJob();
+        drafts.startDraftCleanupJob();
+
+        app.listen(PORT, () => {
+            console.log(`Server running on port ${PORT}`);
+        });
+    } catch (error) {
+        console.error('Error starting server:', error.message);
+        process.exit(1);
+    }
+}
+
+startServer();
@@ -0,0 +1,199 @@
+const pool = require('./db');
+
+// Lookup key for a skill name: case, spaces, dots, hyphens and underscores are ignored,
+// so "Node.js", "node js" and "NodeJS" are the same skill
+function skillKey(name) {
+    return String(name || '').toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+function cleanSkillName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().slice(0, 100);
+}
+
+// "React, Node.js" or ['React', 'Node.js'] -> unique cleaned names, first spelling kept
+function parseSkillList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const seen = new Set();
+    return list.map(cleanSkillName).filter(name => {
+        const key = skillKey(name);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Finds the skill a name refers to, creating it when it is new. Concurrent creations of the same
+// skill meet on the unique name_key and end up with the same row.
+async function createSkill(client, name) {
+    const existing = await findSkill(client, name);
+    if (existing) return existing;
+    const cleaned = cleanSkillName(name);
+    await client.query(
+        'INSERT INTO skills (name, name_key) VALUES ($1, $2) ON CONFLICT (name_key) DO NOTHING',
+        [cleaned, skillKey(cleaned)]
+    );
+    const created = await client.query('SELECT id, name FROM skills WHERE name_key = $1', [skillKey(cleaned)]);
+    await client.query(
+        'INSERT INTO skill_aliases (alias_key, alias, skill_id) VALUES ($1, $2, $3) ON CONFLICT (alias_key) DO NOTHING',
+        [skillKey(cleaned), cleaned, created.rows[0].id]
+    );
+    return created.rows[0];
+}
+
+async function findSkill(client, name) {
+    const result = await client.query(`
+        SELECT s.id, s.name
+        FROM skill_aliases a
+        JOIN skills s ON s.id = a.skill_id
+        WHERE a.alias_key = $1
+    `, [skillKey(name)]);
+    return result.rows[0] || null;
+}
+
+// Maps names to canonical skills, creating skills that are not known yet. Synonyms that resolve
+// to the same skill are returned once.
+async function resolveSkills(client, names) {
+    const skills = [];
+    for (const name of parseSkillList(names)) {
+        const skill = await createSkill(client, name);
+        if (!skills.some(existing => existing.id === skill.id)) skills.push(skill);
+    }
+    return skills;
+}
+
+// Replaces the normalized skills of an application from its comma-separated skills text
+async function setApplicationSkills(client, applicationId, skillsText) {
+    const skills = await resolveSkills(client, skillsText);
+    await client.query('DELETE FROM application_skills WHERE application_id = $1', [applicationId]);
+    for (const skill of skills) {
+        await client.query(
+            'INSERT INTO application_skills (application_id, skill_id) VALUES ($1, $2)',
+            [applicationId, skill.id]
+        );
+    }
+    return skills;
+}
+
+// Replaces a posting's skill requirements. A skill listed as both required and nice to have is required.
+async function setPostingSkills(client, postingId, { required = [], nice_to_have = [] }) {
+    const requiredSkills = await resolveSkills(client, required);
+    const niceSkills = (await resolveSkills(client, nice_to_have))
+        .filter(skill => !requiredSkills.some(requiredSkill => requiredSkill.id === skill.id));
+
+    await client.query('DELETE FROM job_posting_skills WHERE job_posting_id = $1', [postingId]);
+    const rows = requiredSkills.map(skill => [skill.id, 'required'])
+        .concat(niceSkills.map(skill => [skill.id, 'nice_to_have']));
+    for (const [skillId, requirement] of rows) {
+        await client.query(
+            'INSERT INTO job_posting_skills (job_posting_id, skill_id, requirement) VALUES ($1, $2, $3)',
+            [postingId, skillId, requirement]
+        );
+    }
+}
+
+// { postingId: { required_skills: [{ id, name }], nice_to_have_skills: [{ id, name }] } } for the given postings.
+// Pass a transaction client to see its uncommitted changes.
+async function getPostingSkills(postingIds, client = pool) {
+    const byPosting = {};
+    postingIds.forEach(id => {
+        byPosting[id] = { required_skills: [], nice_to_have_skills: [] };
+    });
+    if (postingIds.length === 0) return byPosting;
+
+    const result = await client.query(`
+        SELECT ps.job_posting_id, ps.requirement, s.id, s.name
+        FROM job_posting_skills ps
+        JOIN skills s ON s.id = ps.skill_id
+        WHERE ps.job_posting_id = ANY($1::int[])
+        ORDER BY s.name
+    `, [postingIds]);
+    result.rows.forEach(row => {
+        const key = row.requirement === 'required' ? 'required_skills' : 'nice_to_have_skills';
+        byPosting[row.job_posting_id][key].push({ id: row.id, name: row.name });
+    });
+    return byPosting;
+}
+
+// { applicationId: [{ id, name }] } for the given applications
+async function getApplicationSkills(applicationIds, client = pool) {
+    const byApplication = {};
+    applicationIds.forEach(id => {
+        byApplication[id] = [];
+    });
+    if (applicationIds.length === 0) return byApplication;
+
+    const result = await client.query(`
+        SELECT a.application_id, s.id, s.name
+        FROM application_skills a
+        JOIN skills s ON s.id = a.skill_id
+        WHERE a.application_id = ANY($1::int[])
+        ORDER BY s.name
+    `, [applicationIds]);
+    result.rows.forEach(row => byApplication[row.application_id].push({ id: row.id, name: row.name }));
+    return byApplication;
+}
+
+async function getSkills() {
+    const result = await pool.query(`
+        SELECT s.id, s.name, COUNT(a.application_id)::int AS application_count
+        FROM skills s
+        LEFT JOIN application_skills a ON a.skill_id = s.id
+        GROUP BY s.id, s.name
+        ORDER BY s.name
+    `);
+    const aliases = await pool.query('SELECT skill_id, alias FROM skill_aliases ORDER BY alias');
+    return result.rows.map(skill => Object.assign(skill, {
+        aliases: aliases.rows
+            .filter(alias => alias.skill_id === skill.id && skillKey(alias.alias) !== skillKey(skill.name))
+            .map(alias => alias.alias)
+    }));
+}
+
+/**
+ * Makes `alias` another name for `skill` (locked by the caller). When the alias is already a
+ * separate skill, for example "JS" created from an application before it was known to mean
+ * JavaScript, that skill is merged in: its applications, postings and aliases move over and it
+ * is deleted. Returns the merged skill, or null.
+ */
+async function addAlias(client, skill, alias) {
+    const name = cleanSkillName(alias);
+    const existing = await findSkill(client, name);
+    if (existing && existing.id === skill.id) return null;
+    if (!existing) {
+        await client.query(
+            'INSERT INTO skill_aliases (alias_key, alias, skill_id) VALUES ($1, $2, $3)',
+            [skillKey(name), name, skill.id]
+        );
+        return null;
+    }
+
+    console.log(`Merging skill "${existing.name}" into "${skill.name}"`);
+    await client.query(`
+        INSERT INTO application_skills (application_id, skill_id)
+        SELECT application_id, $1::int FROM application_skills WHERE skill_id = $2
+        ON CONFLICT DO NOTHING
+    `, [skill.id, existing.id]);
+    await client.query(`
+        INSERT INTO job_posting_skills (job_posting_id, skill_id, requirement)
+        SELECT job_posting_id, $1::int, requirement FROM job_posting_skills WHERE skill_id = $2
+        ON CONFLICT DO NOTHING
+    `, [skill.id, existing.id]);
+    await client.query('UPDATE skill_aliases SET skill_id = $1 WHERE skill_id = $2', [skill.id, existing.id]);
+    await client.query('DELETE FROM skills WHERE id = $1', [existing.id]);
+    return existing;
+}
+
+module.exports = {
+    skillKey,
+    parseSkillList,
+    createSkill,
+    resolveSkills,
+    setApplicationSkills,
+    setPostingSkills,
+    getPostingSkills,
+    getApplicationSkills,
+    getSkills,
+    cleanSkillName,
+    addAlias
+};
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const pool = require('./db');
+const { createScanner } = require('./scanner');
+
+// Uploaded documents are stored under content-addressed keys such as "resumes/<sha256>.pdf", so
+// the database never holds filesystem paths and identical files are stored once.
+//
+// Drivers share one interface: put(key, buffer, { contentType, sha256 }), get(key) resolving to
+// a Buffer, and remove(key). A missing object makes get() reject with code 'ENOENT'.
+
+const KEY_PATTERN = /^[a-z_]+\/[0-9a-f]{64}\.[a-z0-9]+$/;
+
+// File formats recognised by their content. DOCX files are ZIP archives, so a DOCX also has to
+// contain the Word document part; ZIP stores entry names uncompressed.
+const FORMATS = {
+    pdf: { label: 'PDF', extension: 'pdf', contentType: 'application/pdf', magic: Buffer.from('%PDF-') },
+    docx: {
+        label: 'DOCX',
+        extension: 'docx',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        magic: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+        marker: Buffer.from('word/')
+    },
+    png: { label: 'PNG', extension: 'png', contentType: 'image/png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    jpeg: { label: 'JPEG', extension: 'jpg', contentType: 'image/jpeg', magic: Buffer.from([0xff, 0xd8, 0xff]) }
+};
+
+function checkKey(key) {
+    if (!KEY_PATTERN.test(key)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+}
+
+// Files under STORAGE_DIR (default Backend/storage), one directory per prefix
+function createLocalStorage() {
+    const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, 'storage'));
+    const filePath = key => {
+        checkKey(key);
+        return path.join(root, key);
+    };
+    return {
+        name: 'local',
+        root,
+        put: async (key, buffer) => {
+            const target = filePath(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            // Write then rename so readers never see a half-written file
+            const temp = `${target}.${process.pid}-${Date.now()}.tmp`;
+            await fs.promises.writeFile(temp, buffer);
+            await fs.promises.rename(temp, target);
+        },
+        get: key => fs.promises.readFile(filePath(key)),
+        remove: async key => {
+            try {
+                await fs.promises.unlink(filePath(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+}
+
+// Any S3-compatible service. Set S3_ENDPOINT for MinIO and similar services, which are addressed
+// path-style unless S3_FORCE_PATH_STYLE=false.
+function createS3Storage() {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+    }
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_ENDPOINT ? process.env.S3_FORCE_PATH_STYLE !== 'false' : false,
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    return {
+        name: 's3',
+        put: async (key, buffer, { contentType, sha256 } = {}) => {
+            checkKey(key);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+                // The service rejects the upload if the bytes it received do not match
+                ChecksumSHA256: sha256 ? Buffer.from(sha256, 'hex').toString('base64') : undefined
+            }));
+        },
+        get: async key => {
+            checkKey(key);
+            try {
+                const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Buffer.from(await result.Body.transformToByteArray());
+            } catch (error) {
+                if (error.name === 'NoSuchKey') error.code = 'ENOENT';
+                throw error;
+            }
+        },
+        remove: async key => {
+            checkKey(key);
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+}
+
+const DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+// Picks the driver from STORAGE_DRIVER (local or s3). Defaults to s3 when S3_BUCKET is set and
+// to local otherwise.
+function createStorage(name = process.env.STORAGE_DRIVER) {
+    const driverName = name || (process.env.S3_BUCKET ? 's3' : 'local');
+    const factory = DRIVERS[driverName];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return factory();
+}
+
+let storage = null;
+let scanner = null;
+
+function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+        console.log(`Document storage using the ${storage.name} driver`);
+    }
+    return storage;
+}
+
+function getScanner() {
+    if (!scanner) scanner = createScanner();
+    return scanner;
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// The client's mimetype is only a claim; the format is taken from the file's content. Returns a
+// key of FORMATS, or null for anything else.
+function detectFormat(buffer) {
+    if (!buffer) return null;
+    const name = Object.keys(FORMATS).find(key => {
+        const { magic, marker } = FORMATS[key];
+        return buffer.length >= magic.length && buffer.subarray(0, magic.length).equals(magic) &&
+            (!marker || buffer.includes(marker));
+    });
+    return name || null;
+}
+
+function isPdf(buffer) {
+    return detectFormat(buffer) === 'pdf';
+}
+
+// "PDF", "PDF or DOCX", "PDF, PNG or JPEG"
+function describeFormats(formats) {
+    const labels = formats.map(format => FORMATS[format].label);
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+}
+
+// Keeps an infected upload out of reach of HR users and records it for review
+async function quarantine(file, checksum, format, signature, source) {
+    const key = `quarantine/${checksum}.${FORMATS[format].extension}`;
+    await getStorage().put(key, file.buffer, { contentType: 'application/octet-stream', sha256: checksum });
+    await pool.query(`
+        INSERT INTO quarantined_files (storage_key, sha256, original_name, signature, source)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [key, checksum, file.originalname || null, signature, source]);
+    console.error(`Quarantined ${file.originalname} (${checksum}) from ${source}: ${signature}`);
+}
+
+/**
+ * Checks an uploaded file (from multer's memory storage) before anything reads it: its content
+ * must be one of the allowed formats and it must pass the malware scan. Infected files are
+ * quarantined.
+ *
+ * @returns {Promise<{ sha256: string, format: string } | { code: number, error: string }>}
+ */
+async function inspectUpload(file, source, formats = ['pdf']) {
+    const format = detectFormat(file.buffer);
+    if (!formats.includes(format)) {
+        console.error(`Rejected ${file.originalname}: content is ${format || 'not a recognised format'}, expected ${formats.join('/')}`);
+        return { code: 400, error: `${file.originalname} is not a valid ${describeFormats(formats)} file` };
+    }
+    const checksum = sha256(file.buffer);
+    let result;
+    try {
+        result = await getScanner().scan(file.buffer);
+    } catch (error) {
+        console.error(`Could not scan ${file.originalname}:`, error.message);
+        return { code: 503, error: 'Uploaded files cannot be checked right now. Please try again later.' };
+    }
+    if (!result.clean) {
+        await quarantine(file, checksum, format, result.signature, source);
+        return { code: 422, error: `${file.originalname} was rejected by the malware scan` };
+    }
+    return { sha256: checksum, format };
+}
+
+/**
+ * Inspects an upload and stores it under `<prefix>/<sha256>.<extension>`.
+ *
+ * @returns {Promise<{ key: string, sha256: string, size: number, format: string, contentType: string }
+ *     | { code: number, error: string }>}
+ */
+async function storeUpload(file, prefix, source, formats = ['pdf']) {
+    const inspected = await inspectUpload(file, source, formats);
+    if (inspected.error) return inspected;
+    const { extension, contentType } = FORMATS[inspected.format];
+    const key = `${prefix}/${inspected.sha256}.${extension}`;
+    await getStorage().put(key, file.buffer, { contentType, sha256: inspected.sha256 });
+    console.log(`Stored ${file.originalname} as ${key}`);
+    return { key, sha256: inspected.sha256, size: file.buffer.length, format: inspected.format, contentType };
+}
+
+// Reads a stored file and checks it still matches the checksum recorded at upload
+async function readFile(key, checksum) {
+    const buffer = await getStorage().get(key);
+    if (checksum && sha256(buffer) !== checksum) {
+        throw new Error(`Stored file ${key} does not match its checksum`);
+    }
+    return buffer;
+}
+
+module.exports = {
+    createStorage,
+    getStorage,
+    FORMATS,
+    sha256,
+    detectFormat,
+    isPdf,
+    describeFormats,
+    inspectUpload,
+    storeUpload,
+    readFile
+};
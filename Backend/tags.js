@@ -0,0 +1,168 @@
+const pool = require('./db');
+
+const MAX_TAG_LENGTH = 50;
+// New tags get one of these colours, picked from the name so a tag keeps its colour if it is
+// deleted and created again; HR can change it through PUT /api/tags/:id
+const TAG_COLORS = ['#2563eb', '#16a34a', '#d97706', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Tags match regardless of case and spacing, so "Campus 2026" and "campus  2026" are one tag
+function tagKey(name) {
+    return cleanTagName(name).toLowerCase();
+}
+
+function cleanTagName(name) {
+    return String(name || '').replace(/[\u0000-\u001f]/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+}
+
+// "referral, campus-2026" or ['referral', 'campus-2026'] -> unique cleaned names
+function parseTagList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const seen = new Set();
+    return list.map(cleanTagName).filter(name => {
+        const key = name.toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function defaultColor(name) {
+    const hash = [...tagKey(name)].reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+// Finds a tag by name, creating it when it is new
+async function createTag(client, name) {
+    const cleaned = cleanTagName(name);
+    await client.query(
+        'INSERT INTO tags (name, name_key, color) VALUES ($1, $2, $3) ON CONFLICT (name_key) DO NOTHING',
+        [cleaned, tagKey(cleaned), defaultColor(cleaned)]
+    );
+    const result = await client.query('SELECT id, name, color FROM tags WHERE name_key = $1', [tagKey(cleaned)]);
+    return result.rows[0];
+}
+
+// Adds tags to an application; tags it already has are left alone. Returns the names newly added.
+async function addApplicationTags(client, applicationId, names, user) {
+    const added = [];
+    for (const name of parseTagList(names)) {
+        const tag = await createTag(client, name);
+        const result = await client.query(`
+            INSERT INTO application_tags (application_id, tag_id, created_by_user_id)
+            VALUES ($1, $2, $3)
+            ON CONFLICT DO NOTHING
+        `, [applicationId, tag.id, user ? user.id : null]);
+        if (result.rowCount > 0) added.push(tag.name);
+    }
+    return added;
+}
+
+// Takes a tag off an application. Returns false when the application did not have it.
+async function removeApplicationTag(client, applicationId, tagId) {
+    const result = await client.query(
+        'DELETE FROM application_tags WHERE application_id = $1 AND tag_id = $2',
+        [applicationId, tagId]
+    );
+    return result.rowCount > 0;
+}
+
+// Every tag with the number of active applications carrying it, by name
+async function getTags() {
+    const result = await pool.query(`
+        SELECT t.id, t.name, t.color, t.created_at, COUNT(a.id)::int AS application_count
+        FROM tags t
+        LEFT JOIN application_tags at ON at.tag_id = t.id
+        LEFT JOIN applications a ON a.id = at.application_id AND a.deleted_at IS NULL
+        GROUP BY t.id, t.name, t.color, t.created_at
+        ORDER BY t.name
+    `);
+    return result.rows;
+}
+
+// Returns a list of problems with a tag edit ({ name, color }, both optional); empty when valid
+function validateTagUpdate({ name, color }) {
+    const errors = [];
+    if (name !== undefined && !cleanTagName(name)) errors.push('name cannot be empty');
+    if (color !== undefined && !COLOR_PATTERN.test(String(color))) errors.push('color must be a hex colour such as #2563eb');
+    return errors;
+}
+
+/**
+ * Renames or recolours a tag. Returns { tag }, or { error, code } when the tag does not exist or
+ * the new name is taken by another tag.
+ */
+async function updateTag(client, tagId, { name, color }) {
+    const current = await client.query('SELECT id, name, color FROM tags WHERE id = $1 FOR UPDATE', [tagId]);
+    if (current.rows.length === 0) return { code: 404, error: 'Tag not found' };
+    const newName = name === undefined ? current.rows[0].name : cleanTagName(name);
+    const clash = await client.query('SELECT id FROM tags WHERE name_key = $1 AND id <> $2', [tagKey(newName), tagId]);
+    if (clash.rows.length > 0) return { code: 409, error: `A tag named ${newName} already exists` };
+    const result = await client.query(`
+        UPDATE tags SET name = $1, name_key = $2, color = $3
+        WHERE id = $4
+        RETURNING id, name, color
+    `, [newName, tagKey(newName), color === undefined ? current.rows[0].color : String(color).toLowerCase(), tagId]);
+    return { tag: result.rows[0] };
+}
+
+// Deletes a tag and takes it off every application. Returns false when it did not exist.
+async function deleteTag(tagId) {
+    const result = await pool.query('DELETE FROM tags WHERE id = $1', [tagId]);
+    return result.rowCount > 0;
+}
+
+// { applicationId: [{ id, name, color }] } for the given applications
+async function getApplicationTags(applicationIds, client = pool) {
+    const byApplication = {};
+    applicationIds.forEach(id => {
+        byApplication[id] = [];
+    });
+    if (applicationIds.length === 0) return byApplication;
+
+    const result = await client.query(`
+        SELECT at.application_id, t.id, t.name, t.color
+        FROM application_tags at
+        JOIN tags t ON t.id = at.tag_id
+        WHERE at.application_id = ANY($1::int[])
+        ORDER BY t.name
+    `, [applicationIds]);
+    result.rows.forEach(row => byApplication[row.application_id].push({ id: row.id, name: row.name, color: row.color }));
+    return byApplication;
+}
+
+/**
+ * Adds `tags` ([{ id, name, color }]) and `assigned_recruiter` ({ id, full_name } or null) to
+ * application rows that include assigned_user_id, for lists and exports.
+ */
+async function addLabels(rows, client = pool) {
+    const byApplication = await getApplicationTags(rows.map(row => row.id), client);
+    const assigneeIds = [...new Set(rows.map(row => row.assigned_user_id).filter(id => id))];
+    const assignees = assigneeIds.length === 0 ? [] : (await client.query(
+        'SELECT id, full_name FROM hr_users WHERE id = ANY($1::int[])',
+        [assigneeIds]
+    )).rows;
+    rows.forEach(row => {
+        row.tags = byApplication[row.id];
+        row.assigned_recruiter = assignees.find(user => user.id === row.assigned_user_id) || null;
+    });
+    return rows;
+}
+
+module.exports = {
+    MAX_TAG_LENGTH,
+    TAG_COLORS,
+    tagKey,
+    cleanTagName,
+    parseTagList,
+    createTag,
+    addApplicationTags,
+    removeApplicationTag,
+    getTags,
+    validateTagUpdate,
+    updateTag,
+    deleteTag,
+    getApplicationTags,
+    addLabels
+};
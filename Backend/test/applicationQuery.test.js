@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SORTABLE_COLUMNS, parseApplicationQuery } = require('../applicationQuery');
+
+test('defaults to the newest active applications, 25 per page', () => {
+    const result = parseApplicationQuery({});
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.where, 'WHERE deleted_at IS NULL');
+    assert.deepEqual(result.values, []);
+    assert.equal(result.orderBy, 'submission_date DESC NULLS LAST, id DESC NULLS LAST');
+    assert.equal(result.limit, 25);
+    assert.equal(result.offset, 0);
+});
+
+test('archived=true lists only the archive', () => {
+    assert.equal(parseApplicationQuery({ archived: 'true' }).where, 'WHERE deleted_at IS NOT NULL');
+});
+
+test('sorts by whitelisted columns with - for descending and id as the tie-breaker', () => {
+    const result = parseApplicationQuery({ sort: '-years_experience,full_name' });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.orderBy, 'years_experience DESC NULLS LAST, full_name ASC, id DESC NULLS LAST');
+});
+
+test('an explicit id sort is not repeated as the tie-breaker', () => {
+    assert.equal(parseApplicationQuery({ sort: 'id' }).orderBy, 'id ASC');
+});
+
+test('every sortable column is accepted', () => {
+    for (const column of SORTABLE_COLUMNS) {
+        assert.deepEqual(parseApplicationQuery({ sort: column }).errors, [], column);
+    }
+});
+
+test('expected_salary sorts by its plaintext band', () => {
+    assert.equal(
+        parseApplicationQuery({ sort: '-expected_salary' }).orderBy,
+        'expected_salary_band DESC NULLS LAST, id DESC NULLS LAST'
+    );
+});
+
+test('unknown sort columns are rejected and never reach the SQL', () => {
+    const result = parseApplicationQuery({ sort: 'full_name,password_hash,-id; DROP TABLE applications' });
+    assert.deepEqual(result.errors, [
+        'Cannot sort by password_hash',
+        'Cannot sort by id; DROP TABLE applications'
+    ]);
+    assert.doesNotMatch(result.orderBy, /password_hash|DROP/);
+});
+
+test('list filters become bind parameters', () => {
+    const result = parseApplicationQuery({ status: 'Applied, Shortlisted', city: ['Pune'] });
+    assert.equal(result.where, 'WHERE deleted_at IS NULL AND status = ANY($1) AND city = ANY($2)');
+    assert.deepEqual(result.values, [['Applied', 'Shortlisted'], ['Pune']]);
+});
+
+test('experience range bounds are numbers', () => {
+    const result = parseApplicationQuery({ min_experience: '2', max_experience: '5.5' });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.where, 'WHERE deleted_at IS NULL AND years_experience >= $1 AND years_experience <= $2');
+    assert.deepEqual(result.values, [2, 5.5]);
+});
+
+test('salary range bounds are rounded down to their band', () => {
+    const result = parseApplicationQuery({ min_salary: '730000', max_salary: '900000' });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.where, 'WHERE deleted_at IS NULL AND expected_salary_band >= $1 AND expected_salary_band <= $2');
+    assert.deepEqual(result.values, [700000, 900000]);
+});
+
+test('range bounds that are not numbers are rejected', () => {
+    const result = parseApplicationQuery({ min_experience: 'two', max_salary: 'lots' });
+    assert.deepEqual(result.errors, ['min_experience must be a number', 'max_salary must be a number']);
+    assert.equal(result.where, 'WHERE deleted_at IS NULL');
+});
+
+test('a bare submitted_to date includes the whole day', () => {
+    const result = parseApplicationQuery({ submitted_from: '2025-01-01', submitted_to: '2025-01-31' });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.where, 'WHERE deleted_at IS NULL AND submission_date >= $1 AND submission_date < $2::date + 1');
+    assert.deepEqual(result.values, ['2025-01-01', '2025-01-31']);
+});
+
+test('a submitted_to timestamp is an inclusive upper bound', () => {
+    const result = parseApplicationQuery({ submitted_to: '2025-01-31T12:00:00Z' });
+    assert.equal(result.where, 'WHERE deleted_at IS NULL AND submission_date <= $1');
+});
+
+test('invalid dates are rejected', () => {
+    const result = parseApplicationQuery({ submitted_from: 'yesterday', submitted_to: '2025-13-45' });
+    assert.deepEqual(result.errors, ['submitted_from must be a valid date', 'submitted_to must be a valid date']);
+});
+
+test('page and page_size set the limit and offset', () => {
+    const result = parseApplicationQuery({ page: '3', page_size: '50' });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.limit, 50);
+    assert.equal(result.offset, 100);
+    assert.equal(result.page, 3);
+    assert.equal(result.pageSize, 50);
+});
+
+test('page must be 1 or greater', () => {
+    assert.deepEqual(parseApplicationQuery({ page: '-1' }).errors, ['page must be 1 or greater']);
+});
+
+test('page_size must stay within bounds', () => {
+    assert.deepEqual(parseApplicationQuery({ page_size: '200' }).errors, []);
+    assert.deepEqual(parseApplicationQuery({ page_size: '201' }).errors, ['page_size must be between 1 and 200']);
+    assert.deepEqual(parseApplicationQuery({ page_size: '-5' }).errors, ['page_size must be between 1 and 200']);
+});
+
+test('assigned_to=me needs a user', () => {
+    assert.deepEqual(parseApplicationQuery({ assigned_to: 'me' }).errors, ['assigned_to=me needs a signed-in user']);
+    const result = parseApplicationQuery({ assigned_to: 'me' }, { user: { id: 7 } });
+    assert.equal(result.where, 'WHERE deleted_at IS NULL AND assigned_user_id = $1');
+    assert.deepEqual(result.values, [7]);
+});
@@ -0,0 +1,424 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FIELDS,
+    EDUCATION_FIELDS,
+    MAX_ADDITIONAL_EDUCATION,
+    dateLimits,
+    yearLimits,
+    validateApplication,
+    validateAnswers
+} = require('../applicationSchema');
+
+// Ages and years are counted from this day so the tests do not depend on the clock
+const TODAY = new Date(2025, 5, 15);
+
+function validApplication(overrides) {
+    return Object.assign({
+        full_name: 'Asha Rao',
+        email: 'asha@example.com',
+        mobile: '9876543210',
+        dob: '1995-04-20',
+        parent_name: 'Ravi Rao',
+        gender: 'Female',
+        nationality: 'Indian',
+        marital_status: 'Single',
+        current_address: '12 MG Road',
+        permanent_address: '12 MG Road',
+        state: 'Karnataka',
+        city: 'Bengaluru',
+        zipcode: '560001',
+        emergency_contact: '9876500000',
+        ssc_board: 'CBSE',
+        ssc_year: '2011',
+        ssc_percentage: '88.5',
+        intermediate_board: 'CBSE',
+        intermediate_year: '2013',
+        intermediate_percentage: '91',
+        college_name: 'RV College',
+        qualification: 'B.E.',
+        branch: 'Computer Science',
+        graduation_year: '2017',
+        graduation_percentage: '78.25',
+        job_posting_id: '3',
+        preferred_location: 'Bengaluru',
+        notice_period: '30 days',
+        expected_salary: '1200000',
+        skills: 'JavaScript, SQL',
+        experience_status: 'Experienced',
+        years_experience: '6',
+        company_name: 'Acme',
+        designation: 'Engineer',
+        work_location: 'Pune',
+        start_date: '07/2017',
+        end_date: '05/2025',
+        last_salary: '1000000',
+        alt_mobile: '',
+        linkedin: 'https://linkedin.com/in/asha',
+        github: 'https://github.com/asha',
+        certifications: '',
+        reference_name: 'Meera Iyer',
+        reference_email: 'meera@example.com',
+        additional_education: []
+    }, overrides);
+}
+
+function validate(overrides, options) {
+    return validateApplication(validApplication(overrides), Object.assign({ today: TODAY }, options));
+}
+
+// The error of one field, or undefined
+function errorOf(result, field) {
+    return result.errors.find(error => error.field === field);
+}
+
+function assertError(overrides, field, code) {
+    const error = errorOf(validate(overrides), field);
+    assert.ok(error, `expected an error on ${field} for ${JSON.stringify(overrides)}`);
+    assert.equal(error.code, code);
+    return error;
+}
+
+function assertValid(overrides, field) {
+    const result = validate(overrides);
+    assert.equal(errorOf(result, field), undefined, `unexpected error on ${field} for ${JSON.stringify(overrides)}`);
+    return result.values[field];
+}
+
+test('a complete application is valid and its values are cleaned', () => {
+    const result = validate({ full_name: '  Asha Rao  ' });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.values.full_name, 'Asha Rao');
+    assert.equal(result.values.ssc_year, 2011);
+    assert.equal(result.values.job_posting_id, 3);
+    assert.equal(result.values.expected_salary, 1200000);
+    assert.equal(result.values.ssc_percentage, '88.5');
+    assert.equal(result.values.alt_mobile, null);
+    assert.deepEqual(result.values.additional_education, []);
+});
+
+test('every required field reports "required" when missing or blank', () => {
+    const required = Object.keys(FIELDS).filter(name => FIELDS[name].required);
+    assert.ok(required.length > 0);
+    required.forEach(field => {
+        [undefined, null, '', '   '].forEach(value => {
+            const error = assertError({ [field]: value }, field, 'required');
+            assert.equal(error.message, `${FIELDS[field].label} is required`);
+        });
+    });
+});
+
+test('every optional field without a group may be left empty', () => {
+    Object.keys(FIELDS)
+        .filter(name => !FIELDS[name].required && !FIELDS[name].requiredWhen && !FIELDS[name].group)
+        .forEach(field => {
+            assert.equal(assertValid({ [field]: '' }, field), null);
+        });
+});
+
+test('every field with maxLength rejects longer values', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].maxLength).forEach(field => {
+        const rule = FIELDS[field];
+        const error = assertError({ [field]: 'a'.repeat(rule.maxLength + 1) }, field, 'too_long');
+        assert.equal(error.message, `${rule.label} must be at most ${rule.maxLength} characters`);
+    });
+});
+
+test('name fields accept only letters and spaces', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].pattern && FIELDS[name].pattern.message.includes('letters')).forEach(field => {
+        assert.equal(assertValid({ [field]: 'Anne Marie' }, field), 'Anne Marie');
+        ['Anne-Marie', 'R2D2', "O'Brien"].forEach(value => assertError({ [field]: value }, field, 'format'));
+    });
+});
+
+test('zipcode accepts only digits', () => {
+    assert.equal(assertValid({ zipcode: '560001' }, 'zipcode'), '560001');
+    assertError({ zipcode: '5600-01' }, 'zipcode', 'format');
+    assertError({ zipcode: 'ABC' }, 'zipcode', 'format');
+});
+
+test('free text fields keep any characters', () => {
+    ['current_address', 'permanent_address', 'state', 'city', 'ssc_board', 'preferred_location', 'notice_period', 'skills', 'certifications'].forEach(field => {
+        assert.equal(FIELDS[field].type, 'text');
+        assert.equal(assertValid({ [field]: '#4, 2nd-Cross (East)' }, field), '#4, 2nd-Cross (East)');
+    });
+});
+
+test('email fields require an address with a domain', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].type === 'email').forEach(field => {
+        assert.equal(assertValid({ [field]: ' a.b@c.io ' }, field), 'a.b@c.io');
+        ['a@b', 'a b@c.io', 'plain', '@c.io'].forEach(value => assertError({ [field]: value }, field, 'format'));
+    });
+});
+
+test('phone fields require 10 to 15 digits', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].type === 'phone').forEach(field => {
+        assert.equal(assertValid({ [field]: '1234567890' }, field), '1234567890');
+        assert.equal(assertValid({ [field]: '123456789012345' }, field), '123456789012345');
+        ['123456789', '1234567890123456', '+919876543210', '98765 43210'].forEach(value => assertError({ [field]: value }, field, 'format'));
+    });
+});
+
+test('url fields require http or https', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].type === 'url').forEach(field => {
+        assert.equal(assertValid({ [field]: 'http://example.com/me' }, field), 'http://example.com/me');
+        ['example.com', 'ftp://example.com', 'https://', 'https://exa mple.com'].forEach(value => assertError({ [field]: value }, field, 'format'));
+    });
+});
+
+test('choice fields accept only their options', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].type === 'choice').forEach(field => {
+        const rule = FIELDS[field];
+        rule.options.forEach(option => assert.equal(assertValid({ [field]: option }, field), option));
+        const error = assertError({ [field]: 'Something else' }, field, 'invalid_choice');
+        assert.equal(error.message, `${rule.label} must be one of: ${rule.options.join(', ')}`);
+        assertError({ [field]: rule.options[0].toLowerCase() }, field, 'invalid_choice');
+    });
+});
+
+test('date of birth must be a real date', () => {
+    ['1995-02-30', '1995-13-01', '20-04-1995', '1995/04/20'].forEach(value => assertError({ dob: value }, 'dob', 'format'));
+});
+
+test('date of birth enforces the minimum and maximum age', () => {
+    assert.equal(assertValid({ dob: '2007-06-15' }, 'dob'), '2007-06-15');
+    const tooYoung = assertError({ dob: '2007-06-16' }, 'dob', 'min');
+    assert.equal(tooYoung.message, 'You must be at least 18 years old');
+    assert.equal(assertValid({ dob: '1955-06-15' }, 'dob'), '1955-06-15');
+    const tooOld = assertError({ dob: '1955-06-14' }, 'dob', 'max');
+    assert.equal(tooOld.message, 'You must be at most 70 years old');
+});
+
+test('dateLimits gives the date input bounds for an age range', () => {
+    assert.deepEqual(dateLimits(FIELDS.dob, TODAY), { min: '1955-06-15', max: '2007-06-15' });
+    assert.deepEqual(dateLimits({ type: 'date' }, TODAY), { min: undefined, max: undefined });
+});
+
+test('year fields allow 1960 up to their yearsAhead past the current year', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].type === 'year').forEach(field => {
+        const { max } = yearLimits(FIELDS[field], TODAY);
+        assert.equal(max, 2025 + (FIELDS[field].yearsAhead || 0));
+        assert.equal(assertValid({ [field]: '1960' }, field), 1960);
+        assert.equal(assertValid({ [field]: String(max) }, field), max);
+        assertError({ [field]: '1959' }, field, 'range');
+        assertError({ [field]: String(max + 1) }, field, 'range');
+        assertError({ [field]: '2010.5' }, field, 'range');
+        assertError({ [field]: 'last year' }, field, 'range');
+    });
+});
+
+test('SSC year cannot be in the future, later studies up to five years ahead', () => {
+    assertError({ ssc_year: '2026' }, 'ssc_year', 'range');
+    assert.equal(assertValid({ graduation_year: '2030' }, 'graduation_year'), 2030);
+});
+
+test('percentage fields allow 0 to 100 with at most two decimals', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].type === 'percentage').forEach(field => {
+        ['0', '100', '99.99', '45.5'].forEach(value => assert.equal(assertValid({ [field]: value }, field), value));
+        ['100.01', '101', '-1', '45.555', '45%', 'abc'].forEach(value => assertError({ [field]: value }, field, 'format'));
+    });
+});
+
+test('job_posting_id must be a positive whole number', () => {
+    assert.equal(assertValid({ job_posting_id: '12' }, 'job_posting_id'), 12);
+    assertError({ job_posting_id: '1.5' }, 'job_posting_id', 'format');
+    assertError({ job_posting_id: '0' }, 'job_posting_id', 'min');
+});
+
+test('salaries must be non-negative numbers', () => {
+    ['expected_salary', 'last_salary'].forEach(field => {
+        assert.equal(assertValid({ [field]: '45000.50' }, field), 45000.5);
+        assertError({ [field]: '45,000' }, field, 'format');
+        assertError({ [field]: '-1' }, field, 'min');
+    });
+});
+
+test('years of experience must be a whole number from 0 to 50', () => {
+    assert.equal(assertValid({ years_experience: '0' }, 'years_experience'), 0);
+    assert.equal(assertValid({ years_experience: '50' }, 'years_experience'), 50);
+    assertError({ years_experience: '2.5' }, 'years_experience', 'format');
+    assertError({ years_experience: '51' }, 'years_experience', 'max');
+    assertError({ years_experience: '-1' }, 'years_experience', 'min');
+});
+
+test('month fields require MM/YYYY', () => {
+    ['start_date', 'end_date'].forEach(field => {
+        assert.equal(assertValid({ [field]: '07/2017', end_date: '07/2017', start_date: '07/2017' }, field), '07/2017');
+        ['7/2017', '13/2017', '2017-07', 'July 2017'].forEach(value => assertError({ [field]: value }, field, 'format'));
+    });
+});
+
+test('experience fields are required only for experienced candidates', () => {
+    const experienceFields = Object.keys(FIELDS).filter(name => FIELDS[name].requiredWhen);
+    assert.deepEqual(experienceFields, ['years_experience', 'company_name', 'designation', 'work_location', 'start_date', 'end_date']);
+    experienceFields.forEach(field => assertError({ [field]: '' }, field, 'required'));
+
+    const fresher = validate({ experience_status: 'Fresher', company_name: 'Acme', years_experience: 'not checked' });
+    assert.deepEqual(fresher.errors, []);
+    experienceFields.forEach(field => assert.equal(fresher.values[field], null));
+});
+
+test('end date cannot be before the start date', () => {
+    const error = assertError({ start_date: '05/2020', end_date: '04/2020' }, 'end_date', 'order');
+    assert.equal(error.message, 'End date cannot be before start date');
+    assertError({ start_date: '01/2021', end_date: '12/2020' }, 'end_date', 'order');
+    assertValid({ start_date: '05/2020', end_date: '05/2020' }, 'end_date');
+    // An invalid start date is reported on its own field only
+    const result = validate({ start_date: '2020-05', end_date: '04/2020' });
+    assert.equal(errorOf(result, 'start_date').code, 'format');
+    assert.equal(errorOf(result, 'end_date'), undefined);
+});
+
+test('a partly filled group reports every missing field of the group', () => {
+    Object.keys(FIELDS).filter(name => FIELDS[name].group).forEach(field => {
+        const group = FIELDS[field].group;
+        const error = assertError({ [field]: '' }, field, 'incomplete');
+        assert.match(error.message, new RegExp(`is required when other ${group} details are filled in$`));
+    });
+});
+
+test('a group left empty entirely is valid', () => {
+    ['intermediate', 'graduation'].forEach(group => {
+        const empty = {};
+        Object.keys(FIELDS).filter(name => FIELDS[name].group === group).forEach(name => { empty[name] = ''; });
+        const result = validate(empty);
+        assert.deepEqual(result.errors, []);
+        Object.keys(empty).forEach(name => assert.equal(result.values[name], null));
+    });
+});
+
+test('only the requested fields are checked', () => {
+    const result = validateApplication({ full_name: 'R2D2', email: 'bad' }, { fields: ['full_name'], today: TODAY });
+    assert.deepEqual(result.errors.map(error => error.field), ['full_name']);
+    assert.deepEqual(Object.keys(result.values), []);
+});
+
+function education(entries) {
+    return validate({ additional_education: entries });
+}
+
+const VALID_EDUCATION = { qualification: 'M.Tech', institution: 'IISc', year: '2019', percentage: '81' };
+
+test('additional education entries are cleaned', () => {
+    const result = education([VALID_EDUCATION]);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.values.additional_education, [{ qualification: 'M.Tech', institution: 'IISc', year: 2019, percentage: '81' }]);
+});
+
+test('additional education may be sent as JSON, as multipart forms do', () => {
+    const result = education(JSON.stringify([VALID_EDUCATION]));
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.values.additional_education[0].year, 2019);
+    assert.deepEqual(education('').values.additional_education, []);
+});
+
+test('additional education must be a list', () => {
+    ['{"a": 1}', 'not json'].forEach(value => {
+        const error = errorOf(education(value), 'additional_education');
+        assert.equal(error.code, 'format');
+    });
+});
+
+test(`at most ${MAX_ADDITIONAL_EDUCATION} additional qualifications are accepted`, () => {
+    assert.deepEqual(education(Array(MAX_ADDITIONAL_EDUCATION).fill(VALID_EDUCATION)).errors, []);
+    const error = errorOf(education(Array(MAX_ADDITIONAL_EDUCATION + 1).fill(VALID_EDUCATION)), 'additional_education');
+    assert.equal(error.code, 'too_many');
+});
+
+test('every education field is required and named by its index', () => {
+    Object.keys(EDUCATION_FIELDS).forEach(name => {
+        const result = education([VALID_EDUCATION, Object.assign({}, VALID_EDUCATION, { [name]: ' ' })]);
+        const error = errorOf(result, `additional_education.1.${name}`);
+        assert.equal(error.code, 'required');
+        assert.equal(error.message, `${EDUCATION_FIELDS[name].label} is required`);
+        assert.equal(result.errors.length, 1);
+    });
+    assert.equal(education([{}]).errors.length, Object.keys(EDUCATION_FIELDS).length);
+});
+
+test('education fields are checked by their rules', () => {
+    const cases = [
+        ['qualification', 'a'.repeat(256), 'too_long'],
+        ['institution', 'a'.repeat(256), 'too_long'],
+        ['year', '1959', 'range'],
+        ['year', '2031', 'range'],
+        ['percentage', '100.5', 'format']
+    ];
+    cases.forEach(([name, value, code]) => {
+        const error = errorOf(education([Object.assign({}, VALID_EDUCATION, { [name]: value })]), `additional_education.0.${name}`);
+        assert.ok(error, `expected an error on ${name} = ${value}`);
+        assert.equal(error.code, code);
+    });
+    assert.deepEqual(education([Object.assign({}, VALID_EDUCATION, { year: '2030' })]).errors, []);
+});
+
+const QUESTIONS = [
+    { key: 'why', label: 'Why us?', type: 'text', required: true },
+    { key: 'years_js', label: 'Years of JavaScript', type: 'number', min: 0, max: 40 },
+    { key: 'shift', label: 'Shift', type: 'select', options: ['Day', 'Night'] },
+    { key: 'langs', label: 'Languages', type: 'multi_select', options: ['English', 'Hindi', 'Tamil'] },
+    { key: 'relocate', label: 'Willing to relocate', type: 'yes_no', required: true },
+    { key: 'portfolio', label: 'Portfolio', type: 'file' }
+];
+
+function answer(answers) {
+    return validateAnswers(QUESTIONS, Object.assign({ why: 'Growth', relocate: 'yes' }, answers));
+}
+
+function answerError(answers, key) {
+    return answer(answers).errors.find(error => error.field === `answers.${key}`);
+}
+
+test('answers are cleaned by question type', () => {
+    const result = answer({ years_js: '4.5', shift: 'Night', langs: ['Tamil', 'English'], relocate: 'No', portfolio: 'work.pdf' });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.values, {
+        why: 'Growth',
+        years_js: 4.5,
+        shift: 'Night',
+        langs: ['English', 'Tamil'],
+        relocate: false,
+        portfolio: 'work.pdf'
+    });
+});
+
+test('unanswered questions are null, and required ones report an error', () => {
+    const result = validateAnswers(QUESTIONS, { langs: [] });
+    assert.deepEqual(result.errors.map(error => [error.field, error.code]), [['answers.why', 'required'], ['answers.relocate', 'required']]);
+    Object.keys(result.values).forEach(key => assert.equal(result.values[key], null));
+    assert.deepEqual(validateAnswers(QUESTIONS, null).errors.length, 2);
+    assert.deepEqual(validateAnswers(null, { why: 'x' }), { errors: [], values: {} });
+});
+
+test('number answers respect min and max', () => {
+    assert.equal(answerError({ years_js: 'four' }, 'years_js').code, 'format');
+    assert.equal(answerError({ years_js: '-1' }, 'years_js').code, 'min');
+    assert.equal(answerError({ years_js: '41' }, 'years_js').code, 'max');
+    assert.equal(answer({ years_js: '40' }).values.years_js, 40);
+    const unbounded = validateAnswers([{ key: 'n', label: 'N', type: 'number', min: null, max: null }], { n: '-500' });
+    assert.deepEqual(unbounded.values, { n: -500 });
+});
+
+test('select answers must be one option', () => {
+    assert.equal(answerError({ shift: 'Evening' }, 'shift').code, 'invalid_choice');
+    assert.equal(answerError({ shift: ['Day'] }, 'shift').code, 'format');
+});
+
+test('multi-select answers must all be options', () => {
+    assert.equal(answerError({ langs: ['English', 'French'] }, 'langs').code, 'invalid_choice');
+    assert.deepEqual(answer({ langs: 'Hindi' }).values.langs, ['Hindi']);
+});
+
+test('yes/no answers accept yes, no and booleans', () => {
+    [['yes', true], ['TRUE', true], [true, true], ['no', false], ['False', false], [false, false]].forEach(([value, expected]) => {
+        assert.equal(answer({ relocate: value }).values.relocate, expected);
+    });
+    assert.equal(answerError({ relocate: 'maybe' }, 'relocate').code, 'invalid_choice');
+});
+
+test('text answers are limited to 5000 characters', () => {
+    assert.equal(answer({ why: 'a'.repeat(5000) }).errors.length, 0);
+    const error = answerError({ why: 'a'.repeat(5001) }, 'why');
+    assert.equal(error.code, 'too_long');
+    assert.equal(error.message, 'Why us? must be at most 5000 characters');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildInterviewInvite } = require('../calendar');
+
+function interview(overrides) {
+    return Object.assign({
+        id: 42,
+        interview_type: 'Technical',
+        scheduled_at: '2026-10-19T15:00:00+05:30',
+        duration_minutes: 45,
+        location: null,
+        meeting_link: null,
+        status: 'scheduled',
+        sequence: 0,
+        panelists: [{ name: 'Priya Nair', email: 'priya@example.com' }]
+    }, overrides);
+}
+
+const application = { id: 7, full_name: 'Asha Rao', email: 'asha@example.com', job_role: 'Developer' };
+
+// The invite's properties with folded lines joined back together
+function properties(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n').filter(line => line);
+}
+
+function property(ics, name) {
+    const line = properties(ics).find(item => item.startsWith(`${name}:`) || item.startsWith(`${name};`));
+    return line && line.slice(line.indexOf(':') + 1);
+}
+
+test('lines end with CRLF and the invite is one VEVENT in a VCALENDAR', () => {
+    const ics = buildInterviewInvite(interview(), application);
+    assert.ok(ics.endsWith('\r\n'));
+    assert.doesNotMatch(ics.replace(/\r\n/g, ''), /[\r\n]/);
+    const lines = properties(ics);
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines[lines.length - 1], 'END:VCALENDAR');
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+});
+
+test('start and end are UTC timestamps without separators', () => {
+    const ics = buildInterviewInvite(interview(), application);
+    assert.equal(property(ics, 'DTSTART'), '20261019T093000Z');
+    assert.equal(property(ics, 'DTEND'), '20261019T101500Z');
+    assert.match(property(ics, 'DTSTAMP'), /^\d{8}T\d{6}Z$/);
+});
+
+test('text values escape backslashes, semicolons, commas and newlines', () => {
+    const ics = buildInterviewInvite(interview({ location: 'Room 4; Floor 2, Tower B\\East\nReception' }), application);
+    assert.equal(property(ics, 'LOCATION'), 'Room 4\\; Floor 2\\, Tower B\\\\East\\nReception');
+    assert.equal(
+        property(ics, 'DESCRIPTION'),
+        'Technical interview with Asha Rao for Developer.\\nApplication ID: 7'
+    );
+});
+
+test('attendee names drop quotes so they cannot break out of the parameter', () => {
+    const ics = buildInterviewInvite(interview({ panelists: [{ name: 'Ravi "RK" Kumar', email: 'ravi@example.com' }] }), application);
+    assert.ok(properties(ics).includes(
+        'ATTENDEE;CN="Ravi RK Kumar";ROLE=CHAIR;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:ravi@example.com'
+    ));
+});
+
+test('lines longer than 75 octets are folded with a leading space', () => {
+    const meetingLink = `https://meet.example.com/${'a'.repeat(150)}`;
+    const ics = buildInterviewInvite(interview({ meeting_link: meetingLink }), application);
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.match(ics, /\r\nURL:https:\/\/meet\.example\.com\/a+\r\n a+/);
+    assert.equal(property(ics, 'URL'), meetingLink);
+});
+
+test('folding never splits a multi-byte character', () => {
+    const ics = buildInterviewInvite(interview({ location: 'कार्यालय '.repeat(10) }), { ...application, full_name: 'Aśha Rāo' });
+    ics.split('\r\n').forEach(line => {
+        assert.ok(Buffer.byteLength(line) <= 75, line);
+        assert.ok(!line.includes('�'));
+    });
+    assert.equal(property(ics, 'LOCATION'), 'कार्यालय '.repeat(10));
+});
+
+test('a cancelled interview produces a CANCEL with the same UID and its sequence', () => {
+    const ics = buildInterviewInvite(interview({ status: 'cancelled', sequence: 3 }), application);
+    assert.equal(property(ics, 'METHOD'), 'CANCEL');
+    assert.equal(property(ics, 'STATUS'), 'CANCELLED');
+    assert.equal(property(ics, 'SEQUENCE'), '3');
+    assert.equal(property(ics, 'UID'), property(buildInterviewInvite(interview(), application), 'UID'));
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+// The key is read once, so it has to be set before pii.js is loaded
+const KEY = crypto.randomBytes(32);
+process.env.PII_ENCRYPTION_KEY = KEY.toString('base64');
+
+const pii = require('../pii');
+
+const viewer = { id: 1, role: 'viewer' };
+const recruiter = { id: 2, role: 'recruiter' };
+
+test('encryptValue and decryptValue round-trip text', () => {
+    const encrypted = pii.encryptValue('12 MG Road, Bengaluru');
+    assert.match(encrypted, /^enc:v1:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+    assert.doesNotMatch(encrypted, /MG Road/);
+    assert.equal(pii.decryptValue(encrypted), '12 MG Road, Bengaluru');
+});
+
+test('encryptValue uses a fresh IV so equal values encrypt differently', () => {
+    assert.notEqual(pii.encryptValue('900000'), pii.encryptValue('900000'));
+});
+
+test('encryptValue stores numbers as text and dates as the day', () => {
+    assert.equal(pii.decryptValue(pii.encryptValue(900000)), '900000');
+    assert.equal(pii.decryptValue(pii.encryptValue(new Date('1995-04-20T00:00:00Z'))), '1995-04-20');
+});
+
+test('encryptValue leaves null and already encrypted values alone', () => {
+    assert.equal(pii.encryptValue(null), null);
+    assert.equal(pii.encryptValue(undefined), null);
+    const encrypted = pii.encryptValue('secret');
+    assert.equal(pii.encryptValue(encrypted), encrypted);
+});
+
+test('decryptValue returns values written before encryption as they are', () => {
+    assert.equal(pii.decryptValue('plain text'), 'plain text');
+    assert.equal(pii.decryptValue(null), null);
+});
+
+test('decryptValue rejects a tampered ciphertext', () => {
+    const [prefix, version, iv, tag, encrypted] = pii.encryptValue('Ravi Rao').split(':');
+    const flipped = Buffer.from(encrypted, 'base64');
+    flipped[0] ^= 1;
+    assert.throws(() => pii.decryptValue([prefix, version, iv, tag, flipped.toString('base64')].join(':')));
+});
+
+test('encryptFields encrypts only the sensitive fields of a copy', () => {
+    const row = { id: 5, full_name: 'Asha Rao', dob: '1995-04-20', expected_salary: '900000' };
+    const encrypted = pii.encryptFields(row);
+    assert.equal(encrypted.id, 5);
+    assert.equal(encrypted.full_name, 'Asha Rao');
+    assert.match(encrypted.dob, /^enc:v1:/);
+    assert.match(encrypted.expected_salary, /^enc:v1:/);
+    assert.equal(row.dob, '1995-04-20');
+
+    assert.equal(pii.decryptFields(encrypted), encrypted);
+    assert.deepEqual(encrypted, row);
+});
+
+test('salaryBand rounds down to the band', () => {
+    assert.equal(pii.SALARY_BAND_SIZE, 50000);
+    assert.equal(pii.salaryBand(730000), 700000);
+    assert.equal(pii.salaryBand('750000'), 750000);
+    assert.equal(pii.salaryBand(null), null);
+    assert.equal(pii.salaryBand(''), null);
+    assert.equal(pii.salaryBand('lots'), null);
+});
+
+test('maskEmail keeps the first letter and the domain', () => {
+    assert.equal(pii.maskEmail('asha@example.com'), 'a***@example.com');
+    assert.equal(pii.maskEmail('not an email'), '[hidden]');
+});
+
+test('maskFields masks personal details for roles below recruiter', () => {
+    const row = {
+        full_name: 'Asha Rao',
+        email: 'asha@example.com',
+        mobile: '9876543210',
+        dob: '1995-04-20',
+        expected_salary: '900000',
+        reference_email: '',
+        city: 'Bengaluru'
+    };
+    const masked = pii.maskFields(row, viewer);
+    assert.deepEqual(masked.sort(), ['dob', 'email', 'expected_salary', 'mobile']);
+    assert.equal(row.email, 'a***@example.com');
+    assert.equal(row.mobile, '******3210');
+    assert.equal(row.dob, '[hidden]');
+    assert.equal(row.expected_salary, '[hidden]');
+    assert.equal(row.reference_email, '');
+    assert.equal(row.full_name, 'Asha Rao');
+    assert.equal(row.city, 'Bengaluru');
+});
+
+test('maskFields leaves the row alone for recruiters and API keys with the pii scope', () => {
+    const row = { email: 'asha@example.com', dob: '1995-04-20' };
+    assert.deepEqual(pii.maskFields(row, recruiter), []);
+    assert.deepEqual(pii.maskFields(row, { api_key_id: 1, scopes: ['applications:read', 'applications:pii'] }), []);
+    assert.deepEqual(row, { email: 'asha@example.com', dob: '1995-04-20' });
+    assert.deepEqual(pii.maskFields(row, { api_key_id: 1, scopes: ['applications:read'] }), ['email', 'dob']);
+});
+
+test('maskAnswers hides every answered value for roles below recruiter', () => {
+    const answers = [{ question: 'Visa status?', value: 'H1B' }, { question: 'Portfolio', value: null }];
+    assert.equal(pii.maskAnswers(answers, recruiter), false);
+    assert.equal(answers[0].value, 'H1B');
+    assert.equal(pii.maskAnswers(answers, viewer), true);
+    assert.deepEqual(answers, [
+        { question: 'Visa status?', value: '[hidden]', masked: true },
+        { question: 'Portfolio', value: null }
+    ]);
+});
+
+test('redact replaces personal request fields in a copy', () => {
+    const body = { full_name: 'Asha Rao', email: 'asha@example.com', job_role: 'Developer', mobile: '' };
+    assert.deepEqual(pii.redact(body), { full_name: '[redacted]', email: '[redacted]', job_role: 'Developer', mobile: '' });
+    assert.equal(body.email, 'asha@example.com');
+});
+
+test('redactUrl replaces personal query parameters and keeps the rest', () => {
+    assert.equal(
+        pii.redactUrl('/api/applications?q=asha%40example.com&status=Applied&page=2'),
+        '/api/applications?q=redacted&status=Applied&page=2'
+    );
+    assert.equal(pii.redactUrl('/api/portal?token=abc123'), '/api/portal?token=redacted');
+    assert.equal(pii.redactUrl('/api/drafts?draft=xyz&email=a%40b.c'), '/api/drafts?draft=redacted&email=redacted');
+    assert.equal(pii.redactUrl('/api/applications'), '/api/applications');
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WEIGHTS, parseNoticeDays, scoreApplication } = require('../ranking');
+const { skillKey, parseSkillList } = require('../skills');
+
+const JAVASCRIPT = { id: 1, name: 'JavaScript' };
+const POSTGRESQL = { id: 2, name: 'PostgreSQL' };
+const DOCKER = { id: 3, name: 'Docker' };
+const AWS = { id: 4, name: 'AWS' };
+
+function posting(overrides) {
+    return Object.assign({
+        min_experience: '3',
+        max_notice_days: 30,
+        max_salary: '1000000',
+        required_skills: [JAVASCRIPT, POSTGRESQL],
+        nice_to_have_skills: [DOCKER, AWS]
+    }, overrides);
+}
+
+function application(overrides) {
+    return Object.assign({
+        years_experience: '4',
+        notice_period: '30 days',
+        expected_salary: '900000'
+    }, overrides);
+}
+
+function criterion(match, name) {
+    return match.breakdown.find(item => item.criterion === name);
+}
+
+test('the weights add up to 100', () => {
+    assert.equal(Object.values(WEIGHTS).reduce((total, weight) => total + weight, 0), 100);
+});
+
+test('parseNoticeDays reads the free-text notice periods of the form', () => {
+    assert.equal(parseNoticeDays('Immediate'), 0);
+    assert.equal(parseNoticeDays('serving notice'), 0);
+    assert.equal(parseNoticeDays('45'), 45);
+    assert.equal(parseNoticeDays('30 days'), 30);
+    assert.equal(parseNoticeDays('2 weeks'), 14);
+    assert.equal(parseNoticeDays('1.5 months'), 45);
+    assert.equal(parseNoticeDays('to be discussed'), null);
+    assert.equal(parseNoticeDays(''), null);
+    assert.equal(parseNoticeDays(null), null);
+});
+
+test('an applicant meeting every requirement scores 100', () => {
+    const match = scoreApplication(application(), new Set([1, 2, 3, 4]), posting());
+    assert.equal(match.score, 100);
+    assert.deepEqual(match.breakdown.map(item => item.criterion), Object.keys(WEIGHTS));
+    match.breakdown.forEach(item => assert.equal(item.points, item.max_points, item.criterion));
+});
+
+test('missing skills cost their share of the points and are listed', () => {
+    const match = scoreApplication(application(), new Set([1, 3]), posting());
+    const required = criterion(match, 'required_skills');
+    assert.equal(required.points, 20);
+    assert.deepEqual(required.matched, ['JavaScript']);
+    assert.deepEqual(required.missing, ['PostgreSQL']);
+    assert.equal(required.detail, 'Has 1 of 2 required skills (missing: PostgreSQL)');
+    assert.equal(criterion(match, 'nice_to_have_skills').points, 5);
+    assert.equal(match.score, 75);
+});
+
+test('experience below the minimum scores in proportion', () => {
+    const match = scoreApplication(application({ years_experience: '1.5' }), new Set([1, 2, 3, 4]), posting());
+    assert.equal(criterion(match, 'experience').points, 10);
+    assert.equal(criterion(match, 'experience').detail, '1.5 year(s) of experience, 3 required');
+});
+
+test('a longer notice period shrinks the points and an unreadable one gets half', () => {
+    const long = scoreApplication(application({ notice_period: '2 months' }), new Set(), posting());
+    assert.equal(criterion(long, 'notice_period').points, 7.5);
+    const unreadable = scoreApplication(application({ notice_period: 'negotiable' }), new Set(), posting());
+    assert.equal(criterion(unreadable, 'notice_period').points, 7.5);
+    assert.match(criterion(unreadable, 'notice_period').detail, /could not be read/);
+});
+
+test('a salary above budget loses points until double the budget, without revealing the expectation', () => {
+    const above = scoreApplication(application({ expected_salary: '1500000' }), new Set(), posting());
+    assert.equal(criterion(above, 'expected_salary').points, 7.5);
+    assert.equal(criterion(above, 'expected_salary').detail, 'Above the budget of 1000000');
+    assert.doesNotMatch(JSON.stringify(above.breakdown), /1500000/);
+    const double = scoreApplication(application({ expected_salary: '2500000' }), new Set(), posting());
+    assert.equal(criterion(double, 'expected_salary').points, 0);
+});
+
+test('requirements the posting does not set give full points', () => {
+    const match = scoreApplication(
+        application({ years_experience: null, notice_period: '', expected_salary: null }),
+        new Set(),
+        posting({ min_experience: null, max_notice_days: null, max_salary: null, required_skills: [], nice_to_have_skills: [] })
+    );
+    assert.equal(match.score, 100);
+    assert.equal(criterion(match, 'required_skills').detail, 'No required skills set for this posting');
+    assert.equal(criterion(match, 'experience').detail, 'No minimum experience set');
+});
+
+test('skill synonyms that differ in case and punctuation share a lookup key', () => {
+    assert.equal(skillKey('Node.js'), skillKey('node js'));
+    assert.equal(skillKey('NodeJS'), skillKey('node-js'));
+    assert.equal(skillKey('Spring_Boot'), skillKey('spring boot'));
+    assert.notEqual(skillKey('Java'), skillKey('JavaScript'));
+});
+
+test('parseSkillList cleans names and keeps the first spelling of a repeated skill', () => {
+    assert.deepEqual(parseSkillList(' React ,  Node.js, nodejs,, node   js , React.js'), ['React', 'Node.js', 'React.js']);
+    assert.deepEqual(parseSkillList(['Python', 'python']), ['Python']);
+    assert.deepEqual(parseSkillList(''), []);
+    assert.deepEqual(parseSkillList(null), []);
+});
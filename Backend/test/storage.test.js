@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+const BUCKET = 'hr-documents';
+
+process.env.STORAGE_DRIVER = 's3';
+process.env.S3_BUCKET = BUCKET;
+process.env.S3_REGION = 'us-east-1';
+process.env.S3_ACCESS_KEY_ID = 'minio';
+process.env.S3_SECRET_ACCESS_KEY = 'minio-secret';
+process.env.MALWARE_SCANNER = 'none';
+
+const storage = require('../storage');
+
+// A MinIO-style stand-in: path-style requests against one bucket, objects kept in memory. Like
+// the real service it rejects a PUT whose x-amz-checksum-sha256 does not match the body.
+function createObjectStore() {
+    const objects = new Map();
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const [, bucket, ...rest] = decodeURIComponent(url.pathname).split('/');
+            const key = rest.join('/');
+            requests.push({ method: req.method, bucket, key });
+            const fail = (status, code) => {
+                res.writeHead(status, { 'Content-Type': 'application/xml' });
+                res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+            };
+            if (bucket !== BUCKET) return fail(404, 'NoSuchBucket');
+
+            const body = Buffer.concat(chunks);
+            if (req.method === 'PUT') {
+                const checksum = req.headers['x-amz-checksum-sha256'];
+                if (checksum && checksum !== crypto.createHash('sha256').update(body).digest('base64')) {
+                    return fail(400, 'BadDigest');
+                }
+                objects.set(key, { body, contentType: req.headers['content-type'] });
+                res.writeHead(200, { ETag: '"etag"' });
+                return res.end();
+            }
+            if (req.method === 'GET') {
+                const object = objects.get(key);
+                if (!object) return fail(404, 'NoSuchKey');
+                res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+                return res.end(object.body);
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            }
+            fail(405, 'MethodNotAllowed');
+        });
+    });
+    return { server, objects, requests };
+}
+
+function pdf(text) {
+    return Buffer.from(`%PDF-1.4\n${text}\n%%EOF`);
+}
+
+function keyFor(buffer, prefix = 'resumes') {
+    return `${prefix}/${storage.sha256(buffer)}.pdf`;
+}
+
+const store = createObjectStore();
+let s3;
+
+test.before(async () => {
+    await new Promise(resolve => store.server.listen(0, '127.0.0.1', resolve));
+    process.env.S3_ENDPOINT = `http://127.0.0.1:${store.server.address().port}`;
+    s3 = storage.createStorage();
+});
+
+test.after(() => new Promise(resolve => store.server.close(resolve)));
+
+test.beforeEach(() => {
+    store.objects.clear();
+    store.requests.length = 0;
+});
+
+test('createStorage needs a bucket for the s3 driver', () => {
+    const bucket = process.env.S3_BUCKET;
+    delete process.env.S3_BUCKET;
+    try {
+        assert.throws(() => storage.createStorage('s3'), /S3_BUCKET must be set/);
+    } finally {
+        process.env.S3_BUCKET = bucket;
+    }
+});
+
+test('createStorage picks the s3 driver from STORAGE_DRIVER', () => {
+    assert.equal(s3.name, 's3');
+});
+
+test('put stores the object path-style under its key with the content type', async () => {
+    const buffer = pdf('resume');
+    const key = keyFor(buffer);
+    await s3.put(key, buffer, { contentType: 'application/pdf', sha256: storage.sha256(buffer) });
+
+    assert.deepEqual(store.requests, [{ method: 'PUT', bucket: BUCKET, key }]);
+    assert.deepEqual(store.objects.get(key).body, buffer);
+    assert.equal(store.objects.get(key).contentType, 'application/pdf');
+});
+
+test('put is rejected when the checksum does not match the bytes', async () => {
+    const buffer = pdf('resume');
+    await assert.rejects(
+        s3.put(keyFor(buffer), buffer, { contentType: 'application/pdf', sha256: storage.sha256(pdf('other')) }),
+        error => error.name === 'BadDigest'
+    );
+    assert.equal(store.objects.size, 0);
+});
+
+test('put and get refuse keys that are not content-addressed', async () => {
+    await assert.rejects(s3.put('../etc/passwd', pdf('x')), /Invalid storage key/);
+    await assert.rejects(s3.get('resumes/resume.pdf'), /Invalid storage key/);
+    await assert.rejects(s3.remove('resumes/'), /Invalid storage key/);
+    assert.equal(store.requests.length, 0);
+});
+
+test('get returns the stored bytes as a Buffer', async () => {
+    const buffer = pdf('resume');
+    const key = keyFor(buffer);
+    await s3.put(key, buffer, { contentType: 'application/pdf' });
+
+    const read = await s3.get(key);
+    assert.ok(Buffer.isBuffer(read));
+    assert.deepEqual(read, buffer);
+});
+
+test('get of a missing object rejects with ENOENT like the local driver', async () => {
+    await assert.rejects(s3.get(keyFor(pdf('missing'))), error => error.code === 'ENOENT');
+});
+
+test('remove deletes the object and tolerates a missing one', async () => {
+    const buffer = pdf('resume');
+    const key = keyFor(buffer);
+    await s3.put(key, buffer, { contentType: 'application/pdf' });
+
+    await s3.remove(key);
+    assert.equal(store.objects.has(key), false);
+    await assert.rejects(s3.get(key), error => error.code === 'ENOENT');
+    await s3.remove(key);
+});
+
+test('storeUpload keeps identical files once under their checksum', async () => {
+    const buffer = pdf('same resume');
+    const first = await storage.storeUpload({ buffer, originalname: 'cv.pdf' }, 'resumes', 'test');
+    const second = await storage.storeUpload({ buffer: Buffer.from(buffer), originalname: 'copy.pdf' }, 'resumes', 'test');
+
+    assert.equal(first.key, keyFor(buffer));
+    assert.equal(second.key, first.key);
+    assert.equal(first.sha256, storage.sha256(buffer));
+    assert.equal(first.size, buffer.length);
+    assert.equal(first.contentType, 'application/pdf');
+    assert.deepEqual([...store.objects.keys()], [first.key]);
+});
+
+test('storeUpload stores different files under different keys', async () => {
+    const first = await storage.storeUpload({ buffer: pdf('one'), originalname: 'one.pdf' }, 'resumes', 'test');
+    const second = await storage.storeUpload({ buffer: pdf('two'), originalname: 'two.pdf' }, 'resumes', 'test');
+
+    assert.notEqual(first.key, second.key);
+    assert.deepEqual([...store.objects.keys()].sort(), [first.key, second.key].sort());
+});
+
+test('storeUpload rejects content that is not an allowed format without storing it', async () => {
+    const result = await storage.storeUpload({ buffer: Buffer.from('plain text'), originalname: 'cv.pdf' }, 'resumes', 'test');
+    assert.deepEqual(result, { code: 400, error: 'cv.pdf is not a valid PDF file' });
+    assert.equal(store.requests.length, 0);
+});
+
+test('readFile returns a stored file and rejects one that no longer matches its checksum', async () => {
+    const buffer = pdf('resume');
+    const stored = await storage.storeUpload({ buffer, originalname: 'cv.pdf' }, 'resumes', 'test');
+    assert.deepEqual(await storage.readFile(stored.key, stored.sha256), buffer);
+
+    store.objects.get(stored.key).body = pdf('tampered');
+    await assert.rejects(storage.readFile(stored.key, stored.sha256), /does not match its checksum/);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const pool = require('../db');
+const webhooks = require('../webhooks');
+
+// Stands in for the database: each query is recorded and answered by the first handler whose
+// pattern matches its SQL
+function mockQueries(handlers) {
+    const queries = [];
+    pool.query = async (sql, values = []) => {
+        queries.push({ sql, values });
+        const handler = handlers.find(([pattern]) => pattern.test(sql));
+        return handler ? handler[1](values) : { rows: [], rowCount: 0 };
+    };
+    return queries;
+}
+
+// A receiver that records the requests it gets and answers with `status`
+function createReceiver(status) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(status);
+            res.end('ok');
+        });
+    });
+    return { server, requests };
+}
+
+function delivery(overrides) {
+    return Object.assign({
+        id: 1,
+        endpoint_id: 3,
+        event_id: 'evt_1',
+        event_type: 'application.submitted',
+        application_id: 9,
+        payload: { id: 'evt_1', type: 'application.submitted', data: { application: { id: 9 } } },
+        status: 'pending',
+        attempts: 0
+    }, overrides);
+}
+
+test.after(() => pool.end());
+
+test('signPayload is the hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret', () => {
+    // Computed with: printf '%s' '1700000000.{"id":"evt_1"}' | openssl dgst -sha256 -hmac whsec_test
+    assert.equal(
+        webhooks.signPayload('whsec_test', 1700000000, '{"id":"evt_1"}'),
+        'sha256=c89214b5b5da833daed6f0b8c5bb6bd58cea9022bd80ccc78230f3942d632925'
+    );
+});
+
+test('signPayload changes with the timestamp, so an old signature cannot be reused', () => {
+    assert.notEqual(
+        webhooks.signPayload('whsec_test', 1700000000, '{}'),
+        webhooks.signPayload('whsec_test', 1700000001, '{}')
+    );
+});
+
+test('processDeliveries claims due deliveries with a lease in one statement, skipping locked rows', async () => {
+    const queries = mockQueries([]);
+    assert.equal(await webhooks.processDeliveries(), 0);
+
+    assert.equal(queries.length, 1);
+    const [claim] = queries;
+    assert.match(claim.sql, /UPDATE webhook_deliveries\s+SET next_attempt_at = NOW\(\) \+ \$2::int \* INTERVAL '1 second'/);
+    assert.match(claim.sql, /status = 'pending' AND next_attempt_at <= NOW\(\)/);
+    assert.match(claim.sql, /WHERE is_active/);
+    assert.match(claim.sql, /FOR UPDATE SKIP LOCKED/);
+    assert.match(claim.sql, /RETURNING \*/);
+    // 10 deliveries that may each time out after 10 seconds, plus a minute
+    assert.deepEqual(claim.values, [10, 160]);
+});
+
+test('processDeliveries posts claimed deliveries signed and records them outside any transaction', async () => {
+    const receiver = createReceiver(200);
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    try {
+        const url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+        const queries = mockQueries([
+            [/UPDATE webhook_deliveries\s+SET next_attempt_at/, () => ({ rows: [delivery()] })],
+            [/FROM webhook_endpoints WHERE id = ANY/, () => ({ rows: [{ id: 3, url, secret: 'whsec_test', is_active: true }] })]
+        ]);
+        assert.equal(await webhooks.processDeliveries(), 1);
+
+        assert.equal(receiver.requests.length, 1);
+        const [request] = receiver.requests;
+        assert.equal(request.headers['x-webhook-id'], 'evt_1');
+        assert.equal(
+            request.headers['x-webhook-signature'],
+            webhooks.signPayload('whsec_test', request.headers['x-webhook-timestamp'], request.body)
+        );
+
+        assert.ok(!queries.some(query => /^\s*(BEGIN|COMMIT)/.test(query.sql)));
+        const recorded = queries[queries.length - 1];
+        assert.match(recorded.sql, /SET status = 'delivered'/);
+        assert.deepEqual(recorded.values, [1, 1, 200, 'ok']);
+    } finally {
+        await new Promise(resolve => receiver.server.close(resolve));
+    }
+});
+
+test('a failed delivery is released for a retry with backoff', async () => {
+    const receiver = createReceiver(500);
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    try {
+        const url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+        const queries = mockQueries([
+            [/UPDATE webhook_deliveries\s+SET next_attempt_at/, () => ({ rows: [delivery({ attempts: 2 })] })],
+            [/FROM webhook_endpoints WHERE id = ANY/, () => ({ rows: [{ id: 3, url, secret: 'whsec_test', is_active: true }] })]
+        ]);
+        await webhooks.processDeliveries();
+
+        const recorded = queries[queries.length - 1];
+        assert.match(recorded.sql, /next_attempt_at = NOW\(\) \+ \$7::int \* INTERVAL '1 second'/);
+        assert.deepEqual(recorded.values, [1, 'pending', 3, 500, 'ok', 'Endpoint responded with HTTP 500', 120]);
+    } finally {
+        await new Promise(resolve => receiver.server.close(resolve));
+    }
+});
+
+test('replayDelivery refuses an inactive endpoint without queueing anything', async () => {
+    const queries = mockQueries([
+        [/FROM webhook_deliveries WHERE id = \$1/, () => ({ rows: [delivery({ status: 'failed' })] })],
+        [/FROM webhook_endpoints WHERE id = \$1/, () => ({ rows: [{ is_active: false, include_personal_data: false }] })]
+    ]);
+    assert.deepEqual(await webhooks.replayDelivery(1), {
+        code: 409,
+        error: 'Endpoint is inactive; activate it before replaying deliveries'
+    });
+    assert.ok(!queries.some(query => /INSERT INTO webhook_deliveries/.test(query.sql)));
+});
+
+test('replayDelivery queues a copy for an active endpoint, without personal details it no longer receives', async () => {
+    const original = delivery({
+        status: 'delivered',
+        payload: { id: 'evt_1', type: 'application.submitted', data: { application: { id: 9, email: 'asha@example.com' } } }
+    });
+    const queries = mockQueries([
+        [/FROM webhook_deliveries WHERE id = \$1/, () => ({ rows: [original] })],
+        [/FROM webhook_endpoints WHERE id = \$1/, () => ({ rows: [{ is_active: true, include_personal_data: false }] })],
+        [/INSERT INTO webhook_deliveries/, values => ({ rows: [{ id: 2, payload: values[4], replay_of_delivery_id: values[5] }] })]
+    ]);
+    const result = await webhooks.replayDelivery(1);
+    assert.equal(result.delivery.replay_of_delivery_id, 1);
+    assert.deepEqual(JSON.parse(result.delivery.payload).data.application, { id: 9 });
+    assert.equal(queries.length, 3);
+});
+
+test('replayDelivery refuses a delivery that is still pending', async () => {
+    mockQueries([[/FROM webhook_deliveries WHERE id = \$1/, () => ({ rows: [delivery()] })]]);
+    assert.deepEqual(await webhooks.replayDelivery(1), { code: 409, error: 'Delivery is still pending' });
+});
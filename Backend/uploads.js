@@ -0,0 +1,50 @@
+const multer = require('multer');
+
+// Uploads are kept in memory until storage.js has checked them (format by content, malware scan)
+// and stored them; nothing is written to disk under a client-chosen name.
+const ACCEPTED_MIMETYPES = [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'image/png',
+    'image/jpeg'
+];
+
+// Largest file any document type allows; per-type limits are checked in documents.js
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Rejections carry status 400, which the error handler in server.js passes on to the client
+const fileFilter = (req, file, cb) => {
+    if (ACCEPTED_MIMETYPES.includes(file.mimetype)) {
+        console.log(`File ${file.originalname} has an accepted type (${file.mimetype})`);
+        cb(null, true);
+    } else {
+        console.error(`File ${file.originalname} rejected: ${file.mimetype} is not an accepted type`);
+        const error = new Error('Only PDF, DOCX, PNG and JPEG files are allowed');
+        error.status = 400;
+        cb(error, false);
+    }
+};
+
+// Files one application submission may carry: every document type at its limit plus the file
+// questions of a custom form
+const MAX_SUBMISSION_FILES = 40;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES },
+    fileFilter: fileFilter
+});
+
+// For /api/submit, whose file fields depend on the posting's form and are only known once the
+// body has been read; the route checks field names and counts with documents.groupFiles
+const submissionUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_SUBMISSION_FILES },
+    fileFilter: fileFilter
+}).any();
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    upload,
+    submissionUpload
+};
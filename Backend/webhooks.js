@@ -0,0 +1,402 @@
+// Outbound webhooks for HRIS/ATS sync. Admins register endpoints and the application events they
+// want. Events are queued in the caller's transaction, so nothing is sent for a change that rolls
+// back, and a worker POSTs them, retrying failures with exponential backoff like the email outbox.
+//
+// Requests are signed: X-Webhook-Signature is "sha256=" followed by the hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<raw body>" keyed with the endpoint's secret. Receivers should compare it
+// in constant time and reject stale timestamps. X-Webhook-Id names the event and stays the same
+// across retries and replays, so receivers can drop duplicates.
+//
+// Payloads identify the application, its job and its stage. The candidate's name and contact
+// details are added only for endpoints an admin has set to include_personal_data.
+const crypto = require('crypto');
+const pool = require('./db');
+const pii = require('./pii');
+const { HIRED_STAGE } = require('./pipeline');
+
+const EVENT_TYPES = ['application.submitted', 'application.status_changed', 'application.hired'];
+// Sent only when an admin tests an endpoint, whatever events it subscribes to
+const TEST_EVENT = 'webhook.test';
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS, 10) || 10000;
+const WORKER_BATCH_SIZE = 10;
+// Deliveries in a batch are sent one after another, so a claim must outlast every request timing out.
+const CLAIM_LEASE_SECONDS = Math.ceil(WORKER_BATCH_SIZE * REQUEST_TIMEOUT_MS / 1000) + 60;
+const MAX_RESPONSE_LOG_LENGTH = 1000;
+const DELIVERY_PAGE_SIZE = 100;
+
+// Application fields sent with every event
+const PAYLOAD_FIELDS = ['id', 'candidate_id', 'job_posting_id', 'job_role', 'submission_date', 'status'];
+// Added for endpoints with include_personal_data; the encrypted personal details are never sent
+const PERSONAL_PAYLOAD_FIELDS = [
+    'full_name', 'email', 'mobile', 'preferred_location', 'city', 'experience_status', 'years_experience', 'notice_period'
+];
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function parseEvents(events) {
+    const list = Array.isArray(events) ? events : String(events || '').split(',');
+    return [...new Set(list.map(event => String(event).trim()).filter(event => event))];
+}
+
+/**
+ * Checks an endpoint registration: { url, description, events, is_active, include_personal_data }.
+ * With `partial`, fields left out are not required (for updates). Returns a list of error messages.
+ */
+function validateEndpoint({ url, description, events, is_active: isActive, include_personal_data: includePersonalData }, { partial = false } = {}) {
+    const errors = [];
+    if (url !== undefined || !partial) {
+        let parsed = null;
+        try {
+            parsed = new URL(String(url || ''));
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            errors.push('url must be an http(s) URL');
+        } else if (String(url).length > 2000) {
+            errors.push('url must be 2000 characters or fewer');
+        }
+    }
+    if (description !== undefined && description !== null && String(description).length > 255) {
+        errors.push('description must be 255 characters or fewer');
+    }
+    if (events !== undefined || !partial) {
+        const list = parseEvents(events);
+        if (list.length === 0) {
+            errors.push(`events must list at least one of: ${EVENT_TYPES.join(', ')}`);
+        }
+        const unknown = list.filter(event => !EVENT_TYPES.includes(event));
+        if (unknown.length > 0) {
+            errors.push(`Unknown events: ${unknown.join(', ')}`);
+        }
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        errors.push('is_active must be true or false');
+    }
+    if (includePersonalData !== undefined && typeof includePersonalData !== 'boolean') {
+        errors.push('include_personal_data must be true or false');
+    }
+    return errors;
+}
+
+// Endpoints as shown to admins: never with the secret
+function formatEndpoint(row) {
+    const endpoint = Object.assign({}, row);
+    delete endpoint.secret;
+    return endpoint;
+}
+
+// Every endpoint with how many of its deliveries are waiting or have given up
+async function getEndpoints() {
+    const result = await pool.query('SELECT * FROM webhook_endpoints ORDER BY id');
+    const counts = await pool.query(`
+        SELECT endpoint_id, status, COUNT(*)::int AS count
+        FROM webhook_deliveries
+        WHERE status IN ('pending', 'failed')
+        GROUP BY endpoint_id, status
+    `);
+    const countOf = (endpointId, status) => {
+        const row = counts.rows.find(count => count.endpoint_id === endpointId && count.status === status);
+        return row ? row.count : 0;
+    };
+    return result.rows.map(row => Object.assign(formatEndpoint(row), {
+        pending_count: countOf(row.id, 'pending'),
+        failed_count: countOf(row.id, 'failed')
+    }));
+}
+
+// Registers an endpoint. Returns { endpoint, secret }; the secret is not shown again.
+async function createEndpoint({ url, description, events, include_personal_data: includePersonalData = false }, user) {
+    const secret = generateSecret();
+    const result = await pool.query(`
+        INSERT INTO webhook_endpoints (url, description, events, include_personal_data, secret, created_by_user_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+    `, [
+        String(url).trim(),
+        description ? String(description).trim() : null,
+        parseEvents(events),
+        includePersonalData,
+        pii.encryptValue(secret),
+        user.id
+    ]);
+    return { endpoint: formatEndpoint(result.rows[0]), secret };
+}
+
+// Changes the fields given; returns the endpoint, or null when there is none with this ID
+async function updateEndpoint(id, { url, description, events, is_active: isActive, include_personal_data: includePersonalData }) {
+    const result = await pool.query(`
+        UPDATE webhook_endpoints
+        SET url = COALESCE($2, url),
+            description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+            events = COALESCE($5, events),
+            is_active = COALESCE($6, is_active),
+            include_personal_data = COALESCE($7, include_personal_data),
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+    `, [
+        id,
+        url === undefined ? null : String(url).trim(),
+        description !== undefined,
+        description ? String(description).trim() : null,
+        events === undefined ? null : parseEvents(events),
+        isActive === undefined ? null : isActive,
+        includePersonalData === undefined ? null : includePersonalData
+    ]);
+    return result.rows[0] ? formatEndpoint(result.rows[0]) : null;
+}
+
+// Replaces the signing secret; returns the new secret, or null when there is no such endpoint
+async function rotateSecret(id) {
+    const secret = generateSecret();
+    const result = await pool.query(
+        'UPDATE webhook_endpoints SET secret = $2, updated_at = NOW() WHERE id = $1 RETURNING id',
+        [id, pii.encryptValue(secret)]
+    );
+    return result.rows.length > 0 ? secret : null;
+}
+
+// Deletes an endpoint and its delivery log
+async function deleteEndpoint(id) {
+    const result = await pool.query('DELETE FROM webhook_endpoints WHERE id = $1', [id]);
+    return result.rowCount > 0;
+}
+
+async function insertDelivery(client, endpointId, payload, { applicationId = null, replayOf = null } = {}) {
+    const result = await client.query(`
+        INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, application_id, payload, replay_of_delivery_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+    `, [endpointId, payload.id, payload.type, applicationId, JSON.stringify(payload), replayOf]);
+    return result.rows[0];
+}
+
+// The application as an endpoint may see it
+function payloadApplication(application, includePersonalData) {
+    const fields = includePersonalData ? PAYLOAD_FIELDS.concat(PERSONAL_PAYLOAD_FIELDS) : PAYLOAD_FIELDS;
+    const visible = {};
+    fields.forEach(field => {
+        if (field in application) visible[field] = application[field];
+    });
+    return visible;
+}
+
+/**
+ * Queues an event about an application for every active endpoint subscribed to it. Pass the
+ * transaction client so the event is only sent if the surrounding change commits. Returns the
+ * number of deliveries queued.
+ */
+async function enqueueEvent(client, type, applicationId, data = {}) {
+    const endpoints = await client.query('SELECT id, events, include_personal_data FROM webhook_endpoints WHERE is_active');
+    const subscribed = endpoints.rows.filter(endpoint => endpoint.events.includes(type));
+    if (subscribed.length === 0) return 0;
+
+    const result = await client.query(
+        `SELECT ${PAYLOAD_FIELDS.concat(PERSONAL_PAYLOAD_FIELDS).join(', ')} FROM applications WHERE id = $1`,
+        [applicationId]
+    );
+    const application = result.rows[0] || { id: Number(applicationId) };
+    // One event ID for every endpoint, so the same change can be matched up across systems
+    const event = { id: crypto.randomUUID(), type, created_at: new Date().toISOString() };
+    for (const endpoint of subscribed) {
+        const payload = Object.assign({}, event, {
+            data: Object.assign({ application: payloadApplication(application, endpoint.include_personal_data) }, data)
+        });
+        await insertDelivery(client, endpoint.id, payload, { applicationId });
+    }
+    console.log(`Queued ${type} webhook for application ${applicationId} to ${subscribed.length} endpoint(s)`);
+    return subscribed.length;
+}
+
+async function notifySubmitted(client, applicationId) {
+    return enqueueEvent(client, 'application.submitted', applicationId);
+}
+
+// A stage change, plus application.hired when the application reached HIRED_STAGE
+async function notifyStatusChanged(client, applicationId, previousStatus, status) {
+    await enqueueEvent(client, 'application.status_changed', applicationId, { previous_status: previousStatus });
+    if (status === HIRED_STAGE && previousStatus !== HIRED_STAGE) {
+        await enqueueEvent(client, 'application.hired', applicationId, { previous_status: previousStatus });
+    }
+}
+
+// Queues a webhook.test event for one endpoint, active or not; null when there is no such endpoint
+async function sendTest(endpointId, user) {
+    const endpoint = await pool.query('SELECT id FROM webhook_endpoints WHERE id = $1', [endpointId]);
+    if (endpoint.rows.length === 0) return null;
+    return insertDelivery(pool, endpointId, {
+        id: crypto.randomUUID(),
+        type: TEST_EVENT,
+        created_at: new Date().toISOString(),
+        data: { message: `Test event sent by ${user.full_name}` }
+    });
+}
+
+// Newest deliveries of an endpoint first; ?status=pending|delivered|failed
+async function getDeliveries(endpointId, { status = null } = {}) {
+    const result = await pool.query(`
+        SELECT id, endpoint_id, event_id, event_type, application_id, payload, replay_of_delivery_id, status,
+               attempts, last_status_code, last_error, last_response, next_attempt_at, created_at, delivered_at
+        FROM webhook_deliveries
+        WHERE endpoint_id = $1 ${status ? 'AND status = $3' : ''}
+        ORDER BY id DESC
+        LIMIT $2
+    `, status ? [endpointId, DELIVERY_PAGE_SIZE, status] : [endpointId, DELIVERY_PAGE_SIZE]);
+    return result.rows;
+}
+
+/**
+ * Sends a delivered or failed event again as a new delivery, keeping the original in the log.
+ * The payload, including the event ID, is unchanged. Returns { delivery } or { error, code }.
+ */
+async function replayDelivery(deliveryId) {
+    const original = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+    if (original.rows.length === 0) {
+        return { code: 404, error: 'Delivery not found' };
+    }
+    if (original.rows[0].status === 'pending') {
+        return { code: 409, error: 'Delivery is still pending' };
+    }
+    const row = original.rows[0];
+    // The worker skips inactive endpoints, so a replay to one would sit in the queue unsent
+    const endpoint = await pool.query('SELECT is_active, include_personal_data FROM webhook_endpoints WHERE id = $1', [row.endpoint_id]);
+    if (!endpoint.rows[0].is_active) {
+        return { code: 409, error: 'Endpoint is inactive; activate it before replaying deliveries' };
+    }
+    const payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+    // Personal details sent before the endpoint stopped including them are not sent again
+    if (payload.data && payload.data.application && !endpoint.rows[0].include_personal_data) {
+        payload.data.application = payloadApplication(payload.data.application, false);
+    }
+    const delivery = await insertDelivery(pool, row.endpoint_id, payload, { applicationId: row.application_id, replayOf: row.id });
+    return { delivery };
+}
+
+// POSTs one delivery. Resolves to { statusCode, response } for 2xx responses and throws otherwise.
+async function post(endpoint, delivery) {
+    const body = JSON.stringify(typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'HR-Portal-Webhooks/1.0',
+            'X-Webhook-Id': delivery.event_id,
+            'X-Webhook-Event': delivery.event_type,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(pii.decryptValue(endpoint.secret), timestamp, body)
+        },
+        body,
+        // A redirect is treated as a failure rather than re-posting the payload elsewhere
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const text = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_LOG_LENGTH);
+    if (response.status < 200 || response.status >= 300) {
+        const error = new Error(`Endpoint responded with HTTP ${response.status}`);
+        error.statusCode = response.status;
+        error.response = text;
+        throw error;
+    }
+    return { statusCode: response.status, response: text };
+}
+
+// Sends due deliveries of active endpoints. Failures are retried with exponential backoff until MAX_ATTEMPTS.
+// Due rows are claimed in a single statement that pushes next_attempt_at past the time the whole batch can take,
+// so no transaction or row lock is held while the endpoints are called and other workers skip the claimed rows.
+// If the worker dies mid-batch the lease simply runs out and the rows are picked up again.
+async function processDeliveries() {
+    const due = await pool.query(`
+        UPDATE webhook_deliveries
+        SET next_attempt_at = NOW() + $2::int * INTERVAL '1 second'
+        WHERE id IN (
+            SELECT id FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= NOW()
+              AND endpoint_id IN (SELECT id FROM webhook_endpoints WHERE is_active)
+            ORDER BY id
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [WORKER_BATCH_SIZE, CLAIM_LEASE_SECONDS]);
+    const deliveries = due.rows.sort((a, b) => a.id - b.id);
+    const endpoints = {};
+    if (deliveries.length > 0) {
+        const result = await pool.query('SELECT * FROM webhook_endpoints WHERE id = ANY($1::int[])', [[...new Set(deliveries.map(row => row.endpoint_id))]]);
+        result.rows.forEach(endpoint => { endpoints[endpoint.id] = endpoint; });
+    }
+
+    for (const delivery of deliveries) {
+        const attempts = delivery.attempts + 1;
+        try {
+            const result = await post(endpoints[delivery.endpoint_id], delivery);
+            await pool.query(`
+                UPDATE webhook_deliveries
+                SET status = 'delivered', attempts = $2, last_status_code = $3, last_response = $4, last_error = NULL, delivered_at = NOW()
+                WHERE id = $1
+            `, [delivery.id, attempts, result.statusCode, result.response]);
+            console.log(`Delivered webhook ${delivery.id} (${delivery.event_type}) to endpoint ${delivery.endpoint_id}`);
+        } catch (error) {
+            const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+            const delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+            await pool.query(`
+                UPDATE webhook_deliveries
+                SET status = $2, attempts = $3, last_status_code = $4, last_response = $5, last_error = $6,
+                    next_attempt_at = NOW() + $7::int * INTERVAL '1 second'
+                WHERE id = $1
+            `, [delivery.id, status, attempts, error.statusCode || null, error.response || null, error.message, delaySeconds]);
+            console.error(`Error delivering webhook ${delivery.id} (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+        }
+    }
+    return deliveries.length;
+}
+
+function startDeliveryWorker() {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDeliveries();
+        } catch (error) {
+            console.error('Error processing webhook deliveries:', error.message);
+        } finally {
+            running = false;
+        }
+    }, WORKER_INTERVAL_MS);
+    timer.unref();
+    console.log('Webhook delivery worker started');
+    return timer;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    TEST_EVENT,
+    DELIVERY_STATUSES,
+    signPayload,
+    validateEndpoint,
+    getEndpoints,
+    createEndpoint,
+    updateEndpoint,
+    rotateSecret,
+    deleteEndpoint,
+    enqueueEvent,
+    notifySubmitted,
+    notifyStatusChanged,
+    sendTest,
+    getDeliveries,
+    replayDelivery,
+    processDeliveries,
+    startDeliveryWorker
+};